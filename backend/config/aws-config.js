@@ -1,4 +1,5 @@
 const AWS = require('aws-sdk');
+const healthCheckSample = require('./health-check-sample');
 require('dotenv').config();
 
 // Configure AWS SDK
@@ -20,7 +21,8 @@ const configureAWS = () => {
   AWS.config.update(awsConfig);
   
   return {
-    sagemakerRuntime: new AWS.SageMakerRuntime(),
+    // SDK retries are disabled; invocations are retried by utils/retry behind a circuit breaker
+    sagemakerRuntime: new AWS.SageMakerRuntime({ maxRetries: 0 }),
     sagemaker: new AWS.SageMaker() // Add regular SageMaker service for management operations
   };
 };
@@ -28,8 +30,9 @@ const configureAWS = () => {
 // Initialize both SageMaker services
 const { sagemakerRuntime, sagemaker } = configureAWS();
 
-// FIXED: Test AWS connection using correct service and method
-const testAWSConnection = async () => {
+// FIXED: Test AWS connection using correct service and method.
+// `options.invoke` replaces the raw endpoint call used when listing endpoints is not permitted.
+const testAWSConnection = async (options = {}) => {
   try {
     console.log('🔍 Testing AWS credentials and permissions...');
     
@@ -42,26 +45,17 @@ const testAWSConnection = async () => {
       console.log('⚠️ SageMaker list permission not available, trying direct endpoint test...');
       
       // Option 2: Test with a direct endpoint call using dummy data
-      const testData = {
-        Age: 45,
-        BMI: 25.0,
-        Waist_Circumference_cm: 85,
-        Fasting_Glucose_mg_dL: 95,
-        HbA1c_percent: 5.5,
-        Systolic_BP_mmHg: 120,
-        Diastolic_BP_mmHg: 80,
-        Family_History_Diabetes: 0,
-        Hypertension: 0,
-        Physical_Activity_Hours_Week: 5.0
-      };
+      if (options.invoke) {
+        await options.invoke(healthCheckSample);
+      } else {
+        const params = {
+          EndpointName: process.env.SAGEMAKER_ENDPOINT,
+          ContentType: 'application/json',
+          Body: JSON.stringify(healthCheckSample)
+        };
 
-      const params = {
-        EndpointName: process.env.SAGEMAKER_ENDPOINT,
-        ContentType: 'application/json',
-        Body: JSON.stringify(testData)
-      };
-
-      await sagemakerRuntime.invokeEndpoint(params).promise();
+        await sagemakerRuntime.invokeEndpoint(params).promise();
+      }
       console.log('✅ AWS SageMaker Runtime connection successful (endpoint tested)');
       return true;
     }
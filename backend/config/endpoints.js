@@ -0,0 +1,49 @@
+require('dotenv').config();
+
+// Parse "name:weight,name:weight" (weight defaults to 1)
+const parseWeightedList = (value) => value
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const [name, weight] = entry.split(':').map(part => part.trim());
+    const parsedWeight = weight === undefined ? 1 : Number(weight);
+
+    if (!name || isNaN(parsedWeight) || parsedWeight < 0) {
+      throw new Error(`Invalid endpoint entry "${entry}" - expected name or name:weight`);
+    }
+    return { name, weight: parsedWeight };
+  });
+
+// SageMaker endpoint topology:
+//   SAGEMAKER_ENDPOINTS        - weighted primaries, e.g. "diabetes-v1:90,diabetes-v2:10" (canary)
+//   SAGEMAKER_SHADOW_ENDPOINTS - candidates that receive a copy of each request, e.g. "diabetes-v3"
+//   SHADOW_SAMPLE_RATE         - fraction of requests mirrored to shadows (0-1, default 1)
+// Without SAGEMAKER_ENDPOINTS, SAGEMAKER_ENDPOINT serves all traffic.
+const loadEndpointConfig = () => {
+  const primaries = process.env.SAGEMAKER_ENDPOINTS
+    ? parseWeightedList(process.env.SAGEMAKER_ENDPOINTS)
+    : [{ name: process.env.SAGEMAKER_ENDPOINT, weight: 1 }];
+
+  if (primaries.reduce((sum, endpoint) => sum + endpoint.weight, 0) <= 0) {
+    throw new Error('SAGEMAKER_ENDPOINTS must give at least one endpoint a positive weight');
+  }
+
+  const shadows = process.env.SAGEMAKER_SHADOW_ENDPOINTS
+    ? parseWeightedList(process.env.SAGEMAKER_SHADOW_ENDPOINTS).map(({ name }) => ({ name }))
+    : [];
+
+  const sampleRate = process.env.SHADOW_SAMPLE_RATE === undefined
+    ? 1
+    : Math.min(1, Math.max(0, Number(process.env.SHADOW_SAMPLE_RATE) || 0));
+
+  return {
+    primaries,
+    shadows,
+    shadowSampleRate: sampleRate
+  };
+};
+
+module.exports = {
+  loadEndpointConfig
+};
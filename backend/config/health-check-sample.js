@@ -0,0 +1,15 @@
+// Fixed, healthy-range patient used to probe the inference endpoint
+const healthCheckSample = {
+  Age: 45,
+  BMI: 25.0,
+  Waist_Circumference_cm: 85,
+  Fasting_Glucose_mg_dL: 95,
+  HbA1c_percent: 5.5,
+  Systolic_BP_mmHg: 120,
+  Diastolic_BP_mmHg: 80,
+  Family_History_Diabetes: 0,
+  Hypertension: 0,
+  Physical_Activity_Hours_Week: 5.0
+};
+
+module.exports = healthCheckSample;
@@ -0,0 +1,147 @@
+const logger = require('../utils/logger');
+const { requestPath } = require('../utils/redaction');
+const { verifyApiKey, hasScope } = require('../services/apiKeyStore');
+const { verifySessionToken } = require('../services/sessionTokens');
+require('dotenv').config();
+
+const authConfig = {
+  // On unless explicitly disabled (e.g. local development without keys or users)
+  enabled: process.env.AUTH_ENABLED !== 'false'
+};
+
+// "Authorization: ApiKey <key>" for machines, "Authorization: Bearer <jwt>" for logged-in users
+const readCredentials = (req) => {
+  const [scheme = '', value] = (req.get('Authorization') || '').split(' ');
+  return { scheme: scheme.toLowerCase(), value };
+};
+
+const reject = (req, res, status, error, details = {}) => {
+  logger.warn('Credentials rejected', {
+    requestId: req.requestId,
+    reason: error,
+    ...details,
+    method: req.method,
+    url: requestPath(req),
+    clientIP: req.ip
+  });
+
+  if (status === 401) {
+    res.set('WWW-Authenticate', 'Bearer, ApiKey');
+  }
+  return res.status(status).json({
+    error,
+    request_id: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+};
+
+const checkApiKey = (req, res, next, key, scope) => {
+  const { apiKey, reason, keyId } = verifyApiKey(key);
+  if (!apiKey) {
+    return reject(req, res, 401, 'Invalid API key', { credential: 'api_key', keyReason: reason, keyId });
+  }
+  if (!scope || !hasScope(apiKey, scope)) {
+    return reject(req, res, 403, 'API key lacks required scope', { credential: 'api_key', keyId: apiKey.id, requiredScope: scope });
+  }
+
+  req.apiKey = apiKey;
+  next();
+};
+
+// Client tokens carry scopes like API keys, but never admin (see POST /auth/client-token)
+const checkClientToken = (req, res, next, claims, scope) => {
+  const scopes = (claims.scope || '').split(' ').filter(Boolean);
+  if (!scope || !scopes.includes(scope)) {
+    return reject(req, res, 403, 'Client token lacks required scope', { credential: 'client_token', issuedBy: claims.sub, requiredScope: scope });
+  }
+
+  req.clientToken = { id: claims.jti, issued_by: claims.sub, scopes };
+  next();
+};
+
+const checkSessionToken = (req, res, next, token, { scope, roles }) => {
+  let claims;
+  try {
+    claims = verifySessionToken(token, ['access', 'client']);
+  } catch (error) {
+    return reject(req, res, 401, 'Invalid or expired session token', { credential: 'session', tokenReason: error.message });
+  }
+  if (claims.typ === 'client') {
+    return checkClientToken(req, res, next, claims, scope);
+  }
+  if (!roles || !roles.includes(claims.role)) {
+    return reject(req, res, 403, 'Role not permitted for this route', { credential: 'session', userId: claims.sub, role: claims.role, allowedRoles: roles });
+  }
+
+  req.user = { id: claims.sub, name: claims.name, role: claims.role };
+  next();
+};
+
+// Route middleware: accept an API key or client token carrying `scope` (admin keys pass every
+// scope) or a session token whose role is in `roles`. Leave either out to refuse that credential type.
+const authorize = ({ scope, roles } = {}) => (req, res, next) => {
+  if (!authConfig.enabled) {
+    return next();
+  }
+
+  try {
+    const { scheme, value } = readCredentials(req);
+
+    if (scheme === 'apikey' && value) {
+      return checkApiKey(req, res, next, value, scope);
+    }
+    if (scheme === 'bearer' && value) {
+      return checkSessionToken(req, res, next, value, { scope, roles });
+    }
+    return reject(req, res, 401, 'Authentication required');
+
+  } catch (error) {
+    logger.error('Credential verification failed', { requestId: req.requestId, error: error.message });
+    res.status(500).json({
+      error: 'Authentication processing failed',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+// Whether the request carries an API key or session token that verifies, whatever the route
+// needs. The per-IP limiter only waves such requests through; a bare header is not enough.
+const hasValidCredentials = (req) => {
+  if (!authConfig.enabled) {
+    return false;
+  }
+
+  const { scheme, value } = readCredentials(req);
+  if (!value) {
+    return false;
+  }
+  try {
+    if (scheme === 'apikey') {
+      return Boolean(verifyApiKey(value).apiKey);
+    }
+    if (scheme === 'bearer') {
+      verifySessionToken(value, ['access', 'client']);
+      return true;
+    }
+  } catch (error) {
+    return false;
+  }
+  return false;
+};
+
+// Who made the request, for logs and records
+const describeCaller = (req) => {
+  if (req.user) return { type: 'user', id: req.user.id, role: req.user.role };
+  if (req.apiKey) return { type: 'api_key', id: req.apiKey.id };
+  // Client tokens count as the server or user that minted them
+  if (req.clientToken) return { type: 'client_token', id: req.clientToken.issued_by };
+  return null;
+};
+
+module.exports = {
+  authConfig,
+  authorize,
+  hasValidCredentials,
+  describeCaller
+};
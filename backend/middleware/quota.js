@@ -0,0 +1,65 @@
+const logger = require('../utils/logger');
+const { consumeQuota } = require('../services/usageQuotas');
+const { describeCaller } = require('./auth');
+
+// Quotas follow the authenticated caller (API key or user); only anonymous requests,
+// e.g. with auth disabled, fall back to the client address
+const quotaClient = (req) => describeCaller(req) || { type: 'ip', id: req.ip };
+
+const setUsageHeaders = (res, usage) => {
+  if (usage.limit !== null) {
+    res.set('RateLimit-Limit', String(usage.limit));
+    res.set('RateLimit-Remaining', String(usage.remaining));
+    res.set('RateLimit-Reset', String(Math.ceil(usage.reset_ms / 1000)));
+  }
+  res.set('X-Daily-Quota-Limit', String(usage.daily_limit));
+  res.set('X-Daily-Quota-Remaining', String(usage.daily_remaining));
+  res.set('X-Daily-Quota-Reset', String(Math.ceil(usage.daily_reset_ms / 1000)));
+};
+
+// Charge `weight` against `bucket` for the caller. Sets usage headers and answers 429 when
+// the request does not fit; returns whether the route may go on.
+const checkQuota = (req, res, bucket, weight = 1) => {
+  const client = quotaClient(req);
+  const usage = consumeQuota(client, bucket, weight, req.apiKey ? req.apiKey.limits : null);
+  setUsageHeaders(res, usage);
+
+  if (usage.allowed) {
+    return true;
+  }
+
+  const retryAfter = Math.ceil(usage.retry_after_ms / 1000);
+  logger.warn('Quota exceeded', {
+    requestId: req.requestId,
+    client,
+    bucket,
+    weight,
+    reason: usage.reason
+  });
+
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({
+    error: usage.reason === 'daily_quota' ? 'Daily quota exceeded' : 'Rate limit exceeded',
+    bucket,
+    weight,
+    limit: usage.reason === 'daily_quota' ? usage.daily_limit : usage.limit,
+    remaining: usage.reason === 'daily_quota' ? usage.daily_remaining : usage.remaining,
+    retry_after_seconds: retryAfter,
+    request_id: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+  return false;
+};
+
+// Route middleware charging one unit per request. Batch routes call checkQuota themselves
+// once they know how many patient rows the request carries.
+const enforceQuota = (bucket) => (req, res, next) => {
+  if (checkQuota(req, res, bucket)) {
+    next();
+  }
+};
+
+module.exports = {
+  checkQuota,
+  enforceQuota
+};
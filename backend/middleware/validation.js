@@ -1,23 +1,115 @@
 const logger = require('../utils/logger');
+const { loadFeatureSchema, getFeatureNames, getImputableFields, checkFeatureValue } = require('../services/featureSchema');
+const { convertPatientUnits } = require('../utils/unitConversion');
+const { evaluatePlausibility } = require('../services/plausibilityRules');
+const { imputationConfig, imputeMissingFeatures } = require('../services/imputation');
+
+// Required fields for diabetes model, in schema order
+const requiredFields = getFeatureNames();
+
+// Validate a single patient record against the feature schema.
+// Returns { missingFields, validationErrors, validationWarnings, patientData, unitConversions,
+// imputedFields, confidence } where patientData is the normalized (numeric, canonical-unit)
+// record, or null when the record is invalid. Warnings come from cross-field plausibility
+// rules and do not invalidate it. With `allowImputation`, missing optional features are
+// filled from the schema's imputation rules and listed in imputedFields.
+const validatePatientData = (input, options = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return {
+      missingFields: [...requiredFields],
+      validationErrors: [],
+      validationWarnings: [],
+      patientData: null,
+      unitConversions: {},
+      imputedFields: [],
+      confidence: null
+    };
+  }
+
+  // Unit-tagged values ({ value, unit }) and height/weight become canonical features
+  const schema = loadFeatureSchema();
+  const converted = convertPatientUnits(input, schema);
+  const { conversions: unitConversions, errors: unitErrors } = converted;
+
+  const rejected = (fields) => ({
+    missingFields: [],
+    validationErrors: [],
+    validationWarnings: [],
+    patientData: null,
+    unitConversions,
+    imputedFields: [],
+    confidence: null,
+    ...fields
+  });
+
+  if (unitErrors.length > 0) {
+    return rejected({ validationErrors: unitErrors });
+  }
+
+  // Opt-in: fill missing optional features before checking for missing ones
+  const { patientData, imputedFields, confidence } = options.allowImputation && imputationConfig.enabled
+    ? imputeMissingFeatures(converted.patientData, schema)
+    : { patientData: converted.patientData, imputedFields: [], confidence: { score: 1, level: 'high', imputed_count: 0 } };
+
+  // Check for missing fields
+  const missingFields = requiredFields.filter(field => 
+    patientData[field] === undefined || 
+    patientData[field] === null || 
+    patientData[field] === ''
+  );
+
+  if (missingFields.length > 0) {
+    return rejected({ missingFields });
+  }
+
+  // Validate data types and ranges
+  const { features } = schema;
+  const validationErrors = features
+    .map(feature => checkFeatureValue(feature, patientData[feature.name]))
+    .filter(Boolean);
+
+  if (validationErrors.length > 0) {
+    return rejected({ validationErrors });
+  }
+
+  // Convert string numbers to actual numbers
+  const normalized = features.reduce((record, feature) => {
+    record[feature.name] = Number(patientData[feature.name]);
+    return record;
+  }, {});
+
+  // Cross-field plausibility
+  const { errors: ruleErrors, warnings: validationWarnings } = evaluatePlausibility(normalized);
+
+  if (ruleErrors.length > 0) {
+    return rejected({ validationErrors: ruleErrors, validationWarnings });
+  }
+
+  return {
+    missingFields: [],
+    validationErrors: [],
+    validationWarnings,
+    patientData: normalized,
+    unitConversions,
+    imputedFields,
+    confidence
+  };
+};
 
 // Validate diabetes prediction input
 const validatePredictionInput = (req, res, next) => {
   try {
-    const patientData = req.body;
-    
-    // Required fields for diabetes model
-    const requiredFields = [
-      'Age', 'BMI', 'Waist_Circumference_cm', 'Fasting_Glucose_mg_dL',
-      'HbA1c_percent', 'Systolic_BP_mmHg', 'Diastolic_BP_mmHg',
-      'Family_History_Diabetes', 'Hypertension', 'Physical_Activity_Hours_Week'
-    ];
-
-    // Check for missing fields
-    const missingFields = requiredFields.filter(field => 
-      patientData[field] === undefined || 
-      patientData[field] === null || 
-      patientData[field] === ''
-    );
+    // Imputation is opt-in per request, in the body or as ?impute=true
+    const allowImputation = req.body.allow_imputation === true || req.query.impute === 'true';
+    const {
+      missingFields,
+      validationErrors,
+      validationWarnings,
+      patientData,
+      unitConversions,
+      imputedFields,
+      confidence
+    } = validatePatientData(req.body, { allowImputation });
 
     if (missingFields.length > 0) {
       logger.warn('Validation failed: Missing required fields', { 
@@ -27,73 +119,13 @@ const validatePredictionInput = (req, res, next) => {
       return res.status(400).json({
         error: 'Missing required fields',
         missing_fields: missingFields,
+        // Fields that allow_imputation could fill in
+        imputable_fields: allowImputation ? undefined : getImputableFields()
+          .filter(field => missingFields.includes(field)),
         timestamp: new Date().toISOString()
       });
     }
 
-    // Validate data types and ranges
-    const validationErrors = [];
-
-    // Age validation (18-120)
-    if (isNaN(patientData.Age) || patientData.Age < 18 || patientData.Age > 120) {
-      validationErrors.push('Age must be a number between 18 and 120');
-    }
-
-    // BMI validation (10-60)
-    if (isNaN(patientData.BMI) || patientData.BMI < 10 || patientData.BMI > 60) {
-      validationErrors.push('BMI must be a number between 10 and 60');
-    }
-
-    // Waist circumference validation (30-200 cm)
-    if (isNaN(patientData.Waist_Circumference_cm) || 
-        patientData.Waist_Circumference_cm < 30 || 
-        patientData.Waist_Circumference_cm > 200) {
-      validationErrors.push('Waist circumference must be between 30 and 200 cm');
-    }
-
-    // Glucose validation (50-500 mg/dL)
-    if (isNaN(patientData.Fasting_Glucose_mg_dL) || 
-        patientData.Fasting_Glucose_mg_dL < 50 || 
-        patientData.Fasting_Glucose_mg_dL > 500) {
-      validationErrors.push('Fasting glucose must be between 50 and 500 mg/dL');
-    }
-
-    // HbA1c validation (3-20%)
-    if (isNaN(patientData.HbA1c_percent) || 
-        patientData.HbA1c_percent < 3 || 
-        patientData.HbA1c_percent > 20) {
-      validationErrors.push('HbA1c must be between 3 and 20%');
-    }
-
-    // Blood pressure validation
-    if (isNaN(patientData.Systolic_BP_mmHg) || 
-        patientData.Systolic_BP_mmHg < 70 || 
-        patientData.Systolic_BP_mmHg > 300) {
-      validationErrors.push('Systolic BP must be between 70 and 300 mmHg');
-    }
-
-    if (isNaN(patientData.Diastolic_BP_mmHg) || 
-        patientData.Diastolic_BP_mmHg < 40 || 
-        patientData.Diastolic_BP_mmHg > 200) {
-      validationErrors.push('Diastolic BP must be between 40 and 200 mmHg');
-    }
-
-    // Binary fields validation (0 or 1)
-    if (![0, 1].includes(Number(patientData.Family_History_Diabetes))) {
-      validationErrors.push('Family_History_Diabetes must be 0 or 1');
-    }
-
-    if (![0, 1].includes(Number(patientData.Hypertension))) {
-      validationErrors.push('Hypertension must be 0 or 1');
-    }
-
-    // Physical activity validation (0-50 hours/week)
-    if (isNaN(patientData.Physical_Activity_Hours_Week) || 
-        patientData.Physical_Activity_Hours_Week < 0 || 
-        patientData.Physical_Activity_Hours_Week > 50) {
-      validationErrors.push('Physical activity must be between 0 and 50 hours per week');
-    }
-
     if (validationErrors.length > 0) {
       logger.warn('Validation failed: Invalid data ranges', { 
         validationErrors,
@@ -102,23 +134,56 @@ const validatePredictionInput = (req, res, next) => {
       return res.status(400).json({
         error: 'Invalid data ranges',
         validation_errors: validationErrors,
+        validation_warnings: validationWarnings,
         timestamp: new Date().toISOString()
       });
     }
 
-    // Convert string numbers to actual numbers
-    req.body = {
-      Age: Number(patientData.Age),
-      BMI: Number(patientData.BMI),
-      Waist_Circumference_cm: Number(patientData.Waist_Circumference_cm),
-      Fasting_Glucose_mg_dL: Number(patientData.Fasting_Glucose_mg_dL),
-      HbA1c_percent: Number(patientData.HbA1c_percent),
-      Systolic_BP_mmHg: Number(patientData.Systolic_BP_mmHg),
-      Diastolic_BP_mmHg: Number(patientData.Diastolic_BP_mmHg),
-      Family_History_Diabetes: Number(patientData.Family_History_Diabetes),
-      Hypertension: Number(patientData.Hypertension),
-      Physical_Activity_Hours_Week: Number(patientData.Physical_Activity_Hours_Week)
-    };
+    // Plausibility warnings must be confirmed by rule id before scoring
+    const acknowledged = Array.isArray(req.body.acknowledged_warnings) ? req.body.acknowledged_warnings : [];
+    const unacknowledged = validationWarnings.filter(warning => !acknowledged.includes(warning.rule));
+
+    if (unacknowledged.length > 0) {
+      logger.warn('Validation paused: Plausibility warnings need confirmation', {
+        rules: unacknowledged.map(warning => warning.rule),
+        clientIP: req.ip
+      });
+      return res.status(422).json({
+        error: 'Plausibility warnings require confirmation',
+        validation_warnings: validationWarnings,
+        unacknowledged_warnings: unacknowledged.map(warning => warning.rule),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Overrides travel with the prediction so the confirmation is on record
+    req.validationWarnings = validationWarnings;
+    req.warningOverrides = validationWarnings.length > 0 ? {
+      rules: validationWarnings.map(warning => warning.rule),
+      reason: typeof req.body.override_reason === 'string' ? req.body.override_reason.trim() : null,
+      acknowledged_at: new Date().toISOString()
+    } : null;
+
+    if (req.warningOverrides) {
+      logger.info('Plausibility warnings overridden', {
+        rules: req.warningOverrides.rules,
+        override_reason: req.warningOverrides.reason,
+        clientIP: req.ip
+      });
+    }
+
+    if (imputedFields.length > 0) {
+      logger.info('Missing features imputed', {
+        fields: imputedFields.map(imputed => imputed.field),
+        confidence: confidence.score,
+        clientIP: req.ip
+      });
+    }
+
+    req.body = patientData;
+    req.unitConversions = unitConversions;
+    req.imputedFields = imputedFields;
+    req.predictionConfidence = confidence;
 
     logger.info('Input validation successful', { clientIP: req.ip });
     next();
@@ -134,5 +199,7 @@ const validatePredictionInput = (req, res, next) => {
 };
 
 module.exports = {
+  requiredFields,
+  validatePatientData,
   validatePredictionInput
 };
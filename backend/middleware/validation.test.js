@@ -0,0 +1,130 @@
+const { validatePredictionInput } = require('./validation');
+
+jest.mock('../utils/logger');
+
+const completePatient = {
+  Age: '52',
+  BMI: 27.5,
+  Waist_Circumference_cm: 94,
+  Physical_Activity_Hours_Week: 3,
+  Fasting_Glucose_mg_dL: 110,
+  HbA1c_percent: 5.6,
+  Systolic_BP_mmHg: 128,
+  Diastolic_BP_mmHg: 82,
+  Family_History_Diabetes: 0,
+  Hypertension: 0
+};
+
+// Run the middleware; resolves to { req, res, passed }
+const validate = (body, query = {}) => {
+  const req = { body, query, ip: '127.0.0.1' };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      this.body = payload;
+      return this;
+    }
+  };
+  let passed = false;
+  validatePredictionInput(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+};
+
+test('passes a complete record on as numbers in schema order', () => {
+  const { req, passed } = validate({ ...completePatient, notes: 'dropped' });
+
+  expect(passed).toBe(true);
+  expect(req.body).toEqual({ ...completePatient, Age: 52 });
+  expect(Object.keys(req.body)).toEqual(Object.keys(completePatient));
+  expect(req.unitConversions).toEqual({});
+  expect(req.imputedFields).toEqual([]);
+  expect(req.predictionConfidence).toEqual({ score: 1, level: 'high', imputed_count: 0 });
+  expect(req.warningOverrides).toBeNull();
+});
+
+test('lists missing fields and which of them imputation could fill', () => {
+  const { Waist_Circumference_cm: waist, Age: age, ...partial } = completePatient;
+  const { res, passed } = validate(partial);
+
+  expect(passed).toBe(false);
+  expect(res.statusCode).toBe(400);
+  expect(res.body).toMatchObject({
+    error: 'Missing required fields',
+    missing_fields: ['Age', 'Waist_Circumference_cm'],
+    imputable_fields: ['Waist_Circumference_cm']
+  });
+});
+
+test('converts units before imputing, so estimates use canonical values', () => {
+  const {
+    BMI, Waist_Circumference_cm: waist, HbA1c_percent: hba1c, Fasting_Glucose_mg_dL: glucose, ...rest
+  } = completePatient;
+  const { req, passed } = validate({
+    ...rest,
+    Fasting_Glucose_mg_dL: { value: 6.1, unit: 'mmol/L' },
+    Height: { value: 1.75, unit: 'm' },
+    Weight: 80,
+    allow_imputation: true
+  });
+
+  expect(passed).toBe(true);
+  expect(req.body).toMatchObject({ Fasting_Glucose_mg_dL: 109.91, BMI: 26.1, Waist_Circumference_cm: 90.6, HbA1c_percent: 5.5 });
+  expect(req.body).not.toHaveProperty('Height');
+  expect(Object.keys(req.unitConversions).sort()).toEqual(['BMI', 'Fasting_Glucose_mg_dL']);
+  expect(req.imputedFields.map(({ field, source }) => [field, source])).toEqual([
+    ['Waist_Circumference_cm', 'BMI'],
+    ['HbA1c_percent', 'Fasting_Glucose_mg_dL']
+  ]);
+  expect(req.predictionConfidence).toEqual({ score: 0.75, level: 'moderate', imputed_count: 2 });
+});
+
+test('takes the imputation opt-in from the query string too', () => {
+  const { Physical_Activity_Hours_Week: activity, ...partial } = completePatient;
+  const { req, passed } = validate(partial, { impute: 'true' });
+
+  expect(passed).toBe(true);
+  expect(req.body.Physical_Activity_Hours_Week).toBe(3);
+});
+
+test('rejects unsupported units before anything else is checked', () => {
+  const { res } = validate({ Fasting_Glucose_mg_dL: { value: 6.1, unit: 'g/L' }, allow_imputation: true });
+
+  expect(res.statusCode).toBe(400);
+  expect(res.body.error).toBe('Invalid data ranges');
+  expect(res.body.validation_errors).toEqual([expect.stringMatching(/Unsupported unit "g\/L"/)]);
+});
+
+test('rejects out-of-range values and hard plausibility errors', () => {
+  expect(validate({ ...completePatient, Age: 12 }).res.statusCode).toBe(400);
+
+  const { res } = validate({ ...completePatient, Systolic_BP_mmHg: 80, Diastolic_BP_mmHg: 90 });
+  expect(res.statusCode).toBe(400);
+  expect(res.body.validation_errors).toEqual([expect.stringMatching(/must be higher than diastolic/)]);
+});
+
+test('holds plausibility warnings with 422 until they are acknowledged', () => {
+  const implausible = { ...completePatient, Fasting_Glucose_mg_dL: 250 };
+
+  const first = validate(implausible);
+  expect(first.passed).toBe(false);
+  expect(first.res.statusCode).toBe(422);
+  expect(first.res.body.unacknowledged_warnings).toEqual(['hba1c_glucose_mismatch']);
+
+  const partly = validate({ ...implausible, acknowledged_warnings: ['narrow_pulse_pressure'] });
+  expect(partly.res.statusCode).toBe(422);
+
+  const confirmed = validate({
+    ...implausible,
+    acknowledged_warnings: ['hba1c_glucose_mismatch'],
+    override_reason: ' Recent steroid course '
+  });
+  expect(confirmed.passed).toBe(true);
+  expect(confirmed.req.body).not.toHaveProperty('acknowledged_warnings');
+  expect(confirmed.req.validationWarnings.map(warning => warning.rule)).toEqual(['hba1c_glucose_mismatch']);
+  expect(confirmed.req.warningOverrides).toMatchObject({ rules: ['hba1c_glucose_mismatch'], reason: 'Recent steroid course' });
+});
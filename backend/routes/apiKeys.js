@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { authorize, describeCaller } = require('../middleware/auth');
+const { API_KEY_SCOPES, issueApiKey, revokeApiKey, listApiKeys } = require('../services/apiKeyStore');
+const { quotaConfig } = require('../services/usageQuotas');
+const logger = require('../utils/logger');
+
+router.use('/admin/api-keys', authorize({ scope: 'admin', roles: ['admin'] }));
+
+// Issued keys (never the key material)
+router.get('/admin/api-keys', (req, res) => {
+  try {
+    res.json({
+      api_keys: listApiKeys(),
+      scopes: API_KEY_SCOPES,
+      default_limits: quotaConfig.limits,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('API key listing failed', { requestId: req.requestId, error: error.message });
+    res.status(500).json({
+      error: 'Failed to load API keys',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Issue a key; the plaintext key is only ever returned here
+router.post('/admin/api-keys', (req, res) => {
+  const { name, scopes, limits } = req.body;
+
+  if (!Array.isArray(scopes)) {
+    return res.status(400).json({
+      error: 'Invalid API key request - expecting name and an array of scopes',
+      scopes: API_KEY_SCOPES,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  let issued;
+  try {
+    issued = issueApiKey({ name, scopes, limits });
+  } catch (error) {
+    return res.status(400).json({
+      error: error.message,
+      scopes: API_KEY_SCOPES,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info('API key issued', {
+    requestId: req.requestId,
+    keyId: issued.apiKey.id,
+    scopes: issued.apiKey.scopes,
+    limits: issued.apiKey.limits,
+    issuedBy: describeCaller(req)
+  });
+
+  res.status(201).json({
+    key: issued.key,
+    api_key: issued.apiKey,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Revoke a key; revoked keys stay listed for the record
+router.delete('/admin/api-keys/:id', (req, res) => {
+  const revoked = revokeApiKey(req.params.id);
+
+  if (!revoked) {
+    return res.status(404).json({
+      error: 'API key not found',
+      key_id: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info('API key revoked', {
+    requestId: req.requestId,
+    keyId: revoked.id,
+    revokedBy: describeCaller(req)
+  });
+
+  res.json({
+    api_key: revoked,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
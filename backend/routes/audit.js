@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { authorize, describeCaller } = require('../middleware/auth');
+const { readAuditEntries, recordAuditEvent, verifyAuditLog } = require('../services/auditLog');
+const logger = require('../utils/logger');
+
+const MAX_PAGE_SIZE = 1000;
+
+// Audit entries, newest first. Filters: event, actor_id, request_id, job_id, since (ISO time).
+// ?verify=true also walks the hash chain.
+router.get('/audit', authorize({ scope: 'admin', roles: ['admin'] }), (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+    const offset = parseInt(req.query.offset) || 0;
+    const { event, actor_id: actorId, request_id: requestId, job_id: jobId, since } = req.query;
+
+    const matching = readAuditEntries()
+      .filter(entry => !event || entry.event === event)
+      .filter(entry => !actorId || (entry.actor && entry.actor.id === actorId))
+      .filter(entry => !requestId || entry.request_id === requestId)
+      .filter(entry => !jobId || entry.job_id === jobId || entry.batch_id === jobId)
+      .filter(entry => !since || entry.timestamp >= since)
+      .reverse();
+
+    // Looking at the audit trail is itself audited
+    recordAuditEvent('audit_access', {
+      actor: describeCaller(req),
+      request_id: req.requestId,
+      filters: { event, actor_id: actorId, request_id: requestId, job_id: jobId, since }
+    });
+
+    res.json({
+      entries: matching.slice(offset, offset + limit),
+      total: matching.length,
+      limit,
+      offset,
+      verification: req.query.verify === 'true' ? verifyAuditLog() : undefined,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Audit log read failed', { requestId: req.requestId, error: error.message });
+    res.status(500).json({
+      error: 'Failed to read audit log',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { authorize, describeCaller } = require('../middleware/auth');
+const { hasScope } = require('../services/apiKeyStore');
+const { verifyCredentials, findUserById, getTokenVersion, revokeUserTokens, ROLES } = require('../services/userStore');
+const { CLIENT_TOKEN_SCOPES, issueSessionTokens, issueClientToken, verifySessionToken } = require('../services/sessionTokens');
+const logger = require('../utils/logger');
+
+// Exchange username/password for an access + refresh token pair
+router.post('/auth/login', (req, res) => {
+  const { username, password } = req.body;
+  const user = verifyCredentials(username, password);
+
+  if (!user) {
+    logger.warn('Login failed', {
+      requestId: req.requestId,
+      username: typeof username === 'string' ? username : null,
+      clientIP: req.ip
+    });
+    return res.status(401).json({
+      error: 'Invalid username or password',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  logger.info('User logged in', { requestId: req.requestId, userId: user.id, role: user.role });
+
+  res.json({
+    ...issueSessionTokens(user, { tokenVersion: getTokenVersion(user.id) }),
+    user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// New token pair for a valid refresh token; picks up role changes and disabled accounts
+router.post('/auth/refresh', (req, res) => {
+  let claims;
+  try {
+    claims = verifySessionToken(req.body.refresh_token, 'refresh');
+  } catch (error) {
+    logger.warn('Token refresh rejected', { requestId: req.requestId, reason: error.message, clientIP: req.ip });
+    return res.status(401).json({
+      error: 'Invalid or expired refresh token',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const user = findUserById(claims.sub);
+  if (!user || user.disabled) {
+    logger.warn('Token refresh rejected', { requestId: req.requestId, reason: 'user unavailable', userId: claims.sub });
+    return res.status(401).json({
+      error: 'User account is no longer active',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const tokenVersion = getTokenVersion(user.id);
+  if ((claims.ver || 0) !== tokenVersion) {
+    logger.warn('Token refresh rejected', { requestId: req.requestId, reason: 'refresh token revoked', userId: claims.sub });
+    return res.status(401).json({
+      error: 'Invalid or expired refresh token',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    ...issueSessionTokens(user, { tokenVersion }),
+    user,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Sign out: revokes every refresh token of the user, on all devices. Access tokens already
+// issued stay valid until they expire (ACCESS_TOKEN_TTL_SECONDS).
+router.post('/auth/logout', (req, res) => {
+  let claims;
+  try {
+    claims = verifySessionToken(req.body.refresh_token, 'refresh');
+  } catch (error) {
+    logger.warn('Logout rejected', { requestId: req.requestId, reason: error.message, clientIP: req.ip });
+    return res.status(401).json({
+      error: 'Invalid or expired refresh token',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if ((claims.ver || 0) === getTokenVersion(claims.sub)) {
+    revokeUserTokens(claims.sub);
+  }
+  logger.info('User logged out', { requestId: req.requestId, userId: claims.sub });
+  res.status(204).end();
+});
+
+// Short-lived, narrowly scoped token for browser-side calls. A deployment's own server calls
+// this with its API key and hands the token to the browser, so no long-lived secret ships in
+// the frontend bundle. Only scopes the caller holds can be delegated; clinicians and admins
+// may score and batch, like on the routes themselves.
+router.post('/auth/client-token', authorize({ scope: 'predict', roles: ['clinician', 'admin'] }), (req, res) => {
+  if (req.clientToken) {
+    return res.status(403).json({
+      error: 'Client tokens cannot mint further tokens',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const scopes = Array.isArray(req.body.scopes) ? [...new Set(req.body.scopes)] : ['predict'];
+  const caller = describeCaller(req);
+  const allowed = req.apiKey
+    ? CLIENT_TOKEN_SCOPES.filter(scope => hasScope(req.apiKey, scope))
+    : CLIENT_TOKEN_SCOPES;
+  const refused = scopes.filter(scope => !allowed.includes(scope));
+
+  if (scopes.length === 0 || refused.length > 0) {
+    return res.status(403).json({
+      error: 'Requested scopes cannot be delegated',
+      refused_scopes: scopes.length === 0 ? [] : refused,
+      allowed_scopes: allowed,
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const issuedBy = caller ? `${caller.type}:${caller.id}` : 'anonymous';
+  const token = issueClientToken({ issuedBy, scopes, ttlSeconds: parseInt(req.body.ttl_seconds) || undefined });
+
+  logger.info('Client token issued', { requestId: req.requestId, issuedBy, scopes, expiresIn: token.expires_in });
+
+  res.json({
+    ...token,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The logged-in user behind the access token
+router.get('/auth/me', authorize({ roles: ROLES }), (req, res) => {
+  res.json({
+    user: req.user || null,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
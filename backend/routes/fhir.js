@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { readObservationBundle } = require('../services/fhir');
+const { loadFeatureSchema } = require('../services/featureSchema');
+const logger = require('../utils/logger');
+
+// Prefill a prediction from a FHIR Bundle of Patient and Observation resources. Nothing is stored
+// or scored; the returned patient_data is sent to /api/predict once the clinician has checked it.
+router.post('/fhir/import', authorize({ scope: 'predict', roles: ['clinician', 'admin'] }), (req, res) => {
+  try {
+    const imported = readObservationBundle(req.body);
+
+    logger.info('FHIR bundle imported', {
+      requestId: req.requestId,
+      mappedFeatures: Object.keys(imported.patient_data),
+      missingFeatures: imported.missing_features.map(missing => missing.feature),
+      ignoredValues: imported.ignored.length
+    });
+
+    res.json({
+      ...imported,
+      feature_schema_version: loadFeatureSchema().version,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.code === 'InvalidBundle') {
+      return res.status(400).json({
+        error: 'Invalid FHIR bundle',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+    logger.error('FHIR import failed', { requestId: req.requestId, error: error.message });
+    res.status(500).json({
+      error: 'Failed to import FHIR bundle',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const { JOB_STATUS, jobConfig, createJob, getJobProgress } = require('../services/jobRunner');
+const { loadJob, isValidJobId } = require('../services/jobStore');
+const { authConfig, authorize, describeCaller } = require('../middleware/auth');
+const { hasScope } = require('../services/apiKeyStore');
+const { checkQuota } = require('../middleware/quota');
+const { recordAuditEvent } = require('../services/auditLog');
+const logger = require('../utils/logger');
+
+// Jobs hold patient rows and results: only the caller that submitted one may read it, plus
+// reviewers and admins. Other callers get the same 404 as for a job that does not exist.
+const canReadJob = (req, job) => {
+  if (!authConfig.enabled) {
+    return true;
+  }
+  if ((req.user && ['reviewer', 'admin'].includes(req.user.role)) || (req.apiKey && hasScope(req.apiKey, 'admin'))) {
+    return true;
+  }
+  const caller = describeCaller(req);
+  return Boolean(caller && job.actor && caller.type === job.actor.type && caller.id === job.actor.id);
+};
+
+// Look up the job named in the URL or answer 404
+const findJob = (req, res) => {
+  const stored = isValidJobId(req.params.id) ? loadJob(req.params.id) : null;
+  const job = stored && canReadJob(req, stored) ? stored : null;
+
+  if (!job) {
+    res.status(404).json({
+      error: 'Job not found',
+      job_id: req.params.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return job;
+};
+
+// Clinicians submit jobs; reviewers may also read progress and results
+const canSubmitJobs = authorize({ scope: 'batch', roles: ['clinician', 'admin'] });
+const canReadJobs = authorize({ scope: 'batch', roles: ['clinician', 'reviewer', 'admin'] });
+
+// Submit an asynchronous batch job
+router.post('/jobs', canSubmitJobs, (req, res) => {
+  try {
+    const patients = req.body.patients;
+
+    if (!Array.isArray(patients) || patients.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid job data - expecting array of patients',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (patients.length > jobConfig.maxJobSize) {
+      return res.status(400).json({
+        error: `Job size limited to ${jobConfig.maxJobSize} patients`,
+        max_job_size: jobConfig.maxJobSize,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Jobs run at the server's own pace, so they only count toward the daily quota
+    if (!checkQuota(req, res, 'jobs', patients.length)) {
+      return;
+    }
+
+    const job = createJob(patients, {
+      requestId: req.requestId,
+      actor: describeCaller(req),
+      allowImputation: req.body.allow_imputation === true
+    });
+
+    logger.info('Batch job submitted', {
+      jobId: job.id,
+      requestId: req.requestId,
+      totalPatients: job.total
+    });
+
+    res.status(202)
+      .set('Location', `${req.baseUrl}/jobs/${job.id}`)
+      .json({
+        ...getJobProgress(job),
+        status_url: `${req.baseUrl}/jobs/${job.id}`,
+        results_url: `${req.baseUrl}/jobs/${job.id}/results`
+      });
+
+  } catch (error) {
+    logger.error('Batch job submission failed', { error: error.message });
+    res.status(500).json({
+      error: 'Batch job submission failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Job progress
+router.get('/jobs/:id', canReadJobs, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  res.json(getJobProgress(job));
+});
+
+// Job output, available once the job has finished
+router.get('/jobs/:id/results', canReadJobs, (req, res) => {
+  const job = findJob(req, res);
+  if (!job) return;
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    return res.status(409).json({
+      error: job.status === JOB_STATUS.FAILED ? 'Job failed' : 'Job has not finished yet',
+      ...getJobProgress(job),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  // Reading a report is audited like producing one; no audit entry, no report
+  try {
+    recordAuditEvent('report_access', {
+      actor: describeCaller(req),
+      request_id: req.requestId,
+      job_id: job.id,
+      rows: job.total
+    });
+  } catch (error) {
+    logger.error('Audit log write failed', { requestId: req.requestId, jobId: job.id, error: error.message });
+    return res.status(500).json({
+      error: 'Unable to record report access',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  res.json({
+    job_id: job.id,
+    status: job.status,
+    batch_results: job.results,
+    ...job.summary,
+    completed_at: job.completed_at
+  });
+});
+
+module.exports = router;
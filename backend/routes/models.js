@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const { loadRegistry, describeModel } = require('../services/modelRegistry');
+const { getInferenceTopology } = require('../services/inference');
+const logger = require('../utils/logger');
+
+// How a model's endpoint currently takes part in routing
+const servingRole = (model, topology) => {
+  if (model.provider !== topology.provider) {
+    return { role: 'unavailable', traffic_percent: 0 };
+  }
+
+  const primary = topology.primaries.find(entry => entry.endpoint === model.endpoint);
+  if (primary) {
+    return { role: 'primary', traffic_percent: primary.traffic_percent };
+  }
+  if (topology.shadows.some(entry => entry.endpoint === model.endpoint)) {
+    return { role: 'shadow', traffic_percent: 0 };
+  }
+  return { role: 'selectable', traffic_percent: 0 };
+};
+
+// Registered models with their metadata and validated metrics
+router.get('/models', (req, res) => {
+  try {
+    const topology = getInferenceTopology();
+
+    res.json({
+      models: loadRegistry().map(model => ({
+        ...describeModel(model),
+        serving: servingRole(model, topology)
+      })),
+      inference_provider: topology.provider,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Model registry listing failed', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to load model registry',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
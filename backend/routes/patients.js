@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const { authorize, describeCaller } = require('../middleware/auth');
+const { recordAuditEvent } = require('../services/auditLog');
+const { RISK_LEVELS } = require('../services/responseContract');
+const {
+  PATIENT_SEXES,
+  createPatient,
+  getPatient,
+  listPatients,
+  deletePatient,
+  getAssessment,
+  listAssessments,
+  deleteAssessment,
+  summarizeAssessments
+} = require('../services/patientStore');
+const { buildRiskTrend } = require('../services/riskTrend');
+const { BUNDLE_TYPES, buildAssessmentBundle, checkBundleStructure } = require('../services/fhir');
+const logger = require('../utils/logger');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+// Reviewers may read patient records; clinicians and admins may also change them
+const canReadRecords = authorize({ scope: 'records', roles: ['clinician', 'reviewer', 'admin'] });
+const canWriteRecords = authorize({ scope: 'records', roles: ['clinician', 'admin'] });
+
+const readPage = (query) => ({
+  limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+  offset: Math.max(parseInt(query.offset) || 0, 0)
+});
+
+const badRequest = (res, error, details = {}) => res.status(400).json({
+  error,
+  ...details,
+  timestamp: new Date().toISOString()
+});
+
+const notFound = (res, error, id) => res.status(404).json({
+  error,
+  id,
+  timestamp: new Date().toISOString()
+});
+
+// Date range from the query string, or an error message
+const readDateRange = ({ from, to }) => {
+  const invalidDate = [from, to].find(value => value && Number.isNaN(Date.parse(value)));
+  if (invalidDate) {
+    return { error: `Invalid date: ${invalidDate} (use YYYY-MM-DD or an ISO timestamp)` };
+  }
+  return { range: { from, to } };
+};
+
+// Assessment filters from the query string, or an error message
+const readAssessmentFilters = (query) => {
+  const { risk_level: riskLevel } = query;
+  if (riskLevel && !RISK_LEVELS.includes(riskLevel)) {
+    return { error: `risk_level must be one of: ${RISK_LEVELS.join(', ')}` };
+  }
+  const { error, range } = readDateRange(query);
+  return error ? { error } : { filters: { riskLevel, ...range } };
+};
+
+// Patient records hold PHI, so reads and changes are audited like reports; no audit entry,
+// no response
+const audited = (req, res, event, details) => {
+  try {
+    recordAuditEvent(event, { actor: describeCaller(req), request_id: req.requestId, ...details });
+    return true;
+  } catch (error) {
+    logger.error('Audit log write failed', { requestId: req.requestId, event, error: error.message });
+    res.status(500).json({
+      error: 'Unable to record patient record access',
+      request_id: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+    return false;
+  }
+};
+
+const handleStoreError = (req, res, error, action) => {
+  logger.error(`Patient record ${action} failed`, { requestId: req.requestId, error: error.message });
+  res.status(500).json({
+    error: `Failed to ${action} patient record`,
+    message: error.message,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// Patients, newest first; ?search= matches name or MRN
+router.get('/patients', canReadRecords, (req, res) => {
+  try {
+    const { items, ...page } = listPatients({ search: req.query.search, ...readPage(req.query) });
+    const summaries = summarizeAssessments();
+
+    if (!audited(req, res, 'record_access', { record: 'patients', count: items.length })) return;
+
+    res.json({
+      patients: items.map(patient => ({
+        ...patient,
+        ...(summaries[patient.id] || { assessment_count: 0, latest_assessment: null })
+      })),
+      ...page,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleStoreError(req, res, error, 'list');
+  }
+});
+
+router.post('/patients', canWriteRecords, (req, res) => {
+  let patient;
+  try {
+    patient = createPatient(req.body || {}, describeCaller(req));
+  } catch (error) {
+    if (error.code === 'InvalidPatient') {
+      return badRequest(res, 'Invalid patient details', { message: error.message, sexes: PATIENT_SEXES });
+    }
+    if (error.code === 'DuplicatePatient') {
+      return res.status(409).json({ error: error.message, timestamp: new Date().toISOString() });
+    }
+    return handleStoreError(req, res, error, 'create');
+  }
+
+  if (!audited(req, res, 'record_change', { action: 'create_patient', patient_id: patient.id })) return;
+
+  logger.info('Patient created', { requestId: req.requestId, patientId: patient.id });
+  res.status(201)
+    .set('Location', `${req.baseUrl}/patients/${patient.id}`)
+    .json({
+      patient,
+      timestamp: new Date().toISOString()
+    });
+});
+
+router.get('/patients/:id', canReadRecords, (req, res) => {
+  try {
+    const patient = getPatient(req.params.id);
+    if (!patient) {
+      return notFound(res, 'Patient not found', req.params.id);
+    }
+
+    if (!audited(req, res, 'record_access', { record: 'patient', patient_id: patient.id })) return;
+
+    res.json({
+      patient: {
+        ...patient,
+        ...(summarizeAssessments()[patient.id] || { assessment_count: 0, latest_assessment: null })
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleStoreError(req, res, error, 'load');
+  }
+});
+
+// Soft delete: the patient and their assessments disappear from every listing but stay on disk
+router.delete('/patients/:id', canWriteRecords, (req, res) => {
+  try {
+    if (!getPatient(req.params.id)) {
+      return notFound(res, 'Patient not found', req.params.id);
+    }
+    if (!audited(req, res, 'record_change', { action: 'delete_patient', patient_id: req.params.id })) return;
+
+    const patient = deletePatient(req.params.id, describeCaller(req));
+    logger.info('Patient deleted', { requestId: req.requestId, patientId: patient.id });
+    res.json({
+      patient,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleStoreError(req, res, error, 'delete');
+  }
+});
+
+// Assessments, newest first; filters: patient_id, risk_level, from, to
+const sendAssessments = (req, res, patientId) => {
+  const { error, filters } = readAssessmentFilters(req.query);
+  if (error) {
+    return badRequest(res, error, { risk_levels: RISK_LEVELS });
+  }
+
+  try {
+    const { items, ...page } = listAssessments({ patientId, ...filters, ...readPage(req.query) });
+
+    if (!audited(req, res, 'record_access', {
+      record: 'assessments',
+      patient_id: patientId || null,
+      assessment_ids: items.map(assessment => assessment.id)
+    })) return;
+
+    res.json({
+      assessments: items,
+      ...page,
+      timestamp: new Date().toISOString()
+    });
+  } catch (storeError) {
+    handleStoreError(req, res, storeError, 'list');
+  }
+};
+
+// POST /patients/:id/assessments scores and saves, so it lives with /predict in routes/prediction.js
+router.get('/patients/:id/assessments', canReadRecords, (req, res) => {
+  if (!getPatient(req.params.id)) {
+    return notFound(res, 'Patient not found', req.params.id);
+  }
+  sendAssessments(req, res, req.params.id);
+});
+
+// Risk and trend features over time, oldest first, for charting; ?from=&to= narrow the range
+router.get('/patients/:id/trend', canReadRecords, (req, res) => {
+  const { error, range } = readDateRange(req.query);
+  if (error) {
+    return badRequest(res, error);
+  }
+
+  try {
+    if (!getPatient(req.params.id)) {
+      return notFound(res, 'Patient not found', req.params.id);
+    }
+
+    const { items } = listAssessments({ patientId: req.params.id, ...range, limit: Infinity, offset: 0 });
+
+    if (!audited(req, res, 'record_access', {
+      record: 'trend',
+      patient_id: req.params.id,
+      assessment_ids: items.map(assessment => assessment.id)
+    })) return;
+
+    res.json({
+      patient_id: req.params.id,
+      ...buildRiskTrend(items),
+      timestamp: new Date().toISOString()
+    });
+  } catch (storeError) {
+    handleStoreError(req, res, storeError, 'load');
+  }
+});
+
+router.get('/assessments', canReadRecords, (req, res) => {
+  sendAssessments(req, res, req.query.patient_id);
+});
+
+router.get('/assessments/:id', canReadRecords, (req, res) => {
+  try {
+    const assessment = getAssessment(req.params.id);
+    if (!assessment) {
+      return notFound(res, 'Assessment not found', req.params.id);
+    }
+
+    if (!audited(req, res, 'record_access', {
+      record: 'assessment',
+      patient_id: assessment.patient_id,
+      assessment_ids: [assessment.id]
+    })) return;
+
+    res.json({
+      assessment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleStoreError(req, res, error, 'load');
+  }
+});
+
+// FHIR R4 Bundle of one assessment for EHR import; ?type=transaction for a conditional-create
+// transaction instead of a collection
+router.get('/assessments/:id/fhir', canReadRecords, (req, res) => {
+  const type = req.query.type || 'collection';
+  if (!BUNDLE_TYPES.includes(type)) {
+    return badRequest(res, `type must be one of: ${BUNDLE_TYPES.join(', ')}`);
+  }
+
+  let assessment;
+  let bundle;
+  try {
+    assessment = getAssessment(req.params.id);
+    const patient = assessment && getPatient(assessment.patient_id);
+    if (!assessment || !patient) {
+      return notFound(res, 'Assessment not found', req.params.id);
+    }
+    bundle = buildAssessmentBundle(assessment, patient, { type });
+  } catch (error) {
+    return handleStoreError(req, res, error, 'export');
+  }
+
+  const problems = checkBundleStructure(bundle);
+  if (problems.length > 0) {
+    logger.error('FHIR export failed structure checks', { requestId: req.requestId, assessmentId: req.params.id, problems });
+    return res.status(500).json({
+      error: 'FHIR export failed structure checks',
+      problems,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!audited(req, res, 'record_access', {
+    record: 'fhir_export',
+    patient_id: assessment.patient_id,
+    assessment_ids: [assessment.id]
+  })) return;
+
+  res.set({
+    'Content-Type': 'application/fhir+json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${assessment.id}-fhir.json"`
+  });
+  res.send(JSON.stringify(bundle, null, 2));
+});
+
+router.delete('/assessments/:id', canWriteRecords, (req, res) => {
+  try {
+    const existing = getAssessment(req.params.id);
+    if (!existing) {
+      return notFound(res, 'Assessment not found', req.params.id);
+    }
+    if (!audited(req, res, 'record_change', {
+      action: 'delete_assessment',
+      patient_id: existing.patient_id,
+      assessment_id: existing.id
+    })) return;
+
+    const assessment = deleteAssessment(req.params.id, describeCaller(req));
+    logger.info('Assessment deleted', { requestId: req.requestId, assessmentId: assessment.id });
+    res.json({
+      assessment,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    handleStoreError(req, res, error, 'delete');
+  }
+});
+
+module.exports = router;
@@ -1,76 +1,174 @@
 const express = require('express');
+const multer = require('multer');
+const path = require('path');
 const router = express.Router();
-const { sagemakerRuntime, endpointName } = require('../config/aws-config');
+const {
+  getInferenceProvider,
+  getProviderForModel,
+  getAllProviders,
+  getInferenceTopology,
+  routePrediction
+} = require('../services/inference');
+const { cachedPredict, getCacheStats } = require('../services/predictionCache');
+const { findModelByEndpoint, describeModel } = require('../services/modelRegistry');
+const healthCheckSample = require('../config/health-check-sample');
+const { STATES } = require('../utils/circuitBreaker');
 const { validatePredictionInput } = require('../middleware/validation');
+const { authConfig, authorize, describeCaller } = require('../middleware/auth');
+const { checkQuota, enforceQuota } = require('../middleware/quota');
+const { recordAuditEvent, predictionAuditFields } = require('../services/auditLog');
+const { getPatient, createAssessment } = require('../services/patientStore');
+const { loadFeatureSchema, getImputableFields } = require('../services/featureSchema');
+const { batchConfig, scorePatients, createRunningTotals } = require('../services/batchPrediction');
+const { mapRowsToPatients, buildResultRows } = require('../services/csvBatch');
+const { parseCSV, stringifyCSV } = require('../utils/csv');
 const logger = require('../utils/logger');
 
+// CSV uploads are small spreadsheets; keep them in memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.CSV_MAX_FILE_SIZE_BYTES) || 5 * 1024 * 1024,
+    files: 1
+  }
+}).single('file');
+
+// Who may call each route: API key scope or session role
+const canPredict = authorize({ scope: 'predict', roles: ['clinician', 'admin'] });
+const canBatch = authorize({ scope: 'batch', roles: ['clinician', 'admin'] });
+const canCheckEndpoints = authorize({ scope: 'admin', roles: ['reviewer', 'admin'] });
+const canSaveAssessments = authorize({ scope: 'records', roles: ['clinician', 'admin'] });
+
+// Comment lines keep idle SSE connections open through proxies
+const SSE_HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
 // Health check endpoint
 router.get('/health', (req, res) => {
+  const topology = getInferenceTopology();
+
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    endpoint: endpointName,
+    endpoint: topology.primaries.map(primary => primary.endpoint).join(','),
+    inference_provider: topology.provider,
+    routing: topology,
+    prediction_cache: getCacheStats(),
+    feature_schema_version: loadFeatureSchema().version,
+    auth_enabled: authConfig.enabled,
     version: '1.0.0',
     uptime: process.uptime()
   });
 });
 
-// SageMaker endpoint health check
-router.get('/endpoint-health', async (req, res) => {
+// Probe one endpoint; never throws
+const probeEndpoint = async (provider, role, bypassCache) => {
+  const startTime = Date.now();
+  const circuitState = () => (provider.getCircuitState ? provider.getCircuitState() : null);
+  const circuitBefore = circuitState();
+
   try {
-    // Simple test data for health check
-    const testData = {
-      Age: 45,
-      BMI: 25.0,
-      Waist_Circumference_cm: 85,
-      Fasting_Glucose_mg_dL: 95,
-      HbA1c_percent: 5.5,
-      Systolic_BP_mmHg: 120,
-      Diastolic_BP_mmHg: 80,
-      Family_History_Diabetes: 0,
-      Hypertension: 0,
-      Physical_Activity_Hours_Week: 5.0
-    };
+    // Cached probe results are reused within the cache TTL while the circuit is closed;
+    // ?fresh=true, or a circuit that has opened since, forces a real call
+    const bypass = bypassCache || Boolean(circuitBefore && circuitBefore.state !== STATES.CLOSED);
+    const { cacheHit } = await cachedPredict(provider, healthCheckSample, { bypass });
+    const circuit = circuitState();
+    const circuitOpen = Boolean(circuit && circuit.state === STATES.OPEN);
 
-    const params = {
-      EndpointName: endpointName,
-      ContentType: 'application/json',
-      Body: JSON.stringify(testData)
+    return {
+      endpoint: provider.endpoint,
+      role,
+      status: circuitOpen ? 'unhealthy' : 'healthy',
+      ...(circuitOpen ? { error: 'Circuit breaker is open' } : {}),
+      response_time_ms: Date.now() - startTime,
+      cached: cacheHit,
+      circuit_breaker: circuit
     };
+  } catch (error) {
+    return {
+      endpoint: provider.endpoint,
+      role,
+      status: 'unhealthy',
+      error: error.message,
+      circuit_breaker: circuitState()
+    };
+  }
+};
 
-    const startTime = Date.now();
-    await sagemakerRuntime.invokeEndpoint(params).promise();
-    const endTime = Date.now();
-
-    logger.info('Endpoint health check successful', { 
-      responseTime: endTime - startTime,
-      endpoint: endpointName 
-    });
+// Inference endpoint health check - probes every primary and shadow endpoint
+router.get('/endpoint-health', canCheckEndpoints, async (req, res) => {
+  const topology = getInferenceTopology();
+  const primaryEndpoints = topology.primaries.map(primary => primary.endpoint);
+  const bypassCache = req.query.fresh === 'true';
 
-    res.json({
-      status: 'healthy',
-      endpoint: endpointName,
-      response_time_ms: endTime - startTime,
-      timestamp: new Date().toISOString()
-    });
+  const startTime = Date.now();
+  const endpoints = await Promise.all(getAllProviders().map(provider => probeEndpoint(
+    provider,
+    primaryEndpoints.includes(provider.endpoint) ? 'primary' : 'shadow',
+    bypassCache
+  )));
+  const endTime = Date.now();
 
-  } catch (error) {
-    logger.error('Endpoint health check failed', { 
-      error: error.message,
-      endpoint: endpointName 
-    });
+  const primaries = endpoints.filter(endpoint => endpoint.role === 'primary');
+  const healthyPrimaries = primaries.filter(endpoint => endpoint.status === 'healthy');
+  const status = healthyPrimaries.length === primaries.length
+    ? 'healthy'
+    : healthyPrimaries.length > 0 ? 'degraded' : 'unhealthy';
 
-    res.status(503).json({
-      status: 'unhealthy',
-      endpoint: endpointName,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+  const logDetails = {
+    responseTime: endTime - startTime,
+    provider: topology.provider,
+    endpoints: endpoints.map(endpoint => `${endpoint.endpoint}=${endpoint.status}`)
+  };
+  if (status === 'healthy') {
+    logger.info('Endpoint health check successful', logDetails);
+  } else {
+    logger.error('Endpoint health check failed', logDetails);
   }
+
+  res.status(status === 'unhealthy' ? 503 : 200).json({
+    status,
+    endpoint: primaryEndpoints.join(','),
+    inference_provider: topology.provider,
+    response_time_ms: endTime - startTime,
+    endpoints,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Main prediction endpoint
-router.post('/predict', validatePredictionInput, async (req, res) => {
+// Optional model selection (body `model_id` or `?model_id=`), captured before
+// validation replaces the body with the normalized feature set
+const captureModelSelection = (req, res, next) => {
+  req.modelId = (req.body && req.body.model_id) || req.query.model_id || null;
+  next();
+};
+
+// Optional `patient_id`: save the scored assessment to that patient's record. Needs the
+// records scope (or a clinician/admin role) and an existing patient.
+const capturePatientRecord = (req, res, next) => {
+  const patientId = (req.body && req.body.patient_id) || null;
+  if (!patientId) {
+    return next();
+  }
+
+  canSaveAssessments(req, res, () => {
+    if (!getPatient(patientId)) {
+      return res.status(404).json({
+        error: 'Patient not found',
+        patient_id: patientId,
+        timestamp: new Date().toISOString()
+      });
+    }
+    req.patientId = patientId;
+    next();
+  });
+};
+
+// Score the validated input; shared by /predict and the patient assessment route
+const scorePrediction = async (req, res) => {
   const startTime = Date.now();
   const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -82,30 +180,78 @@ router.post('/predict', validatePredictionInput, async (req, res) => {
     });
 
     const patientData = req.body;
+    const provider = req.modelId ? getProviderForModel(req.modelId) : getInferenceProvider();
 
-    // Prepare SageMaker request
-    const params = {
-      EndpointName: endpointName,
-      ContentType: 'application/json',
-      Body: JSON.stringify(patientData)
-    };
+    if (!provider) {
+      logger.warn('Prediction requested for unknown model', { requestId, modelId: req.modelId });
+      return res.status(400).json({
+        error: 'Unknown model id',
+        model_id: req.modelId,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    logger.info('Sending request to SageMaker', { 
+    logger.info('Sending request to inference provider', { 
       requestId,
-      endpoint: endpointName 
+      endpoint: provider.endpoint,
+      provider: provider.name
     });
 
-    // Call SageMaker endpoint
-    const sagemakerStartTime = Date.now();
-    const response = await sagemakerRuntime.invokeEndpoint(params).promise();
-    const sagemakerEndTime = Date.now();
+    // Call inference provider (weighted primary, mirrored to any shadow endpoints)
+    const inferenceStartTime = Date.now();
+    const { result, cacheHit, shadowEndpoints } = await routePrediction(patientData, { provider, requestId });
+    const inferenceEndTime = Date.now();
+
+    // Recorded before responding: a prediction that cannot be audited is not returned
+    recordAuditEvent('prediction', {
+      actor: describeCaller(req),
+      request_id: requestId,
+      status: 'success',
+      ...predictionAuditFields({ patientData, provider, result }),
+      cache_hit: cacheHit,
+      imputed_fields: (req.imputedFields || []).map(imputed => imputed.field),
+      warning_overrides: req.warningOverrides ? req.warningOverrides.rules : []
+    });
+
+    // Saved after the audit entry so every stored assessment has one
+    let assessmentId = null;
+    if (req.patientId) {
+      const model = findModelByEndpoint(provider.endpoint);
+      try {
+        assessmentId = createAssessment({
+          patientId: req.patientId,
+          requestId,
+          input: patientData,
+          result,
+          model: model ? { id: model.id, version: result.model_version || model.version } : null,
+          endpoint: provider.endpoint,
+          provider: provider.name,
+          unitConversions: req.unitConversions,
+          imputedFields: req.imputedFields,
+          confidence: req.predictionConfidence
+        }, describeCaller(req)).id;
+      } catch (saveError) {
+        logger.error('Assessment could not be saved', { requestId, patientId: req.patientId, error: saveError.message });
+      }
+    }
 
-    // Parse response
-    const result = JSON.parse(response.Body.toString());
+    // Creating an assessment is the point of the patient route, so a failed save fails it
+    if (req.assessmentRequired && !assessmentId) {
+      return res.status(500).json({
+        error: 'Failed to save assessment to the patient record',
+        patient_id: req.patientId,
+        request_id: requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
 
-    logger.info('SageMaker prediction successful', {
+    logger.info('Prediction successful', {
       requestId,
-      sagemakerResponseTime: sagemakerEndTime - sagemakerStartTime,
+      provider: provider.name,
+      endpoint: provider.endpoint,
+      cacheHit,
+      inferenceResponseTime: inferenceEndTime - inferenceStartTime,
       riskLevel: result.risk_level,
       probability: result.probability
     });
@@ -115,20 +261,52 @@ router.post('/predict', validatePredictionInput, async (req, res) => {
       ...result,
       request_id: requestId,
       backend_processing_time_ms: Date.now() - startTime,
-      sagemaker_response_time_ms: sagemakerEndTime - sagemakerStartTime,
+      inference_response_time_ms: inferenceEndTime - inferenceStartTime,
       processed_at: new Date().toISOString(),
-      endpoint_used: endpointName,
+      endpoint_used: provider.endpoint,
+      inference_provider: provider.name,
+      shadow_endpoints: shadowEndpoints,
+      model: describeModel(findModelByEndpoint(provider.endpoint)),
+      cache_hit: cacheHit,
+      // Inputs sent in other units, with the original values kept for audit
+      unit_conversions: req.unitConversions || {},
+      validation_warnings: req.validationWarnings || [],
+      warning_overrides: req.warningOverrides || null,
+      // Values filled in by imputation and the resulting confidence in this prediction
+      imputed_fields: req.imputedFields || [],
+      confidence: req.predictionConfidence,
+      // Where the assessment was saved, when a patient_id was given
+      patient_id: req.patientId || null,
+      assessment_id: assessmentId,
+      assessment_error: req.patientId && !assessmentId ? 'The assessment could not be saved to the patient record' : undefined,
       backend_version: '1.0.0'
     };
 
+    if (req.assessmentRequired) {
+      res.status(201).set('Location', `${req.baseUrl}/assessments/${assessmentId}`);
+    }
     res.json(enhancedResult);
 
   } catch (error) {
     const endTime = Date.now();
+
+    try {
+      recordAuditEvent('prediction', {
+        actor: describeCaller(req),
+        request_id: requestId,
+        status: 'failed',
+        error_code: error.code || null,
+        ...predictionAuditFields({ patientData: req.body })
+      });
+    } catch (auditError) {
+      logger.error('Audit log write failed', { requestId, error: auditError.message });
+    }
     
     logger.error('Prediction request failed', {
       requestId,
       error: error.message,
+      errorCode: error.code,
+      attempts: error.attempts,
       processingTime: endTime - startTime,
       clientIP: req.ip
     });
@@ -152,20 +330,47 @@ router.post('/predict', validatePredictionInput, async (req, res) => {
     } else if (error.code === 'ModelError') {
       statusCode = 502;
       errorMessage = 'Machine learning model error';
+    } else if (error.code === 'InvalidModelResponse') {
+      statusCode = 502;
+      errorMessage = 'Prediction model returned an invalid response';
+    } else if (error.code === 'ModelUnavailable') {
+      statusCode = 409;
+      errorMessage = 'Selected model is not available in this deployment';
+    } else if (error.code === 'CircuitOpen') {
+      statusCode = 503;
+      errorMessage = 'Prediction endpoint temporarily unavailable - please retry shortly';
+      res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
     }
 
     res.status(statusCode).json({
       error: errorMessage,
       request_id: requestId,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      contract_errors: error.contractErrors,
+      attempts: error.attempts,
       timestamp: new Date().toISOString(),
       processing_time_ms: endTime - startTime
     });
   }
-});
+};
+
+// Main prediction endpoint
+router.post('/predict', canPredict, enforceQuota('predict'), captureModelSelection, capturePatientRecord, validatePredictionInput, scorePrediction);
+
+// Create an assessment on a patient's record: /predict with the patient taken from the path.
+// Answers 201 with the assessment's Location.
+const takePatientFromPath = (req, res, next) => {
+  req.body = { ...(req.body || {}), patient_id: req.params.id };
+  req.assessmentRequired = true;
+  next();
+};
+
+router.post('/patients/:id/assessments', canPredict, enforceQuota('predict'), takePatientFromPath, captureModelSelection, capturePatientRecord, validatePredictionInput, scorePrediction);
+
+// Batch prediction endpoint - validates every row and scores with bounded concurrency
+router.post('/predict-batch', canBatch, async (req, res) => {
+  const startTime = Date.now();
 
-// Batch prediction endpoint (bonus feature)
-router.post('/predict-batch', async (req, res) => {
   try {
     const patients = req.body.patients;
     
@@ -176,45 +381,39 @@ router.post('/predict-batch', async (req, res) => {
       });
     }
 
-    if (patients.length > 10) {
+    if (patients.length > batchConfig.maxBatchSize) {
       return res.status(400).json({
-        error: 'Batch size limited to 10 patients',
+        error: `Batch size limited to ${batchConfig.maxBatchSize} patients`,
+        max_batch_size: batchConfig.maxBatchSize,
         timestamp: new Date().toISOString()
       });
     }
 
-    const results = [];
-    for (let i = 0; i < patients.length; i++) {
-      try {
-        const params = {
-          EndpointName: endpointName,
-          ContentType: 'application/json',
-          Body: JSON.stringify(patients[i])
-        };
-
-        const response = await sagemakerRuntime.invokeEndpoint(params).promise();
-        const result = JSON.parse(response.Body.toString());
-        
-        results.push({
-          patient_index: i,
-          result: result,
-          status: 'success'
-        });
-
-      } catch (error) {
-        results.push({
-          patient_index: i,
-          error: error.message,
-          status: 'failed'
-        });
-      }
+    // Batches are charged per patient row
+    if (!checkQuota(req, res, 'batch', patients.length)) {
+      return;
     }
 
+    const { results, summary } = await scorePatients(patients, {
+      requestId: req.requestId,
+      allowImputation: req.body.allow_imputation === true,
+      audit: { actor: describeCaller(req), batchId: req.requestId }
+    });
+
+    logger.info('Batch prediction completed', {
+      requestId: req.requestId,
+      totalPatients: summary.total_patients,
+      successful: summary.successful_predictions,
+      failed: summary.failed_predictions,
+      invalid: summary.invalid_rows,
+      processingTime: Date.now() - startTime
+    });
+
     res.json({
       batch_results: results,
-      total_patients: patients.length,
-      successful_predictions: results.filter(r => r.status === 'success').length,
-      failed_predictions: results.filter(r => r.status === 'failed').length,
+      ...summary,
+      concurrency: batchConfig.concurrency,
+      processing_time_ms: Date.now() - startTime,
       processed_at: new Date().toISOString()
     });
 
@@ -228,4 +427,209 @@ router.post('/predict-batch', async (req, res) => {
   }
 });
 
+// Streaming batch prediction - Server-Sent Events with one `result` event per patient
+// (row plus running totals), then `complete` with the batch summary
+router.post('/predict-batch/stream', canBatch, async (req, res) => {
+  const startTime = Date.now();
+  const patients = req.body.patients;
+
+  if (!Array.isArray(patients) || patients.length === 0) {
+    return res.status(400).json({
+      error: 'Invalid batch data - expecting array of patients',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (patients.length > batchConfig.maxBatchSize) {
+    return res.status(400).json({
+      error: `Batch size limited to ${batchConfig.maxBatchSize} patients`,
+      max_batch_size: batchConfig.maxBatchSize,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (!checkQuota(req, res, 'batch', patients.length)) {
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop scoring the remaining rows if the browser goes away
+  const abortController = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      abortController.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+  const totals = createRunningTotals(patients.length);
+
+  sendEvent(res, 'start', {
+    request_id: req.requestId,
+    total_patients: patients.length,
+    concurrency: batchConfig.concurrency
+  });
+
+  try {
+    const { summary } = await scorePatients(patients, {
+      requestId: req.requestId,
+      allowImputation: req.body.allow_imputation === true,
+      audit: { actor: describeCaller(req), batchId: req.requestId },
+      signal: abortController.signal,
+      onResult: (row) => {
+        totals.add(row);
+        sendEvent(res, 'result', { row, totals: totals.snapshot() });
+      }
+    });
+
+    if (abortController.signal.aborted) {
+      logger.warn('Streaming batch prediction cancelled by client', {
+        requestId: req.requestId,
+        processed: totals.snapshot().processed_patients,
+        totalPatients: patients.length
+      });
+      return;
+    }
+
+    logger.info('Streaming batch prediction completed', {
+      requestId: req.requestId,
+      totalPatients: summary.total_patients,
+      successful: summary.successful_predictions,
+      failed: summary.failed_predictions,
+      invalid: summary.invalid_rows,
+      processingTime: Date.now() - startTime
+    });
+
+    sendEvent(res, 'complete', {
+      ...summary,
+      processing_time_ms: Date.now() - startTime,
+      processed_at: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Streaming batch prediction failed', { requestId: req.requestId, error: error.message });
+    sendEvent(res, 'failed', {
+      error: 'Batch prediction failed',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+// CSV batch prediction - multipart upload in, CSV with result columns appended out
+router.post('/predict-batch/csv', canBatch, (req, res) => {
+  csvUpload(req, res, async (uploadError) => {
+    const startTime = Date.now();
+
+    if (uploadError) {
+      logger.warn('CSV upload rejected', { requestId: req.requestId, error: uploadError.message });
+      return res.status(400).json({
+        error: 'Invalid CSV upload',
+        message: uploadError.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Missing CSV file - send it as multipart/form-data field "file"',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    try {
+      let rows;
+      try {
+        rows = parseCSV(req.file.buffer.toString('utf8'));
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid CSV file',
+          message: parseError.message,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const allowImputation = req.query.impute === 'true';
+      const { headers, dataRows, missingColumns: absentColumns, patients } = mapRowsToPatients(rows);
+      // With ?impute=true, columns the schema can impute may be left out entirely
+      const imputableFields = allowImputation ? getImputableFields() : [];
+      const missingColumns = absentColumns.filter(field => !imputableFields.includes(field));
+
+      if (missingColumns.length > 0) {
+        return res.status(400).json({
+          error: 'CSV is missing required columns',
+          missing_columns: missingColumns,
+          received_headers: headers,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (patients.length === 0) {
+        return res.status(400).json({
+          error: 'CSV contains no patient rows',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (patients.length > batchConfig.maxBatchSize) {
+        return res.status(400).json({
+          error: `Batch size limited to ${batchConfig.maxBatchSize} patients`,
+          max_batch_size: batchConfig.maxBatchSize,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!checkQuota(req, res, 'batch', patients.length)) {
+        return;
+      }
+
+      const { results, summary } = await scorePatients(patients, {
+        requestId: req.requestId,
+        allowImputation,
+        audit: { actor: describeCaller(req), batchId: req.requestId }
+      });
+
+      logger.info('CSV batch prediction completed', {
+        requestId: req.requestId,
+        totalPatients: summary.total_patients,
+        successful: summary.successful_predictions,
+        failed: summary.failed_predictions,
+        invalid: summary.invalid_rows,
+        processingTime: Date.now() - startTime
+      });
+
+      const baseName = path.basename(req.file.originalname || 'patients.csv', path.extname(req.file.originalname || '.csv'));
+      const safeName = baseName.replace(/[^A-Za-z0-9_-]/g, '_') || 'patients';
+
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${safeName}-predictions.csv"`,
+        'X-Total-Patients': summary.total_patients,
+        'X-Successful-Predictions': summary.successful_predictions,
+        'X-Failed-Predictions': summary.failed_predictions,
+        'X-Invalid-Rows': summary.invalid_rows
+      });
+      res.send(stringifyCSV(buildResultRows(headers, dataRows, results)));
+
+    } catch (error) {
+      logger.error('CSV batch prediction failed', { error: error.message });
+      res.status(500).json({
+        error: 'CSV batch prediction failed',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+});
+
 module.exports = router;
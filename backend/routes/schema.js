@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { loadFeatureSchema } = require('../services/featureSchema');
+const logger = require('../utils/logger');
+
+// Feature schema shared by backend validation and the frontend form
+router.get('/schema', (req, res) => {
+  try {
+    res.json({
+      ...loadFeatureSchema(),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Feature schema load failed', { error: error.message });
+    res.status(500).json({
+      error: 'Failed to load feature schema',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
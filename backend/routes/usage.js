@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const { authorize } = require('../middleware/auth');
+const { getUsageReport } = require('../services/usageQuotas');
+const logger = require('../utils/logger');
+
+// Today's quota usage per client (API key, user, or address when anonymous)
+router.get('/admin/usage', authorize({ scope: 'admin', roles: ['admin'] }), (req, res) => {
+  try {
+    res.json({
+      ...getUsageReport(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Usage report failed', { requestId: req.requestId, error: error.message });
+    res.status(500).json({
+      error: 'Failed to build usage report',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+#!/usr/bin/env node
+// Issue an API key from the command line, e.g. the first admin key:
+//   npm run api-key:create -- "ops admin" admin
+//   npm run api-key:create -- "clinic frontend" predict,batch
+const { API_KEY_SCOPES, API_KEYS_PATH, issueApiKey } = require('../services/apiKeyStore');
+
+const [name, scopeList = ''] = process.argv.slice(2);
+
+if (!name) {
+  console.error(`Usage: create-api-key.js <name> <scopes: ${API_KEY_SCOPES.join(',')}>`);
+  process.exit(1);
+}
+
+try {
+  const { key, apiKey } = issueApiKey({ name, scopes: scopeList.split(',').filter(Boolean) });
+  console.log(`🔑 Issued API key ${apiKey.id} (${apiKey.scopes.join(', ')}) in ${API_KEYS_PATH}`);
+  console.log(`   ${key}`);
+  console.log('   Store it now - only its hash is kept.');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
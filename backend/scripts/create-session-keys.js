@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+// Create the session signing key set at JWT_KEYS_PATH, e.g.:
+//   JWT_KEYS_PATH=~/.config/diabetes-prediction/jwt-keys.json npm run session-keys:create
+// Keep the file outside the repository and the data directory; it is never overwritten.
+const { sessionConfig, createSessionKeySet } = require('../services/sessionTokens');
+
+try {
+  const kid = createSessionKeySet();
+  console.log(`🔑 Created session key set ${sessionConfig.keysPath} with active key ${kid}`);
+  console.log('   Anyone holding it can sign tokens for any user - keep it secret.');
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
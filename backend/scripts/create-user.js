@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Create a user who can log in to the web app, e.g.:
+//   npm run user:create -- jdoe clinician "Dr Jane Doe"
+// The password is read from USER_PASSWORD so it stays out of shell history.
+const { ROLES, USERS_PATH, createUser } = require('../services/userStore');
+
+const [username, role, name] = process.argv.slice(2);
+
+if (!username || !role) {
+  console.error(`Usage: USER_PASSWORD=... create-user.js <username> <role: ${ROLES.join('|')}> [display name]`);
+  process.exit(1);
+}
+
+try {
+  const user = createUser({ username, role, name, password: process.env.USER_PASSWORD });
+  console.log(`👤 Created ${user.role} ${user.username} (${user.id}) in ${USERS_PATH}`);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
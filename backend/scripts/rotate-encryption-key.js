@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+// Rotate the record encryption key while the server keeps running:
+//   npm run encryption:rotate -- --init            # create the key set at ENCRYPTION_KEYS_PATH
+//   npm run encryption:rotate                      # add a new active key, re-encrypt stored records
+//   npm run encryption:rotate -- --reencrypt       # re-encrypt under the current active key only
+//   npm run encryption:rotate -- --retire <kid>    # remove an old key once no record uses it
+// The server picks up the new key set on its next read; records it is still writing
+// (queued or running jobs) or saves while this runs are re-encrypted by the server itself
+// on their next save, never overwritten here.
+const {
+  encryptionConfig,
+  activeKeyId,
+  initEncryptionKeySet,
+  addEncryptionKey,
+  retireEncryptionKey,
+  listEncryptionKeys
+} = require('../services/encryption');
+const { reencryptJobs, jobKeyIds } = require('../services/jobStore');
+const { JOB_STATUS } = require('../services/jobRunner');
+const { patientCollections } = require('../services/patientStore');
+
+// Every encrypted store: how to re-encrypt it and which key ids it still uses
+const STORES = [
+  {
+    name: 'batch jobs',
+    reencrypt: () => reencryptJobs({
+      skip: (job) => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING
+    }),
+    keyIds: jobKeyIds
+  },
+  { name: 'patients', ...patientCollections.patients },
+  { name: 'assessments', ...patientCollections.assessments }
+];
+
+const [option, kid] = process.argv.slice(2);
+
+const reencryptAll = () => {
+  STORES.forEach(store => {
+    const { reencrypted, current, skipped } = store.reencrypt();
+    console.log(`   ${store.name}: ${reencrypted} re-encrypted, ${current} already current, ${skipped} in use or updated meanwhile (left for the server)`);
+  });
+};
+
+try {
+  if (option === '--init') {
+    console.log(`🔑 Created encryption key set ${encryptionConfig.keysPath} with active key ${initEncryptionKeySet()}`);
+    console.log('   Back it up - records cannot be read without it.');
+  } else if (option === '--retire') {
+    if (!kid) {
+      throw new Error('Usage: rotate-encryption-key.js --retire <kid>');
+    }
+    const inUse = STORES.filter(store => store.keyIds().includes(kid)).map(store => store.name);
+    if (inUse.length > 0) {
+      throw new Error(`${kid} still encrypts records in: ${inUse.join(', ')} - run the rotation again first`);
+    }
+    retireEncryptionKey(kid);
+    console.log(`🗑️  Retired encryption key ${kid}`);
+  } else if (option === '--reencrypt') {
+    console.log(`🔐 Re-encrypting records under ${activeKeyId()}`);
+    reencryptAll();
+  } else if (!option) {
+    const previous = activeKeyId();
+    const next = addEncryptionKey();
+    console.log(`🔑 Active encryption key ${previous} → ${next} in ${encryptionConfig.keysPath}`);
+    reencryptAll();
+    console.log(`   Retire ${previous} with --retire once no records use it.`);
+  } else {
+    throw new Error(`Unknown option ${option}`);
+  }
+
+  listEncryptionKeys().forEach(key => {
+    console.log(`   ${key.active ? '*' : ' '} ${key.kid} (created ${key.created_at})`);
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// Check the audit log hash chain; exits non-zero if any entry was altered, removed or reordered.
+//   npm run audit:verify
+//   npm run audit:verify -- --expect <seq>:<hash>   # a checkpoint printed by an earlier run
+const { AUDIT_LOG_PATH, verifyAuditLog } = require('../services/auditLog');
+
+const [option, checkpoint = ''] = process.argv.slice(2);
+
+try {
+  let expect = null;
+  if (option === '--expect') {
+    const [seq, hash] = checkpoint.split(':');
+    if (!parseInt(seq) || !hash) {
+      throw new Error('Usage: verify-audit-log.js --expect <seq>:<hash>');
+    }
+    expect = { seq: parseInt(seq), hash };
+  } else if (option) {
+    throw new Error(`Unknown option ${option}`);
+  }
+
+  const result = verifyAuditLog({ expect });
+
+  if (result.valid) {
+    console.log(`✅ Audit log intact: ${result.entries} entries in ${AUDIT_LOG_PATH}`);
+    console.log(`   Checkpoint: ${result.head_seq}:${result.head_hash}`);
+    console.log('   Keep it somewhere the server cannot write, and pass it back with --expect next time.');
+  } else {
+    console.error(`❌ Audit log chain broken${result.broken_at ? ` at entry ${result.broken_at}` : ''} of ${result.entries}: ${result.reason}`);
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
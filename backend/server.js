@@ -9,8 +9,25 @@ require('dotenv').config();
 
 // Import custom modules
 const predictionRoutes = require('./routes/prediction');
-const { testAWSConnection } = require('./config/aws-config');
+const jobRoutes = require('./routes/jobs');
+const modelRoutes = require('./routes/models');
+const schemaRoutes = require('./routes/schema');
+const apiKeyRoutes = require('./routes/apiKeys');
+const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const usageRoutes = require('./routes/usage');
+const patientRoutes = require('./routes/patients');
+const fhirRoutes = require('./routes/fhir');
+const { authConfig, hasValidCredentials } = require('./middleware/auth');
+const { quotaConfig, flushQuotaUsage } = require('./services/usageQuotas');
+const { activeKeyId } = require('./services/encryption');
+const { checkAuditConfig } = require('./services/auditLog');
+const { checkSessionKeys } = require('./services/sessionTokens');
+const { flushKeyUsage } = require('./services/apiKeyStore');
+const { resumePendingJobs } = require('./services/jobRunner');
+const { getAllProviders, getInferenceTopology } = require('./services/inference');
 const logger = require('./utils/logger');
+const { requestPath } = require('./utils/redaction');
 
 // Create Express app
 const app = express();
@@ -41,14 +58,18 @@ const corsOptions = {
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Daily-Quota-Limit', 'X-Daily-Quota-Remaining', 'X-Daily-Quota-Reset'],
 };
 
 app.use(cors(corsOptions));
 
-// Rate limiting
+// Per-IP rate limiting for requests without valid credentials (login, health, schema).
+// Requests whose API key or session token verifies are limited per client by the route
+// quotas instead, so clinics behind one NAT address no longer share a single budget.
 const limiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
   max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, // limit each IP to 100 requests per windowMs
+  skip: hasValidCredentials,
   message: {
     error: 'Too many requests from this IP',
     retry_after: '15 minutes',
@@ -58,14 +79,34 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Per-IP limit on failed authentication: rejected keys and tokens and failed logins
+// (every 401) count, whatever credentials the request carried
+const authFailureLimiter = rateLimit({
+  windowMs: parseInt(process.env.AUTH_FAILURE_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_FAILURE_MAX_ATTEMPTS) || 10,
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  message: {
+    error: 'Too many failed authentication attempts from this IP',
+    retry_after: '15 minutes',
+    timestamp: new Date().toISOString()
+  },
+  standardHeaders: false,
+  legacyHeaders: false,
+});
+
+app.use('/api/', authFailureLimiter);
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// FHIR clients send application/fhir+json
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging middleware
-app.use(morgan('combined', {
+// Logging middleware. No client address or user agent: access lines sit next to
+// prediction logs, so they stay free of identifying data. Nor the query string.
+morgan.token('path', requestPath);
+app.use(morgan(':method :path :status :res[content-length] - :response-time ms', {
   stream: {
     write: (message) => logger.info(message.trim())
   }
@@ -89,25 +130,45 @@ app.get('/', (req, res) => {
       health: '/api/health',
       prediction: '/api/predict',
       batch_prediction: '/api/predict-batch',
-      endpoint_health: '/api/endpoint-health'
+      batch_prediction_stream: '/api/predict-batch/stream',
+      batch_jobs: '/api/jobs',
+      models: '/api/models',
+      feature_schema: '/api/schema',
+      endpoint_health: '/api/endpoint-health',
+      api_keys: '/api/admin/api-keys',
+      login: '/api/auth/login',
+      audit: '/api/audit',
+      usage: '/api/admin/usage',
+      patients: '/api/patients',
+      assessments: '/api/assessments',
+      fhir_import: '/api/fhir/import'
     }
   });
 });
 
 // API routes
 app.use('/api', predictionRoutes);
+app.use('/api', jobRoutes);
+app.use('/api', modelRoutes);
+app.use('/api', schemaRoutes);
+app.use('/api', apiKeyRoutes);
+app.use('/api', authRoutes);
+app.use('/api', auditRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', patientRoutes);
+app.use('/api', fhirRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
   logger.warn('404 - Route not found', { 
-    url: req.originalUrl,
+    url: requestPath(req),
     method: req.method,
     ip: req.ip 
   });
   
   res.status(404).json({
     error: 'Route not found',
-    path: req.originalUrl,
+    path: requestPath(req),
     method: req.method,
     timestamp: new Date().toISOString()
   });
@@ -118,7 +179,7 @@ app.use((error, req, res, next) => {
   logger.error('Unhandled error', {
     error: error.message,
     stack: error.stack,
-    url: req.originalUrl,
+    url: requestPath(req),
     method: req.method,
     ip: req.ip
   });
@@ -136,6 +197,13 @@ const gracefulShutdown = (signal) => {
   
   server.close(() => {
     logger.info('HTTP server closed');
+    [flushKeyUsage, flushQuotaUsage].forEach(flush => {
+      try {
+        flush();
+      } catch (error) {
+        logger.warn('Usage counters could not be saved', { error: error.message });
+      }
+    });
     process.exit(0);
   });
 
@@ -146,31 +214,89 @@ const gracefulShutdown = (signal) => {
   }, 10000);
 };
 
+// Records cannot be stored without a configured encryption key, predictions audited without
+// the audit key, nor logins signed without the session keys, so refuse to start instead of
+// failing on the first request
+try {
+  activeKeyId();
+  checkAuditConfig();
+  if (authConfig.enabled) {
+    checkSessionKeys();
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Start server
 const server = app.listen(PORT, async () => {
   console.log('\n🚀 ===== DIABETES PREDICTION BACKEND STARTED =====');
   console.log(`📍 Server running on: http://localhost:${PORT}`);
   console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🎯 SageMaker Endpoint: ${process.env.SAGEMAKER_ENDPOINT}`);
+  const topology = getInferenceTopology();
+  console.log(`🧠 Inference provider: ${topology.provider}`);
+  topology.primaries.forEach(primary => {
+    console.log(`🎯 Inference Endpoint: ${primary.endpoint} (${primary.traffic_percent}% of traffic)`);
+  });
+  topology.shadows.forEach(shadow => {
+    console.log(`👥 Shadow Endpoint: ${shadow.endpoint} (${topology.shadow_sample_rate * 100}% mirrored)`);
+  });
   console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
-  console.log(`📊 Rate limit: ${process.env.RATE_LIMIT_MAX_REQUESTS || 100} requests per ${(parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000) / 60000} minutes`);
-  
-  // Test AWS connection
-  console.log('\n🔍 Testing AWS SageMaker connection...');
-  const awsConnected = await testAWSConnection();
+  console.log(`🔐 Authentication (API keys, session tokens): ${authConfig.enabled ? 'enabled' : 'DISABLED'}`);
+  console.log(`🔒 Stored records encrypted with key ${activeKeyId()}`);
+  console.log(`📊 Anonymous rate limit: ${process.env.RATE_LIMIT_MAX_REQUESTS || 100} requests per IP per ${(parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000) / 60000} minutes`);
+  console.log(`📊 Client quotas: ${quotaConfig.limits.predict_per_window} predictions and ${quotaConfig.limits.batch_rows_per_window} batch rows per ${quotaConfig.windowMs / 1000}s, ${quotaConfig.limits.daily_rows} rows per day`);
   
-  if (awsConnected) {
-    console.log('✅ AWS SageMaker connection successful');
-  } else {
-    console.log('❌ AWS SageMaker connection failed - check credentials');
+  // Test inference provider connection
+  for (const provider of getAllProviders()) {
+    console.log(`\n🔍 Testing ${provider.name} inference endpoint ${provider.endpoint}...`);
+    const providerConnected = await provider.testConnection();
+    
+    if (providerConnected) {
+      console.log(`✅ ${provider.endpoint} ready`);
+    } else {
+      console.log(`❌ ${provider.endpoint} unavailable - check configuration`);
+    }
   }
   
   console.log('\n📋 Available endpoints:');
   console.log(`   GET  /                     - API information`);
   console.log(`   GET  /api/health           - Backend health check`);
-  console.log(`   GET  /api/endpoint-health  - SageMaker endpoint health`);
+  console.log(`   GET  /api/endpoint-health  - Inference endpoint health`);
+  console.log(`   GET  /api/models           - Registered models and metrics`);
+  console.log(`   GET  /api/schema           - Patient feature schema`);
   console.log(`   POST /api/predict          - Single patient prediction`);
   console.log(`   POST /api/predict-batch    - Batch patient predictions`);
+  console.log(`   POST /api/predict-batch/stream - Batch predictions as Server-Sent Events`);
+  console.log(`   POST /api/jobs             - Submit asynchronous batch job`);
+  console.log(`   GET  /api/jobs/:id         - Batch job progress`);
+  console.log(`   GET  /api/jobs/:id/results - Batch job results`);
+  console.log(`   POST /api/auth/login       - User login (session tokens)`);
+  console.log(`   POST /api/auth/refresh     - Refresh session tokens`);
+  console.log(`   GET  /api/auth/me          - Current user`);
+  console.log(`   POST /api/auth/client-token - Short-lived browser token`);
+  console.log(`   GET  /api/patients         - Patients (search, paginate)`);
+  console.log(`   POST /api/patients         - Create patient`);
+  console.log(`   GET  /api/patients/:id/trend - Risk trend over visits`);
+  console.log(`   GET  /api/assessments      - Saved assessments (risk level, date filters)`);
+  console.log(`   GET  /api/assessments/:id/fhir - Assessment as a FHIR R4 Bundle`);
+  console.log(`   POST /api/fhir/import      - Prefill a prediction from a FHIR Bundle`);
+  console.log(`   GET  /api/audit            - Prediction audit trail (admin)`);
+  console.log(`   GET  /api/admin/usage      - Quota usage per client (admin)`);
+  console.log(`   GET  /api/admin/api-keys   - List API keys (admin)`);
+  console.log(`   POST /api/admin/api-keys   - Issue API key (admin)`);
+  console.log(`   DELETE /api/admin/api-keys/:id - Revoke API key (admin)`);
+  
+  // Pick up batch jobs interrupted by the last shutdown
+  try {
+    const resumedJobs = resumePendingJobs();
+    if (resumedJobs > 0) {
+      console.log(`\n🔁 Resuming ${resumedJobs} pending batch job(s)`);
+    }
+  } catch (error) {
+    logger.error('Pending batch jobs could not be resumed', { error: error.message });
+    console.log(`\n⚠️  Pending batch jobs could not be resumed: ${error.message}`);
+  }
   
   console.log('\n🎉 Backend ready to serve diabetes predictions!');
   console.log('====================================================\n');
@@ -178,7 +304,9 @@ const server = app.listen(PORT, async () => {
   logger.info('Diabetes prediction backend started successfully', {
     port: PORT,
     environment: process.env.NODE_ENV,
-    endpoint: process.env.SAGEMAKER_ENDPOINT
+    inferenceProvider: topology.provider,
+    endpoints: topology.primaries.map(primary => primary.endpoint),
+    shadowEndpoints: topology.shadows.map(shadow => shadow.endpoint)
   });
 });
 
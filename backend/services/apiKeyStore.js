@@ -0,0 +1,200 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { QUOTA_LIMIT_FIELDS } = require('./usageQuotas');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const API_KEYS_PATH = path.resolve(process.env.API_KEYS_PATH || path.join(__dirname, '..', 'data', 'api-keys.json'));
+
+// Last use per key is kept apart from the key file, so authenticating never rewrites it
+const API_KEY_USAGE_PATH = path.resolve(process.env.API_KEY_USAGE_PATH || path.join(path.dirname(API_KEYS_PATH), 'api-key-usage.json'));
+const USAGE_FLUSH_MS = parseInt(process.env.API_KEY_USAGE_FLUSH_MS) || 60 * 1000;
+
+// `admin` implies every other scope; `records` covers the patient and assessment store
+const API_KEY_SCOPES = ['predict', 'batch', 'records', 'admin'];
+
+// Keys look like dpk_<id>_<secret>; the id locates the record, only a hash of the whole key is stored
+const KEY_PATTERN = /^dpk_([a-f0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw error;
+  }
+};
+
+// Same temp file + rename write as the job store
+const writeJson = (file, value) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(value, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, file);
+};
+
+// Key file as read for verification: cached until it changes on disk (issued or revoked here
+// or by the CLI script)
+let cachedKeys = null;
+let cachedMtime = null;
+
+const loadKeys = () => {
+  let mtime;
+  try {
+    mtime = fs.statSync(API_KEYS_PATH).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  if (!cachedKeys || mtime !== cachedMtime) {
+    cachedKeys = readJson(API_KEYS_PATH, []);
+    cachedMtime = mtime;
+  }
+  return cachedKeys;
+};
+
+// Issue and revoke re-read the file right before writing, so changes made by another
+// process in the meantime are kept
+const updateKeys = (change) => {
+  const keys = readJson(API_KEYS_PATH, []);
+  const result = change(keys);
+  writeJson(API_KEYS_PATH, keys);
+  cachedKeys = null;
+  return result;
+};
+
+// Last use per key id: updated in memory on every verification, flushed to the usage file
+// on a timer (and at shutdown)
+const lastUsed = new Map();
+let flushTimer = null;
+
+const flushKeyUsage = () => {
+  if (lastUsed.size === 0) {
+    return;
+  }
+  writeJson(API_KEY_USAGE_PATH, { ...readJson(API_KEY_USAGE_PATH, {}), ...Object.fromEntries(lastUsed) });
+  lastUsed.clear();
+};
+
+const recordKeyUse = (id) => {
+  lastUsed.set(id, new Date().toISOString());
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      try {
+        flushKeyUsage();
+      } catch (error) {
+        logger.warn('API key usage could not be saved', { error: error.message });
+      }
+    }, USAGE_FLUSH_MS);
+    flushTimer.unref();
+  }
+};
+
+const loadKeyUsage = () => ({ ...readJson(API_KEY_USAGE_PATH, {}), ...Object.fromEntries(lastUsed) });
+
+// Stored record without the hash, with its last use
+const describeKey = ({ hash, ...record }, usage = {}) => ({
+  ...record,
+  last_used_at: usage[record.id] || record.last_used_at || null
+});
+
+// Optional per-key quota overrides, e.g. { daily_rows: 50000 }; unset fields use the defaults
+const validateLimits = (limits) => {
+  if (limits === undefined || limits === null) {
+    return null;
+  }
+  const invalid = typeof limits !== 'object' || Array.isArray(limits) || Object.entries(limits)
+    .some(([field, value]) => !QUOTA_LIMIT_FIELDS.includes(field) || !Number.isInteger(value) || value < 1);
+  if (invalid) {
+    throw new Error(`Limits must map ${QUOTA_LIMIT_FIELDS.join(', ')} to positive integers`);
+  }
+  return limits;
+};
+
+// Create a key; the plaintext is returned once and never stored
+const issueApiKey = ({ name, scopes, limits }) => {
+  const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (!name || typeof name !== 'string') {
+    throw new Error('API key name is required');
+  }
+  if (scopes.length === 0 || invalidScopes.length > 0) {
+    throw new Error(`Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+  const quotaLimits = validateLimits(limits);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `dpk_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id,
+    name: name.trim(),
+    scopes: [...new Set(scopes)],
+    limits: quotaLimits,
+    hash: hashKey(key),
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+
+  updateKeys(keys => keys.push(record));
+  return { key, apiKey: describeKey(record) };
+};
+
+const revokeApiKey = (id) => {
+  const record = loadKeys().find(entry => entry.id === id);
+  if (!record) {
+    return null;
+  }
+  if (record.revoked_at) {
+    return describeKey(record, loadKeyUsage());
+  }
+  const revoked = updateKeys(keys => {
+    const stored = keys.find(entry => entry.id === id);
+    stored.revoked_at = stored.revoked_at || new Date().toISOString();
+    return stored;
+  });
+  return describeKey(revoked, loadKeyUsage());
+};
+
+const listApiKeys = () => {
+  const usage = loadKeyUsage();
+  return loadKeys().map(record => describeKey(record, usage));
+};
+
+// Resolve a presented key. Returns { apiKey } or { reason } when it is not accepted.
+const verifyApiKey = (key) => {
+  const match = KEY_PATTERN.exec(key || '');
+  if (!match) {
+    return { reason: 'malformed' };
+  }
+
+  const record = loadKeys().find(entry => entry.id === match[1]);
+  const presented = Buffer.from(hashKey(key), 'hex');
+  if (!record || !crypto.timingSafeEqual(presented, Buffer.from(record.hash, 'hex'))) {
+    return { reason: 'unknown', keyId: match[1] };
+  }
+  if (record.revoked_at) {
+    return { reason: 'revoked', keyId: record.id };
+  }
+
+  recordKeyUse(record.id);
+  return { apiKey: describeKey(record, Object.fromEntries(lastUsed)) };
+};
+
+const hasScope = (apiKey, scope) => apiKey.scopes.includes(scope) || apiKey.scopes.includes('admin');
+
+module.exports = {
+  API_KEYS_PATH,
+  API_KEY_SCOPES,
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  verifyApiKey,
+  hasScope,
+  flushKeyUsage
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+process.env.API_KEYS_PATH = path.join(dir, 'api-keys.json');
+process.env.QUOTA_USAGE_PATH = path.join(dir, 'quota-usage.json');
+
+const {
+  API_KEYS_PATH, issueApiKey, revokeApiKey, listApiKeys, verifyApiKey, hasScope, flushKeyUsage
+} = require('./apiKeyStore');
+
+const usagePath = path.join(dir, 'api-key-usage.json');
+
+test('issues a key that verifies, storing only its hash', () => {
+  const { key, apiKey } = issueApiKey({ name: ' partner ', scopes: ['predict', 'predict'] });
+
+  expect(key).toMatch(/^dpk_[a-f0-9]{12}_/);
+  expect(apiKey).toMatchObject({ name: 'partner', scopes: ['predict'], last_used_at: null });
+  expect(apiKey).not.toHaveProperty('hash');
+  expect(fs.readFileSync(API_KEYS_PATH, 'utf8')).not.toContain(key);
+  expect(verifyApiKey(key).apiKey.id).toBe(apiKey.id);
+});
+
+test('validates names, scopes and limits', () => {
+  expect(() => issueApiKey({ name: '', scopes: ['predict'] })).toThrow('API key name is required');
+  expect(() => issueApiKey({ name: 'x', scopes: ['root'] })).toThrow(/Scopes must be/);
+  expect(() => issueApiKey({ name: 'x', scopes: ['batch'], limits: { daily_rows: 0 } })).toThrow(/positive integers/);
+  expect(issueApiKey({ name: 'x', scopes: ['batch'], limits: { daily_rows: 50000 } }).apiKey.limits).toEqual({ daily_rows: 50000 });
+});
+
+test('refuses malformed, altered and revoked keys', () => {
+  const { key, apiKey } = issueApiKey({ name: 'revoke-me', scopes: ['batch'] });
+
+  expect(verifyApiKey('not-a-key')).toEqual({ reason: 'malformed' });
+  expect(verifyApiKey(`${key.slice(0, -1)}${key.endsWith('A') ? 'B' : 'A'}`)).toEqual({ reason: 'unknown', keyId: apiKey.id });
+
+  expect(revokeApiKey(apiKey.id).revoked_at).toBeTruthy();
+  expect(verifyApiKey(key)).toEqual({ reason: 'revoked', keyId: apiKey.id });
+  expect(revokeApiKey('000000000000')).toBeNull();
+});
+
+test('admin keys pass every scope', () => {
+  expect(hasScope({ scopes: ['admin'] }, 'records')).toBe(true);
+  expect(hasScope({ scopes: ['predict'] }, 'batch')).toBe(false);
+});
+
+test('records use without rewriting the key file', () => {
+  const { key, apiKey } = issueApiKey({ name: 'busy', scopes: ['predict'] });
+  const before = fs.readFileSync(API_KEYS_PATH, 'utf8');
+
+  verifyApiKey(key);
+  expect(fs.readFileSync(API_KEYS_PATH, 'utf8')).toBe(before);
+  expect(listApiKeys().find(entry => entry.id === apiKey.id).last_used_at).toBeTruthy();
+
+  flushKeyUsage();
+  expect(JSON.parse(fs.readFileSync(usagePath, 'utf8'))[apiKey.id]).toBeTruthy();
+  expect(fs.readFileSync(API_KEYS_PATH, 'utf8')).toBe(before);
+});
+
+test('picks up keys written by another process', () => {
+  const { key, apiKey } = issueApiKey({ name: 'cli', scopes: ['predict'] });
+  const keys = JSON.parse(fs.readFileSync(API_KEYS_PATH, 'utf8'));
+  fs.writeFileSync(API_KEYS_PATH, JSON.stringify(keys.map(entry => (entry.id === apiKey.id ? { ...entry, revoked_at: '2026-01-01T00:00:00.000Z' } : entry))));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(API_KEYS_PATH, later, later);
+
+  expect(verifyApiKey(key).reason).toBe('revoked');
+});
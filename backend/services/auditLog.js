@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { findModelByEndpoint } = require('./modelRegistry');
+require('dotenv').config();
+
+// Append-only, hash-chained record of predictions and report access. Unlike the rotating
+// winston logs this file is never truncated or rotated by the application.
+const AUDIT_LOG_PATH = path.resolve(process.env.AUDIT_LOG_PATH || path.join(__dirname, '..', 'data', 'audit', 'audit.log'));
+
+const auditConfig = {
+  // Secret for the chain and input fingerprints, kept out of the log so whoever can edit
+  // the file cannot recompute the hashes
+  hmacKey: process.env.AUDIT_HMAC_KEY || null,
+  // Signed copy of the latest seq and hash, so cutting entries off the end is detected.
+  // Put it on other storage than the log where you can.
+  headPath: path.resolve(process.env.AUDIT_HEAD_PATH || `${AUDIT_LOG_PATH}.head`)
+};
+
+const MIN_KEY_LENGTH = 32;
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys, so the same content always hashes the same
+const canonicalJSON = (value) => {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  return `{${Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+    .join(',')}}`;
+};
+
+// One key per use, derived from AUDIT_HMAC_KEY
+const deriveKey = (purpose) => {
+  if (!auditConfig.hmacKey || auditConfig.hmacKey.length < MIN_KEY_LENGTH) {
+    throw new Error(`Audit log is not configured: set AUDIT_HMAC_KEY to a secret of at least ${MIN_KEY_LENGTH} characters`);
+  }
+  return crypto.createHmac('sha256', auditConfig.hmacKey).update(`audit:${purpose}`).digest();
+};
+
+const hmac = (purpose, text) => crypto.createHmac('sha256', deriveKey(purpose)).update(text).digest('hex');
+
+// Throws unless the key is configured; checked at startup
+const checkAuditConfig = () => {
+  deriveKey('chain');
+};
+
+// Fingerprint of a normalized patient record; the audit log never holds the values themselves.
+// Keyed, because the space of plausible inputs is small enough to hash exhaustively.
+const hashInput = (patientData) => `hmac:${hmac('input', canonicalJSON(patientData))}`;
+
+const entryHash = ({ hash, ...entry }) => hmac('chain', canonicalJSON(entry));
+
+const headMac = ({ seq, hash }) => hmac('head', `${seq}:${hash}`);
+
+// Common fields of a prediction event: input fingerprint, model/endpoint and outcome
+const predictionAuditFields = ({ patientData, provider, result }) => {
+  const model = provider ? findModelByEndpoint(provider.endpoint) : null;
+  return {
+    input_hash: patientData ? hashInput(patientData) : null,
+    endpoint: provider ? provider.endpoint : null,
+    provider: provider ? provider.name : null,
+    model_id: model ? model.id : null,
+    model_version: result ? result.model_version || null : null,
+    result: result ? { prediction: result.prediction, risk_level: result.risk_level, probability: result.probability } : null
+  };
+};
+
+// Chain head (last seq and hash), read from the end of the file on first use
+let head = null;
+
+const readHeadFile = () => {
+  try {
+    return JSON.parse(fs.readFileSync(auditConfig.headPath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Temp file + rename, like the other stores
+const writeHeadFile = ({ seq, hash }) => {
+  fs.mkdirSync(path.dirname(auditConfig.headPath), { recursive: true });
+  const temp = `${auditConfig.headPath}.${process.pid}.tmp`;
+  const record = { seq, hash, updated_at: new Date().toISOString(), mac: headMac({ seq, hash }) };
+  fs.writeFileSync(temp, JSON.stringify(record), { mode: 0o600 });
+  fs.renameSync(temp, auditConfig.headPath);
+};
+
+const readLastLine = () => {
+  if (!fs.existsSync(AUDIT_LOG_PATH)) {
+    return null;
+  }
+  const lines = fs.readFileSync(AUDIT_LOG_PATH, 'utf8').trimEnd().split('\n');
+  return lines[lines.length - 1] || null;
+};
+
+const getHead = () => {
+  if (!head) {
+    const lastLine = readLastLine();
+    const last = lastLine ? JSON.parse(lastLine) : null;
+    head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+  }
+  return head;
+};
+
+// Append one event. `actor` is who asked ({ type, id, role }); the rest is event detail.
+// Appends are synchronous so entries from concurrent requests cannot interleave.
+const recordAuditEvent = (event, details = {}) => {
+  const { seq, hash: prevHash } = getHead();
+  const entry = {
+    seq: seq + 1,
+    timestamp: new Date().toISOString(),
+    event,
+    actor: details.actor || { type: 'anonymous' },
+    ...details,
+    prev_hash: prevHash
+  };
+  entry.hash = entryHash(entry);
+
+  fs.mkdirSync(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+  fs.appendFileSync(AUDIT_LOG_PATH, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  head = { seq: entry.seq, hash: entry.hash };
+  writeHeadFile(head);
+  return entry;
+};
+
+const readAuditEntries = () => {
+  if (!fs.existsSync(AUDIT_LOG_PATH)) {
+    return [];
+  }
+  return fs.readFileSync(AUDIT_LOG_PATH, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line));
+};
+
+// Walk the whole chain and compare its end with the signed head file. `expect` is a
+// { seq, hash } published earlier (e.g. from a previous run of audit:verify); that entry
+// must still be in the chain. Returns { valid, entries, head_seq, head_hash } or, at the
+// first problem, { valid: false, entries, broken_at, reason }.
+const verifyAuditLog = ({ expect = null } = {}) => {
+  let lines = [];
+  if (fs.existsSync(AUDIT_LOG_PATH)) {
+    lines = fs.readFileSync(AUDIT_LOG_PATH, 'utf8').split('\n').filter(Boolean);
+  }
+
+  let prevHash = GENESIS_HASH;
+  for (let index = 0; index < lines.length; index++) {
+    let entry;
+    try {
+      entry = JSON.parse(lines[index]);
+    } catch (error) {
+      return { valid: false, entries: lines.length, broken_at: index + 1, reason: 'unparseable entry' };
+    }
+
+    if (entry.seq !== index + 1) {
+      return { valid: false, entries: lines.length, broken_at: index + 1, reason: `expected seq ${index + 1}, found ${entry.seq}` };
+    }
+    if (entry.prev_hash !== prevHash) {
+      return { valid: false, entries: lines.length, broken_at: entry.seq, reason: 'prev_hash does not match the previous entry' };
+    }
+    if (entry.hash !== entryHash(entry)) {
+      return { valid: false, entries: lines.length, broken_at: entry.seq, reason: 'entry content does not match its hash' };
+    }
+    if (expect && entry.seq === expect.seq && entry.hash !== expect.hash) {
+      return { valid: false, entries: lines.length, broken_at: entry.seq, reason: 'entry differs from the expected checkpoint' };
+    }
+    prevHash = entry.hash;
+  }
+
+  if (expect && expect.seq > lines.length) {
+    return { valid: false, entries: lines.length, broken_at: lines.length + 1, reason: `log ends before the expected checkpoint at seq ${expect.seq}` };
+  }
+
+  // A crash between the append and the head write can leave the head one entry behind,
+  // never ahead
+  const savedHead = readHeadFile();
+  if (savedHead) {
+    if (savedHead.mac !== headMac(savedHead)) {
+      return { valid: false, entries: lines.length, broken_at: null, reason: 'head file signature does not match' };
+    }
+    if (savedHead.seq > lines.length) {
+      return { valid: false, entries: lines.length, broken_at: lines.length + 1, reason: `log ends before the recorded head at seq ${savedHead.seq}` };
+    }
+    const headEntry = savedHead.seq > 0 ? JSON.parse(lines[savedHead.seq - 1]) : null;
+    if (headEntry && headEntry.hash !== savedHead.hash) {
+      return { valid: false, entries: lines.length, broken_at: savedHead.seq, reason: 'entry differs from the recorded head' };
+    }
+  } else if (lines.length > 0) {
+    return { valid: false, entries: lines.length, broken_at: null, reason: `head file ${auditConfig.headPath} is missing` };
+  }
+
+  return { valid: true, entries: lines.length, head_seq: lines.length, head_hash: prevHash };
+};
+
+module.exports = {
+  AUDIT_LOG_PATH,
+  auditConfig,
+  checkAuditConfig,
+  hashInput,
+  predictionAuditFields,
+  recordAuditEvent,
+  readAuditEntries,
+  verifyAuditLog
+};
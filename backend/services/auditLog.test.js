@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+jest.mock('../utils/logger');
+
+const AUDIT_KEY = 'audit-test-key-0123456789abcdef-0123';
+
+// Each test gets its own log, head file and module state
+const openAuditLog = () => {
+  process.env.AUDIT_LOG_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'audit-')), 'audit.log');
+  process.env.AUDIT_HMAC_KEY = AUDIT_KEY;
+  let audit;
+  jest.isolateModules(() => {
+    audit = require('./auditLog');
+  });
+  return audit;
+};
+
+const readLines = (audit) => fs.readFileSync(audit.AUDIT_LOG_PATH, 'utf8').split('\n').filter(Boolean);
+const writeLines = (audit, lines) => fs.writeFileSync(audit.AUDIT_LOG_PATH, lines.map(line => `${line}\n`).join(''));
+
+const recordThree = (audit) => ['prediction', 'record_read', 'prediction'].forEach((event, index) => {
+  audit.recordAuditEvent(event, { actor: { type: 'user', id: `usr_${index}` } });
+});
+
+test('a freshly written chain verifies', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+
+  const result = audit.verifyAuditLog();
+  expect(result).toMatchObject({ valid: true, entries: 3, head_seq: 3 });
+  expect(result.head_hash).toBe(audit.readAuditEntries()[2].hash);
+});
+
+test('an edited entry is found', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  const lines = readLines(audit);
+  lines[1] = lines[1].replace('usr_1', 'usr_9');
+  writeLines(audit, lines);
+
+  expect(audit.verifyAuditLog()).toMatchObject({ valid: false, broken_at: 2, reason: 'entry content does not match its hash' });
+});
+
+test('an edited entry rehashed without the key is found', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  const lines = readLines(audit);
+  const { hash, ...entry } = JSON.parse(lines[2]);
+  const forged = { ...entry, actor: { type: 'user', id: 'usr_9' } };
+  forged.hash = crypto.createHash('sha256').update(JSON.stringify(forged)).digest('hex');
+  lines[2] = JSON.stringify(forged);
+  writeLines(audit, lines);
+
+  expect(audit.verifyAuditLog()).toMatchObject({ valid: false, broken_at: 3 });
+});
+
+test('entries cut off the end are found through the head file', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  writeLines(audit, readLines(audit).slice(0, 2));
+
+  expect(audit.verifyAuditLog()).toMatchObject({ valid: false, reason: 'log ends before the recorded head at seq 3' });
+});
+
+test('a forged or missing head file is found', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  const headFile = JSON.parse(fs.readFileSync(audit.auditConfig.headPath, 'utf8'));
+  fs.writeFileSync(audit.auditConfig.headPath, JSON.stringify({ ...headFile, seq: 2 }));
+  expect(audit.verifyAuditLog()).toMatchObject({ valid: false, reason: 'head file signature does not match' });
+
+  fs.rmSync(audit.auditConfig.headPath);
+  expect(audit.verifyAuditLog().reason).toMatch(/head file .* is missing/);
+});
+
+test('verification with another key fails', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  audit.auditConfig.hmacKey = 'another-key-0123456789abcdef-0123456';
+
+  expect(audit.verifyAuditLog()).toMatchObject({ valid: false, broken_at: 1 });
+});
+
+test('a published checkpoint must still be in the chain', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+  const { head_hash: hash } = audit.verifyAuditLog();
+
+  expect(audit.verifyAuditLog({ expect: { seq: 3, hash } }).valid).toBe(true);
+  expect(audit.verifyAuditLog({ expect: { seq: 3, hash: 'f'.repeat(64) } }))
+    .toMatchObject({ valid: false, reason: 'entry differs from the expected checkpoint' });
+  expect(audit.verifyAuditLog({ expect: { seq: 5, hash } }))
+    .toMatchObject({ valid: false, reason: 'log ends before the expected checkpoint at seq 5' });
+});
+
+test('continues the chain after a restart', () => {
+  const audit = openAuditLog();
+  recordThree(audit);
+
+  let restarted;
+  jest.isolateModules(() => {
+    restarted = require('./auditLog');
+  });
+  expect(restarted.recordAuditEvent('prediction').seq).toBe(4);
+  expect(restarted.verifyAuditLog()).toMatchObject({ valid: true, entries: 4 });
+});
+
+test('input fingerprints are keyed and ignore key order', () => {
+  const audit = openAuditLog();
+  const fingerprint = audit.hashInput({ Age: 50, BMI: 27 });
+
+  expect(fingerprint).toMatch(/^hmac:[0-9a-f]{64}$/);
+  expect(audit.hashInput({ BMI: 27, Age: 50 })).toBe(fingerprint);
+  expect(fingerprint).not.toContain(crypto.createHash('sha256').update('{"Age":50,"BMI":27}').digest('hex'));
+});
+
+test('refuses to run without a long enough key', () => {
+  const audit = openAuditLog();
+  audit.auditConfig.hmacKey = 'short';
+  expect(() => audit.checkAuditConfig()).toThrow(/AUDIT_HMAC_KEY/);
+});
@@ -0,0 +1,179 @@
+const { routePrediction } = require('./inference');
+const { validatePatientData } = require('../middleware/validation');
+const { recordAuditEvent, predictionAuditFields } = require('./auditLog');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const batchConfig = {
+  maxBatchSize: parseInt(process.env.BATCH_MAX_SIZE) || 500,
+  concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 5
+};
+
+// Validate and score one patient row; never throws, the outcome is in `status`.
+// Each row is routed on its own, so canary weights apply within a batch too.
+// `context.allowImputation` fills missing optional features (see services/imputation.js).
+// With `context.audit` ({ actor, batchId }) every scored row is written to the audit log.
+const scorePatient = async (patient, index, context = {}) => {
+  const {
+    missingFields,
+    validationErrors,
+    validationWarnings,
+    patientData,
+    unitConversions,
+    imputedFields,
+    confidence
+  } = validatePatientData(patient, { allowImputation: context.allowImputation });
+
+  if (!patientData) {
+    return {
+      patient_index: index,
+      status: 'invalid',
+      error: missingFields.length > 0 ? 'Missing required fields' : 'Invalid data ranges',
+      missing_fields: missingFields.length > 0 ? missingFields : undefined,
+      validation_errors: validationErrors.length > 0 ? validationErrors : undefined
+    };
+  }
+
+  const audit = (fields) => {
+    if (context.audit) {
+      recordAuditEvent('batch_prediction', {
+        actor: context.audit.actor,
+        batch_id: context.audit.batchId,
+        row: index,
+        ...fields
+      });
+    }
+  };
+
+  try {
+    const { result, cacheHit, provider } = await routePrediction(patientData, context);
+    audit({ status: 'success', ...predictionAuditFields({ patientData, provider, result }) });
+    return {
+      patient_index: index,
+      result: result,
+      endpoint_used: provider.endpoint,
+      cache_hit: cacheHit,
+      unit_conversions: Object.keys(unitConversions).length > 0 ? unitConversions : undefined,
+      // Batch rows are scored anyway; warnings are reported for review
+      validation_warnings: validationWarnings.length > 0 ? validationWarnings : undefined,
+      imputed_fields: imputedFields.length > 0 ? imputedFields : undefined,
+      confidence: imputedFields.length > 0 ? confidence : undefined,
+      status: 'success'
+    };
+  } catch (error) {
+    try {
+      audit({ status: 'failed', error_code: error.code || null, ...predictionAuditFields({ patientData }) });
+    } catch (auditError) {
+      logger.error('Audit log write failed', { batchId: context.audit.batchId, error: auditError.message });
+    }
+    return {
+      patient_index: index,
+      error: error.message,
+      error_code: error.code,
+      status: 'failed'
+    };
+  }
+};
+
+// Aggregate statistics over scored rows
+const summarizeResults = (results) => {
+  const successful = results.filter(r => r.status === 'success');
+  const probabilities = successful
+    .map(r => Number(r.result.probability))
+    .filter(p => !isNaN(p));
+
+  const riskLevelDistribution = successful.reduce((distribution, r) => {
+    const level = r.result.risk_level || 'Unknown';
+    distribution[level] = (distribution[level] || 0) + 1;
+    return distribution;
+  }, {});
+
+  const mean = probabilities.length > 0
+    ? probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length
+    : null;
+
+  return {
+    total_patients: results.length,
+    successful_predictions: successful.length,
+    failed_predictions: results.filter(r => r.status === 'failed').length,
+    invalid_rows: results.filter(r => r.status === 'invalid').length,
+    risk_level_distribution: riskLevelDistribution,
+    probability: {
+      mean: mean === null ? null : Number(mean.toFixed(4)),
+      min: probabilities.length > 0 ? Math.min(...probabilities) : null,
+      max: probabilities.length > 0 ? Math.max(...probabilities) : null
+    }
+  };
+};
+
+// Incremental counterpart of summarizeResults for streaming progress
+const createRunningTotals = (total) => {
+  let probabilitySum = 0;
+  const totals = {
+    total_patients: total,
+    processed_patients: 0,
+    successful_predictions: 0,
+    failed_predictions: 0,
+    invalid_rows: 0,
+    risk_level_distribution: {},
+    mean_probability: null
+  };
+
+  const add = (row) => {
+    totals.processed_patients++;
+
+    if (row.status === 'success') {
+      totals.successful_predictions++;
+      const level = row.result.risk_level || 'Unknown';
+      totals.risk_level_distribution[level] = (totals.risk_level_distribution[level] || 0) + 1;
+      probabilitySum += Number(row.result.probability) || 0;
+      totals.mean_probability = Number((probabilitySum / totals.successful_predictions).toFixed(4));
+    } else if (row.status === 'failed') {
+      totals.failed_predictions++;
+    } else if (row.status === 'invalid') {
+      totals.invalid_rows++;
+    }
+  };
+
+  const snapshot = () => ({
+    ...totals,
+    risk_level_distribution: { ...totals.risk_level_distribution },
+    percent_complete: total > 0 ? Number(((totals.processed_patients / total) * 100).toFixed(1)) : 100
+  });
+
+  return { add, snapshot };
+};
+
+// Validate and score a set of patients with bounded concurrency.
+// `onResult` is called with each row as soon as it finishes; once `signal` is
+// aborted the remaining rows are skipped and marked cancelled.
+const scorePatients = async (patients, options = {}) => {
+  const concurrency = options.concurrency || batchConfig.concurrency;
+  const context = { requestId: options.requestId, allowImputation: options.allowImputation, audit: options.audit };
+
+  const results = await mapWithConcurrency(patients, concurrency, async (patient, index) => {
+    if (options.signal && options.signal.aborted) {
+      return { patient_index: index, status: 'cancelled' };
+    }
+
+    const row = await scorePatient(patient, index, context);
+    if (options.onResult) {
+      options.onResult(row);
+    }
+    return row;
+  });
+
+  return {
+    results,
+    summary: summarizeResults(results)
+  };
+};
+
+module.exports = {
+  batchConfig,
+  scorePatient,
+  scorePatients,
+  summarizeResults,
+  createRunningTotals
+};
@@ -0,0 +1,150 @@
+jest.mock('../utils/logger');
+jest.mock('./inference');
+jest.mock('./auditLog');
+
+const { routePrediction } = require('./inference');
+const { recordAuditEvent, predictionAuditFields } = require('./auditLog');
+const { scorePatients, createRunningTotals } = require('./batchPrediction');
+
+const patient = (overrides = {}) => ({
+  Age: 52,
+  BMI: 27.5,
+  Waist_Circumference_cm: 94,
+  Physical_Activity_Hours_Week: 3,
+  Fasting_Glucose_mg_dL: 110,
+  HbA1c_percent: 5.6,
+  Systolic_BP_mmHg: 128,
+  Diastolic_BP_mmHg: 82,
+  Family_History_Diabetes: 0,
+  Hypertension: 0,
+  ...overrides
+});
+
+// Risk follows age so each row's result is predictable; counts calls in flight
+let inFlight;
+let peak;
+
+beforeEach(() => {
+  inFlight = 0;
+  peak = 0;
+  routePrediction.mockImplementation(async (patientData) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight--;
+
+    if (patientData.Age === 99) {
+      throw Object.assign(new Error('endpoint down'), { code: 'ServiceUnavailable' });
+    }
+    const probability = patientData.Age / 100;
+    return {
+      result: { probability, risk_level: probability >= 0.6 ? 'High' : probability >= 0.3 ? 'Moderate' : 'Low' },
+      cacheHit: false,
+      provider: { endpoint: 'stub' }
+    };
+  });
+  predictionAuditFields.mockReturnValue({});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+test('scores no more rows at once than the concurrency limit', async () => {
+  const patients = Array.from({ length: 9 }, (_, index) => patient({ Age: 20 + index }));
+
+  const { results } = await scorePatients(patients, { concurrency: 3 });
+
+  expect(peak).toBe(3);
+  expect(routePrediction).toHaveBeenCalledTimes(9);
+  expect(results.map(row => row.patient_index)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('reports invalid and failed rows without stopping the batch', async () => {
+  const { Age, ...missingAge } = patient();
+  const { results, summary } = await scorePatients([
+    patient({ Age: 25 }),
+    missingAge,
+    patient({ BMI: 90 }),
+    patient({ Age: 99 }),
+    patient({ Age: 70 })
+  ]);
+
+  expect(results[1]).toEqual({
+    patient_index: 1,
+    status: 'invalid',
+    error: 'Missing required fields',
+    missing_fields: ['Age'],
+    validation_errors: undefined
+  });
+  expect(results[2]).toMatchObject({ status: 'invalid', error: 'Invalid data ranges', validation_errors: [expect.stringMatching(/BMI/)] });
+  expect(results[3]).toMatchObject({ status: 'failed', error: 'endpoint down', error_code: 'ServiceUnavailable' });
+  expect(routePrediction).toHaveBeenCalledTimes(3);
+
+  expect(summary).toEqual({
+    total_patients: 5,
+    successful_predictions: 2,
+    failed_predictions: 1,
+    invalid_rows: 2,
+    risk_level_distribution: { Low: 1, High: 1 },
+    probability: { mean: 0.475, min: 0.25, max: 0.7 }
+  });
+});
+
+test('scores plausibility warnings and imputed rows but reports them', async () => {
+  const { HbA1c_percent: hba1c, ...withoutHbA1c } = patient();
+  const { results } = await scorePatients([patient({ Fasting_Glucose_mg_dL: 250 }), withoutHbA1c], { allowImputation: true });
+
+  expect(results[0]).toMatchObject({ status: 'success', validation_warnings: [expect.objectContaining({ rule: 'hba1c_glucose_mismatch' })] });
+  expect(results[1]).toMatchObject({
+    status: 'success',
+    imputed_fields: [expect.objectContaining({ field: 'HbA1c_percent' })],
+    confidence: { level: 'high', imputed_count: 1 }
+  });
+});
+
+test('audits each scored row and streams rows as they finish', async () => {
+  const onResult = jest.fn();
+  await scorePatients([patient(), patient({ Age: 99 }), { Age: 40 }], {
+    onResult,
+    audit: { actor: { type: 'api_key', id: 'ak_1' }, batchId: 'batch_1' }
+  });
+
+  expect(onResult).toHaveBeenCalledTimes(3);
+  expect(recordAuditEvent.mock.calls.map(([type, fields]) => [type, fields.row, fields.status])).toEqual([
+    ['batch_prediction', 0, 'success'],
+    ['batch_prediction', 1, 'failed']
+  ]);
+});
+
+test('skips the remaining rows once cancelled', async () => {
+  const controller = new AbortController();
+  const { results, summary } = await scorePatients([patient(), patient(), patient()], {
+    concurrency: 1,
+    signal: controller.signal,
+    onResult: () => controller.abort()
+  });
+
+  expect(results.map(row => row.status)).toEqual(['success', 'cancelled', 'cancelled']);
+  expect(summary).toMatchObject({ total_patients: 3, successful_predictions: 1 });
+});
+
+test('running totals match the final summary', async () => {
+  const totals = createRunningTotals(4);
+  const { results, summary } = await scorePatients([patient({ Age: 25 }), patient({ Age: 45 }), patient({ Age: 99 }), {}], {
+    onResult: totals.add
+  });
+
+  expect(results).toHaveLength(4);
+  expect(totals.snapshot()).toEqual({
+    total_patients: 4,
+    processed_patients: 4,
+    successful_predictions: summary.successful_predictions,
+    failed_predictions: summary.failed_predictions,
+    invalid_rows: summary.invalid_rows,
+    risk_level_distribution: summary.risk_level_distribution,
+    mean_probability: summary.probability.mean,
+    percent_complete: 100
+  });
+  expect(createRunningTotals(0).snapshot().percent_complete).toBe(100);
+});
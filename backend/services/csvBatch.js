@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const { requiredFields } = require('../middleware/validation');
+const { getBinaryFields } = require('./featureSchema');
+require('dotenv').config();
+
+const DEFAULT_ALIASES_PATH = path.join(__dirname, '..', 'config', 'csv-header-aliases.json');
+
+// Binary columns often hold yes/no text in spreadsheets
+const BINARY_VALUES = { yes: 1, y: 1, true: 1, no: 0, n: 0, false: 0 };
+
+// Columns appended to the downloaded CSV
+const RESULT_COLUMNS = ['risk_level', 'probability', 'status', 'error', 'warnings', 'imputed', 'confidence'];
+
+// Compare headers ignoring case, spaces and punctuation ("Fasting Glucose (mg/dL)" ~ "fastingglucosemgdl")
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Default aliases, extended (not replaced) by the file named in CSV_HEADER_ALIASES_PATH
+const loadHeaderAliases = () => {
+  const aliases = JSON.parse(fs.readFileSync(DEFAULT_ALIASES_PATH, 'utf8'));
+
+  if (process.env.CSV_HEADER_ALIASES_PATH) {
+    const custom = JSON.parse(fs.readFileSync(path.resolve(process.env.CSV_HEADER_ALIASES_PATH), 'utf8'));
+    Object.entries(custom).forEach(([field, fieldAliases]) => {
+      aliases[field] = [...(aliases[field] || []), ...fieldAliases];
+    });
+  }
+
+  return aliases;
+};
+
+// Build normalized header -> feature name lookup
+const buildHeaderLookup = (aliases) => {
+  const lookup = {};
+  requiredFields.forEach(field => {
+    lookup[normalizeHeader(field)] = field;
+    (aliases[field] || []).forEach(alias => {
+      lookup[normalizeHeader(alias)] = field;
+    });
+  });
+  return lookup;
+};
+
+// Map parsed CSV rows (first row = headers) onto patient objects keyed by feature name
+const mapRowsToPatients = (rows, aliases = loadHeaderAliases()) => {
+  const [headers = [], ...dataRows] = rows;
+  const lookup = buildHeaderLookup(aliases);
+  const binaryFields = getBinaryFields();
+
+  // feature name -> column index; the first matching column wins
+  const columnMap = {};
+  headers.forEach((header, index) => {
+    const field = lookup[normalizeHeader(header)];
+    if (field && columnMap[field] === undefined) {
+      columnMap[field] = index;
+    }
+  });
+
+  const missingColumns = requiredFields.filter(field => columnMap[field] === undefined);
+
+  const patients = dataRows.map(row => {
+    const patient = {};
+    Object.entries(columnMap).forEach(([field, index]) => {
+      let value = (row[index] || '').trim();
+      if (binaryFields.includes(field) && BINARY_VALUES[value.toLowerCase()] !== undefined) {
+        value = BINARY_VALUES[value.toLowerCase()];
+      }
+      patient[field] = value;
+    });
+    return patient;
+  });
+
+  return {
+    headers,
+    dataRows,
+    columnMap,
+    missingColumns,
+    patients
+  };
+};
+
+// Flatten a row outcome's error details into a single cell
+const describeError = (outcome) => {
+  if (!outcome || outcome.status === 'success') {
+    return '';
+  }
+  const parts = [outcome.error];
+  if (outcome.missing_fields) {
+    parts.push(`missing: ${outcome.missing_fields.join(' ')}`);
+  }
+  return [...parts, ...(outcome.validation_errors || [])].filter(Boolean).join('; ');
+};
+
+// Original columns plus the result columns for every row
+const buildResultRows = (headers, dataRows, results) => [
+  [...headers, ...RESULT_COLUMNS],
+  ...dataRows.map((row, index) => {
+    const outcome = results[index] || {};
+    const result = outcome.result || {};
+
+    return [
+      ...headers.map((header, column) => row[column] ?? ''),
+      result.risk_level ?? '',
+      result.probability ?? '',
+      outcome.status || '',
+      describeError(outcome),
+      (outcome.validation_warnings || []).map(warning => warning.message).join('; '),
+      (outcome.imputed_fields || []).map(imputed => `${imputed.field}=${imputed.value}`).join('; '),
+      outcome.confidence ? outcome.confidence.score : ''
+    ];
+  })
+];
+
+module.exports = {
+  RESULT_COLUMNS,
+  normalizeHeader,
+  loadHeaderAliases,
+  mapRowsToPatients,
+  buildResultRows
+};
@@ -0,0 +1,45 @@
+const { normalizeHeader, mapRowsToPatients, buildResultRows, RESULT_COLUMNS } = require('./csvBatch');
+
+jest.mock('../utils/logger');
+
+describe('normalizeHeader', () => {
+  test('ignores case, spaces and punctuation', () => {
+    expect(normalizeHeader('Fasting Glucose (mg/dL)')).toBe('fastingglucosemgdl');
+  });
+});
+
+describe('mapRowsToPatients', () => {
+  test('maps aliased headers and yes/no binary values onto features', () => {
+    const { patients, columnMap, missingColumns } = mapRowsToPatients([
+      ['patient_age', 'Fasting Glucose', 'Hypertension', 'Notes'],
+      [' 52 ', '130', 'Yes', 'ignored'],
+      ['61', '98', 'no', '']
+    ]);
+
+    expect(columnMap).toEqual({ Age: 0, Fasting_Glucose_mg_dL: 1, Hypertension: 2 });
+    expect(patients).toEqual([
+      { Age: '52', Fasting_Glucose_mg_dL: '130', Hypertension: 1 },
+      { Age: '61', Fasting_Glucose_mg_dL: '98', Hypertension: 0 }
+    ]);
+    expect(missingColumns).toContain('BMI');
+    expect(missingColumns).not.toContain('Age');
+  });
+
+  test('takes the first of two columns for the same feature', () => {
+    const { patients } = mapRowsToPatients([['age', 'Age'], ['40', '50']]);
+    expect(patients[0].Age).toBe('40');
+  });
+});
+
+describe('buildResultRows', () => {
+  test('appends result columns to the original rows', () => {
+    const rows = buildResultRows(['Age'], [['52'], ['x']], [
+      { status: 'success', result: { risk_level: 'Low Risk', probability: 0.12 } },
+      { status: 'error', error: 'Validation failed', missing_fields: ['BMI'], validation_errors: ['Age must be a number'] }
+    ]);
+
+    expect(rows[0]).toEqual(['Age', ...RESULT_COLUMNS]);
+    expect(rows[1].slice(0, 4)).toEqual(['52', 'Low Risk', 0.12, 'success']);
+    expect(rows[2][4]).toBe('Validation failed; missing: BMI; Age must be a number');
+  });
+});
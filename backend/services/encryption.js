@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// At-rest encryption for stored records that hold PHI (batch jobs, saved assessments).
+// AES-256-GCM, so tampered ciphertext fails to decrypt instead of yielding altered data.
+// There is no default location: a key generated next to the records it protects would be
+// copied, backed up and leaked along with them.
+const encryptionConfig = {
+  // Key set file, kept outside the data directory (a secrets mount, for instance)
+  keysPath: process.env.ENCRYPTION_KEYS_PATH ? path.resolve(process.env.ENCRYPTION_KEYS_PATH) : null,
+  // Or a single key (base64, 32 bytes) from the environment; rotation needs the key set file
+  key: process.env.ENCRYPTION_KEY || null
+};
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+// Key set file: { "active_kid": "...", "keys": [{ "kid", "key" (base64, 32 bytes), "created_at" }] }.
+// New records use the active key; every record names its key id so older keys keep
+// decrypting until the rotation script has re-encrypted everything and retired them.
+let keySet = null;
+let keySetMtime = null;
+
+const NOT_CONFIGURED = 'Record encryption is not configured: set ENCRYPTION_KEYS_PATH to a key set file ' +
+  '(create one with `npm run encryption:rotate -- --init`) or ENCRYPTION_KEY to a base64 32-byte key';
+
+const newKey = () => ({
+  kid: `ek_${crypto.randomBytes(4).toString('hex')}`,
+  key: crypto.randomBytes(KEY_BYTES).toString('base64'),
+  created_at: new Date().toISOString()
+});
+
+// Same temp file + rename write as the other stores
+const saveKeySet = (keys) => {
+  const keysPath = requireKeysPath();
+  fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+  const temp = `${keysPath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, keysPath);
+  keySet = null;
+};
+
+// ENCRYPTION_KEY as a one-key set; its id is derived from the key so it stays the same
+// across restarts and can be carried into a key set file by --init
+const envKeyEntry = () => ({
+  kid: `ek_${crypto.createHash('sha256').update(encryptionConfig.key).digest('hex').slice(0, 8)}`,
+  key: encryptionConfig.key,
+  created_at: null
+});
+
+const requireKeysPath = () => {
+  if (!encryptionConfig.keysPath) {
+    throw new Error('Set ENCRYPTION_KEYS_PATH to manage the encryption key set');
+  }
+  return encryptionConfig.keysPath;
+};
+
+const validateKeySet = (loaded, source) => {
+  const invalid = loaded.keys.filter(entry => !entry.kid || Buffer.from(entry.key || '', 'base64').length !== KEY_BYTES);
+  if (invalid.length > 0 || !loaded.keys.some(entry => entry.kid === loaded.active_kid)) {
+    throw new Error(`Invalid encryption key set in ${source}`);
+  }
+  return loaded;
+};
+
+// Reloaded whenever the file changes, so a rotation takes effect in a running server
+const loadKeySet = () => {
+  if (!encryptionConfig.keysPath) {
+    if (!encryptionConfig.key) {
+      throw new Error(NOT_CONFIGURED);
+    }
+    if (!keySet) {
+      const entry = envKeyEntry();
+      keySet = validateKeySet({ active_kid: entry.kid, keys: [entry] }, 'ENCRYPTION_KEY');
+    }
+    return keySet;
+  }
+
+  if (!fs.existsSync(encryptionConfig.keysPath)) {
+    throw new Error(`Encryption key set ${encryptionConfig.keysPath} not found - restore it from backup, or create one with \`npm run encryption:rotate -- --init\``);
+  }
+
+  const mtime = fs.statSync(encryptionConfig.keysPath).mtimeMs;
+  if (keySet && mtime === keySetMtime) {
+    return keySet;
+  }
+
+  keySet = validateKeySet(JSON.parse(fs.readFileSync(encryptionConfig.keysPath, 'utf8')), encryptionConfig.keysPath);
+  keySetMtime = mtime;
+  return keySet;
+};
+
+const findKey = (kid) => {
+  const entry = loadKeySet().keys.find(key => key.kid === kid);
+  if (!entry) {
+    throw new Error(`Unknown encryption key: ${kid}`);
+  }
+  return Buffer.from(entry.key, 'base64');
+};
+
+const activeKeyId = () => loadKeySet().active_kid;
+
+// Encrypt a JSON-serializable value. `context` (e.g. "job:<id>") is bound as additional
+// authenticated data, so a ciphertext copied onto another record does not decrypt.
+const encryptRecord = (value, context) => {
+  const kid = activeKeyId();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, findKey(kid), iv);
+  cipher.setAAD(Buffer.from(context));
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return {
+    alg: ALGORITHM,
+    kid,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: ciphertext.toString('base64')
+  };
+};
+
+const decryptRecord = (envelope, context) => {
+  if (!envelope || envelope.alg !== ALGORITHM) {
+    throw new Error('Unsupported encrypted record format');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, findKey(envelope.kid), Buffer.from(envelope.iv, 'base64'));
+  decipher.setAAD(Buffer.from(context));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+  const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+// Create the key set file at ENCRYPTION_KEYS_PATH. An ENCRYPTION_KEY in use is carried over
+// as the active key, so records it encrypted stay readable once the file takes over.
+const initEncryptionKeySet = () => {
+  const keysPath = requireKeysPath();
+  if (fs.existsSync(keysPath)) {
+    throw new Error(`${keysPath} already exists`);
+  }
+  const key = encryptionConfig.key ? { ...envKeyEntry(), created_at: new Date().toISOString() } : newKey();
+  validateKeySet({ active_kid: key.kid, keys: [key] }, 'ENCRYPTION_KEY');
+  saveKeySet({ active_kid: key.kid, keys: [key] });
+  logger.warn('Created a record encryption key set - back it up, records cannot be read without it', {
+    path: keysPath,
+    kid: key.kid
+  });
+  return key.kid;
+};
+
+// Add a new key and make it active; earlier keys stay for decryption
+const addEncryptionKey = () => {
+  requireKeysPath();
+  const current = loadKeySet();
+  const key = newKey();
+  saveKeySet({ active_kid: key.kid, keys: [...current.keys, key] });
+  return key.kid;
+};
+
+// Drop a key that no record uses any more; the active key cannot be retired
+const retireEncryptionKey = (kid) => {
+  requireKeysPath();
+  const current = loadKeySet();
+  if (kid === current.active_kid) {
+    throw new Error(`${kid} is the active key`);
+  }
+  if (!current.keys.some(key => key.kid === kid)) {
+    throw new Error(`Unknown encryption key: ${kid}`);
+  }
+  saveKeySet({ ...current, keys: current.keys.filter(key => key.kid !== kid) });
+};
+
+const listEncryptionKeys = () => {
+  const { active_kid: activeKid, keys } = loadKeySet();
+  return keys.map(({ kid, created_at: createdAt }) => ({ kid, created_at: createdAt, active: kid === activeKid }));
+};
+
+module.exports = {
+  encryptionConfig,
+  encryptRecord,
+  decryptRecord,
+  activeKeyId,
+  initEncryptionKeySet,
+  addEncryptionKey,
+  retireEncryptionKey,
+  listEncryptionKeys
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+jest.mock('../utils/logger');
+
+// Fresh module state for each configuration
+const loadEncryption = (env) => {
+  delete process.env.ENCRYPTION_KEYS_PATH;
+  delete process.env.ENCRYPTION_KEY;
+  Object.assign(process.env, env);
+  let encryption;
+  jest.isolateModules(() => {
+    encryption = require('./encryption');
+  });
+  return encryption;
+};
+
+const tempKeysPath = () => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'enc-keys-')), 'encryption-keys.json');
+
+const withKeySet = () => {
+  const encryption = loadEncryption({ ENCRYPTION_KEYS_PATH: tempKeysPath() });
+  encryption.initEncryptionKeySet();
+  return encryption;
+};
+
+afterAll(() => {
+  delete process.env.ENCRYPTION_KEYS_PATH;
+  delete process.env.ENCRYPTION_KEY;
+});
+
+test('round-trips a record under the active key', () => {
+  const { encryptRecord, decryptRecord, activeKeyId } = withKeySet();
+  const envelope = encryptRecord({ Age: 52, name: 'Jane Doe' }, 'job:job_1');
+
+  expect(envelope).toMatchObject({ alg: 'aes-256-gcm', kid: activeKeyId() });
+  expect(envelope.data).not.toContain('Jane');
+  expect(decryptRecord(envelope, 'job:job_1')).toEqual({ Age: 52, name: 'Jane Doe' });
+});
+
+test('binds the ciphertext to its record and detects tampering', () => {
+  const { encryptRecord, decryptRecord } = withKeySet();
+  const envelope = encryptRecord({ Age: 52 }, 'job:job_1');
+
+  expect(() => decryptRecord(envelope, 'job:job_2')).toThrow();
+
+  const data = Buffer.from(envelope.data, 'base64');
+  data[0] ^= 1;
+  expect(() => decryptRecord({ ...envelope, data: data.toString('base64') }, 'job:job_1')).toThrow();
+  expect(() => decryptRecord({ ...envelope, alg: 'aes-128-cbc' }, 'job:job_1')).toThrow('Unsupported encrypted record format');
+});
+
+test('keeps decrypting old records after a new key is added', () => {
+  const { encryptRecord, decryptRecord, addEncryptionKey, listEncryptionKeys } = withKeySet();
+  const old = encryptRecord({ Age: 40 }, 'assessment:a');
+  const newKid = addEncryptionKey();
+
+  expect(encryptRecord({ Age: 41 }, 'assessment:b').kid).toBe(newKid);
+  expect(decryptRecord(old, 'assessment:a')).toEqual({ Age: 40 });
+  expect(listEncryptionKeys().filter(key => key.active).map(key => key.kid)).toEqual([newKid]);
+});
+
+test('retires only inactive, known keys', () => {
+  const { encryptRecord, decryptRecord, addEncryptionKey, retireEncryptionKey, activeKeyId } = withKeySet();
+  const oldKid = activeKeyId();
+  const old = encryptRecord({ Age: 40 }, 'assessment:a');
+  addEncryptionKey();
+
+  expect(() => retireEncryptionKey(activeKeyId())).toThrow('is the active key');
+  expect(() => retireEncryptionKey('ek_missing')).toThrow('Unknown encryption key: ek_missing');
+
+  retireEncryptionKey(oldKid);
+  expect(() => decryptRecord(old, 'assessment:a')).toThrow(`Unknown encryption key: ${oldKid}`);
+});
+
+test('refuses to run unconfigured or without its key set file', () => {
+  expect(() => loadEncryption({}).activeKeyId()).toThrow(/Record encryption is not configured/);
+  expect(() => loadEncryption({ ENCRYPTION_KEYS_PATH: tempKeysPath() }).activeKeyId()).toThrow(/not found/);
+});
+
+test('init never overwrites an existing key set', () => {
+  const encryption = withKeySet();
+  expect(() => encryption.initEncryptionKeySet()).toThrow('already exists');
+});
+
+test('uses ENCRYPTION_KEY alone and carries it into a key set on init', () => {
+  const key = crypto.randomBytes(32).toString('base64');
+  const envOnly = loadEncryption({ ENCRYPTION_KEY: key });
+  const envelope = envOnly.encryptRecord({ Age: 60 }, 'job:job_1');
+  expect(() => envOnly.addEncryptionKey()).toThrow(/ENCRYPTION_KEYS_PATH/);
+
+  const migrated = loadEncryption({ ENCRYPTION_KEY: key, ENCRYPTION_KEYS_PATH: tempKeysPath() });
+  expect(migrated.initEncryptionKeySet()).toBe(envelope.kid);
+  expect(migrated.decryptRecord(envelope, 'job:job_1')).toEqual({ Age: 60 });
+});
+
+test('rejects a malformed ENCRYPTION_KEY', () => {
+  expect(() => loadEncryption({ ENCRYPTION_KEY: 'too-short' }).activeKeyId()).toThrow(/Invalid encryption key set/);
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'feature-schema.json');
+
+const FEATURE_TYPES = ['number', 'binary'];
+
+let schema = null;
+
+// Load the versioned feature schema once; it drives validation here and the form in the frontend
+const loadFeatureSchema = () => {
+  if (schema) {
+    return schema;
+  }
+
+  const schemaPath = path.resolve(process.env.FEATURE_SCHEMA_PATH || DEFAULT_SCHEMA_PATH);
+  const loaded = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+
+  if (!loaded.version || !Array.isArray(loaded.features) || loaded.features.length === 0) {
+    throw new Error(`Feature schema ${schemaPath} must define a version and at least one feature`);
+  }
+
+  loaded.features.forEach(feature => {
+    if (!FEATURE_TYPES.includes(feature.type)) {
+      throw new Error(`Feature ${feature.name} has unknown type "${feature.type}"`);
+    }
+    if (feature.type === 'number' && (typeof feature.min !== 'number' || typeof feature.max !== 'number')) {
+      throw new Error(`Numeric feature ${feature.name} must define min and max`);
+    }
+  });
+
+  schema = loaded;
+  return schema;
+};
+
+const getFeatureNames = () => loadFeatureSchema().features.map(feature => feature.name);
+
+const getBinaryFields = () => loadFeatureSchema().features
+  .filter(feature => feature.type === 'binary')
+  .map(feature => feature.name);
+
+// Features that opt-in imputation can fill when missing
+const getImputableFields = () => loadFeatureSchema().features
+  .filter(feature => feature.imputation)
+  .map(feature => feature.name);
+
+// Numeric features that opt in to per-patient trend charts (lab values and measurements)
+const getTrendFeatures = () => loadFeatureSchema().features
+  .filter(feature => feature.trend && feature.type === 'number');
+
+// Range/type check for one present value; returns an error message or null
+const checkFeatureValue = (feature, value) => {
+  const number = Number(value);
+
+  if (feature.type === 'binary') {
+    return [0, 1].includes(number) ? null : `${feature.name} must be 0 or 1`;
+  }
+
+  if (typeof value === 'boolean' || isNaN(number) || number < feature.min || number > feature.max) {
+    return `${feature.label} must be a number between ${feature.min} and ${feature.max} ${feature.unit}`.trim();
+  }
+  return null;
+};
+
+module.exports = {
+  loadFeatureSchema,
+  getFeatureNames,
+  getBinaryFields,
+  getImputableFields,
+  getTrendFeatures,
+  checkFeatureValue
+};
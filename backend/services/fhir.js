@@ -0,0 +1,443 @@
+const crypto = require('crypto');
+const fhirCodes = require('../config/fhir-codes.json');
+const { loadFeatureSchema } = require('./featureSchema');
+const { convertInput, normalizeUnit } = require('../utils/unitConversion');
+require('dotenv').config();
+
+// Identifier systems stamped on exported resources, so an EHR can match re-exports
+const fhirConfig = {
+  mrnSystem: process.env.FHIR_MRN_SYSTEM || 'urn:diabetes-prediction:mrn',
+  identifierSystem: process.env.FHIR_IDENTIFIER_SYSTEM || 'urn:diabetes-prediction'
+};
+
+const BUNDLE_TYPES = ['collection', 'transaction'];
+
+const UCUM_SYSTEM = 'http://unitsofmeasure.org';
+const OBSERVATION_CATEGORY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const RISK_PROBABILITY_SYSTEM = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+
+const CATEGORY_DISPLAY = {
+  laboratory: 'Laboratory',
+  'vital-signs': 'Vital Signs'
+};
+
+const LOINC_SYSTEM = 'http://loinc.org';
+
+// Observation statuses whose values can prefill an assessment
+const USABLE_STATUSES = ['final', 'amended', 'corrected', 'preliminary'];
+
+// LOINC code -> feature (or Height/Weight measurement): every exported code plus import-only
+// alternatives such as glucose in mmol/L
+const IMPORT_CODES = {
+  ...Object.fromEntries(fhirCodes.observations
+    .flatMap(mapping => mapping.components || [mapping])
+    .map(mapping => [mapping.code.code, mapping.feature])),
+  ...fhirCodes.import.codes
+};
+
+const RISK_DISPLAY = {
+  low: 'Low likelihood',
+  moderate: 'Moderate likelihood',
+  high: 'High likelihood'
+};
+
+// Deterministic urn:uuid per record, so re-exporting an assessment keeps its resource URLs
+const uuidFor = (seed) => {
+  const hex = crypto.createHash('sha256').update(seed).digest('hex');
+  const variant = ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16);
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${variant}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+};
+
+const identifier = (kind, value) => ({ system: `${fhirConfig.identifierSystem}:${kind}`, value });
+
+const quantity = (value, unit) => ({ value, unit: unit.display, system: UCUM_SYSTEM, code: unit.code });
+
+// Measured (not imputed) input value of a feature, or null
+const measuredValue = (assessment, feature, imputed) => {
+  const value = Number(assessment.input?.[feature]);
+  return imputed.has(feature) || assessment.input?.[feature] === undefined || !Number.isFinite(value) ? null : value;
+};
+
+const buildPatient = (patient) => {
+  const parts = patient.name.trim().split(/\s+/);
+  const family = parts.pop();
+  return {
+    resourceType: 'Patient',
+    identifier: [
+      identifier('patient', patient.id),
+      ...(patient.mrn ? [{ type: { text: 'MRN' }, system: fhirConfig.mrnSystem, value: patient.mrn }] : [])
+    ],
+    name: [{
+      text: patient.name,
+      family,
+      ...(parts.length > 0 ? { given: parts } : {})
+    }],
+    ...(patient.sex ? { gender: patient.sex } : {}),
+    ...(patient.date_of_birth ? { birthDate: patient.date_of_birth } : {})
+  };
+};
+
+// One Observation per mapped input; panels (blood pressure) carry their values as components.
+// Returns null when none of the observation's values were measured.
+const buildObservation = (mapping, assessment, patientUrl, imputed) => {
+  const base = {
+    resourceType: 'Observation',
+    identifier: [identifier('observation', `${assessment.id}-${mapping.id}`)],
+    status: 'final',
+    category: [{
+      coding: [{ system: OBSERVATION_CATEGORY_SYSTEM, code: mapping.category, display: CATEGORY_DISPLAY[mapping.category] }]
+    }],
+    code: { coding: [mapping.code], text: mapping.code.display },
+    subject: { reference: patientUrl },
+    effectiveDateTime: assessment.created_at,
+    issued: assessment.created_at
+  };
+
+  if (mapping.components) {
+    const component = mapping.components
+      .map(part => ({ part, value: measuredValue(assessment, part.feature, imputed) }))
+      .filter(({ value }) => value !== null)
+      .map(({ part, value }) => ({ code: { coding: [part.code], text: part.code.display }, valueQuantity: quantity(value, part.unit) }));
+    return component.length > 0 ? { ...base, component } : null;
+  }
+
+  const value = measuredValue(assessment, mapping.feature, imputed);
+  return value === null ? null : { ...base, valueQuantity: quantity(value, mapping.unit) };
+};
+
+const buildRiskAssessment = (assessment, patientUrl, observationUrls) => {
+  const riskCode = fhirCodes.risk_levels[assessment.result.risk_level];
+  const labels = Object.fromEntries(loadFeatureSchema().features.map(feature => [feature.name, feature]));
+  const imputedNotes = (assessment.imputed_fields || []).map(entry => ({
+    text: `${labels[entry.field]?.label || entry.field} was not measured: imputed as ${entry.value}${entry.unit ? ` ${entry.unit}` : ''} (${entry.description})`
+  }));
+
+  return {
+    resourceType: 'RiskAssessment',
+    identifier: [identifier('assessment', assessment.id)],
+    status: 'final',
+    subject: { reference: patientUrl },
+    occurrenceDateTime: assessment.created_at,
+    method: {
+      text: assessment.model ? `${assessment.model.id} v${assessment.model.version}` : `${assessment.provider} ${assessment.endpoint}`
+    },
+    ...(observationUrls.length > 0 ? { basis: observationUrls.map(reference => ({ reference })) } : {}),
+    prediction: [{
+      outcome: { coding: [fhirCodes.outcome], text: fhirCodes.outcome.display },
+      // FHIR expresses decimal probabilities as percentages (0-100)
+      probabilityDecimal: Math.round(assessment.result.probability * 10000) / 100,
+      qualitativeRisk: {
+        coding: [{ system: RISK_PROBABILITY_SYSTEM, code: riskCode, display: RISK_DISPLAY[riskCode] }],
+        text: assessment.result.risk_level
+      }
+    }],
+    ...(imputedNotes.length > 0 ? { note: imputedNotes } : {})
+  };
+};
+
+// Conditional creates keep a re-sent transaction from duplicating records in the EHR; the last
+// identifier is the most specific one (the MRN for patients that have one)
+const transactionRequest = (resource) => {
+  const match = resource.identifier[resource.identifier.length - 1];
+  return {
+    method: 'POST',
+    url: resource.resourceType,
+    ifNoneExist: `identifier=${encodeURIComponent(`${match.system}|${match.value}`)}`
+  };
+};
+
+// FHIR R4 Bundle for one assessment: Patient, an Observation per measured input (LOINC codes,
+// UCUM units) and the RiskAssessment based on them. Imputed inputs are not sent as Observations.
+const buildAssessmentBundle = (assessment, patient, { type = 'collection' } = {}) => {
+  const imputed = new Set((assessment.imputed_fields || []).map(entry => entry.field));
+  const patientUrl = uuidFor(`patient:${patient.id}`);
+
+  const observations = fhirCodes.observations
+    .map(mapping => ({ mapping, resource: buildObservation(mapping, assessment, patientUrl, imputed) }))
+    .filter(({ resource }) => resource !== null)
+    .map(({ mapping, resource }) => ({ fullUrl: uuidFor(`observation:${assessment.id}:${mapping.id}`), resource }));
+
+  const entries = [
+    { fullUrl: patientUrl, resource: buildPatient(patient) },
+    ...observations,
+    {
+      fullUrl: uuidFor(`assessment:${assessment.id}`),
+      resource: buildRiskAssessment(assessment, patientUrl, observations.map(entry => entry.fullUrl))
+    }
+  ];
+
+  return {
+    resourceType: 'Bundle',
+    identifier: identifier('bundle', assessment.id),
+    type,
+    timestamp: new Date().toISOString(),
+    entry: type === 'transaction'
+      ? entries.map(entry => ({ ...entry, request: transactionRequest(entry.resource) }))
+      : entries
+  };
+};
+
+// Problems with the base FHIR JSON rules (no null or empty values, required elements, code
+// values, references that resolve inside the bundle); an empty list means the bundle is valid
+const checkBundleStructure = (bundle) => {
+  const problems = [];
+
+  const checkValues = (value, location) => {
+    if (value === null || value === undefined || value === '') {
+      problems.push(`${location} is empty`);
+    } else if (Array.isArray(value)) {
+      if (value.length === 0) problems.push(`${location} is an empty array`);
+      value.forEach((item, index) => checkValues(item, `${location}[${index}]`));
+    } else if (typeof value === 'object') {
+      if (Object.keys(value).length === 0) problems.push(`${location} is an empty object`);
+      Object.entries(value).forEach(([key, item]) => checkValues(item, `${location}.${key}`));
+    } else if (typeof value === 'number' && !Number.isFinite(value)) {
+      problems.push(`${location} is not a finite number`);
+    }
+  };
+  checkValues(bundle, 'Bundle');
+
+  if (bundle.resourceType !== 'Bundle') problems.push('resourceType must be Bundle');
+  if (!BUNDLE_TYPES.includes(bundle.type)) problems.push(`Bundle.type must be one of: ${BUNDLE_TYPES.join(', ')}`);
+
+  const entries = Array.isArray(bundle.entry) ? bundle.entry : [];
+  const fullUrls = new Set(entries.map(entry => entry.fullUrl));
+
+  const checkReference = (reference, location) => {
+    if (!reference || !fullUrls.has(reference.reference)) problems.push(`${location} does not resolve within the bundle`);
+  };
+  const checkQuantity = (valueQuantity, location) => {
+    if (typeof valueQuantity?.value !== 'number' || valueQuantity.system !== UCUM_SYSTEM || !valueQuantity.code) {
+      problems.push(`${location} must have a numeric value and a UCUM code`);
+    }
+  };
+  const checkCoded = (concept, location) => {
+    if (!concept?.coding?.every(coding => coding.system && coding.code)) problems.push(`${location} needs a coding with system and code`);
+  };
+
+  entries.forEach((entry, index) => {
+    const location = `Bundle.entry[${index}]`;
+    const resource = entry.resource || {};
+    if (!/^urn:uuid:[0-9a-f-]{36}$/.test(entry.fullUrl || '')) problems.push(`${location}.fullUrl must be a urn:uuid`);
+    if (bundle.type === 'transaction' && !(entry.request?.method && entry.request?.url)) {
+      problems.push(`${location}.request needs method and url in a transaction`);
+    }
+
+    switch (resource.resourceType) {
+      case 'Patient':
+        if (resource.gender && !['male', 'female', 'other', 'unknown'].includes(resource.gender)) problems.push(`${location} Patient.gender is not a FHIR gender code`);
+        if (resource.birthDate && !/^\d{4}-\d{2}-\d{2}$/.test(resource.birthDate)) problems.push(`${location} Patient.birthDate must be YYYY-MM-DD`);
+        break;
+      case 'Observation':
+        if (!['registered', 'preliminary', 'final', 'amended'].includes(resource.status)) problems.push(`${location} Observation.status is invalid`);
+        checkCoded(resource.code, `${location} Observation.code`);
+        checkReference(resource.subject, `${location} Observation.subject`);
+        if (resource.component) {
+          resource.component.forEach((component, position) => {
+            checkCoded(component.code, `${location} Observation.component[${position}].code`);
+            checkQuantity(component.valueQuantity, `${location} Observation.component[${position}].valueQuantity`);
+          });
+        } else {
+          checkQuantity(resource.valueQuantity, `${location} Observation.valueQuantity`);
+        }
+        break;
+      case 'RiskAssessment':
+        if (!['registered', 'preliminary', 'final', 'amended'].includes(resource.status)) problems.push(`${location} RiskAssessment.status is invalid`);
+        checkReference(resource.subject, `${location} RiskAssessment.subject`);
+        (resource.basis || []).forEach((basis, position) => checkReference(basis, `${location} RiskAssessment.basis[${position}]`));
+        (resource.prediction || []).forEach((prediction, position) => {
+          const probability = prediction.probabilityDecimal;
+          if (typeof probability !== 'number' || probability < 0 || probability > 100) {
+            problems.push(`${location} RiskAssessment.prediction[${position}].probabilityDecimal must be 0-100`);
+          }
+        });
+        break;
+      default:
+        problems.push(`${location} has unexpected resourceType ${resource.resourceType}`);
+    }
+  });
+
+  return problems;
+};
+
+const invalidBundle = (message) => {
+  const error = new Error(message);
+  error.code = 'InvalidBundle';
+  return error;
+};
+
+const loincCode = (concept) => (concept?.coding || []).find(coding => coding.system === LOINC_SYSTEM && coding.code);
+
+// When the value was taken; undated observations lose to dated ones
+const effectiveTime = (observation) => {
+  const time = Date.parse(observation.effectiveDateTime || observation.effectiveInstant ||
+    observation.effectivePeriod?.end || observation.effectivePeriod?.start || observation.issued);
+  return Number.isNaN(time) ? -Infinity : time;
+};
+
+// Quantity as a schema unit-tagged value; UCUM codes are translated to the schema's unit names
+const toTaggedValue = (valueQuantity) => {
+  const unit = valueQuantity.system === UCUM_SYSTEM && valueQuantity.code ? valueQuantity.code : valueQuantity.unit;
+  return { value: valueQuantity.value, unit: fhirCodes.import.ucum_units[unit] || unit };
+};
+
+// Whole years between a YYYY-MM-DD birth date and `now`; partial FHIR dates give null
+const ageOn = (birthDate, now) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(birthDate || '')) return null;
+  const [year, month, day] = birthDate.split('-').map(Number);
+  const birthdayPassed = now.getUTCMonth() + 1 > month || (now.getUTCMonth() + 1 === month && now.getUTCDate() >= day);
+  return now.getUTCFullYear() - year - (birthdayPassed ? 0 : 1);
+};
+
+const summarizePatient = (patient) => {
+  const name = patient.name?.[0];
+  const mrn = (patient.identifier || []).find(id =>
+    id.system === fhirConfig.mrnSystem || id.type?.text === 'MRN' || (id.type?.coding || []).some(coding => coding.code === 'MR'));
+  return {
+    name: name ? name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') : null,
+    birth_date: patient.birthDate || null,
+    gender: patient.gender || null,
+    mrn: mrn ? mrn.value : null
+  };
+};
+
+// Map a Bundle of Patient and Observation resources onto the prediction features. Per feature the
+// most recent Observation with a usable value wins. Returns
+//   { patient_data, sources, missing_features, ignored, patient }
+// where patient_data is a record for /api/predict (unit-tagged where the source unit differs).
+// Throws an InvalidBundle error when the input is not a usable Bundle.
+const readObservationBundle = (bundle, { now = new Date() } = {}) => {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw invalidBundle('Expected a FHIR Bundle with an entry array');
+  }
+
+  const schema = loadFeatureSchema();
+  const specs = Object.fromEntries([...schema.features, ...(schema.measurements || [])].map(spec => [spec.name, spec]));
+  const entries = bundle.entry.map((entry, index) => ({ index, fullUrl: entry?.fullUrl, resource: entry?.resource || {} }));
+
+  const patients = entries.filter(entry => entry.resource.resourceType === 'Patient');
+  if (patients.length > 1) {
+    throw invalidBundle(`The bundle describes ${patients.length} patients; send one patient per bundle`);
+  }
+  const patient = patients[0];
+  const patientReferences = patient
+    ? [patient.fullUrl, patient.resource.id && `Patient/${patient.resource.id}`].filter(Boolean)
+    : [];
+  const isAboutPatient = (reference) => !patient || !reference ||
+    patientReferences.some(known => reference === known || reference.endsWith(`/${known}`));
+
+  const ignored = [];
+  const candidates = {};
+
+  entries
+    .filter(entry => entry.resource.resourceType === 'Observation')
+    .forEach(({ index, resource }) => {
+      const code = loincCode(resource.code)?.code || null;
+      if (!USABLE_STATUSES.includes(resource.status)) {
+        ignored.push({ entry: index, code, reason: `status is ${resource.status || 'missing'}` });
+        return;
+      }
+      if (!isAboutPatient(resource.subject?.reference)) {
+        ignored.push({ entry: index, code, reason: 'subject is not the bundle\'s Patient' });
+        return;
+      }
+
+      // A panel (blood pressure) carries its values in components
+      const values = [
+        ...(resource.valueQuantity ? [{ concept: resource.code, valueQuantity: resource.valueQuantity }] : []),
+        ...(resource.component || [])
+          .filter(component => component.valueQuantity)
+          .map(component => ({ concept: component.code, valueQuantity: component.valueQuantity }))
+      ];
+      if (values.length === 0) {
+        ignored.push({ entry: index, code, reason: 'no valueQuantity' });
+        return;
+      }
+
+      values.forEach(({ concept, valueQuantity }) => {
+        const coding = loincCode(concept);
+        const target = coding && IMPORT_CODES[coding.code];
+        if (!target) {
+          ignored.push({ entry: index, code: coding?.code || null, reason: coding ? `no mapping for LOINC ${coding.code}` : 'no LOINC code' });
+          return;
+        }
+        (candidates[target] = candidates[target] || []).push({
+          entry: index,
+          code: coding.code,
+          display: coding.display || concept.text || null,
+          effective: effectiveTime(resource),
+          tagged: toTaggedValue(valueQuantity)
+        });
+      });
+    });
+
+  // Most recent first; fall back to an older value when the newer one's unit is not accepted
+  const patientData = {};
+  const sources = {};
+  Object.entries(candidates).forEach(([target, found]) => {
+    const chosen = found
+      .sort((a, b) => b.effective - a.effective)
+      .find(candidate => {
+        const { error } = convertInput(candidate.tagged, specs[target]);
+        if (error) ignored.push({ entry: candidate.entry, code: candidate.code, reason: error });
+        return !error;
+      });
+    if (!chosen) return;
+
+    const { value, unit } = chosen.tagged;
+    patientData[target] = normalizeUnit(unit) === normalizeUnit(specs[target].unit) ? value : { value, unit };
+    sources[target] = {
+      entry: chosen.entry,
+      loinc: chosen.code,
+      display: chosen.display,
+      value,
+      unit,
+      effective: Number.isFinite(chosen.effective) ? new Date(chosen.effective).toISOString() : null
+    };
+  });
+
+  // Height and weight only stand in for a missing BMI
+  const measurementNames = (schema.measurements || []).map(spec => spec.name);
+  const deriveBMI = patientData.BMI === undefined && measurementNames.every(name => patientData[name] !== undefined);
+  if (!deriveBMI) {
+    measurementNames.forEach(name => {
+      delete patientData[name];
+      delete sources[name];
+    });
+  }
+
+  const age = patient ? ageOn(patient.resource.birthDate, now) : null;
+  if (age !== null) {
+    patientData.Age = age;
+    sources.Age = { entry: patient.index, birth_date: patient.resource.birthDate };
+  }
+
+  const mappedFeatures = new Set([...Object.values(IMPORT_CODES), 'Age']);
+  const missingFeatures = schema.features
+    .filter(feature => patientData[feature.name] === undefined && !(feature.name === 'BMI' && deriveBMI))
+    .map(feature => {
+      let reason = 'no Observation in the bundle';
+      if (feature.name === 'Age') {
+        reason = !patient ? 'no Patient resource' : 'Patient.birthDate missing or not a full date';
+      } else if (!mappedFeatures.has(feature.name)) {
+        reason = 'no LOINC mapping; enter it by hand';
+      }
+      return { feature: feature.name, label: feature.label, reason };
+    });
+
+  return {
+    patient_data: patientData,
+    sources,
+    missing_features: missingFeatures,
+    ignored: ignored.sort((a, b) => a.entry - b.entry),
+    patient: patient ? summarizePatient(patient.resource) : null
+  };
+};
+
+module.exports = {
+  fhirConfig,
+  BUNDLE_TYPES,
+  buildAssessmentBundle,
+  checkBundleStructure,
+  readObservationBundle
+};
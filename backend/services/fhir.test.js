@@ -0,0 +1,199 @@
+const { buildAssessmentBundle, checkBundleStructure, readObservationBundle } = require('./fhir');
+
+jest.mock('../utils/logger');
+
+const patient = { id: 'pat_0123456789abcdef', name: 'Jane Q Doe', mrn: 'MRN-42', sex: 'female', date_of_birth: '1970-05-01' };
+
+const assessment = {
+  id: 'asm_0123456789abcdef',
+  created_at: '2026-03-02T10:00:00.000Z',
+  provider: 'local',
+  endpoint: 'local:diabetes-logistic-regression-local',
+  model: { id: 'local-lr', version: '1.0.0' },
+  input: {
+    Age: 55,
+    BMI: 31.2,
+    Waist_Circumference_cm: 104,
+    Fasting_Glucose_mg_dL: 132,
+    HbA1c_percent: 6.8,
+    Systolic_BP_mmHg: 142,
+    Diastolic_BP_mmHg: 91,
+    Family_History_Diabetes: 1,
+    Hypertension: 1,
+    Physical_Activity_Hours_Week: 2
+  },
+  imputed_fields: [{ field: 'Waist_Circumference_cm', value: 104, unit: 'cm', description: 'estimated from BMI' }],
+  result: { risk_level: 'High Risk', probability: 0.8123 }
+};
+
+const resourcesOf = (bundle, type) => bundle.entry.map(entry => entry.resource).filter(resource => resource.resourceType === type);
+const loinc = (resource) => resource.code.coding[0].code;
+
+describe('buildAssessmentBundle', () => {
+  test('builds a valid collection bundle', () => {
+    const bundle = buildAssessmentBundle(assessment, patient);
+
+    expect(bundle).toMatchObject({ resourceType: 'Bundle', type: 'collection' });
+    expect(checkBundleStructure(bundle)).toEqual([]);
+    expect(resourcesOf(bundle, 'Patient')[0]).toMatchObject({
+      name: [{ text: 'Jane Q Doe', family: 'Doe', given: ['Jane', 'Q'] }],
+      gender: 'female',
+      birthDate: '1970-05-01'
+    });
+  });
+
+  test('sends measured inputs as LOINC observations with UCUM units and leaves imputed ones out', () => {
+    const observations = resourcesOf(buildAssessmentBundle(assessment, patient), 'Observation');
+
+    expect(observations.map(loinc).sort()).toEqual(['1558-6', '39156-5', '4548-4', '85354-9']);
+    expect(observations.find(observation => loinc(observation) === '1558-6').valueQuantity)
+      .toEqual({ value: 132, unit: 'mg/dL', system: 'http://unitsofmeasure.org', code: 'mg/dL' });
+    expect(observations.find(observation => loinc(observation) === '85354-9').component.map(component => component.valueQuantity.value))
+      .toEqual([142, 91]);
+  });
+
+  test('reports the risk as a percentage and notes imputed inputs', () => {
+    const bundle = buildAssessmentBundle(assessment, patient);
+    const [risk] = resourcesOf(bundle, 'RiskAssessment');
+
+    expect(risk.prediction[0].probabilityDecimal).toBe(81.23);
+    expect(risk.prediction[0].qualitativeRisk.coding[0].code).toBe('high');
+    expect(risk.basis).toHaveLength(4);
+    expect(risk.note[0].text).toMatch(/not measured: imputed as 104 cm \(estimated from BMI\)/);
+  });
+
+  test('keeps resource URLs stable across exports', () => {
+    const urls = (bundle) => bundle.entry.map(entry => entry.fullUrl);
+    expect(urls(buildAssessmentBundle(assessment, patient))).toEqual(urls(buildAssessmentBundle(assessment, patient)));
+  });
+
+  test('adds conditional creates to a transaction bundle', () => {
+    const bundle = buildAssessmentBundle(assessment, patient, { type: 'transaction' });
+
+    expect(checkBundleStructure(bundle)).toEqual([]);
+    expect(bundle.entry[0].request).toEqual({
+      method: 'POST',
+      url: 'Patient',
+      ifNoneExist: `identifier=${encodeURIComponent('urn:diabetes-prediction:mrn|MRN-42')}`
+    });
+  });
+});
+
+describe('checkBundleStructure', () => {
+  test('reports empty values and dangling references', () => {
+    const bundle = buildAssessmentBundle(assessment, patient);
+    bundle.entry[0].resource.gender = '';
+    bundle.entry[1].resource.subject.reference = 'urn:uuid:missing';
+
+    const problems = checkBundleStructure(bundle);
+    expect(problems).toContain('Bundle.entry[0].resource.gender is empty');
+    expect(problems).toContain('Bundle.entry[1] Observation.subject does not resolve within the bundle');
+  });
+});
+
+describe('readObservationBundle', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+
+  const observation = (code, valueQuantity, extra = {}) => ({
+    resource: {
+      resourceType: 'Observation',
+      status: 'final',
+      code: { coding: [{ system: 'http://loinc.org', code }] },
+      subject: { reference: 'urn:uuid:patient' },
+      valueQuantity,
+      ...extra
+    }
+  });
+  const bundleOf = (...entries) => ({
+    resourceType: 'Bundle',
+    type: 'collection',
+    entry: [
+      { fullUrl: 'urn:uuid:patient', resource: { resourceType: 'Patient', birthDate: '1970-05-01', name: [{ given: ['Jane'], family: 'Doe' }] } },
+      ...entries
+    ]
+  });
+
+  test('rejects anything but a bundle of one patient', () => {
+    expect(() => readObservationBundle({ resourceType: 'Patient' })).toThrow(expect.objectContaining({ code: 'InvalidBundle' }));
+    const twoPatients = bundleOf();
+    twoPatients.entry.push({ resource: { resourceType: 'Patient' } });
+    expect(() => readObservationBundle(twoPatients)).toThrow(/2 patients/);
+  });
+
+  test('takes the newest value per feature and derives age from the birth date', () => {
+    const result = readObservationBundle(bundleOf(
+      observation('1558-6', { value: 140, unit: 'mg/dL' }, { effectiveDateTime: '2025-01-01' }),
+      observation('1558-6', { value: 118, unit: 'mg/dL' }, { effectiveDateTime: '2026-02-01' })
+    ), { now });
+
+    expect(result.patient_data).toEqual({ Fasting_Glucose_mg_dL: 118, Age: 55 });
+    expect(result.sources.Fasting_Glucose_mg_dL).toMatchObject({ entry: 2, loinc: '1558-6', effective: '2026-02-01T00:00:00.000Z' });
+    expect(result.patient).toMatchObject({ name: 'Jane Doe', birth_date: '1970-05-01' });
+  });
+
+  test('tags values in other units and falls back past unsupported ones', () => {
+    const result = readObservationBundle(bundleOf(
+      observation('14771-0', { value: 6.5, system: 'http://unitsofmeasure.org', code: 'mmol/L' }, { effectiveDateTime: '2026-01-01' }),
+      observation('4548-4', { value: 6.1, unit: '%' }, { effectiveDateTime: '2026-01-01' }),
+      observation('4548-4', { value: 0.061, unit: 'ratio' }, { effectiveDateTime: '2026-02-01' })
+    ), { now });
+
+    expect(result.patient_data.Fasting_Glucose_mg_dL).toEqual({ value: 6.5, unit: 'mmol/L' });
+    expect(result.patient_data.HbA1c_percent).toBe(6.1);
+    expect(result.ignored).toEqual([expect.objectContaining({ entry: 3, reason: expect.stringMatching(/Unsupported unit "ratio"/) })]);
+  });
+
+  test('reads blood pressure panels and uses height and weight only for a missing BMI', () => {
+    const panel = {
+      resource: {
+        resourceType: 'Observation',
+        status: 'final',
+        code: { coding: [{ system: 'http://loinc.org', code: '85354-9' }] },
+        component: [
+          { code: { coding: [{ system: 'http://loinc.org', code: '8480-6' }] }, valueQuantity: { value: 138, unit: 'mmHg' } },
+          { code: { coding: [{ system: 'http://loinc.org', code: '8462-4' }] }, valueQuantity: { value: 88, unit: 'mmHg' } }
+        ]
+      }
+    };
+    const height = observation('8302-2', { value: 65, system: 'http://unitsofmeasure.org', code: '[in_i]' });
+    const weight = observation('29463-7', { value: 80, unit: 'kg' });
+
+    const derived = readObservationBundle(bundleOf(panel, height, weight), { now });
+    expect(derived.patient_data).toMatchObject({ Systolic_BP_mmHg: 138, Diastolic_BP_mmHg: 88, Height: { value: 65, unit: 'in' }, Weight: 80 });
+    expect(derived.missing_features.map(missing => missing.feature)).not.toContain('BMI');
+
+    const withBMI = readObservationBundle(bundleOf(height, weight, observation('39156-5', { value: 29, unit: 'kg/m2' })), { now });
+    expect(withBMI.patient_data).toMatchObject({ BMI: 29 });
+    expect(withBMI.patient_data).not.toHaveProperty('Height');
+  });
+
+  test('ignores unusable observations and lists what is still missing', () => {
+    const result = readObservationBundle(bundleOf(
+      observation('1558-6', { value: 118, unit: 'mg/dL' }, { status: 'cancelled' }),
+      observation('1558-6', { value: 118, unit: 'mg/dL' }, { subject: { reference: 'Patient/someone-else' } }),
+      observation('2093-3', { value: 190, unit: 'mg/dL' })
+    ), { now });
+
+    expect(result.ignored.map(skipped => skipped.reason)).toEqual([
+      'status is cancelled',
+      "subject is not the bundle's Patient",
+      'no mapping for LOINC 2093-3'
+    ]);
+    expect(result.missing_features).toContainEqual(expect.objectContaining({ feature: 'Fasting_Glucose_mg_dL', reason: 'no Observation in the bundle' }));
+    expect(result.missing_features).toContainEqual(expect.objectContaining({ feature: 'Hypertension', reason: 'no LOINC mapping; enter it by hand' }));
+  });
+
+  test('reads back the observations it exports', () => {
+    const result = readObservationBundle(buildAssessmentBundle(assessment, patient), { now });
+
+    expect(result.patient_data).toEqual({
+      Age: 55,
+      BMI: 31.2,
+      Fasting_Glucose_mg_dL: 132,
+      HbA1c_percent: 6.8,
+      Systolic_BP_mmHg: 142,
+      Diastolic_BP_mmHg: 91
+    });
+    expect(result.patient.mrn).toBe('MRN-42');
+  });
+});
@@ -0,0 +1,80 @@
+require('dotenv').config();
+
+// Opt-in imputation of missing optional features. Which features may be imputed, and how,
+// is declared in the feature schema (`imputation` on a feature): conditional rules that
+// estimate the value from another supplied feature, then a population default.
+const imputationConfig = {
+  // Server-wide switch; requests still have to opt in with allow_imputation
+  enabled: process.env.IMPUTATION_ENABLED !== 'false'
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+const clamp = (value, feature) => (feature.type === 'number'
+  ? Math.min(feature.max, Math.max(feature.min, value))
+  : value);
+
+// Confidence drops by each imputed value's penalty
+const confidenceFor = (imputedFields, schema) => {
+  const levels = (schema.imputation && schema.imputation.confidence_levels) || { high: 0.85, moderate: 0.6 };
+  const penalty = imputedFields.reduce((sum, imputed) => sum + imputed.penalty, 0);
+  const score = Number(Math.max(0, 1 - penalty).toFixed(2));
+
+  return {
+    score,
+    level: score >= levels.high ? 'high' : score >= levels.moderate ? 'moderate' : 'low',
+    imputed_count: imputedFields.length
+  };
+};
+
+// Fill missing imputable features of a canonical-unit record.
+// Returns { patientData, imputedFields, confidence }; features without an imputation
+// entry are left missing so validation still reports them.
+const imputeMissingFeatures = (patientData, schema) => {
+  const filled = { ...patientData };
+  const imputedFields = [];
+
+  schema.features
+    .filter(feature => feature.imputation && !isPresent(patientData[feature.name]))
+    .forEach(feature => {
+      const { rules = [], penalty = 0.2 } = feature.imputation;
+
+      // Rules only use values the caller supplied, never other imputed ones
+      const rule = rules.find(candidate => isPresent(patientData[candidate.from]) && !isNaN(Number(patientData[candidate.from])));
+
+      if (rule) {
+        const estimate = Number(patientData[rule.from]) * rule.factor + (rule.offset || 0);
+        filled[feature.name] = Number(clamp(estimate, feature).toFixed(1));
+        imputedFields.push({
+          field: feature.name,
+          value: filled[feature.name],
+          unit: feature.unit,
+          method: 'rule',
+          source: rule.from,
+          description: rule.description || `estimated from ${rule.from}`,
+          penalty: rule.penalty ?? penalty
+        });
+      } else if (feature.imputation.default !== undefined) {
+        filled[feature.name] = feature.imputation.default;
+        imputedFields.push({
+          field: feature.name,
+          value: feature.imputation.default,
+          unit: feature.unit,
+          method: 'default',
+          description: 'population default',
+          penalty
+        });
+      }
+    });
+
+  return {
+    patientData: filled,
+    imputedFields,
+    confidence: confidenceFor(imputedFields, schema)
+  };
+};
+
+module.exports = {
+  imputationConfig,
+  imputeMissingFeatures
+};
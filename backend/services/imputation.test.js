@@ -0,0 +1,60 @@
+const { imputeMissingFeatures } = require('./imputation');
+
+const schema = {
+  imputation: { confidence_levels: { high: 0.85, moderate: 0.6 } },
+  features: [
+    { name: 'BMI', type: 'number', unit: 'kg/m²', min: 10, max: 60 },
+    {
+      name: 'Waist_Circumference_cm',
+      type: 'number',
+      unit: 'cm',
+      min: 30,
+      max: 200,
+      imputation: {
+        rules: [{ from: 'BMI', factor: 2.5, offset: 25, description: 'estimated from BMI', penalty: 0.1 }],
+        default: 90,
+        penalty: 0.25
+      }
+    },
+    { name: 'Family_History_Diabetes', type: 'binary', imputation: { default: 0, penalty: 0.1 } },
+    { name: 'HbA1c_percent', type: 'number', unit: '%', min: 3, max: 20 }
+  ]
+};
+
+test('estimates a feature from a supplied one', () => {
+  const { patientData, imputedFields, confidence } = imputeMissingFeatures({ BMI: 30, Family_History_Diabetes: 1 }, schema);
+
+  expect(patientData.Waist_Circumference_cm).toBe(100);
+  expect(imputedFields).toEqual([expect.objectContaining({
+    field: 'Waist_Circumference_cm', value: 100, method: 'rule', source: 'BMI', penalty: 0.1
+  })]);
+  expect(confidence).toEqual({ score: 0.9, level: 'high', imputed_count: 1 });
+});
+
+test('clamps rule estimates to the feature range', () => {
+  const { patientData } = imputeMissingFeatures({ BMI: 80 }, schema);
+  expect(patientData.Waist_Circumference_cm).toBe(200);
+});
+
+test('falls back to the population default and lowers confidence', () => {
+  const { patientData, imputedFields, confidence } = imputeMissingFeatures({ BMI: 'n/a' }, schema);
+
+  expect(patientData).toMatchObject({ Waist_Circumference_cm: 90, Family_History_Diabetes: 0 });
+  expect(imputedFields.map(imputed => imputed.method)).toEqual(['default', 'default']);
+  expect(confidence).toEqual({ score: 0.65, level: 'moderate', imputed_count: 2 });
+});
+
+test('never fills features without an imputation entry', () => {
+  const { patientData } = imputeMissingFeatures({}, schema);
+  expect(patientData).not.toHaveProperty('HbA1c_percent');
+  expect(patientData).not.toHaveProperty('BMI');
+});
+
+test('leaves supplied values alone', () => {
+  const { patientData, imputedFields, confidence } = imputeMissingFeatures(
+    { BMI: 25, Waist_Circumference_cm: 80, Family_History_Diabetes: 0 }, schema
+  );
+  expect(patientData.Waist_Circumference_cm).toBe(80);
+  expect(imputedFields).toEqual([]);
+  expect(confidence.score).toBe(1);
+});
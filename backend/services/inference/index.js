@@ -0,0 +1,182 @@
+require('dotenv').config();
+const { loadEndpointConfig } = require('../../config/endpoints');
+const { cachedPredict } = require('../predictionCache');
+const { getModel } = require('../modelRegistry');
+const logger = require('../../utils/logger');
+
+// Registered inference providers. Each factory builds a routing table of providers
+// ({ name, endpoint, predict(patientData), testConnection() }):
+// { primaries: [{ provider, weight }], shadows: [provider], shadowSampleRate }
+const providerFactories = {
+  sagemaker: () => {
+    const { createSagemakerProvider } = require('./sagemakerProvider');
+    const config = loadEndpointConfig();
+
+    return {
+      primaries: config.primaries.map(({ name, weight }) => ({
+        provider: createSagemakerProvider({ endpointName: name }),
+        weight
+      })),
+      shadows: config.shadows.map(({ name }) => createSagemakerProvider({ endpointName: name })),
+      shadowSampleRate: config.shadowSampleRate
+    };
+  },
+  local: () => ({
+    primaries: [{ provider: require('./localProvider').createLocalProvider(), weight: 1 }],
+    shadows: [],
+    shadowSampleRate: 0
+  })
+};
+
+let routingTable = null;
+
+// Build the routing table selected by INFERENCE_PROVIDER (defaults to SageMaker)
+const getRoutingTable = () => {
+  if (routingTable) {
+    return routingTable;
+  }
+
+  const providerName = (process.env.INFERENCE_PROVIDER || 'sagemaker').toLowerCase();
+  const factory = providerFactories[providerName];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown INFERENCE_PROVIDER "${providerName}". Expected one of: ${Object.keys(providerFactories).join(', ')}`
+    );
+  }
+
+  routingTable = factory();
+  return routingTable;
+};
+
+// Pick a primary provider by weight (canary traffic splitting)
+const getInferenceProvider = () => {
+  const { primaries } = getRoutingTable();
+  const totalWeight = primaries.reduce((sum, entry) => sum + entry.weight, 0);
+
+  let ticket = Math.random() * totalWeight;
+  for (const entry of primaries) {
+    ticket -= entry.weight;
+    if (ticket < 0) {
+      return entry.provider;
+    }
+  }
+  return primaries[primaries.length - 1].provider;
+};
+
+// Providers created for explicitly selected models, keyed by endpoint
+const modelProviders = new Map();
+
+// Provider for a registered model id; null when the id is unknown.
+// Only models served by the active INFERENCE_PROVIDER can be selected.
+const getProviderForModel = (modelId) => {
+  const model = getModel(modelId);
+  if (!model) {
+    return null;
+  }
+
+  const existing = getAllProviders().find(provider => provider.endpoint === model.endpoint)
+    || modelProviders.get(model.endpoint);
+  if (existing) {
+    return existing;
+  }
+
+  const activeProvider = getRoutingTable().primaries[0].provider.name;
+  if (model.provider !== activeProvider) {
+    const error = new Error(`Model ${modelId} is served by the ${model.provider} provider, but ${activeProvider} is active`);
+    error.code = 'ModelUnavailable';
+    throw error;
+  }
+
+  const provider = model.provider === 'local'
+    ? require('./localProvider').createLocalProvider({ modelPath: model.model_path })
+    : require('./sagemakerProvider').createSagemakerProvider({ endpointName: model.endpoint });
+
+  modelProviders.set(model.endpoint, provider);
+  return provider;
+};
+
+const getAllProviders = () => {
+  const { primaries, shadows } = getRoutingTable();
+  return [...primaries.map(entry => entry.provider), ...shadows];
+};
+
+const getInferenceTopology = () => {
+  const { primaries, shadows, shadowSampleRate } = getRoutingTable();
+  const totalWeight = primaries.reduce((sum, entry) => sum + entry.weight, 0);
+
+  return {
+    provider: primaries[0].provider.name,
+    primaries: primaries.map(({ provider, weight }) => ({
+      endpoint: provider.endpoint,
+      weight,
+      traffic_percent: Number(((weight / totalWeight) * 100).toFixed(1))
+    })),
+    shadows: shadows.map(provider => ({ endpoint: provider.endpoint })),
+    shadow_sample_rate: shadowSampleRate
+  };
+};
+
+// Send a copy of the request to each shadow endpoint without waiting for it.
+// Outputs are logged next to the primary result for offline comparison.
+const mirrorToShadows = (patientData, primaryEndpoint, primaryResult, context) => {
+  const { shadows, shadowSampleRate } = getRoutingTable();
+
+  if (shadows.length === 0 || Math.random() >= shadowSampleRate) {
+    return [];
+  }
+
+  shadows
+    .filter(shadow => shadow.endpoint !== primaryEndpoint)
+    .forEach(shadow => {
+      const startTime = Date.now();
+
+      cachedPredict(shadow, patientData)
+        .then(({ result }) => {
+          logger.info('Shadow prediction comparison', {
+            requestId: context.requestId,
+            primaryEndpoint,
+            shadowEndpoint: shadow.endpoint,
+            primaryRiskLevel: primaryResult.risk_level,
+            shadowRiskLevel: result.risk_level,
+            primaryProbability: primaryResult.probability,
+            shadowProbability: result.probability,
+            probabilityDelta: Number((Number(result.probability) - Number(primaryResult.probability)).toFixed(4)),
+            riskLevelMatch: result.risk_level === primaryResult.risk_level,
+            shadowResponseTime: Date.now() - startTime
+          });
+        })
+        .catch(error => {
+          logger.warn('Shadow prediction failed', {
+            requestId: context.requestId,
+            shadowEndpoint: shadow.endpoint,
+            error: error.message
+          });
+        });
+    });
+
+  return shadows.map(shadow => shadow.endpoint).filter(endpoint => endpoint !== primaryEndpoint);
+};
+
+// Score a validated patient on a weighted primary endpoint, mirroring to shadows.
+// Resolves to { result, cacheHit, provider, shadowEndpoints }.
+const routePrediction = async (patientData, context = {}) => {
+  const provider = context.provider || getInferenceProvider();
+  const { result, cacheHit } = await cachedPredict(provider, patientData);
+  const shadowEndpoints = mirrorToShadows(patientData, provider.endpoint, result, context);
+
+  return {
+    result,
+    cacheHit,
+    provider,
+    shadowEndpoints
+  };
+};
+
+module.exports = {
+  getInferenceProvider,
+  getProviderForModel,
+  getAllProviders,
+  getInferenceTopology,
+  routePrediction
+};
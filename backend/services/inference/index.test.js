@@ -0,0 +1,157 @@
+jest.mock('../../utils/logger');
+jest.mock('../modelRegistry');
+jest.mock('./sagemakerProvider');
+
+const ENV_KEYS = ['INFERENCE_PROVIDER', 'SAGEMAKER_ENDPOINTS', 'SAGEMAKER_SHADOW_ENDPOINTS', 'SHADOW_SAMPLE_RATE'];
+
+let stubs;
+
+// A fresh module builds a fresh routing table from the environment.
+// Every endpoint is a stub that scores 0.4 unless a test says otherwise.
+const loadRouter = (env) => {
+  Object.assign(process.env, { INFERENCE_PROVIDER: 'sagemaker', PREDICTION_CACHE_ENABLED: 'false' }, env);
+  stubs = {};
+
+  // The router requires providers lazily, so reset the whole registry rather than isolating
+  jest.resetModules();
+  const { createSagemakerProvider } = require('./sagemakerProvider');
+  createSagemakerProvider.mockImplementation(({ endpointName }) => {
+    stubs[endpointName] = {
+      name: 'sagemaker',
+      endpoint: endpointName,
+      predict: jest.fn(async () => ({ probability: 0.4, risk_level: 'Moderate', endpoint: endpointName })),
+      testConnection: jest.fn()
+    };
+    return stubs[endpointName];
+  });
+
+  const loaded = {
+    ...require('./index'),
+    logger: require('../../utils/logger'),
+    getModel: require('../modelRegistry').getModel,
+    createSagemakerProvider
+  };
+
+  loaded.getInferenceTopology();
+  return loaded;
+};
+
+// Let fire-and-forget shadow calls settle
+const flushShadows = () => new Promise(resolve => setImmediate(resolve));
+
+const patient = { Age: 50, BMI: 27 };
+
+afterEach(() => {
+  ENV_KEYS.forEach(key => delete process.env[key]);
+  jest.restoreAllMocks();
+});
+
+test('splits primary traffic by weight', () => {
+  const { getInferenceProvider, getInferenceTopology } = loadRouter({ SAGEMAKER_ENDPOINTS: 'stable:90,canary:10' });
+  const random = jest.spyOn(Math, 'random');
+
+  random.mockReturnValue(0.899);
+  expect(getInferenceProvider().endpoint).toBe('stable');
+  random.mockReturnValue(0.9);
+  expect(getInferenceProvider().endpoint).toBe('canary');
+  random.mockReturnValue(0.9999);
+  expect(getInferenceProvider().endpoint).toBe('canary');
+
+  expect(getInferenceTopology().primaries).toEqual([
+    { endpoint: 'stable', weight: 90, traffic_percent: 90 },
+    { endpoint: 'canary', weight: 10, traffic_percent: 10 }
+  ]);
+});
+
+test('never routes to a zero-weight primary', () => {
+  const { getInferenceProvider } = loadRouter({ SAGEMAKER_ENDPOINTS: 'stable:1,drained:0' });
+  jest.spyOn(Math, 'random').mockReturnValue(0.9999);
+
+  expect(getInferenceProvider().endpoint).toBe('stable');
+});
+
+test('resolves registered models to existing or new providers', () => {
+  const { getProviderForModel, getModel, createSagemakerProvider } = loadRouter({
+    SAGEMAKER_ENDPOINTS: 'stable',
+    SAGEMAKER_SHADOW_ENDPOINTS: 'candidate'
+  });
+  getModel.mockImplementation(id => ({
+    'diabetes-stable': { id, provider: 'sagemaker', endpoint: 'stable' },
+    'diabetes-candidate': { id, provider: 'sagemaker', endpoint: 'candidate' },
+    'diabetes-archive': { id, provider: 'sagemaker', endpoint: 'archive' }
+  }[id] || null));
+
+  expect(getProviderForModel('diabetes-stable')).toBe(stubs.stable);
+  expect(getProviderForModel('diabetes-candidate')).toBe(stubs.candidate);
+
+  const archive = getProviderForModel('diabetes-archive');
+  expect(archive.endpoint).toBe('archive');
+  expect(getProviderForModel('diabetes-archive')).toBe(archive);
+  expect(createSagemakerProvider).toHaveBeenCalledTimes(3);
+
+  expect(getProviderForModel('unknown')).toBeNull();
+});
+
+test('refuses models served by a provider that is not active', () => {
+  const { getProviderForModel, getModel } = loadRouter({ SAGEMAKER_ENDPOINTS: 'stable' });
+  getModel.mockReturnValue({ id: 'diabetes-local', provider: 'local', endpoint: 'local:diabetes', model_path: 'model.json' });
+
+  expect(() => getProviderForModel('diabetes-local')).toThrow(expect.objectContaining({
+    code: 'ModelUnavailable',
+    message: expect.stringMatching(/served by the local provider, but sagemaker is active/)
+  }));
+});
+
+test('mirrors to shadows and logs the comparison', async () => {
+  const { routePrediction, logger } = loadRouter({ SAGEMAKER_ENDPOINTS: 'stable', SAGEMAKER_SHADOW_ENDPOINTS: 'candidate' });
+  stubs.candidate.predict.mockResolvedValue({ probability: 0.7, risk_level: 'High' });
+
+  const routed = await routePrediction(patient, { requestId: 'req_1' });
+  await flushShadows();
+
+  expect(routed).toMatchObject({ result: { endpoint: 'stable' }, shadowEndpoints: ['candidate'] });
+  expect(stubs.candidate.predict).toHaveBeenCalledWith(patient);
+  expect(logger.info).toHaveBeenCalledWith('Shadow prediction comparison', expect.objectContaining({
+    requestId: 'req_1',
+    shadowEndpoint: 'candidate',
+    probabilityDelta: 0.3,
+    riskLevelMatch: false
+  }));
+});
+
+test('shadow failures never reach the caller', async () => {
+  const { routePrediction, logger } = loadRouter({ SAGEMAKER_ENDPOINTS: 'stable', SAGEMAKER_SHADOW_ENDPOINTS: 'broken,throwing' });
+  stubs.broken.predict.mockRejectedValue(new Error('endpoint down'));
+  stubs.throwing.predict.mockImplementation(() => {
+    throw new Error('bad stub');
+  });
+
+  const routed = await routePrediction(patient, { requestId: 'req_2' });
+  await flushShadows();
+
+  expect(routed.result).toEqual({ probability: 0.4, risk_level: 'Moderate', endpoint: 'stable' });
+  expect(routed.shadowEndpoints).toEqual(['broken', 'throwing']);
+  expect(logger.warn).toHaveBeenCalledWith('Shadow prediction failed', expect.objectContaining({ shadowEndpoint: 'broken' }));
+  expect(logger.warn).toHaveBeenCalledWith('Shadow prediction failed', expect.objectContaining({ shadowEndpoint: 'throwing' }));
+});
+
+test('samples shadow traffic and never mirrors to the serving endpoint', async () => {
+  const { routePrediction, getProviderForModel, getModel } = loadRouter({
+    SAGEMAKER_ENDPOINTS: 'stable',
+    SAGEMAKER_SHADOW_ENDPOINTS: 'candidate',
+    SHADOW_SAMPLE_RATE: '0.25'
+  });
+  const random = jest.spyOn(Math, 'random');
+
+  random.mockReturnValue(0.25);
+  expect((await routePrediction(patient)).shadowEndpoints).toEqual([]);
+
+  random.mockReturnValue(0.1);
+  getModel.mockReturnValue({ id: 'diabetes-candidate', provider: 'sagemaker', endpoint: 'candidate' });
+  const routed = await routePrediction(patient, { provider: getProviderForModel('diabetes-candidate') });
+  await flushShadows();
+
+  expect(routed.shadowEndpoints).toEqual([]);
+  expect(stubs.candidate.predict).toHaveBeenCalledTimes(1);
+  expect(stubs.stable.predict).toHaveBeenCalledTimes(1);
+});
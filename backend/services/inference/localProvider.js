@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeModelResponse } = require('../responseContract');
+const logger = require('../../utils/logger');
+
+const DEFAULT_MODEL_PATH = path.join(__dirname, '..', '..', 'models', 'local-model.json');
+
+// Load and sanity-check a coefficient/intercept model file
+const loadModel = (modelPath) => {
+  const model = JSON.parse(fs.readFileSync(modelPath, 'utf8'));
+
+  if (!Array.isArray(model.features) || model.features.length === 0) {
+    throw new Error(`Local model ${modelPath} does not define any features`);
+  }
+
+  const missingCoefficients = model.features.filter(
+    feature => typeof (model.coefficients || {})[feature] !== 'number'
+  );
+  if (missingCoefficients.length > 0) {
+    throw new Error(`Local model ${modelPath} is missing coefficients for: ${missingCoefficients.join(', ')}`);
+  }
+
+  if (typeof model.intercept !== 'number') {
+    throw new Error(`Local model ${modelPath} is missing a numeric intercept`);
+  }
+
+  return model;
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Map a probability onto the risk levels the frontend understands
+const toRiskLevel = (probability, thresholds = {}) => {
+  if (probability >= (thresholds.high ?? 0.7)) return 'High Risk';
+  if (probability >= (thresholds.moderate ?? 0.3)) return 'Moderate Risk';
+  return 'Low Risk';
+};
+
+// In-process logistic regression scorer; mirrors the SageMaker response shape
+const createLocalProvider = (options = {}) => {
+  const modelPath = path.resolve(options.modelPath || process.env.LOCAL_MODEL_PATH || DEFAULT_MODEL_PATH);
+  const model = loadModel(modelPath);
+  const { mean = {}, scale = {} } = model.scaler || {};
+
+  const predict = async (patientData) => {
+    const logit = model.features.reduce((sum, feature) => {
+      const value = Number(patientData[feature]);
+      if (isNaN(value)) {
+        const error = new Error(`Local model received a non-numeric value for ${feature}`);
+        error.code = 'ValidationException';
+        throw error;
+      }
+      const standardized = (value - (mean[feature] ?? 0)) / (scale[feature] || 1);
+      return sum + model.coefficients[feature] * standardized;
+    }, model.intercept);
+
+    const probability = sigmoid(logit);
+    const riskLevel = toRiskLevel(probability, model.thresholds);
+
+    return normalizeModelResponse({
+      prediction: riskLevel === 'Low Risk' ? 0 : 1,
+      risk_level: riskLevel,
+      probability,
+      recommendations: (model.recommendations || {})[riskLevel] || {},
+      model_version: model.model_version
+    });
+  };
+
+  const testConnection = async () => {
+    logger.info('Local model loaded', { model: model.model_name || path.basename(modelPath), version: model.model_version });
+    return true;
+  };
+
+  return {
+    name: 'local',
+    endpoint: `local:${model.model_name || path.basename(modelPath, '.json')}`,
+    model,
+    predict,
+    testConnection
+  };
+};
+
+module.exports = {
+  createLocalProvider,
+  loadModel,
+  toRiskLevel
+};
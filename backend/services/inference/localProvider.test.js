@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalProvider, loadModel, toRiskLevel } = require('./localProvider');
+
+jest.mock('../../utils/logger');
+
+const writeModel = (model) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-model-'));
+  const modelPath = path.join(dir, 'model.json');
+  fs.writeFileSync(modelPath, JSON.stringify(model));
+  return modelPath;
+};
+
+const tinyModel = {
+  model_name: 'tiny',
+  model_version: '0.1.0',
+  features: ['Fasting_Glucose_mg_dL'],
+  coefficients: { Fasting_Glucose_mg_dL: 1 },
+  intercept: 0,
+  scaler: { mean: { Fasting_Glucose_mg_dL: 100 }, scale: { Fasting_Glucose_mg_dL: 10 } },
+  recommendations: { 'High Risk': { monitoring: ['Repeat HbA1c in 3 months'] } }
+};
+
+describe('loadModel', () => {
+  test('rejects a model without features', () => {
+    const modelPath = writeModel({ ...tinyModel, features: [] });
+    expect(() => loadModel(modelPath)).toThrow(/does not define any features/);
+  });
+
+  test('names features that have no coefficient', () => {
+    const modelPath = writeModel({ ...tinyModel, features: ['Fasting_Glucose_mg_dL', 'BMI'] });
+    expect(() => loadModel(modelPath)).toThrow(/missing coefficients for: BMI/);
+  });
+
+  test('requires a numeric intercept', () => {
+    const modelPath = writeModel({ ...tinyModel, intercept: '0' });
+    expect(() => loadModel(modelPath)).toThrow(/numeric intercept/);
+  });
+
+  test('loads the bundled model', () => {
+    const model = loadModel(path.join(__dirname, '..', '..', 'models', 'local-model.json'));
+    expect(model.features.length).toBeGreaterThan(0);
+  });
+});
+
+describe('toRiskLevel', () => {
+  test('uses the default cut-offs', () => {
+    expect(toRiskLevel(0.1)).toBe('Low Risk');
+    expect(toRiskLevel(0.3)).toBe('Moderate Risk');
+    expect(toRiskLevel(0.7)).toBe('High Risk');
+  });
+
+  test('honours model thresholds', () => {
+    expect(toRiskLevel(0.5, { moderate: 0.2, high: 0.5 })).toBe('High Risk');
+  });
+});
+
+describe('createLocalProvider', () => {
+  const provider = createLocalProvider({ modelPath: writeModel(tinyModel) });
+
+  test('scores a patient in the normalized response shape', async () => {
+    const result = await provider.predict({ Fasting_Glucose_mg_dL: 130 });
+
+    expect(result.probability).toBeCloseTo(1 / (1 + Math.exp(-3)));
+    expect(result.risk_level).toBe('High Risk');
+    expect(result.prediction).toBe(1);
+    expect(result.model_version).toBe('0.1.0');
+    expect(result.recommendations.monitoring).toEqual(['Repeat HbA1c in 3 months']);
+  });
+
+  test('scores a mean patient as moderate risk', async () => {
+    const result = await provider.predict({ Fasting_Glucose_mg_dL: 100 });
+    expect(result.probability).toBeCloseTo(0.5);
+    expect(result.risk_level).toBe('Moderate Risk');
+    expect(result.prediction).toBe(1);
+  });
+
+  test('refuses non-numeric input as a validation error', async () => {
+    await expect(provider.predict({ Fasting_Glucose_mg_dL: 'high' }))
+      .rejects.toMatchObject({ code: 'ValidationException', message: expect.stringContaining('Fasting_Glucose_mg_dL') });
+  });
+
+  test('names its endpoint after the model', () => {
+    expect(provider.endpoint).toBe('local:tiny');
+  });
+});
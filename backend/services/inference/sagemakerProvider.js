@@ -0,0 +1,75 @@
+const { sagemakerRuntime, testAWSConnection, endpointName } = require('../../config/aws-config');
+const { withRetry, isRetryableError } = require('../../utils/retry');
+const { getCircuitBreaker } = require('../../utils/circuitBreaker');
+const { cachedPredict } = require('../predictionCache');
+const { normalizeModelResponse } = require('../responseContract');
+const { findModelByEndpoint } = require('../modelRegistry');
+const logger = require('../../utils/logger');
+
+// Inference provider backed by a hosted SageMaker endpoint.
+// Each call is retried with jittered backoff and guarded by a per-endpoint circuit breaker.
+const createSagemakerProvider = (options = {}) => {
+  const endpoint = options.endpointName || endpointName;
+
+  const circuitBreaker = getCircuitBreaker(endpoint, {
+    // Only transient endpoint failures count against the circuit, not bad input
+    isFailure: isRetryableError,
+    onStateChange: (name, from, to) => {
+      logger.warn('SageMaker circuit breaker state changed', { endpoint: name, from, to });
+    }
+  });
+
+  const predict = async (patientData) => {
+    const params = {
+      EndpointName: endpoint,
+      ContentType: 'application/json',
+      Body: JSON.stringify(patientData)
+    };
+
+    const response = await circuitBreaker.execute(() => withRetry(
+      () => sagemakerRuntime.invokeEndpoint(params).promise(),
+      {
+        onRetry: (error, attempt, delay) => {
+          logger.warn('Retrying SageMaker invocation', {
+            endpoint,
+            attempt,
+            delayMs: delay,
+            errorCode: error.code
+          });
+        }
+      }
+    ));
+
+    let body;
+    try {
+      body = JSON.parse(response.Body.toString());
+    } catch (parseError) {
+      const error = new Error(`SageMaker endpoint ${endpoint} returned a non-JSON response`);
+      error.code = 'InvalidModelResponse';
+      error.contractErrors = ['response body must be JSON'];
+      throw error;
+    }
+
+    // Endpoints return 0-1 fractions unless their registry entry declares percent output
+    const model = findModelByEndpoint(endpoint);
+    return normalizeModelResponse(body, { probabilityScale: (model && model.probability_scale) || 'fraction' });
+  };
+
+  const provider = {
+    name: 'sagemaker',
+    endpoint,
+    predict,
+    getCircuitState: circuitBreaker.getState
+  };
+
+  // The fallback endpoint probe goes through the prediction cache like any other call
+  provider.testConnection = () => testAWSConnection({
+    invoke: (patientData) => cachedPredict(provider, patientData)
+  });
+
+  return provider;
+};
+
+module.exports = {
+  createSagemakerProvider
+};
@@ -0,0 +1,169 @@
+const { generateJobId, saveJob, loadJob, listJobs } = require('./jobStore');
+const { batchConfig, scorePatient, summarizeResults } = require('./batchPrediction');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const jobConfig = {
+  maxJobSize: parseInt(process.env.JOB_MAX_SIZE) || 10000,
+  // Persist progress to disk after this many rows finish
+  persistEvery: parseInt(process.env.JOB_PERSIST_EVERY) || 25
+};
+
+// Jobs run one at a time; rows inside a job are scored with batch concurrency
+const queue = [];
+let processing = false;
+
+const getJobProgress = (job) => ({
+  job_id: job.id,
+  status: job.status,
+  total_patients: job.total,
+  processed_patients: job.processed,
+  percent_complete: job.total > 0 ? Number(((job.processed / job.total) * 100).toFixed(1)) : 100,
+  summary: job.summary,
+  error: job.error,
+  created_at: job.created_at,
+  started_at: job.started_at,
+  completed_at: job.completed_at,
+  updated_at: job.updated_at
+});
+
+const runJob = async (jobId) => {
+  let job = null;
+
+  try {
+    job = loadJob(jobId);
+    if (!job || job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED) {
+      return;
+    }
+
+    job.status = JOB_STATUS.RUNNING;
+    job.started_at = job.started_at || new Date().toISOString();
+    saveJob(job);
+
+    logger.info('Batch job started', { jobId, totalPatients: job.total, alreadyProcessed: job.processed });
+
+    // Only rows without a result are scored, so a resumed job picks up where it stopped
+    const pending = job.patients
+      .map((patient, index) => ({ patient, index }))
+      .filter(({ index }) => !job.results[index]);
+
+    let sinceLastSave = 0;
+    await mapWithConcurrency(pending, batchConfig.concurrency, async ({ patient, index }) => {
+      job.results[index] = await scorePatient(patient, index, {
+        requestId: job.request_id,
+        allowImputation: job.allow_imputation === true,
+        audit: { actor: job.actor, batchId: job.id }
+      });
+      job.processed++;
+
+      if (++sinceLastSave >= jobConfig.persistEvery) {
+        sinceLastSave = 0;
+        saveJob(job);
+      }
+    });
+
+    job.summary = summarizeResults(job.results);
+    job.status = JOB_STATUS.COMPLETED;
+    job.completed_at = new Date().toISOString();
+    saveJob(job);
+
+    logger.info('Batch job completed', {
+      jobId,
+      successful: job.summary.successful_predictions,
+      failed: job.summary.failed_predictions,
+      invalid: job.summary.invalid_rows
+    });
+
+  } catch (error) {
+    logger.error('Batch job failed', { jobId, error: error.message });
+    if (!job) return;
+
+    job.status = JOB_STATUS.FAILED;
+    job.error = error.message;
+    job.completed_at = new Date().toISOString();
+    try {
+      saveJob(job);
+    } catch (saveError) {
+      // Left as queued or running on disk, so it is picked up again on the next start
+      logger.error('Failed batch job could not be saved', { jobId, error: saveError.message });
+    }
+  }
+};
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  } catch (error) {
+    logger.error('Batch job queue stopped', { error: error.message, queued: queue.length });
+  } finally {
+    processing = false;
+  }
+};
+
+const enqueueJob = (jobId) => {
+  if (!queue.includes(jobId)) {
+    queue.push(jobId);
+  }
+  // Start on the next tick so the caller can respond first
+  setImmediate(processQueue);
+};
+
+// Persist a new job and queue it for processing
+const createJob = (patients, metadata = {}) => {
+  const job = saveJob({
+    id: generateJobId(),
+    status: JOB_STATUS.QUEUED,
+    total: patients.length,
+    processed: 0,
+    patients,
+    results: new Array(patients.length).fill(null),
+    summary: null,
+    error: null,
+    request_id: metadata.requestId,
+    allow_imputation: metadata.allowImputation === true,
+    // Who submitted the job, for the audit trail of its rows
+    actor: metadata.actor || null,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    completed_at: null
+  });
+
+  enqueueJob(job.id);
+  return job;
+};
+
+// Re-queue jobs that were queued or running when the backend last stopped
+const resumePendingJobs = () => {
+  const skipUnreadable = (jobId, error) => logger.error('Skipping unreadable batch job', { jobId, error: error.message });
+  const pending = listJobs({ onError: skipUnreadable })
+    .filter(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  pending.forEach(job => enqueueJob(job.id));
+
+  if (pending.length > 0) {
+    logger.info('Resuming pending batch jobs', { count: pending.length });
+  }
+  return pending.length;
+};
+
+module.exports = {
+  JOB_STATUS,
+  jobConfig,
+  createJob,
+  getJobProgress,
+  resumePendingJobs
+};
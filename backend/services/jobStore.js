@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encryptRecord, decryptRecord, activeKeyId } = require('./encryption');
+require('dotenv').config();
+
+const JOBS_DIR = path.resolve(process.env.JOBS_DATA_DIR || path.join(__dirname, '..', 'data', 'jobs'));
+const JOB_ID_PATTERN = /^job_[a-f0-9]{16}$/;
+
+const ensureJobsDir = () => {
+  if (!fs.existsSync(JOBS_DIR)) {
+    fs.mkdirSync(JOBS_DIR, { recursive: true });
+  }
+};
+
+const generateJobId = () => `job_${crypto.randomBytes(8).toString('hex')}`;
+
+const isValidJobId = (jobId) => JOB_ID_PATTERN.test(jobId);
+
+const jobPath = (jobId) => path.join(JOBS_DIR, `${jobId}.json`);
+
+// Jobs hold patient rows and results, so the file keeps only the id in clear text
+const encryptionContext = (jobId) => `job:${jobId}`;
+
+// Write via a temp file + rename so a crash never leaves a half-written job on disk. Given
+// `readAs` (the file as read earlier), only renames if the file is unchanged since then and
+// returns whether it wrote.
+const writeJobFile = (job, readAs = null) => {
+  ensureJobsDir();
+  const target = jobPath(job.id);
+  const temp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ id: job.id, encrypted: encryptRecord(job, encryptionContext(job.id)) }), { mode: 0o600 });
+  if (readAs && JSON.stringify(readJobFile(job.id)) !== JSON.stringify(readAs)) {
+    fs.unlinkSync(temp);
+    return false;
+  }
+  fs.renameSync(temp, target);
+  return true;
+};
+
+const saveJob = (job) => {
+  job.updated_at = new Date().toISOString();
+  writeJobFile(job);
+  return job;
+};
+
+const readJobFile = (jobId) => {
+  try {
+    return JSON.parse(fs.readFileSync(jobPath(jobId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const loadJob = (jobId) => {
+  if (!isValidJobId(jobId)) {
+    return null;
+  }
+
+  const stored = readJobFile(jobId);
+  if (!stored) {
+    return null;
+  }
+  // Files written before encryption was added are plain job JSON
+  return stored.encrypted ? decryptRecord(stored.encrypted, encryptionContext(jobId)) : stored;
+};
+
+// Files that cannot be read or decrypted are passed to onError and left out
+const listJobs = ({ onError = () => {} } = {}) => {
+  ensureJobsDir();
+  return fs.readdirSync(JOBS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const jobId = path.basename(file, '.json');
+      try {
+        return loadJob(jobId);
+      } catch (error) {
+        onError(jobId, error);
+        return null;
+      }
+    })
+    .filter(Boolean);
+};
+
+// Re-encrypt job files that are plain or under an older key. Jobs matching `skip` (e.g. still
+// running, so the runner may be rewriting them) or saved by the runner while this runs are
+// left for the runner's next save.
+const reencryptJobs = ({ skip = () => false } = {}) => {
+  ensureJobsDir();
+  const summary = { reencrypted: 0, current: 0, skipped: 0 };
+  const kid = activeKeyId();
+
+  fs.readdirSync(JOBS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(isValidJobId)
+    .forEach(jobId => {
+      const stored = readJobFile(jobId);
+      if (!stored) return;
+      if (stored.encrypted && stored.encrypted.kid === kid) {
+        summary.current += 1;
+        return;
+      }
+
+      const job = stored.encrypted ? decryptRecord(stored.encrypted, encryptionContext(jobId)) : stored;
+      if (skip(job) || !writeJobFile(job, stored)) {
+        summary.skipped += 1;
+        return;
+      }
+      summary.reencrypted += 1;
+    });
+
+  return summary;
+};
+
+// Key ids in use across stored jobs, for checking a key can be retired
+const jobKeyIds = () => {
+  ensureJobsDir();
+  return fs.readdirSync(JOBS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => readJobFile(path.basename(file, '.json')))
+    .filter(Boolean)
+    .map(stored => (stored.encrypted ? stored.encrypted.kid : 'plaintext'));
+};
+
+module.exports = {
+  JOBS_DIR,
+  generateJobId,
+  isValidJobId,
+  saveJob,
+  loadJob,
+  listJobs,
+  reencryptJobs,
+  jobKeyIds
+};
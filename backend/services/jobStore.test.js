@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger');
+
+const jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+process.env.JOBS_DATA_DIR = jobsDir;
+delete process.env.ENCRYPTION_KEY;
+process.env.ENCRYPTION_KEYS_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'enc-keys-')), 'encryption-keys.json');
+
+const { generateJobId, saveJob, loadJob, listJobs, reencryptJobs, jobKeyIds } = require('./jobStore');
+const { initEncryptionKeySet, addEncryptionKey } = require('./encryption');
+
+initEncryptionKeySet();
+
+const newJob = (status = 'queued') => ({ id: generateJobId(), status, created_at: new Date().toISOString(), patients: [{ Age: 52 }] });
+
+beforeEach(() => {
+  fs.readdirSync(jobsDir).forEach(file => fs.rmSync(path.join(jobsDir, file)));
+});
+
+test('saves jobs encrypted and loads them back', () => {
+  const job = saveJob(newJob());
+
+  expect(fs.readFileSync(path.join(jobsDir, `${job.id}.json`), 'utf8')).not.toContain('Age');
+  expect(loadJob(job.id)).toEqual(job);
+  expect(loadJob('../etc/passwd')).toBeNull();
+  expect(loadJob(generateJobId())).toBeNull();
+});
+
+test('reads plain job files from before encryption', () => {
+  const job = newJob('completed');
+  fs.writeFileSync(path.join(jobsDir, `${job.id}.json`), JSON.stringify(job));
+  expect(loadJob(job.id)).toEqual(job);
+});
+
+test('lists readable jobs and reports the rest', () => {
+  const job = saveJob(newJob());
+  const broken = generateJobId();
+  fs.writeFileSync(path.join(jobsDir, `${broken}.json`), '{"id": "truncated');
+  const onError = jest.fn();
+
+  expect(listJobs({ onError })).toEqual([job]);
+  expect(onError).toHaveBeenCalledWith(broken, expect.any(SyntaxError));
+});
+
+test('re-encrypts old and plain jobs, leaving skipped ones for the runner', () => {
+  const old = saveJob(newJob('completed'));
+  const running = saveJob(newJob('running'));
+  const plain = newJob('failed');
+  fs.writeFileSync(path.join(jobsDir, `${plain.id}.json`), JSON.stringify(plain));
+  const newKid = addEncryptionKey();
+  const current = saveJob(newJob('completed'));
+
+  expect(reencryptJobs({ skip: job => job.status === 'running' })).toEqual({ reencrypted: 2, current: 1, skipped: 1 });
+  expect(loadJob(old.id)).toEqual(old);
+  expect(loadJob(plain.id)).toEqual(plain);
+  expect(loadJob(current.id)).toEqual(current);
+  expect(jobKeyIds().filter(kid => kid !== newKid)).toHaveLength(1);
+  expect(loadJob(running.id)).toEqual(running);
+});
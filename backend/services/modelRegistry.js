@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const { loadModel } = require('./inference/localProvider');
+require('dotenv').config();
+
+const BACKEND_ROOT = path.join(__dirname, '..');
+const DEFAULT_REGISTRY_PATH = path.join(BACKEND_ROOT, 'config', 'model-registry.json');
+
+// Replace ${VAR} with the environment value so endpoint names stay in .env
+const interpolateEnv = (value) => (typeof value === 'string'
+  ? value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || '')
+  : value);
+
+let registry = null;
+
+// Load the registry once; local entries get their endpoint from the model file
+const loadRegistry = () => {
+  if (registry) {
+    return registry;
+  }
+
+  const registryPath = path.resolve(process.env.MODEL_REGISTRY_PATH || DEFAULT_REGISTRY_PATH);
+  const { models = [] } = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+
+  registry = models.map(entry => {
+    const model = { ...entry, endpoint: interpolateEnv(entry.endpoint) };
+
+    if (model.provider === 'local') {
+      model.model_path = path.resolve(BACKEND_ROOT, entry.model_path || path.join('models', 'local-model.json'));
+      model.endpoint = `local:${loadModel(model.model_path).model_name || path.basename(model.model_path, '.json')}`;
+    }
+    return model;
+  });
+
+  return registry;
+};
+
+const getModel = (modelId) => loadRegistry().find(model => model.id === modelId) || null;
+
+const findModelByEndpoint = (endpoint) => loadRegistry().find(model => model.endpoint === endpoint) || null;
+
+// Public metadata for API responses (no file paths)
+const describeModel = (model) => (model ? {
+  id: model.id,
+  name: model.name,
+  provider: model.provider,
+  endpoint: model.endpoint,
+  version: model.version,
+  algorithm: model.algorithm,
+  training_date: model.training_date,
+  metrics: model.metrics || {}
+} : null);
+
+module.exports = {
+  loadRegistry,
+  getModel,
+  findModelByEndpoint,
+  describeModel
+};
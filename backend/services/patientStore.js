@@ -0,0 +1,190 @@
+const path = require('path');
+const { createRecordCollection } = require('./recordCollection');
+require('dotenv').config();
+
+// Patients and their saved assessments, encrypted at rest (one file per record)
+const RECORDS_DIR = path.resolve(process.env.RECORDS_DATA_DIR || path.join(__dirname, '..', 'data', 'records'));
+
+const patients = createRecordCollection({ dir: path.join(RECORDS_DIR, 'patients'), prefix: 'pat' });
+const assessments = createRecordCollection({ dir: path.join(RECORDS_DIR, 'assessments'), prefix: 'asm' });
+
+const PATIENT_SEXES = ['female', 'male', 'other', 'unknown'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Pagination shared by the list functions
+const paginate = (records, { limit, offset }) => ({
+  total: records.length,
+  limit,
+  offset,
+  items: records.slice(offset, offset + limit)
+});
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at);
+
+const isActive = (record) => record && !record.deleted_at;
+
+// Check patient details; returns a list of problems (empty when valid)
+const validatePatientDetails = ({ name, mrn, date_of_birth: dateOfBirth, sex }) => {
+  const problems = [];
+  if (typeof name !== 'string' || !name.trim() || name.length > 200) {
+    problems.push('name is required (up to 200 characters)');
+  }
+  if (mrn !== undefined && mrn !== null && (typeof mrn !== 'string' || !mrn.trim() || mrn.length > 64)) {
+    problems.push('mrn must be a non-empty string of up to 64 characters');
+  }
+  if (dateOfBirth !== undefined && dateOfBirth !== null &&
+      (!DATE_PATTERN.test(dateOfBirth) || Number.isNaN(Date.parse(dateOfBirth)) || dateOfBirth > new Date().toISOString().slice(0, 10))) {
+    problems.push('date_of_birth must be a past date (YYYY-MM-DD)');
+  }
+  if (sex !== undefined && sex !== null && !PATIENT_SEXES.includes(sex)) {
+    problems.push(`sex must be one of: ${PATIENT_SEXES.join(', ')}`);
+  }
+  return problems;
+};
+
+const createPatient = ({ name, mrn, date_of_birth: dateOfBirth, sex }, createdBy) => {
+  const problems = validatePatientDetails({ name, mrn, date_of_birth: dateOfBirth, sex });
+  if (problems.length > 0) {
+    const error = new Error(problems.join('; '));
+    error.code = 'InvalidPatient';
+    throw error;
+  }
+
+  const normalizedMrn = mrn ? mrn.trim() : null;
+  if (normalizedMrn && patients.list().some(patient => isActive(patient) && patient.mrn === normalizedMrn)) {
+    const error = new Error(`A patient with MRN ${normalizedMrn} already exists`);
+    error.code = 'DuplicatePatient';
+    throw error;
+  }
+
+  return patients.save({
+    id: patients.generateId(),
+    name: name.trim(),
+    mrn: normalizedMrn,
+    date_of_birth: dateOfBirth || null,
+    sex: sex || null,
+    created_at: new Date().toISOString(),
+    created_by: createdBy || null,
+    deleted_at: null,
+    deleted_by: null
+  });
+};
+
+// Active patient by id, or null (unknown or deleted)
+const getPatient = (id) => {
+  const patient = patients.load(id);
+  return isActive(patient) ? patient : null;
+};
+
+// Newest first; `search` matches name or MRN, case-insensitively
+const listPatients = ({ search, limit, offset }) => {
+  const term = search ? search.toLowerCase() : null;
+  const matching = patients.list()
+    .filter(isActive)
+    .filter(patient => !term || patient.name.toLowerCase().includes(term) || (patient.mrn || '').toLowerCase().includes(term))
+    .sort(newestFirst);
+  return paginate(matching, { limit, offset });
+};
+
+// Soft delete; the patient's assessments are soft-deleted with it
+const deletePatient = (id, deletedBy) => {
+  const patient = getPatient(id);
+  if (!patient) {
+    return null;
+  }
+
+  const deletedAt = new Date().toISOString();
+  assessments.list()
+    .filter(assessment => assessment.patient_id === id && isActive(assessment))
+    .forEach(assessment => assessments.save({ ...assessment, deleted_at: deletedAt, deleted_by: deletedBy || null }));
+
+  return patients.save({ ...patient, deleted_at: deletedAt, deleted_by: deletedBy || null });
+};
+
+// Save a scored prediction against a patient
+const createAssessment = ({ patientId, input, result, model, endpoint, provider, requestId, unitConversions, imputedFields, confidence }, createdBy) => assessments.save({
+  id: assessments.generateId(),
+  patient_id: patientId,
+  request_id: requestId,
+  input,
+  unit_conversions: unitConversions || {},
+  imputed_fields: imputedFields || [],
+  result: {
+    prediction: result.prediction,
+    risk_level: result.risk_level,
+    probability: result.probability,
+    confidence: confidence || null
+  },
+  model: model || null,
+  endpoint,
+  provider,
+  created_at: new Date().toISOString(),
+  created_by: createdBy || null,
+  deleted_at: null,
+  deleted_by: null
+});
+
+const getAssessment = (id) => {
+  const assessment = assessments.load(id);
+  return isActive(assessment) ? assessment : null;
+};
+
+// A date-only `to` covers the whole day
+const endOfRange = (to) => (DATE_PATTERN.test(to) ? `${to}T23:59:59.999Z` : new Date(to).toISOString());
+
+// Newest first, filtered by patient, risk level and created_at range (`from`/`to`, ISO dates)
+const listAssessments = ({ patientId, riskLevel, from, to, limit, offset }) => {
+  const fromTime = from ? new Date(from).toISOString() : null;
+  const toTime = to ? endOfRange(to) : null;
+
+  const matching = assessments.list()
+    .filter(isActive)
+    .filter(assessment => !patientId || assessment.patient_id === patientId)
+    .filter(assessment => !riskLevel || assessment.result.risk_level === riskLevel)
+    .filter(assessment => !fromTime || assessment.created_at >= fromTime)
+    .filter(assessment => !toTime || assessment.created_at <= toTime)
+    .sort(newestFirst);
+  return paginate(matching, { limit, offset });
+};
+
+const deleteAssessment = (id, deletedBy) => {
+  const assessment = getAssessment(id);
+  if (!assessment) {
+    return null;
+  }
+  return assessments.save({ ...assessment, deleted_at: new Date().toISOString(), deleted_by: deletedBy || null });
+};
+
+// Latest assessment and count per patient id, for patient listings
+const summarizeAssessments = () => assessments.list()
+  .filter(isActive)
+  .reduce((summary, assessment) => {
+    const entry = summary[assessment.patient_id] || { assessment_count: 0, latest_assessment: null };
+    entry.assessment_count += 1;
+    if (!entry.latest_assessment || assessment.created_at > entry.latest_assessment.created_at) {
+      entry.latest_assessment = {
+        id: assessment.id,
+        risk_level: assessment.result.risk_level,
+        probability: assessment.result.probability,
+        created_at: assessment.created_at
+      };
+    }
+    summary[assessment.patient_id] = entry;
+    return summary;
+  }, {});
+
+module.exports = {
+  RECORDS_DIR,
+  PATIENT_SEXES,
+  createPatient,
+  getPatient,
+  listPatients,
+  deletePatient,
+  createAssessment,
+  getAssessment,
+  listAssessments,
+  deleteAssessment,
+  summarizeAssessments,
+  patientCollections: { patients, assessments }
+};
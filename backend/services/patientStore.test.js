@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger');
+
+delete process.env.ENCRYPTION_KEY;
+process.env.ENCRYPTION_KEYS_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'enc-keys-')), 'encryption-keys.json');
+process.env.RECORDS_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'patient-records-'));
+
+const { initEncryptionKeySet } = require('./encryption');
+const {
+  createPatient,
+  getPatient,
+  listPatients,
+  deletePatient,
+  createAssessment,
+  getAssessment,
+  listAssessments,
+  deleteAssessment,
+  summarizeAssessments
+} = require('./patientStore');
+
+initEncryptionKeySet();
+
+const clinician = { type: 'user', id: 'usr_1' };
+const everything = { limit: 100, offset: 0 };
+
+// Created at a fixed time so date filters and ordering are predictable
+const assessAt = (patientId, createdAt, riskLevel, probability) => {
+  jest.setSystemTime(new Date(createdAt));
+  return createAssessment({
+    patientId,
+    requestId: `req_${createdAt}`,
+    input: { Age: 50 },
+    result: { prediction: probability >= 0.5 ? 1 : 0, risk_level: riskLevel, probability },
+    endpoint: 'local:diabetes',
+    provider: 'local'
+  }, clinician);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-06-01T09:00:00.000Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('validates patient details and keeps MRNs unique', () => {
+  expect(() => createPatient({ name: ' ', sex: 'robot' })).toThrow(expect.objectContaining({
+    code: 'InvalidPatient',
+    message: expect.stringMatching(/name is required.*sex must be one of/)
+  }));
+  expect(() => createPatient({ name: 'Future', date_of_birth: '2099-01-01' })).toThrow(/date_of_birth/);
+
+  const patient = createPatient({ name: ' Ada Byron ', mrn: ' MRN-1 ', sex: 'female' }, clinician);
+  expect(patient).toMatchObject({ name: 'Ada Byron', mrn: 'MRN-1', created_by: clinician, deleted_at: null });
+  expect(() => createPatient({ name: 'Someone else', mrn: 'MRN-1' })).toThrow(expect.objectContaining({ code: 'DuplicatePatient' }));
+});
+
+test('pages and searches patients, newest first', () => {
+  const names = ['Grace Hopper', 'Alan Turing', 'Grace Kelly'];
+  const created = names.map((name, index) => {
+    jest.setSystemTime(new Date(Date.UTC(2026, 6, index + 1)));
+    return createPatient({ name, mrn: `PAGE-${index}` });
+  });
+
+  const graces = listPatients({ search: 'grace', limit: 1, offset: 0 });
+  expect(graces).toMatchObject({ total: 2, limit: 1, offset: 0 });
+  expect(graces.items.map(patient => patient.id)).toEqual([created[2].id]);
+  expect(listPatients({ search: 'grace', limit: 1, offset: 1 }).items.map(patient => patient.id)).toEqual([created[0].id]);
+  expect(listPatients({ search: 'page-1', ...everything }).items.map(patient => patient.name)).toEqual(['Alan Turing']);
+});
+
+test('filters assessments by patient, risk level and date range', () => {
+  const patient = createPatient({ name: 'Filter Patient' });
+  const other = createPatient({ name: 'Other Patient' });
+  const january = assessAt(patient.id, '2026-01-15T10:00:00.000Z', 'Low Risk', 0.2);
+  const february = assessAt(patient.id, '2026-02-20T23:30:00.000Z', 'High Risk', 0.7);
+  const march = assessAt(patient.id, '2026-03-05T08:00:00.000Z', 'High Risk', 0.8);
+  assessAt(other.id, '2026-02-10T12:00:00.000Z', 'High Risk', 0.9);
+
+  const ids = (filters) => listAssessments({ patientId: patient.id, ...filters, ...everything }).items.map(assessment => assessment.id);
+
+  expect(ids({})).toEqual([march.id, february.id, january.id]);
+  expect(ids({ riskLevel: 'High Risk' })).toEqual([march.id, february.id]);
+  // A date-only `to` includes that whole day
+  expect(ids({ from: '2026-02-01', to: '2026-02-20' })).toEqual([february.id]);
+  expect(ids({ from: '2026-02-21' })).toEqual([march.id]);
+  expect(listAssessments({ riskLevel: 'High Risk', from: '2026-02-01', to: '2026-02-28', ...everything }).total).toBe(2);
+  expect(listAssessments({ patientId: patient.id, limit: 2, offset: 2 })).toMatchObject({ total: 3, items: [{ id: january.id }] });
+});
+
+test('soft-deletes assessments and patients without removing the files', () => {
+  const patient = createPatient({ name: 'Delete Patient', mrn: 'DEL-1' });
+  const first = assessAt(patient.id, '2026-04-01T10:00:00.000Z', 'Low Risk', 0.1);
+  const second = assessAt(patient.id, '2026-04-02T10:00:00.000Z', 'Moderate Risk', 0.4);
+
+  expect(summarizeAssessments()[patient.id]).toMatchObject({ assessment_count: 2, latest_assessment: { id: second.id } });
+
+  expect(deleteAssessment(second.id, clinician)).toMatchObject({ deleted_by: clinician, deleted_at: expect.any(String) });
+  expect(getAssessment(second.id)).toBeNull();
+  expect(deleteAssessment(second.id)).toBeNull();
+  expect(summarizeAssessments()[patient.id]).toMatchObject({ assessment_count: 1, latest_assessment: { id: first.id } });
+
+  deletePatient(patient.id, clinician);
+  expect(getPatient(patient.id)).toBeNull();
+  expect(getAssessment(first.id)).toBeNull();
+  expect(listPatients({ search: 'Delete Patient', ...everything }).total).toBe(0);
+  expect(listAssessments({ patientId: patient.id, ...everything }).total).toBe(0);
+  expect(summarizeAssessments()[patient.id]).toBeUndefined();
+  expect(deletePatient(patient.id)).toBeNull();
+
+  // Still on disk, and a deleted patient's MRN can be reused
+  expect(fs.existsSync(path.join(process.env.RECORDS_DATA_DIR, 'patients', `${patient.id}.json`))).toBe(true);
+  expect(createPatient({ name: 'New Patient', mrn: 'DEL-1' }).mrn).toBe('DEL-1');
+});
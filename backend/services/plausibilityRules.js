@@ -0,0 +1,72 @@
+require('dotenv').config();
+
+// Cross-field clinical plausibility rules, run after per-field range checks.
+// `error` rules reject the record; `warning` rules need clinician confirmation on
+// single predictions (acknowledged_warnings) and are reported on batch rows.
+const plausibilityConfig = {
+  // Allowed gap between fasting glucose and the HbA1c-derived estimated average glucose
+  eagToleranceMgDl: parseInt(process.env.PLAUSIBILITY_EAG_TOLERANCE_MG_DL) || 70,
+  minPulsePressure: parseInt(process.env.PLAUSIBILITY_MIN_PULSE_PRESSURE) || 20
+};
+
+// ADAG study: eAG (mg/dL) = 28.7 x HbA1c (%) - 46.7
+const estimatedAverageGlucose = (hba1cPercent) => 28.7 * hba1cPercent - 46.7;
+
+const RULES = [
+  {
+    id: 'systolic_not_above_diastolic',
+    severity: 'error',
+    check: (patient) => (patient.Systolic_BP_mmHg <= patient.Diastolic_BP_mmHg
+      ? `Systolic BP (${patient.Systolic_BP_mmHg} mmHg) must be higher than diastolic BP (${patient.Diastolic_BP_mmHg} mmHg)`
+      : null)
+  },
+  {
+    id: 'narrow_pulse_pressure',
+    severity: 'warning',
+    check: (patient) => {
+      const pulsePressure = patient.Systolic_BP_mmHg - patient.Diastolic_BP_mmHg;
+      return pulsePressure > 0 && pulsePressure < plausibilityConfig.minPulsePressure
+        ? `Pulse pressure of ${pulsePressure} mmHg is unusually narrow; please re-check the blood pressure reading`
+        : null;
+    }
+  },
+  {
+    id: 'hba1c_glucose_mismatch',
+    severity: 'warning',
+    check: (patient) => {
+      const eag = estimatedAverageGlucose(patient.HbA1c_percent);
+      const gap = Math.abs(patient.Fasting_Glucose_mg_dL - eag);
+      return gap > plausibilityConfig.eagToleranceMgDl
+        ? `Fasting glucose ${patient.Fasting_Glucose_mg_dL} mg/dL is inconsistent with HbA1c ${patient.HbA1c_percent}% ` +
+          `(estimated average glucose ${Math.round(eag)} mg/dL)`
+        : null;
+    }
+  },
+  {
+    id: 'hypertension_not_flagged',
+    severity: 'warning',
+    check: (patient) => (patient.Hypertension === 0 && (patient.Systolic_BP_mmHg >= 180 || patient.Diastolic_BP_mmHg >= 120)
+      ? `Blood pressure ${patient.Systolic_BP_mmHg}/${patient.Diastolic_BP_mmHg} mmHg is in the hypertensive crisis range but Hypertension is 0`
+      : null)
+  }
+];
+
+// Evaluate every rule against a normalized (numeric, canonical-unit) record.
+// Returns { errors: [message], warnings: [{ rule, message }] }.
+const evaluatePlausibility = (patient) => RULES.reduce((outcome, rule) => {
+  const message = rule.check(patient);
+  if (message) {
+    if (rule.severity === 'error') {
+      outcome.errors.push(message);
+    } else {
+      outcome.warnings.push({ rule: rule.id, message });
+    }
+  }
+  return outcome;
+}, { errors: [], warnings: [] });
+
+module.exports = {
+  plausibilityConfig,
+  estimatedAverageGlucose,
+  evaluatePlausibility
+};
@@ -0,0 +1,40 @@
+const { evaluatePlausibility, estimatedAverageGlucose } = require('./plausibilityRules');
+
+// Consistent readings: HbA1c 5.5% gives an eAG of about 111 mg/dL
+const plausiblePatient = {
+  Fasting_Glucose_mg_dL: 100,
+  HbA1c_percent: 5.5,
+  Systolic_BP_mmHg: 120,
+  Diastolic_BP_mmHg: 80,
+  Hypertension: 0
+};
+
+const rulesHit = (patient) => evaluatePlausibility({ ...plausiblePatient, ...patient }).warnings.map(warning => warning.rule);
+
+test('estimatedAverageGlucose follows the ADAG formula', () => {
+  expect(estimatedAverageGlucose(7)).toBeCloseTo(154.2);
+});
+
+test('a consistent record passes every rule', () => {
+  expect(evaluatePlausibility(plausiblePatient)).toEqual({ errors: [], warnings: [] });
+});
+
+test('systolic at or below diastolic is an error', () => {
+  const { errors, warnings } = evaluatePlausibility({ ...plausiblePatient, Systolic_BP_mmHg: 80, Diastolic_BP_mmHg: 90 });
+  expect(errors).toEqual(['Systolic BP (80 mmHg) must be higher than diastolic BP (90 mmHg)']);
+  expect(warnings).toEqual([]);
+});
+
+test('a narrow pulse pressure is a warning', () => {
+  expect(rulesHit({ Systolic_BP_mmHg: 95, Diastolic_BP_mmHg: 85 })).toEqual(['narrow_pulse_pressure']);
+});
+
+test('glucose far from the HbA1c estimate is a warning', () => {
+  expect(rulesHit({ Fasting_Glucose_mg_dL: 300 })).toEqual(['hba1c_glucose_mismatch']);
+  expect(rulesHit({ Fasting_Glucose_mg_dL: 180 })).toEqual([]);
+});
+
+test('crisis-range blood pressure without hypertension is a warning', () => {
+  expect(rulesHit({ Systolic_BP_mmHg: 185, Diastolic_BP_mmHg: 100 })).toEqual(['hypertension_not_flagged']);
+  expect(rulesHit({ Systolic_BP_mmHg: 185, Diastolic_BP_mmHg: 100, Hypertension: 1 })).toEqual([]);
+});
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+const cacheConfig = {
+  enabled: process.env.PREDICTION_CACHE_ENABLED !== 'false',
+  ttlMs: parseInt(process.env.PREDICTION_CACHE_TTL_MS) || 5 * 60 * 1000,
+  maxEntries: parseInt(process.env.PREDICTION_CACHE_MAX_ENTRIES) || 1000
+};
+
+// Map preserves insertion order, so the first key is always the least recently used
+const entries = new Map();
+// Model version last seen per endpoint; a change purges that endpoint's entries
+const modelVersions = new Map();
+const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0, invalidations: 0 };
+
+// JSON with sorted keys so equal records always hash the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const cacheKey = (endpoint, patientData) => crypto
+  .createHash('sha256')
+  .update(`${endpoint}|${process.env.MODEL_VERSION || ''}|${stableStringify(patientData)}`)
+  .digest('hex');
+
+const purgeEndpoint = (endpoint) => {
+  let purged = 0;
+  for (const [key, entry] of entries) {
+    if (entry.endpoint === endpoint) {
+      entries.delete(key);
+      purged++;
+    }
+  }
+  return purged;
+};
+
+// Invalidate cached results for an endpoint once it starts answering with a new model version
+const observeModelVersion = (endpoint, modelVersion) => {
+  if (modelVersion === undefined || modelVersion === null) return;
+
+  const previous = modelVersions.get(endpoint);
+  modelVersions.set(endpoint, modelVersion);
+
+  if (previous !== undefined && previous !== modelVersion) {
+    const purged = purgeEndpoint(endpoint);
+    stats.invalidations++;
+    logger.info('Prediction cache invalidated after model version change', {
+      endpoint,
+      from: previous,
+      to: modelVersion,
+      purgedEntries: purged
+    });
+  }
+};
+
+const lookup = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    stats.expirations++;
+    return null;
+  }
+
+  // Refresh recency
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry;
+};
+
+const store = (key, endpoint, result) => {
+  entries.set(key, {
+    endpoint,
+    result,
+    expiresAt: Date.now() + cacheConfig.ttlMs
+  });
+
+  while (entries.size > cacheConfig.maxEntries) {
+    entries.delete(entries.keys().next().value);
+    stats.evictions++;
+  }
+};
+
+// Score a normalized patient record through the cache.
+// Resolves to { result, cacheHit }; `bypass` forces a fresh call (the result is still cached).
+const cachedPredict = async (provider, patientData, options = {}) => {
+  if (!cacheConfig.enabled) {
+    return { result: await provider.predict(patientData), cacheHit: false };
+  }
+
+  const key = cacheKey(provider.endpoint, patientData);
+
+  if (!options.bypass) {
+    const entry = lookup(key);
+    if (entry) {
+      stats.hits++;
+      return { result: { ...entry.result }, cacheHit: true };
+    }
+  }
+
+  stats.misses++;
+  const result = await provider.predict(patientData);
+
+  observeModelVersion(provider.endpoint, result && result.model_version);
+  store(key, provider.endpoint, result);
+
+  return { result: { ...result }, cacheHit: false };
+};
+
+const clearCache = () => {
+  const cleared = entries.size;
+  entries.clear();
+  stats.invalidations++;
+  return cleared;
+};
+
+const getCacheStats = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled: cacheConfig.enabled,
+    size: entries.size,
+    max_entries: cacheConfig.maxEntries,
+    ttl_ms: cacheConfig.ttlMs,
+    hits: stats.hits,
+    misses: stats.misses,
+    hit_rate: lookups > 0 ? Number((stats.hits / lookups).toFixed(4)) : 0,
+    evictions: stats.evictions,
+    expirations: stats.expirations,
+    invalidations: stats.invalidations
+  };
+};
+
+module.exports = {
+  cacheConfig,
+  cachedPredict,
+  clearCache,
+  getCacheStats
+};
@@ -0,0 +1,145 @@
+jest.mock('../utils/logger');
+
+Object.assign(process.env, {
+  PREDICTION_CACHE_TTL_MS: '1000',
+  PREDICTION_CACHE_MAX_ENTRIES: '2'
+});
+
+// A fresh module is an empty cache
+const freshCache = () => {
+  let cache;
+  jest.isolateModules(() => {
+    cache = require('./predictionCache');
+  });
+  return cache;
+};
+
+// Scores every record 0.5 under whatever model version is current
+const fakeProvider = (endpoint = 'endpoint-a') => {
+  const provider = {
+    endpoint,
+    modelVersion: 'v1',
+    predict: jest.fn(async (patientData) => ({ probability: 0.5, model_version: provider.modelVersion, patientData }))
+  };
+  return provider;
+};
+
+const patient = (age) => ({ Age: age, BMI: 27 });
+
+let now;
+
+beforeEach(() => {
+  now = 1000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('serves repeat records from the cache regardless of key order', async () => {
+  const { cachedPredict, getCacheStats } = freshCache();
+  const provider = fakeProvider();
+
+  await expect(cachedPredict(provider, { Age: 50, BMI: 27 })).resolves.toMatchObject({ cacheHit: false });
+  const repeat = await cachedPredict(provider, { BMI: 27, Age: 50 });
+
+  expect(repeat).toMatchObject({ cacheHit: true, result: { probability: 0.5 } });
+  expect(provider.predict).toHaveBeenCalledTimes(1);
+  expect(getCacheStats()).toMatchObject({ size: 1, hits: 1, misses: 1, hit_rate: 0.5 });
+});
+
+test('hands out copies so callers cannot change cached results', async () => {
+  const { cachedPredict } = freshCache();
+  const provider = fakeProvider();
+
+  const first = await cachedPredict(provider, patient(50));
+  first.result.probability = 0.9;
+
+  expect((await cachedPredict(provider, patient(50))).result.probability).toBe(0.5);
+});
+
+test('expires entries after the TTL', async () => {
+  const { cachedPredict, getCacheStats } = freshCache();
+  const provider = fakeProvider();
+
+  await cachedPredict(provider, patient(50));
+  now += 999;
+  expect((await cachedPredict(provider, patient(50))).cacheHit).toBe(true);
+
+  now += 1;
+  expect((await cachedPredict(provider, patient(50))).cacheHit).toBe(false);
+  expect(provider.predict).toHaveBeenCalledTimes(2);
+  expect(getCacheStats()).toMatchObject({ expirations: 1, hits: 1, misses: 2 });
+});
+
+test('evicts the least recently used entry when full', async () => {
+  const { cachedPredict, getCacheStats } = freshCache();
+  const provider = fakeProvider();
+
+  await cachedPredict(provider, patient(50));
+  await cachedPredict(provider, patient(60));
+  // Reading 50 makes 60 the least recently used
+  await cachedPredict(provider, patient(50));
+  await cachedPredict(provider, patient(70));
+
+  expect(getCacheStats()).toMatchObject({ size: 2, evictions: 1 });
+  expect((await cachedPredict(provider, patient(50))).cacheHit).toBe(true);
+  expect((await cachedPredict(provider, patient(60))).cacheHit).toBe(false);
+});
+
+test('bypass forces a fresh call and refreshes the cached result', async () => {
+  const { cachedPredict, getCacheStats } = freshCache();
+  const provider = fakeProvider();
+
+  await cachedPredict(provider, patient(50));
+  now += 900;
+  await expect(cachedPredict(provider, patient(50), { bypass: true })).resolves.toMatchObject({ cacheHit: false });
+  expect(provider.predict).toHaveBeenCalledTimes(2);
+
+  // The bypassed call restarted the TTL
+  now += 900;
+  expect((await cachedPredict(provider, patient(50))).cacheHit).toBe(true);
+  expect(getCacheStats()).toMatchObject({ size: 1, hits: 1, misses: 2 });
+});
+
+test('purges an endpoint once it answers with a new model version', async () => {
+  const { cachedPredict, getCacheStats } = freshCache();
+  const endpointA = fakeProvider('endpoint-a');
+  const endpointB = fakeProvider('endpoint-b');
+
+  await cachedPredict(endpointA, patient(50));
+  await cachedPredict(endpointB, patient(50));
+
+  endpointA.modelVersion = 'v2';
+  await cachedPredict(endpointA, patient(60), { bypass: true });
+
+  expect(getCacheStats()).toMatchObject({ size: 2, invalidations: 1 });
+  expect((await cachedPredict(endpointB, patient(50))).cacheHit).toBe(true);
+  expect((await cachedPredict(endpointA, patient(50))).cacheHit).toBe(false);
+});
+
+test('clears everything on request', async () => {
+  const { cachedPredict, clearCache, getCacheStats } = freshCache();
+  const provider = fakeProvider();
+
+  await cachedPredict(provider, patient(50));
+  await cachedPredict(provider, patient(60));
+
+  expect(clearCache()).toBe(2);
+  expect(getCacheStats()).toMatchObject({ size: 0, invalidations: 1 });
+  expect((await cachedPredict(provider, patient(50))).cacheHit).toBe(false);
+});
+
+test('passes straight through when disabled', async () => {
+  process.env.PREDICTION_CACHE_ENABLED = 'false';
+  const { cachedPredict, getCacheStats } = freshCache();
+  delete process.env.PREDICTION_CACHE_ENABLED;
+  const provider = fakeProvider();
+
+  await cachedPredict(provider, patient(50));
+  await cachedPredict(provider, patient(50));
+
+  expect(provider.predict).toHaveBeenCalledTimes(2);
+  expect(getCacheStats()).toMatchObject({ enabled: false, size: 0, hits: 0, misses: 0, hit_rate: 0 });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encryptRecord, decryptRecord, activeKeyId } = require('./encryption');
+
+// A directory of encrypted JSON records, one file per record named by its id
+// (<prefix>_<16 hex>). Files keep only the id in clear text; see services/encryption.js.
+const createRecordCollection = ({ dir, prefix }) => {
+  const idPattern = new RegExp(`^${prefix}_[a-f0-9]{16}$`);
+
+  const ensureDir = () => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  };
+
+  const isValidId = (id) => idPattern.test(id);
+
+  const generateId = () => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+  const recordPath = (id) => path.join(dir, `${id}.json`);
+
+  const context = (id) => `${prefix}:${id}`;
+
+  const readFile = (id) => {
+    try {
+      return JSON.parse(fs.readFileSync(recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // Temp file + rename, like the job store. Given `readAs` (the file as read earlier), the
+  // rename only happens if the file still holds exactly that, so a record another process
+  // saved or deleted in the meantime is not overwritten; returns whether it was written.
+  const writeFile = (record, readAs = null) => {
+    ensureDir();
+    const target = recordPath(record.id);
+    const temp = `${target}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify({ id: record.id, encrypted: encryptRecord(record, context(record.id)) }), { mode: 0o600 });
+    if (readAs && JSON.stringify(readFile(record.id)) !== JSON.stringify(readAs)) {
+      fs.unlinkSync(temp);
+      return false;
+    }
+    fs.renameSync(temp, target);
+    return true;
+  };
+
+  const ids = () => {
+    ensureDir();
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.basename(file, '.json'))
+      .filter(isValidId);
+  };
+
+  const load = (id) => {
+    if (!isValidId(id)) {
+      return null;
+    }
+    const stored = readFile(id);
+    return stored ? decryptRecord(stored.encrypted, context(id)) : null;
+  };
+
+  const save = (record) => {
+    record.updated_at = new Date().toISOString();
+    writeFile(record);
+    return record;
+  };
+
+  const list = () => ids().map(load).filter(Boolean);
+
+  // Rewrite records that are not under the active key. Records the server saves while this
+  // runs are counted as skipped: its save already used the active key.
+  const reencrypt = () => {
+    const kid = activeKeyId();
+    const summary = { reencrypted: 0, current: 0, skipped: 0 };
+
+    ids().forEach(id => {
+      const stored = readFile(id);
+      if (!stored) return;
+      if (stored.encrypted.kid === kid) {
+        summary.current += 1;
+        return;
+      }
+      const written = writeFile(decryptRecord(stored.encrypted, context(id)), stored);
+      summary[written ? 'reencrypted' : 'skipped'] += 1;
+    });
+    return summary;
+  };
+
+  const keyIds = () => ids().map(readFile).filter(Boolean).map(stored => stored.encrypted.kid);
+
+  return {
+    generateId,
+    isValidId,
+    load,
+    save,
+    list,
+    reencrypt,
+    keyIds
+  };
+};
+
+module.exports = {
+  createRecordCollection
+};
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger');
+
+delete process.env.ENCRYPTION_KEY;
+process.env.ENCRYPTION_KEYS_PATH = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'enc-keys-')), 'encryption-keys.json');
+
+const { createRecordCollection } = require('./recordCollection');
+const { initEncryptionKeySet, addEncryptionKey, encryptRecord } = require('./encryption');
+
+initEncryptionKeySet();
+
+const newCollection = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'records-'));
+  return { dir, records: createRecordCollection({ dir, prefix: 'rec' }) };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('stores records encrypted and loads them back', () => {
+  const { dir, records } = newCollection();
+  const record = records.save({ id: records.generateId(), name: 'Jane Doe' });
+
+  const stored = fs.readFileSync(path.join(dir, `${record.id}.json`), 'utf8');
+  expect(stored).not.toContain('Jane');
+  expect(records.load(record.id)).toEqual(record);
+  expect(records.list()).toEqual([record]);
+  expect(records.load('../encryption-keys')).toBeNull();
+});
+
+test('re-encrypts records under an older key', () => {
+  const { records } = newCollection();
+  const first = records.save({ id: records.generateId(), name: 'first' });
+  const newKid = addEncryptionKey();
+  records.save({ id: records.generateId(), name: 'second' });
+
+  expect(records.reencrypt()).toEqual({ reencrypted: 1, current: 1, skipped: 0 });
+  expect(records.keyIds()).toEqual([newKid, newKid]);
+  expect(records.load(first.id)).toEqual(first);
+});
+
+test('skips a record saved by someone else while it re-encrypts', () => {
+  const { dir, records } = newCollection();
+  const record = records.save({ id: records.generateId(), name: 'before' });
+  addEncryptionKey();
+
+  // The server saves a newer version between our read and our rename
+  const writeFileSync = fs.writeFileSync;
+  jest.spyOn(fs, 'writeFileSync').mockImplementation((file, ...rest) => {
+    writeFileSync(file, ...rest);
+    if (String(file).endsWith('.tmp')) {
+      const newer = { ...record, name: 'after' };
+      writeFileSync(path.join(dir, `${record.id}.json`), JSON.stringify({ id: record.id, encrypted: encryptRecord(newer, `rec:${record.id}`) }));
+    }
+  });
+
+  expect(records.reencrypt()).toEqual({ reencrypted: 0, current: 0, skipped: 1 });
+  expect(records.load(record.id).name).toBe('after');
+  expect(fs.readdirSync(dir).filter(file => file.endsWith('.tmp'))).toEqual([]);
+});
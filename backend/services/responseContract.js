@@ -0,0 +1,141 @@
+// Contract for model output. Whatever an endpoint returns is checked and normalized here
+// before it is cached or sent to clients, so the frontend can rely on:
+//   { prediction: 0|1, risk_level: 'Low Risk'|'Moderate Risk'|'High Risk', probability: 0..1,
+//     recommendations: { diet: [], exercise: [], lifestyle: [], monitoring: [] },
+//     model_version?, patient_info? }
+
+const RISK_LEVELS = ['Low Risk', 'Moderate Risk', 'High Risk'];
+const RECOMMENDATION_CATEGORIES = ['diet', 'exercise', 'lifestyle', 'monitoring'];
+
+// Label variants seen from different model versions, compared lowercased without separators
+const RISK_LEVEL_ALIASES = {
+  low: 'Low Risk',
+  lowrisk: 'Low Risk',
+  moderate: 'Moderate Risk',
+  moderaterisk: 'Moderate Risk',
+  medium: 'Moderate Risk',
+  mediumrisk: 'Moderate Risk',
+  high: 'High Risk',
+  highrisk: 'High Risk'
+};
+
+const contractError = (message, details) => {
+  const error = new Error(message);
+  error.code = 'InvalidModelResponse';
+  error.contractErrors = details;
+  return error;
+};
+
+const normalizeRiskLevel = (value) => {
+  if (typeof value !== 'string') return null;
+  return RISK_LEVEL_ALIASES[value.toLowerCase().replace(/[^a-z]/g, '')] || null;
+};
+
+// Probabilities are 0-1 fractions. Percentages (0-100) are only accepted when they say so:
+// a "%" string, or a model registered with "probability_scale": "percent". Guessing from
+// the value would read a broken 1.5 as 1.5%.
+const normalizeProbability = (value, scale) => {
+  const isPercentString = typeof value === 'string' && value.trim().endsWith('%');
+  const probability = typeof value === 'string' && value.trim() !== '' ? Number(value.replace('%', '')) : value;
+  if (typeof probability !== 'number' || !isFinite(probability)) return null;
+
+  const divisor = isPercentString || scale === 'percent' ? 100 : 1;
+  return probability >= 0 && probability <= divisor ? probability / divisor : null;
+};
+
+const normalizeRecommendations = (value, errors) => {
+  const normalized = RECOMMENDATION_CATEGORIES.reduce((categories, category) => {
+    categories[category] = [];
+    return categories;
+  }, {});
+
+  if (value === undefined || value === null) {
+    return normalized;
+  }
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('recommendations must be an object keyed by category');
+    return normalized;
+  }
+
+  RECOMMENDATION_CATEGORIES.forEach(category => {
+    const items = value[category];
+    if (items === undefined || items === null) return;
+
+    const list = Array.isArray(items) ? items : [items];
+    if (!list.every(item => typeof item === 'string')) {
+      errors.push(`recommendations.${category} must contain only strings`);
+      return;
+    }
+    normalized[category] = list.map(item => item.trim()).filter(Boolean);
+  });
+
+  return normalized;
+};
+
+// Validate and normalize raw model output; throws an InvalidModelResponse error on violations.
+// `probabilityScale` is 'fraction' (default) or 'percent', as declared for the model.
+const normalizeModelResponse = (raw, { probabilityScale = 'fraction' } = {}) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw contractError('Model response is not a JSON object', ['response must be a JSON object']);
+  }
+
+  if (raw.error) {
+    const error = new Error(`Model error: ${raw.error}`);
+    error.code = 'ModelError';
+    throw error;
+  }
+
+  const errors = [];
+
+  const riskLevel = normalizeRiskLevel(raw.risk_level);
+  if (!riskLevel) {
+    errors.push(`risk_level must be one of ${RISK_LEVELS.join(', ')} (received ${JSON.stringify(raw.risk_level)})`);
+  }
+
+  const probability = normalizeProbability(raw.probability, probabilityScale);
+  if (probability === null) {
+    const range = probabilityScale === 'percent' ? '0 and 100' : '0 and 1';
+    errors.push(`probability must be a number between ${range} (received ${JSON.stringify(raw.probability)})`);
+  }
+
+  let prediction = riskLevel === 'Low Risk' ? 0 : 1;
+  if (raw.prediction !== undefined && raw.prediction !== null) {
+    const numeric = Number(raw.prediction);
+    if (numeric !== 0 && numeric !== 1) {
+      errors.push(`prediction must be 0 or 1 (received ${JSON.stringify(raw.prediction)})`);
+    } else {
+      prediction = numeric;
+    }
+  }
+
+  const recommendations = normalizeRecommendations(raw.recommendations, errors);
+
+  if (errors.length > 0) {
+    throw contractError('Model response violates the prediction contract', errors);
+  }
+
+  const normalized = {
+    prediction,
+    risk_level: riskLevel,
+    probability: Number(probability.toFixed(4)),
+    recommendations
+  };
+
+  if (raw.model_version !== undefined && raw.model_version !== null) {
+    normalized.model_version = String(raw.model_version);
+  }
+
+  // Echo of the scored inputs some inference scripts return
+  if (raw.patient_info && typeof raw.patient_info === 'object' && !Array.isArray(raw.patient_info)) {
+    normalized.patient_info = raw.patient_info;
+  }
+
+  return normalized;
+};
+
+module.exports = {
+  RISK_LEVELS,
+  RECOMMENDATION_CATEGORIES,
+  normalizeModelResponse
+};
@@ -0,0 +1,68 @@
+const { normalizeModelResponse } = require('./responseContract');
+
+const valid = { prediction: 1, risk_level: 'High Risk', probability: 0.81 };
+
+const contractErrors = (raw, options) => {
+  try {
+    normalizeModelResponse(raw, options);
+  } catch (error) {
+    return { code: error.code, errors: error.contractErrors };
+  }
+  return null;
+};
+
+test('normalizes label variants, recommendations and versions', () => {
+  expect(normalizeModelResponse({
+    risk_level: 'medium_risk',
+    probability: '0.456789',
+    recommendations: { diet: ' Cut sugar ', exercise: ['Walk daily', ''] },
+    model_version: 3,
+    patient_info: { Age: 50 }
+  })).toEqual({
+    prediction: 1,
+    risk_level: 'Moderate Risk',
+    probability: 0.4568,
+    recommendations: { diet: ['Cut sugar'], exercise: ['Walk daily'], lifestyle: [], monitoring: [] },
+    model_version: '3',
+    patient_info: { Age: 50 }
+  });
+});
+
+test('derives prediction from the risk level when it is missing', () => {
+  expect(normalizeModelResponse({ risk_level: 'low', probability: 0.1 }).prediction).toBe(0);
+});
+
+test.each([
+  [1.5, undefined],
+  [-0.1, undefined],
+  [81, undefined],
+  ['abc', undefined],
+  [101, { probabilityScale: 'percent' }]
+])('rejects probability %j (%j)', (probability, options) => {
+  expect(contractErrors({ ...valid, probability }, options)).toMatchObject({
+    code: 'InvalidModelResponse',
+    errors: [expect.stringMatching(/^probability must be a number between/)]
+  });
+});
+
+test.each([
+  ['81%', undefined, 0.81],
+  [81, { probabilityScale: 'percent' }, 0.81],
+  [1, undefined, 1],
+  [0, undefined, 0]
+])('reads probability %j (%j) as %d', (probability, options, expected) => {
+  expect(normalizeModelResponse({ ...valid, probability }, options).probability).toBe(expected);
+});
+
+test('collects every contract violation', () => {
+  expect(contractErrors({ risk_level: 'severe', probability: 0.5, prediction: 2, recommendations: [] }).errors).toEqual([
+    'risk_level must be one of Low Risk, Moderate Risk, High Risk (received "severe")',
+    'prediction must be 0 or 1 (received 2)',
+    'recommendations must be an object keyed by category'
+  ]);
+});
+
+test('passes model errors through', () => {
+  expect(() => normalizeModelResponse({ error: 'feature mismatch' })).toThrow(expect.objectContaining({ code: 'ModelError' }));
+  expect(contractErrors([valid]).code).toBe('InvalidModelResponse');
+});
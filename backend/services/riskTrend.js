@@ -0,0 +1,90 @@
+const { getTrendFeatures } = require('./featureSchema');
+require('dotenv').config();
+
+// Unset or non-numeric falls back; 0 and fractional bands are kept
+const envFloat = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Probability changes smaller than this many percentage points count as stable
+const trendConfig = {
+  stableBandPercentPoints: envFloat('TREND_STABLE_PERCENT_POINTS', 2)
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Lower risk is better
+const directionOf = (change) => {
+  if (Math.abs(change * 100) < trendConfig.stableBandPercentPoints) {
+    return 'stable';
+  }
+  return change < 0 ? 'improving' : 'worsening';
+};
+
+// Imputed values were never measured, so they are left out of the trend
+const measuredValue = (assessment, field, imputed) => {
+  const value = Number(assessment.input?.[field]);
+  return imputed.has(field) || assessment.input?.[field] === undefined || !Number.isFinite(value) ? null : value;
+};
+
+// One chart row per visit: flat keys so each series is a recharts dataKey
+const toPoint = (assessment, features) => {
+  const imputed = new Set((assessment.imputed_fields || []).map(entry => entry.field));
+  return {
+    assessment_id: assessment.id,
+    date: assessment.created_at,
+    timestamp: Date.parse(assessment.created_at),
+    probability: assessment.result.probability,
+    risk_level: assessment.result.risk_level,
+    ...Object.fromEntries(features.map(feature => [feature.name, measuredValue(assessment, feature.name, imputed)])),
+    imputed_fields: [...imputed]
+  };
+};
+
+// Change of every series between two visits; null where either visit lacks the value
+const toDelta = (previous, current, keys) => ({
+  from_assessment_id: previous.assessment_id,
+  to_assessment_id: current.assessment_id,
+  from: previous.date,
+  to: current.date,
+  days: round((current.timestamp - previous.timestamp) / DAY_MS, 1),
+  ...Object.fromEntries(keys.map(key => [
+    key,
+    previous[key] === null || current[key] === null ? null : round(current[key] - previous[key], 4)
+  ])),
+  direction: directionOf(current.probability - previous.probability)
+});
+
+// Risk probability and trend features over a patient's assessments, oldest first, with
+// visit-to-visit deltas and an overall direction (first to latest visit)
+const buildRiskTrend = (assessments) => {
+  const features = getTrendFeatures();
+  const keys = ['probability', ...features.map(feature => feature.name)];
+
+  const points = [...assessments]
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .map(assessment => toPoint(assessment, features));
+
+  const deltas = points.slice(1).map((point, index) => toDelta(points[index], point, keys));
+  const overall = points.length > 1 ? toDelta(points[0], points[points.length - 1], keys) : null;
+
+  return {
+    series: [
+      { key: 'probability', label: 'Risk probability', unit: 'probability', axis: 'risk' },
+      ...features.map(feature => ({ key: feature.name, label: feature.label, unit: feature.unit, axis: 'measurement' }))
+    ],
+    points,
+    deltas,
+    overall,
+    direction: overall ? overall.direction : 'insufficient_data',
+    stable_band_percent_points: trendConfig.stableBandPercentPoints
+  };
+};
+
+module.exports = {
+  trendConfig,
+  buildRiskTrend
+};
@@ -0,0 +1,78 @@
+// A fresh module re-reads TREND_STABLE_PERCENT_POINTS
+const loadTrend = (band) => {
+  if (band === undefined) {
+    delete process.env.TREND_STABLE_PERCENT_POINTS;
+  } else {
+    process.env.TREND_STABLE_PERCENT_POINTS = band;
+  }
+  let trend;
+  jest.isolateModules(() => {
+    trend = require('./riskTrend');
+  });
+  return trend;
+};
+
+const assessment = (id, createdAt, probability, input = {}, imputedFields = []) => ({
+  id,
+  created_at: createdAt,
+  input: { BMI: 30, Fasting_Glucose_mg_dL: 120, HbA1c_percent: 6, ...input },
+  imputed_fields: imputedFields,
+  result: { probability, risk_level: probability >= 0.5 ? 'High' : 'Moderate' }
+});
+
+afterEach(() => {
+  delete process.env.TREND_STABLE_PERCENT_POINTS;
+});
+
+test('orders visits oldest first and deltas each one against the previous', () => {
+  const { buildRiskTrend } = loadTrend();
+  const trend = buildRiskTrend([
+    assessment('asm_3', '2026-03-01T00:00:00.000Z', 0.3, { BMI: 27 }),
+    assessment('asm_1', '2026-01-01T00:00:00.000Z', 0.6),
+    assessment('asm_2', '2026-01-31T00:00:00.000Z', 0.45, { BMI: 28.5 })
+  ]);
+
+  expect(trend.points.map(point => point.assessment_id)).toEqual(['asm_1', 'asm_2', 'asm_3']);
+  expect(trend.deltas).toEqual([
+    expect.objectContaining({ from_assessment_id: 'asm_1', to_assessment_id: 'asm_2', days: 30, probability: -0.15, BMI: -1.5 }),
+    expect.objectContaining({ from_assessment_id: 'asm_2', to_assessment_id: 'asm_3', days: 29, probability: -0.15, BMI: -1.5 })
+  ]);
+  expect(trend.overall).toMatchObject({ from_assessment_id: 'asm_1', to_assessment_id: 'asm_3', probability: -0.3, BMI: -3 });
+  expect(trend.direction).toBe('improving');
+  expect(trend.series.map(series => series.key)).toEqual([
+    'probability', 'BMI', 'Waist_Circumference_cm', 'Fasting_Glucose_mg_dL', 'HbA1c_percent', 'Systolic_BP_mmHg', 'Diastolic_BP_mmHg'
+  ]);
+});
+
+test('leaves imputed and missing values out of points and deltas', () => {
+  const { buildRiskTrend } = loadTrend();
+  const trend = buildRiskTrend([
+    assessment('asm_1', '2026-01-01T00:00:00.000Z', 0.4, { Waist_Circumference_cm: 100, HbA1c_percent: 5.9 }, [{ field: 'HbA1c_percent' }]),
+    assessment('asm_2', '2026-02-01T00:00:00.000Z', 0.5, { HbA1c_percent: 6.2 })
+  ]);
+
+  expect(trend.points[0]).toMatchObject({ HbA1c_percent: null, Waist_Circumference_cm: 100, imputed_fields: ['HbA1c_percent'] });
+  expect(trend.points[1]).toMatchObject({ HbA1c_percent: 6.2, Waist_Circumference_cm: null, imputed_fields: [] });
+  expect(trend.deltas[0]).toMatchObject({ HbA1c_percent: null, Waist_Circumference_cm: null, Fasting_Glucose_mg_dL: 0 });
+  expect(trend.direction).toBe('worsening');
+});
+
+test('treats moves inside the stable band as stable', () => {
+  const visits = [
+    assessment('asm_1', '2026-01-01T00:00:00.000Z', 0.4),
+    assessment('asm_2', '2026-02-01T00:00:00.000Z', 0.415)
+  ];
+
+  expect(loadTrend().buildRiskTrend(visits)).toMatchObject({ direction: 'stable', stable_band_percent_points: 2 });
+  expect(loadTrend('1.2').buildRiskTrend(visits)).toMatchObject({ direction: 'worsening', stable_band_percent_points: 1.2 });
+  expect(loadTrend('0').buildRiskTrend(visits)).toMatchObject({ direction: 'worsening', stable_band_percent_points: 0 });
+  expect(loadTrend('wide').buildRiskTrend(visits)).toMatchObject({ direction: 'stable', stable_band_percent_points: 2 });
+});
+
+test('needs two visits for a direction', () => {
+  const { buildRiskTrend } = loadTrend();
+
+  expect(buildRiskTrend([])).toMatchObject({ points: [], deltas: [], overall: null, direction: 'insufficient_data' });
+  expect(buildRiskTrend([assessment('asm_1', '2026-01-01T00:00:00.000Z', 0.4)]))
+    .toMatchObject({ deltas: [], overall: null, direction: 'insufficient_data' });
+});
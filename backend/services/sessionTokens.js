@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Like the encryption key set, the signing keys have no default location: a secret generated
+// beside the data directory would be copied and backed up along with it
+const sessionConfig = {
+  keysPath: process.env.JWT_KEYS_PATH ? path.resolve(process.env.JWT_KEYS_PATH) : null,
+  accessTtlSeconds: parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60,
+  refreshTtlSeconds: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS) || 8 * 60 * 60,
+  clientTokenMaxTtlSeconds: parseInt(process.env.CLIENT_TOKEN_MAX_TTL_SECONDS) || 5 * 60,
+  issuer: process.env.JWT_ISSUER || 'diabetes-prediction-backend',
+  audience: process.env.JWT_AUDIENCE || 'diabetes-prediction-app'
+};
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'HS384', 'HS512', 'RS256', 'ES256'];
+
+// Scopes a client token may carry; admin is never delegated to a browser
+const CLIENT_TOKEN_SCOPES = ['predict', 'batch'];
+
+// Key set file: { "active_kid": "...", "keys": [{ "kid", "alg", "secret" } | { "kid", "alg", "private_key", "public_key" }] }.
+// Tokens are signed with the active key and verified against any key in the set, so a key
+// can be rotated by adding a new one, switching active_kid, and removing the old one later.
+let keySet = null;
+let keySetMtime = null;
+
+const NOT_CONFIGURED = 'Session signing is not configured: set JWT_KEYS_PATH to a key set file ' +
+  '(create one with `npm run session-keys:create`)';
+
+// Reloaded whenever the file changes, so a rotation or a removed key takes effect in a
+// running server
+const loadKeySet = () => {
+  if (!sessionConfig.keysPath) {
+    throw new Error(NOT_CONFIGURED);
+  }
+  if (!fs.existsSync(sessionConfig.keysPath)) {
+    throw new Error(`Session key set ${sessionConfig.keysPath} not found - restore it, or create one with \`npm run session-keys:create\``);
+  }
+
+  const mtime = fs.statSync(sessionConfig.keysPath).mtimeMs;
+  if (keySet && mtime === keySetMtime) {
+    return keySet;
+  }
+
+  const loaded = JSON.parse(fs.readFileSync(sessionConfig.keysPath, 'utf8'));
+
+  const problems = loaded.keys.filter(key => !key.kid || !SUPPORTED_ALGORITHMS.includes(key.alg) ||
+    (key.alg.startsWith('HS') ? !key.secret : !key.public_key));
+  if (problems.length > 0 || !loaded.keys.some(key => key.kid === loaded.active_kid)) {
+    throw new Error(`Invalid session key set in ${sessionConfig.keysPath}`);
+  }
+
+  keySet = loaded;
+  keySetMtime = mtime;
+  return keySet;
+};
+
+// Throws unless the key set is configured and valid; checked at startup
+const checkSessionKeys = () => {
+  loadKeySet();
+};
+
+// Create the key set file at JWT_KEYS_PATH with one HS256 key; never overwrites
+const createSessionKeySet = () => {
+  if (!sessionConfig.keysPath) {
+    throw new Error(NOT_CONFIGURED);
+  }
+  if (fs.existsSync(sessionConfig.keysPath)) {
+    throw new Error(`${sessionConfig.keysPath} already exists`);
+  }
+
+  const kid = `k_${crypto.randomBytes(4).toString('hex')}`;
+  const created = {
+    active_kid: kid,
+    keys: [{ kid, alg: 'HS256', secret: crypto.randomBytes(48).toString('base64'), created_at: new Date().toISOString() }]
+  };
+  fs.mkdirSync(path.dirname(sessionConfig.keysPath), { recursive: true });
+  fs.writeFileSync(sessionConfig.keysPath, JSON.stringify(created, null, 2), { mode: 0o600, flag: 'wx' });
+  logger.info('Created a session signing key set', { path: sessionConfig.keysPath, kid });
+  return kid;
+};
+
+const signingKey = () => {
+  const { active_kid: activeKid, keys } = loadKeySet();
+  const key = keys.find(entry => entry.kid === activeKid);
+  return { kid: key.kid, alg: key.alg, material: key.alg.startsWith('HS') ? key.secret : key.private_key };
+};
+
+const sign = (payload, type, ttlSeconds) => {
+  const { kid, alg, material } = signingKey();
+  return jwt.sign({ ...payload, typ: type }, material, {
+    algorithm: alg,
+    keyid: kid,
+    expiresIn: ttlSeconds,
+    issuer: sessionConfig.issuer,
+    audience: sessionConfig.audience,
+    jwtid: crypto.randomBytes(8).toString('hex')
+  });
+};
+
+// Access + refresh token pair for a logged-in user. Refresh tokens carry the user's token
+// version, so raising it (logout) revokes every refresh token issued before.
+const issueSessionTokens = (user, { tokenVersion = 0 } = {}) => {
+  const claims = { sub: user.id, name: user.name, role: user.role };
+
+  return {
+    token_type: 'Bearer',
+    access_token: sign(claims, 'access', sessionConfig.accessTtlSeconds),
+    expires_in: sessionConfig.accessTtlSeconds,
+    refresh_token: sign({ sub: user.id, ver: tokenVersion }, 'refresh', sessionConfig.refreshTtlSeconds),
+    refresh_expires_in: sessionConfig.refreshTtlSeconds
+  };
+};
+
+// Short-lived token for browser-side calls, minted by a trusted server that holds an API
+// key or by a logged-in user. `issuedBy` is that caller ("api_key:<id>" or "user:<id>").
+const issueClientToken = ({ issuedBy, scopes, ttlSeconds }) => {
+  const ttl = Math.min(ttlSeconds || sessionConfig.clientTokenMaxTtlSeconds, sessionConfig.clientTokenMaxTtlSeconds);
+
+  return {
+    token_type: 'Bearer',
+    access_token: sign({ sub: issuedBy, scope: scopes.join(' ') }, 'client', ttl),
+    expires_in: ttl,
+    scopes
+  };
+};
+
+// Verify signature (by kid), expiry, issuer, audience and token type (one type or a list).
+// Returns the claims or throws with a short reason.
+const verifySessionToken = (token, type = 'access') => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    throw new Error('malformed token');
+  }
+
+  const key = loadKeySet().keys.find(entry => entry.kid === decoded.header.kid);
+  if (!key) {
+    throw new Error('unknown signing key');
+  }
+
+  const claims = jwt.verify(token, key.alg.startsWith('HS') ? key.secret : key.public_key, {
+    algorithms: [key.alg],
+    issuer: sessionConfig.issuer,
+    audience: sessionConfig.audience
+  });
+
+  const types = [].concat(type);
+  if (!types.includes(claims.typ)) {
+    throw new Error(`expected ${types.join(' or ')} token`);
+  }
+  return claims;
+};
+
+module.exports = {
+  sessionConfig,
+  CLIENT_TOKEN_SCOPES,
+  checkSessionKeys,
+  createSessionKeySet,
+  issueSessionTokens,
+  issueClientToken,
+  verifySessionToken
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../utils/logger');
+
+const keysPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-')), 'jwt-keys.json');
+process.env.JWT_KEYS_PATH = keysPath;
+
+const {
+  issueSessionTokens, issueClientToken, verifySessionToken, sessionConfig, checkSessionKeys, createSessionKeySet
+} = require('./sessionTokens');
+
+const user = { id: 'usr_1', name: 'Dr Test', role: 'clinician' };
+
+// Rewrite the key file with a later mtime, as an operator editing it would
+const writeKeySet = (keySet) => {
+  fs.writeFileSync(keysPath, JSON.stringify(keySet));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(keysPath, later, later);
+};
+
+test('refuses to sign until the key set is created, and never overwrites it', () => {
+  expect(() => checkSessionKeys()).toThrow(/not found/);
+  expect(() => issueSessionTokens(user)).toThrow(/session-keys:create/);
+
+  createSessionKeySet();
+  expect(() => checkSessionKeys()).not.toThrow();
+  expect(() => createSessionKeySet()).toThrow('already exists');
+});
+
+test('verifies its own tokens', () => {
+  const { access_token: accessToken, refresh_token: refreshToken } = issueSessionTokens(user, { tokenVersion: 3 });
+
+  expect(verifySessionToken(accessToken)).toMatchObject({ sub: 'usr_1', role: 'clinician', typ: 'access' });
+  expect(verifySessionToken(refreshToken, 'refresh')).toMatchObject({ sub: 'usr_1', typ: 'refresh', ver: 3 });
+});
+
+test('rejects a token of the wrong type', () => {
+  const { refresh_token: refreshToken } = issueSessionTokens(user);
+  expect(() => verifySessionToken(refreshToken)).toThrow('expected access token');
+});
+
+test('caps client token lifetime and accepts them where listed', () => {
+  const token = issueClientToken({ issuedBy: 'api_key:ak_1', scopes: ['predict'], ttlSeconds: 3600 });
+
+  expect(token.expires_in).toBe(sessionConfig.clientTokenMaxTtlSeconds);
+  expect(verifySessionToken(token.access_token, ['access', 'client'])).toMatchObject({ sub: 'api_key:ak_1', scope: 'predict' });
+});
+
+test('rejects tokens for another audience or from an unknown key', () => {
+  const { keys, active_kid: kid } = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+  const { secret } = keys.find(key => key.kid === kid);
+  const options = { algorithm: 'HS256', issuer: sessionConfig.issuer, expiresIn: 60 };
+
+  const otherAudience = jwt.sign({ typ: 'access' }, secret, { ...options, keyid: kid, audience: 'another-app' });
+  expect(() => verifySessionToken(otherAudience)).toThrow(/audience invalid/);
+
+  const unknownKey = jwt.sign({ typ: 'access' }, secret, { ...options, keyid: 'k_unknown', audience: sessionConfig.audience });
+  expect(() => verifySessionToken(unknownKey)).toThrow('unknown signing key');
+});
+
+test('picks up a rotated key set without a restart', () => {
+  const { access_token: oldToken } = issueSessionTokens(user);
+  const oldKid = jwt.decode(oldToken, { complete: true }).header.kid;
+
+  writeKeySet({ active_kid: 'k_new', keys: [{ kid: 'k_new', alg: 'HS256', secret: 'rotated-secret-rotated-secret-rotated' }] });
+
+  const { access_token: newToken } = issueSessionTokens(user);
+  expect(jwt.decode(newToken, { complete: true }).header.kid).toBe('k_new');
+  expect(verifySessionToken(newToken).sub).toBe('usr_1');
+  expect(oldKid).not.toBe('k_new');
+  expect(() => verifySessionToken(oldToken)).toThrow('unknown signing key');
+});
+
+test('refuses an invalid key set', () => {
+  writeKeySet({ active_kid: 'k_missing', keys: [{ kid: 'k_other', alg: 'HS256', secret: 'x' }] });
+  expect(() => issueSessionTokens(user)).toThrow(/Invalid session key set/);
+});
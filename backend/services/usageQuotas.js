@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+require('dotenv').config();
+
+// Per-client request limits. `predict` counts requests, `batch` counts patient rows, and
+// every scored row (single, batch or job) counts toward the daily quota.
+const quotaConfig = {
+  windowMs: parseInt(process.env.QUOTA_WINDOW_MS) || 60 * 1000,
+  limits: {
+    predict_per_window: parseInt(process.env.QUOTA_PREDICT_PER_WINDOW) || 60,
+    batch_rows_per_window: parseInt(process.env.QUOTA_BATCH_ROWS_PER_WINDOW) || 2000,
+    daily_rows: parseInt(process.env.QUOTA_DAILY_ROWS) || 20000
+  },
+  // Daily counters are saved here every flushMs (and at shutdown) and restored on start,
+  // so a restart does not hand every client a fresh daily quota
+  usagePath: path.resolve(process.env.QUOTA_USAGE_PATH || path.join(__dirname, '..', 'data', 'quota-usage.json')),
+  flushMs: parseInt(process.env.QUOTA_FLUSH_MS) || 10 * 1000
+};
+
+// Which per-window limit each bucket draws from; `jobs` only counts toward the daily quota
+const WINDOW_LIMITS = {
+  predict: 'predict_per_window',
+  batch: 'batch_rows_per_window',
+  jobs: null
+};
+
+const QUOTA_LIMIT_FIELDS = Object.keys(quotaConfig.limits);
+
+// Usage for the current UTC day, keyed by client; cleared at midnight
+const usage = new Map();
+let usageDay = null;
+let restored = false;
+let dirty = false;
+let flushTimer = null;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const nextUtcMidnight = (now) => {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime();
+};
+
+const clientKey = (client) => `${client.type}:${client.id}`;
+
+// Today's daily counters from the last flush. Per-window counts are not kept: windows are
+// short and start again after a restart.
+const restoreUsage = (now) => {
+  restored = true;
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(quotaConfig.usagePath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn('Saved quota usage could not be read', { error: error.message });
+    }
+    return;
+  }
+  if (saved.day !== utcDay(now)) {
+    return;
+  }
+
+  usageDay = saved.day;
+  saved.clients.forEach(record => usage.set(clientKey(record.client), { ...record, windows: {} }));
+};
+
+// Same temp file + rename write as the other stores
+const flushQuotaUsage = () => {
+  if (!dirty) {
+    return;
+  }
+  const clients = [...usage.values()].map(({ windows, ...record }) => record);
+  fs.mkdirSync(path.dirname(quotaConfig.usagePath), { recursive: true });
+  const temp = `${quotaConfig.usagePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify({ day: usageDay, clients }), { mode: 0o600 });
+  fs.renameSync(temp, quotaConfig.usagePath);
+  dirty = false;
+};
+
+const markDirty = () => {
+  dirty = true;
+  if (!flushTimer) {
+    flushTimer = setInterval(() => {
+      try {
+        flushQuotaUsage();
+      } catch (error) {
+        logger.warn('Quota usage could not be saved', { error: error.message });
+      }
+    }, quotaConfig.flushMs);
+    flushTimer.unref();
+  }
+};
+
+const rollOverDay = (now) => {
+  if (!restored) {
+    restoreUsage(now);
+  }
+  if (utcDay(now) !== usageDay) {
+    usage.clear();
+    usageDay = utcDay(now);
+  }
+};
+
+const getClientUsage = (client, now) => {
+  rollOverDay(now);
+
+  const key = clientKey(client);
+  if (!usage.has(key)) {
+    usage.set(key, {
+      client,
+      windows: {},
+      limits: null,
+      daily_rows: 0,
+      requests: 0,
+      rejected: 0,
+      last_seen_at: null
+    });
+  }
+  return usage.get(key);
+};
+
+// Client limits: the defaults, overridden field by field (e.g. from an API key's `limits`)
+const resolveLimits = (overrides) => ({ ...quotaConfig.limits, ...(overrides || {}) });
+
+// Check and, if allowed, record `weight` units against `bucket` for `client` ({ type, id }).
+// Rejected requests are not charged.
+const consumeQuota = (client, bucket, weight, overrides) => {
+  if (!(bucket in WINDOW_LIMITS)) {
+    throw new Error(`Unknown quota bucket: ${bucket}`);
+  }
+
+  const now = Date.now();
+  const limits = resolveLimits(overrides);
+  const record = getClientUsage(client, now);
+  const limitField = WINDOW_LIMITS[bucket];
+
+  let window = null;
+  if (limitField) {
+    window = record.windows[bucket];
+    if (!window || now - window.start >= quotaConfig.windowMs) {
+      window = { start: now, used: 0 };
+      record.windows[bucket] = window;
+    }
+  }
+
+  const windowLimit = limitField ? limits[limitField] : null;
+  const windowExceeded = window && window.used + weight > windowLimit;
+  const dailyExceeded = record.daily_rows + weight > limits.daily_rows;
+  const allowed = !windowExceeded && !dailyExceeded;
+
+  record.limits = limits;
+  record.last_seen_at = new Date(now).toISOString();
+  if (allowed) {
+    record.requests += 1;
+    record.daily_rows += weight;
+    if (window) window.used += weight;
+  } else {
+    record.rejected += 1;
+  }
+  markDirty();
+
+  const dailyResetMs = nextUtcMidnight(now) - now;
+  const windowResetMs = window ? window.start + quotaConfig.windowMs - now : null;
+
+  return {
+    allowed,
+    reason: dailyExceeded ? 'daily_quota' : windowExceeded ? 'rate_limit' : null,
+    bucket,
+    weight,
+    limit: windowLimit,
+    remaining: window ? Math.max(windowLimit - window.used, 0) : null,
+    reset_ms: windowResetMs,
+    daily_limit: limits.daily_rows,
+    daily_remaining: Math.max(limits.daily_rows - record.daily_rows, 0),
+    daily_reset_ms: dailyResetMs,
+    retry_after_ms: dailyExceeded ? dailyResetMs : windowExceeded ? windowResetMs : null
+  };
+};
+
+// Today's usage for every client seen, busiest first
+const getUsageReport = () => {
+  const now = Date.now();
+  rollOverDay(now);
+
+  const clients = [...usage.values()].map(record => ({
+    client: record.client,
+    limits: record.limits,
+    requests: record.requests,
+    rejected: record.rejected,
+    daily_rows: record.daily_rows,
+    windows: Object.entries(record.windows).reduce((windows, [bucket, window]) => {
+      // Windows that have already ended no longer count
+      windows[bucket] = now - window.start < quotaConfig.windowMs ? window.used : 0;
+      return windows;
+    }, {}),
+    last_seen_at: record.last_seen_at
+  }));
+
+  return {
+    day: usageDay,
+    window_ms: quotaConfig.windowMs,
+    default_limits: quotaConfig.limits,
+    clients: clients.sort((a, b) => b.daily_rows - a.daily_rows)
+  };
+};
+
+module.exports = {
+  quotaConfig,
+  QUOTA_LIMIT_FIELDS,
+  consumeQuota,
+  getUsageReport,
+  flushQuotaUsage
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../utils/logger');
+
+const usagePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'quota-')), 'quota-usage.json');
+Object.assign(process.env, {
+  QUOTA_USAGE_PATH: usagePath,
+  QUOTA_WINDOW_MS: '1000',
+  QUOTA_PREDICT_PER_WINDOW: '2',
+  QUOTA_BATCH_ROWS_PER_WINDOW: '10',
+  QUOTA_DAILY_ROWS: '12'
+});
+
+// A fresh module is a fresh server process
+const startServer = () => {
+  let quotas;
+  jest.isolateModules(() => {
+    quotas = require('./usageQuotas');
+  });
+  return quotas;
+};
+
+const NOON = Date.parse('2026-03-02T12:00:00Z');
+let now;
+
+beforeEach(() => {
+  now = NOON;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+  fs.rmSync(usagePath, { force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('limits requests per window and starts a new window after it ends', () => {
+  const { consumeQuota } = startServer();
+  const client = { type: 'api_key', id: 'ak_1' };
+
+  expect(consumeQuota(client, 'predict', 1).allowed).toBe(true);
+  expect(consumeQuota(client, 'predict', 1)).toMatchObject({ allowed: true, remaining: 0 });
+
+  const refused = consumeQuota(client, 'predict', 1);
+  expect(refused).toMatchObject({ allowed: false, reason: 'rate_limit', retry_after_ms: 1000 });
+
+  now += 1000;
+  expect(consumeQuota(client, 'predict', 1).allowed).toBe(true);
+});
+
+test('counts rows against the daily quota and does not charge rejected requests', () => {
+  const { consumeQuota, getUsageReport } = startServer();
+  const client = { type: 'user', id: 'usr_1' };
+
+  expect(consumeQuota(client, 'batch', 10).allowed).toBe(true);
+  expect(consumeQuota(client, 'jobs', 3)).toMatchObject({ allowed: false, reason: 'daily_quota', daily_remaining: 2 });
+  expect(consumeQuota(client, 'jobs', 2)).toMatchObject({ allowed: true, daily_remaining: 0, limit: null });
+
+  const [usage] = getUsageReport().clients;
+  expect(usage).toMatchObject({ requests: 2, rejected: 1, daily_rows: 12 });
+});
+
+test('applies per-client overrides', () => {
+  const { consumeQuota } = startServer();
+  const client = { type: 'api_key', id: 'ak_big' };
+
+  expect(consumeQuota(client, 'batch', 50, { batch_rows_per_window: 100, daily_rows: 100 }).allowed).toBe(true);
+  expect(consumeQuota(client, 'batch', 50).allowed).toBe(false);
+});
+
+test('refuses unknown buckets', () => {
+  const { consumeQuota } = startServer();
+  expect(() => consumeQuota({ type: 'user', id: 'usr_1' }, 'export', 1)).toThrow('Unknown quota bucket: export');
+});
+
+test('keeps daily usage across a restart on the same day only', () => {
+  const client = { type: 'api_key', id: 'ak_1' };
+  const first = startServer();
+  first.consumeQuota(client, 'batch', 10);
+  first.flushQuotaUsage();
+
+  // The per-window count starts again; the daily count does not
+  const restarted = startServer();
+  expect(restarted.consumeQuota(client, 'batch', 5)).toMatchObject({ allowed: false, reason: 'daily_quota' });
+  expect(restarted.consumeQuota(client, 'batch', 2).allowed).toBe(true);
+
+  now = Date.parse('2026-03-03T00:00:01Z');
+  const nextDay = startServer();
+  expect(nextDay.consumeQuota(client, 'batch', 10).daily_remaining).toBe(2);
+});
+
+test('writes nothing until usage changes', () => {
+  startServer().flushQuotaUsage();
+  expect(fs.existsSync(usagePath)).toBe(false);
+});
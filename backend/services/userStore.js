@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const USERS_PATH = path.resolve(process.env.USERS_PATH || path.join(__dirname, '..', 'data', 'users.json'));
+
+// Clinicians score patients, reviewers read results, admins do both and manage access
+const ROLES = ['clinician', 'reviewer', 'admin'];
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Stored as scrypt$<salt>$<hash>
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const passwordMatches = (password, stored) => {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const candidate = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// Checked against for unknown and disabled users, so a login costs the same scrypt whether
+// or not the username exists and response times do not reveal which ones do
+let dummyHash = null;
+
+const getDummyHash = () => {
+  if (!dummyHash) {
+    dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+  return dummyHash;
+};
+
+const loadUsers = () => {
+  try {
+    return JSON.parse(fs.readFileSync(USERS_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+const saveUsers = (users) => {
+  fs.mkdirSync(path.dirname(USERS_PATH), { recursive: true });
+  const temp = `${USERS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(users, null, 2), { mode: 0o600 });
+  fs.renameSync(temp, USERS_PATH);
+};
+
+// User record without the password hash and session token version
+const describeUser = ({ password_hash, token_version, ...user }) => user;
+
+const createUser = ({ username, name, role, password }) => {
+  if (!username || !/^[a-z0-9._-]{3,64}$/i.test(username)) {
+    throw new Error('Username must be 3-64 letters, digits, dots, dashes or underscores');
+  }
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  if (!password || password.length < 12) {
+    throw new Error('Password must be at least 12 characters');
+  }
+
+  const users = loadUsers();
+  if (users.some(user => user.username.toLowerCase() === username.toLowerCase())) {
+    throw new Error(`User ${username} already exists`);
+  }
+
+  const user = {
+    id: `usr_${crypto.randomBytes(6).toString('hex')}`,
+    username,
+    name: name || username,
+    role,
+    password_hash: hashPassword(password),
+    disabled: false,
+    created_at: new Date().toISOString()
+  };
+  saveUsers([...users, user]);
+  return describeUser(user);
+};
+
+const findUserById = (id) => {
+  const user = loadUsers().find(entry => entry.id === id);
+  return user ? describeUser(user) : null;
+};
+
+// Version stamped on refresh tokens; tokens with an older one are no longer accepted
+const getTokenVersion = (id) => {
+  const user = loadUsers().find(entry => entry.id === id);
+  return (user && user.token_version) || 0;
+};
+
+// Revoke every refresh token issued to the user so far (logout)
+const revokeUserTokens = (id) => {
+  const users = loadUsers();
+  const user = users.find(entry => entry.id === id);
+  if (!user) {
+    return false;
+  }
+  user.token_version = (user.token_version || 0) + 1;
+  saveUsers(users);
+  return true;
+};
+
+// Returns the user for a correct username/password pair, otherwise null
+const verifyCredentials = (username, password) => {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return null;
+  }
+  const user = loadUsers().find(entry => entry.username.toLowerCase() === username.toLowerCase());
+  const matches = passwordMatches(password, user && !user.disabled ? user.password_hash : getDummyHash());
+  if (!user || user.disabled || !matches) {
+    return null;
+  }
+  return describeUser(user);
+};
+
+module.exports = {
+  USERS_PATH,
+  ROLES,
+  createUser,
+  findUserById,
+  getTokenVersion,
+  revokeUserTokens,
+  verifyCredentials
+};
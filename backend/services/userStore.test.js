@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const usersPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'users-')), 'users.json');
+process.env.USERS_PATH = usersPath;
+
+const { createUser, findUserById, verifyCredentials, getTokenVersion, revokeUserTokens } = require('./userStore');
+
+const password = 'correct-horse-battery';
+let doctor;
+
+beforeAll(() => {
+  doctor = createUser({ username: 'doc', name: 'Dr Doc', role: 'clinician', password });
+});
+
+test('creates users without exposing the password hash', () => {
+  expect(doctor).toMatchObject({ username: 'doc', role: 'clinician', disabled: false });
+  expect(doctor).not.toHaveProperty('password_hash');
+  expect(JSON.parse(fs.readFileSync(usersPath, 'utf8'))[0].password_hash).toMatch(/^scrypt\$/);
+  expect(findUserById(doctor.id)).toEqual(doctor);
+});
+
+test('validates new users', () => {
+  expect(() => createUser({ username: 'x', role: 'clinician', password })).toThrow(/Username/);
+  expect(() => createUser({ username: 'nurse', role: 'nurse', password })).toThrow(/Role must be one of/);
+  expect(() => createUser({ username: 'nurse', role: 'clinician', password: 'short' })).toThrow(/at least 12/);
+  expect(() => createUser({ username: 'DOC', role: 'reviewer', password })).toThrow(/already exists/);
+});
+
+test('accepts the right password with any username case', () => {
+  expect(verifyCredentials('Doc', password)).toEqual(doctor);
+  expect(verifyCredentials('doc', `${password}!`)).toBeNull();
+  expect(verifyCredentials('doc', undefined)).toBeNull();
+});
+
+test('logout raises the token version without exposing it', () => {
+  expect(getTokenVersion(doctor.id)).toBe(0);
+  expect(revokeUserTokens(doctor.id)).toBe(true);
+  expect(getTokenVersion(doctor.id)).toBe(1);
+  expect(findUserById(doctor.id)).not.toHaveProperty('token_version');
+  expect(revokeUserTokens('usr_missing')).toBe(false);
+});
+
+describe('unknown and disabled users', () => {
+  let scrypt;
+
+  beforeEach(() => {
+    scrypt = jest.spyOn(crypto, 'scryptSync');
+  });
+
+  afterEach(() => {
+    scrypt.mockRestore();
+  });
+
+  test('cost the same scrypt check as a wrong password', () => {
+    // The dummy hash is made on the first unknown login
+    verifyCredentials('nobody', password);
+    scrypt.mockClear();
+
+    verifyCredentials('doc', 'wrong-password-here');
+    const knownUserCalls = scrypt.mock.calls.length;
+    scrypt.mockClear();
+
+    expect(verifyCredentials('nobody', password)).toBeNull();
+    expect(scrypt.mock.calls.length).toBe(knownUserCalls);
+  });
+
+  test('are refused even with the right password', () => {
+    const users = JSON.parse(fs.readFileSync(usersPath, 'utf8'));
+    fs.writeFileSync(usersPath, JSON.stringify(users.map(user => ({ ...user, disabled: true }))));
+
+    expect(verifyCredentials('doc', password)).toBeNull();
+    expect(scrypt).toHaveBeenCalled();
+  });
+});
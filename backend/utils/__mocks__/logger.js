@@ -0,0 +1,7 @@
+// Silent stand-in for the winston logger so tests don't write to logs/
+module.exports = {
+  error: jest.fn(),
+  warn: jest.fn(),
+  info: jest.fn(),
+  debug: jest.fn()
+};
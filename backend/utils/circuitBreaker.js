@@ -0,0 +1,143 @@
+require('dotenv').config();
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Circuit breaker: after `failureThreshold` consecutive failures the circuit opens and
+// calls fail fast; once `resetTimeoutMs` has passed a single trial call is let through
+// (half-open) and its outcome decides whether the circuit closes or opens again.
+const createCircuitBreaker = (name, options = {}) => {
+  const {
+    failureThreshold = parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || 5,
+    resetTimeoutMs = parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || 30000,
+    isFailure = () => true,
+    onStateChange
+  } = options;
+
+  let state = STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+  let lastStateChange = new Date().toISOString();
+  const stats = { successes: 0, failures: 0, rejected: 0 };
+
+  const transition = (nextState) => {
+    if (state === nextState) return;
+    const previous = state;
+    state = nextState;
+    lastStateChange = new Date().toISOString();
+    if (onStateChange) {
+      onStateChange(name, previous, nextState);
+    }
+  };
+
+  const currentState = () => {
+    if (state === STATES.OPEN && Date.now() - openedAt >= resetTimeoutMs) {
+      transition(STATES.HALF_OPEN);
+    }
+    return state;
+  };
+
+  const rejection = () => {
+    stats.rejected++;
+    const error = new Error(`Circuit breaker for ${name} is open`);
+    error.code = 'CircuitOpen';
+    error.retryAfterMs = Math.max(0, resetTimeoutMs - (Date.now() - openedAt));
+    return error;
+  };
+
+  const recordSuccess = () => {
+    stats.successes++;
+    consecutiveFailures = 0;
+    transition(STATES.CLOSED);
+  };
+
+  const recordFailure = (error) => {
+    stats.failures++;
+    consecutiveFailures++;
+    lastFailure = { message: error.message, code: error.code, at: new Date().toISOString() };
+
+    if (state === STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+      openedAt = Date.now();
+      transition(STATES.OPEN);
+    }
+  };
+
+  const execute = async (operation) => {
+    const stateNow = currentState();
+
+    if (stateNow === STATES.OPEN) {
+      throw rejection();
+    }
+
+    const isTrial = stateNow === STATES.HALF_OPEN;
+    if (isTrial) {
+      if (trialInFlight) {
+        throw rejection();
+      }
+      trialInFlight = true;
+    }
+
+    try {
+      const result = await operation();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        recordFailure(error);
+      } else if (isTrial) {
+        // The endpoint answered, just not with a transport-level failure
+        recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialInFlight = false;
+      }
+    }
+  };
+
+  const getState = () => {
+    const stateNow = currentState();
+    return {
+      name,
+      state: stateNow,
+      consecutive_failures: consecutiveFailures,
+      failure_threshold: failureThreshold,
+      reset_timeout_ms: resetTimeoutMs,
+      retry_after_ms: stateNow === STATES.OPEN ? Math.max(0, resetTimeoutMs - (Date.now() - openedAt)) : 0,
+      last_failure: lastFailure,
+      last_state_change: lastStateChange,
+      stats: { ...stats }
+    };
+  };
+
+  return {
+    name,
+    execute,
+    getState
+  };
+};
+
+// One breaker per endpoint name, shared across requests
+const breakers = new Map();
+
+const getCircuitBreaker = (name, options) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, createCircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+};
+
+const getAllCircuitStates = () => Array.from(breakers.values()).map(breaker => breaker.getState());
+
+module.exports = {
+  STATES,
+  createCircuitBreaker,
+  getCircuitBreaker,
+  getAllCircuitStates
+};
@@ -0,0 +1,73 @@
+const { createCircuitBreaker, STATES } = require('./circuitBreaker');
+
+const fail = () => Promise.reject(Object.assign(new Error('down'), { code: 'ServiceUnavailable' }));
+const succeed = () => Promise.resolve('ok');
+
+let now;
+
+beforeEach(() => {
+  now = 1000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('opens after consecutive failures and then fails fast', async () => {
+  const onStateChange = jest.fn();
+  const breaker = createCircuitBreaker('endpoint', { failureThreshold: 2, resetTimeoutMs: 1000, onStateChange });
+
+  await expect(breaker.execute(fail)).rejects.toThrow('down');
+  await expect(breaker.execute(fail)).rejects.toThrow('down');
+
+  const operation = jest.fn(succeed);
+  await expect(breaker.execute(operation)).rejects.toMatchObject({ code: 'CircuitOpen', retryAfterMs: 1000 });
+  expect(operation).not.toHaveBeenCalled();
+  expect(onStateChange).toHaveBeenCalledWith('endpoint', STATES.CLOSED, STATES.OPEN);
+  expect(breaker.getState()).toMatchObject({ state: STATES.OPEN, stats: { failures: 2, rejected: 1 } });
+});
+
+test('a success resets the failure count', async () => {
+  const breaker = createCircuitBreaker('endpoint', { failureThreshold: 2 });
+
+  await expect(breaker.execute(fail)).rejects.toThrow();
+  await breaker.execute(succeed);
+  await expect(breaker.execute(fail)).rejects.toThrow();
+  expect(breaker.getState().state).toBe(STATES.CLOSED);
+});
+
+test('lets one trial through after the reset timeout', async () => {
+  const breaker = createCircuitBreaker('endpoint', { failureThreshold: 1, resetTimeoutMs: 1000 });
+  await expect(breaker.execute(fail)).rejects.toThrow();
+
+  now += 1000;
+  expect(breaker.getState().state).toBe(STATES.HALF_OPEN);
+
+  let finishTrial;
+  const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+  await expect(breaker.execute(succeed)).rejects.toMatchObject({ code: 'CircuitOpen' });
+
+  finishTrial('ok');
+  await expect(trial).resolves.toBe('ok');
+  expect(breaker.getState().state).toBe(STATES.CLOSED);
+});
+
+test('a failed trial opens the circuit again', async () => {
+  const breaker = createCircuitBreaker('endpoint', { failureThreshold: 3, resetTimeoutMs: 1000 });
+  for (let i = 0; i < 3; i++) {
+    await expect(breaker.execute(fail)).rejects.toThrow();
+  }
+
+  now += 1000;
+  await expect(breaker.execute(fail)).rejects.toThrow('down');
+  expect(breaker.getState()).toMatchObject({ state: STATES.OPEN, retry_after_ms: 1000 });
+});
+
+test('errors that are not failures do not count', async () => {
+  const breaker = createCircuitBreaker('endpoint', { failureThreshold: 1, isFailure: error => error.code !== 'ValidationException' });
+  const invalid = () => Promise.reject(Object.assign(new Error('bad input'), { code: 'ValidationException' }));
+
+  await expect(breaker.execute(invalid)).rejects.toThrow('bad input');
+  expect(breaker.getState().state).toBe(STATES.CLOSED);
+});
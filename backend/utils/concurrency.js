@@ -0,0 +1,21 @@
+// Map over items with at most `concurrency` async workers in flight.
+// Results keep the order of the input array.
+const mapWithConcurrency = async (items, concurrency, worker) => {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, runWorker));
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
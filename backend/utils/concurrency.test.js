@@ -0,0 +1,44 @@
+const { mapWithConcurrency } = require('./concurrency');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('keeps input order whatever order the work finishes in', async () => {
+  const delays = [3, 0, 2, 1];
+  const results = await mapWithConcurrency(delays, 2, async (delay, index) => {
+    for (let i = 0; i < delay; i++) await tick();
+    return `${index}:${delay}`;
+  });
+
+  expect(results).toEqual(['0:3', '1:0', '2:2', '3:1']);
+});
+
+test('never has more than `concurrency` workers in flight', async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const worker = async (item) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await tick();
+    inFlight--;
+    return item * 2;
+  };
+
+  await expect(mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, worker)).resolves.toEqual([2, 4, 6, 8, 10, 12, 14]);
+  expect(peak).toBe(3);
+});
+
+test('runs one at a time without a usable limit and handles empty input', async () => {
+  const worker = jest.fn(async item => item);
+
+  await expect(mapWithConcurrency([], 4, worker)).resolves.toEqual([]);
+  expect(worker).not.toHaveBeenCalled();
+
+  let inFlight = 0;
+  let peak = 0;
+  await mapWithConcurrency([1, 2, 3], 0, async () => {
+    peak = Math.max(peak, ++inFlight);
+    await tick();
+    inFlight--;
+  });
+  expect(peak).toBe(1);
+});
@@ -0,0 +1,85 @@
+// Minimal RFC 4180 CSV reader/writer: quoted fields, escaped quotes, CRLF or LF line endings
+
+// Parse CSV text into an array of rows (arrays of strings), skipping blank lines
+const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Malformed CSV: unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Spreadsheets run cells starting with these as formulas (=HYPERLINK(...), @SUM(...)).
+// Plain numbers such as -1.5 are left alone.
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+// Uploaded values are echoed back in the results file, so formula-like text is prefixed
+// with ' and opens as text
+const neutralizeFormula = (text) => (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text);
+
+const escapeField = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = neutralizeFormula(String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize an array of rows (arrays of values) to CSV text
+const stringifyCSV = (rows) => rows.map(row => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+  parseCSV,
+  stringifyCSV
+};
@@ -0,0 +1,51 @@
+const { parseCSV, stringifyCSV } = require('./csv');
+
+describe('parseCSV', () => {
+  test('reads quoted fields with commas, quotes and line breaks', () => {
+    const text = 'name,note\r\n"Doe, Jane","said ""hi""\nthen left"\r\n';
+    expect(parseCSV(text)).toEqual([
+      ['name', 'note'],
+      ['Doe, Jane', 'said "hi"\nthen left']
+    ]);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseCSV('\ufeffa,b\n\n1,2\n\n')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  test('keeps a last row without a trailing newline', () => {
+    expect(parseCSV('a,b\n1,')).toEqual([['a', 'b'], ['1', '']]);
+  });
+
+  test('rejects an unterminated quoted field', () => {
+    expect(() => parseCSV('a,"b\n1,2')).toThrow(/unterminated quoted field/);
+  });
+});
+
+describe('stringifyCSV', () => {
+  test('quotes only fields that need it and ends rows with CRLF', () => {
+    expect(stringifyCSV([['a', 'b,c', 'say "x"', null], [1, undefined, 'two\nlines', 0]]))
+      .toBe('a,"b,c","say ""x""",\r\n1,,"two\nlines",0\r\n');
+  });
+
+  test('round-trips through parseCSV', () => {
+    const rows = [['Age', 'Note'], ['52', 'line one\r\nline "two"'], ['', ',']];
+    expect(parseCSV(stringifyCSV(rows))).toEqual(rows);
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example","click")'],
+    ['+1+2'],
+    ['-2+3'],
+    ['@SUM(A1:A2)'],
+    ['\tcmd'],
+    ['\r=1']
+  ])('prefixes formula-like text %j so it opens as text', (value) => {
+    const [cell] = parseCSV(stringifyCSV([[value]]));
+    expect(cell[0]).toBe(`'${value}`);
+  });
+
+  test('leaves signed numbers alone', () => {
+    expect(stringifyCSV([[-1.5, '+2', '-40']])).toBe('-1.5,+2,-40\r\n');
+  });
+});
@@ -1,12 +1,14 @@
 const winston = require('winston');
+const { redactFormat } = require('./redaction');
 require('dotenv').config();
 
-// Create logger instance
+// Create logger instance. Sensitive fields are redacted before any transport sees them.
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactFormat(),
     winston.format.json()
   ),
   defaultMeta: { service: 'diabetes-prediction-backend' },
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const winston = require('winston');
+require('dotenv').config();
+
+// Keys are matched ignoring case, "_" and "-" (userAgent ~ user_agent ~ User-Agent)
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+const parseList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Patient values, model outputs and free text that can carry them
+const DEFAULT_DROP_FIELDS = [
+  'patientData', 'patient', 'patients', 'features', 'Body', 'Height', 'Weight',
+  'risk_level', 'riskLevel', 'primaryRiskLevel', 'shadowRiskLevel', 'riskLevelMatch',
+  'probability', 'primaryProbability', 'shadowProbability', 'probabilityDelta', 'prediction',
+  'result', 'results', 'recommendations', 'confidence',
+  'validationErrors', 'validation_errors', 'validation_warnings', 'override_reason',
+  'userAgent', 'password', 'access_token', 'refresh_token', 'authorization', 'key'
+];
+
+// Identifiers kept correlatable but not readable
+const DEFAULT_HASH_FIELDS = ['ip', 'clientIP', 'username', 'userId', 'sub'];
+
+const redactionConfig = {
+  enabled: process.env.LOG_REDACTION_ENABLED !== 'false',
+  dropFields: [...DEFAULT_DROP_FIELDS, ...parseList(process.env.LOG_REDACT_FIELDS)],
+  hashFields: [...DEFAULT_HASH_FIELDS, ...parseList(process.env.LOG_HASH_FIELDS)],
+  // Without a configured key, hashes only correlate within one process lifetime
+  hashKey: process.env.LOG_HASH_KEY || crypto.randomBytes(32).toString('hex')
+};
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+let fieldModes = null;
+
+// normalized key -> 'drop' | 'hash'; every feature in the schema is dropped
+const getFieldModes = () => {
+  if (!fieldModes) {
+    const { loadFeatureSchema } = require('../services/featureSchema');
+    const schema = loadFeatureSchema();
+    const schemaFields = [...schema.features, ...(schema.measurements || [])].map(spec => spec.name);
+
+    fieldModes = new Map();
+    redactionConfig.hashFields.forEach(field => fieldModes.set(normalizeKey(field), 'hash'));
+    [...redactionConfig.dropFields, ...schemaFields].forEach(field => fieldModes.set(normalizeKey(field), 'drop'));
+  }
+  return fieldModes;
+};
+
+const hashValue = (value) => `hmac:${crypto.createHmac('sha256', redactionConfig.hashKey)
+  .update(String(value))
+  .digest('hex')
+  .slice(0, 16)}`;
+
+// Dropped, hashed or recursively redacted value of one field
+const redactField = (key, value, depth, seen) => {
+  const mode = getFieldModes().get(normalizeKey(key));
+  if (mode === 'drop') {
+    return REDACTED;
+  }
+  if (mode === 'hash') {
+    return value === undefined || value === null ? value : hashValue(value);
+  }
+  return redact(value, depth + 1, seen);
+};
+
+// Copy of `value` with sensitive keys dropped or hashed, at any depth
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof Error) {
+    return value;
+  }
+  if (seen.has(value) || depth > MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, depth + 1, seen));
+  }
+  return Object.keys(value).reduce((copy, key) => {
+    copy[key] = redactField(key, value[key], depth, seen);
+    return copy;
+  }, {});
+};
+
+// Winston format applied before any transport. Only metadata is rewritten; winston's
+// symbol-keyed internals and the message text are left as they are.
+const redactFormat = winston.format((info) => {
+  if (!redactionConfig.enabled) {
+    return info;
+  }
+
+  const seen = new WeakSet();
+  Object.keys(info)
+    .filter(key => key !== 'level' && key !== 'message')
+    .forEach(key => {
+      info[key] = redactField(key, info[key], 0, seen);
+    });
+  return info;
+});
+
+// Request path for logs, without the query string: searches carry patient names and MRNs
+// (/api/patients?search=...)
+const requestPath = (req) => req.originalUrl.split('?')[0];
+
+module.exports = {
+  redactionConfig,
+  redact,
+  redactFormat,
+  requestPath
+};
@@ -0,0 +1,56 @@
+const { redact, redactFormat, requestPath } = require('./redaction');
+
+test('drops patient values and secrets at any depth', () => {
+  const redacted = redact({
+    requestId: 'req_1',
+    patientData: { Age: 52 },
+    batch: { rows: [{ Fasting_Glucose_mg_dL: 130, row: 1 }] },
+    headers: { Authorization: 'Bearer abc', 'user-agent': 'curl' }
+  });
+
+  expect(redacted).toEqual({
+    requestId: 'req_1',
+    patientData: '[REDACTED]',
+    batch: { rows: [{ Fasting_Glucose_mg_dL: '[REDACTED]', row: 1 }] },
+    headers: { Authorization: '[REDACTED]', 'user-agent': '[REDACTED]' }
+  });
+});
+
+test('hashes identifiers so they still correlate', () => {
+  const first = redact({ clientIP: '10.0.0.1', user_id: 'usr_1' });
+  const second = redact({ clientIP: '10.0.0.1', user_id: 'usr_2' });
+
+  expect(first.clientIP).toMatch(/^hmac:[0-9a-f]{16}$/);
+  expect(first.clientIP).toBe(second.clientIP);
+  expect(first.user_id).not.toBe(second.user_id);
+  expect(redact({ ip: null }).ip).toBeNull();
+});
+
+test('does not modify the original or loop on cycles', () => {
+  const original = { patient: { name: 'Jane' } };
+  original.self = original;
+
+  expect(redact(original)).toEqual({ patient: '[REDACTED]', self: '[Truncated]' });
+  expect(original.patient.name).toBe('Jane');
+});
+
+test('the winston format rewrites metadata but not the message', () => {
+  const info = redactFormat().transform({ level: 'info', message: 'Prediction made', probability: 0.8, endpoint: 'local' });
+  expect(info).toMatchObject({ message: 'Prediction made', probability: '[REDACTED]', endpoint: 'local' });
+});
+
+test('keeps rejection reasons but drops clinician override text', () => {
+  const info = redactFormat().transform({
+    level: 'warn',
+    message: 'Credentials rejected',
+    reason: 'Invalid API key',
+    keyReason: 'revoked',
+    override_reason: 'Patient Jane Doe confirmed readings by phone'
+  });
+  expect(info).toMatchObject({ reason: 'Invalid API key', keyReason: 'revoked', override_reason: '[REDACTED]' });
+});
+
+test('requestPath leaves out the query string', () => {
+  expect(requestPath({ originalUrl: '/api/patients?search=Jane%20Doe' })).toBe('/api/patients');
+  expect(requestPath({ originalUrl: '/api/health' })).toBe('/api/health');
+});
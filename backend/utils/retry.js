@@ -0,0 +1,73 @@
+require('dotenv').config();
+
+// AWS error codes that are worth retrying: throttling, transient service and network failures
+const RETRYABLE_ERROR_CODES = [
+  'ThrottlingException',
+  'Throttling',
+  'TooManyRequestsException',
+  'ServiceUnavailable',
+  'ServiceUnavailableException',
+  'InternalFailure',
+  'InternalServerError',
+  'ModelNotReadyException',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'TimeoutError',
+  'NetworkingError'
+];
+
+const isRetryableError = (error) => Boolean(error) && RETRYABLE_ERROR_CODES.includes(error.code);
+
+// Integer setting from the environment. Unset or non-numeric values fall back; 0 is kept,
+// so SAGEMAKER_MAX_RETRIES=0 turns retries off.
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// "Full jitter" exponential backoff: random delay between 0 and min(maxDelay, base * 2^attempt)
+const backoffDelay = (attempt, baseDelayMs, maxDelayMs) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+  return Math.floor(Math.random() * ceiling);
+};
+
+// Run an async operation, retrying retryable failures with jittered exponential backoff.
+// The final error is annotated with the number of attempts made.
+const withRetry = async (operation, options = {}) => {
+  const {
+    retries = envInt('SAGEMAKER_MAX_RETRIES', 3),
+    baseDelayMs = envInt('SAGEMAKER_RETRY_BASE_DELAY_MS', 100),
+    maxDelayMs = envInt('SAGEMAKER_RETRY_MAX_DELAY_MS', 2000),
+    isRetryable = isRetryableError,
+    onRetry
+  } = options;
+
+  let attempt = 0;
+  for (;;) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+
+      await sleep(delay);
+      attempt++;
+    }
+  }
+};
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  backoffDelay,
+  RETRYABLE_ERROR_CODES
+};
@@ -0,0 +1,54 @@
+const { withRetry, isRetryableError, backoffDelay } = require('./retry');
+
+const failure = (code) => Object.assign(new Error(code), { code });
+
+// Fails with `codes` in turn, then resolves
+const flaky = (...codes) => jest.fn(async (attempt) => {
+  if (attempt < codes.length) throw failure(codes[attempt]);
+  return 'ok';
+});
+
+afterEach(() => {
+  delete process.env.SAGEMAKER_MAX_RETRIES;
+});
+
+test('retries retryable errors until the operation succeeds', async () => {
+  const operation = flaky('ThrottlingException', 'ModelNotReadyException');
+  const onRetry = jest.fn();
+
+  await expect(withRetry(operation, { retries: 3, baseDelayMs: 0, onRetry })).resolves.toBe('ok');
+  expect(operation).toHaveBeenCalledTimes(3);
+  expect(onRetry.mock.calls.map(([error, attempt]) => [error.code, attempt]))
+    .toEqual([['ThrottlingException', 1], ['ModelNotReadyException', 2]]);
+});
+
+test('gives up after the configured retries and reports the attempts', async () => {
+  const operation = flaky('ServiceUnavailable', 'ServiceUnavailable', 'ServiceUnavailable');
+  await expect(withRetry(operation, { retries: 2, baseDelayMs: 0 })).rejects.toMatchObject({ code: 'ServiceUnavailable', attempts: 3 });
+});
+
+test('does not retry other errors', async () => {
+  const operation = flaky('ValidationException');
+  await expect(withRetry(operation, { baseDelayMs: 0 })).rejects.toMatchObject({ attempts: 1 });
+  expect(isRetryableError(failure('ValidationException'))).toBe(false);
+});
+
+test.each([
+  ['0', 1],
+  ['2', 3],
+  ['many', 4],
+  [undefined, 4]
+])('SAGEMAKER_MAX_RETRIES=%s makes %i attempts', async (setting, attempts) => {
+  if (setting !== undefined) process.env.SAGEMAKER_MAX_RETRIES = setting;
+  const operation = flaky('Throttling', 'Throttling', 'Throttling', 'Throttling');
+
+  await expect(withRetry(operation, { baseDelayMs: 0 })).rejects.toMatchObject({ attempts });
+});
+
+test('backoff stays under the capped exponential ceiling', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0.999);
+  expect(backoffDelay(0, 100, 2000)).toBe(99);
+  expect(backoffDelay(3, 100, 2000)).toBe(799);
+  expect(backoffDelay(10, 100, 2000)).toBe(1998);
+  Math.random.mockRestore();
+});
@@ -0,0 +1,135 @@
+// Unit handling for patient inputs. A value may be sent plain (already in the schema's
+// canonical unit) or unit-tagged as { value, unit }. Alternative units are declared in
+// the feature schema as linear conversions: canonical = value * factor + (offset || 0).
+
+// Compare units ignoring case and spaces ("mmol/l" ~ "mmol/L")
+const normalizeUnit = (unit) => String(unit).toLowerCase().replace(/\s+/g, '');
+
+const isUnitTagged = (raw) => raw !== null && typeof raw === 'object' && !Array.isArray(raw) && 'value' in raw;
+
+const acceptedUnits = (spec) => [spec.unit, ...Object.keys(spec.units || {})];
+
+// Convert one input to the canonical unit of `spec` (a schema feature or measurement).
+// Returns { value, conversion } or { error }; conversion is null for plain inputs.
+const convertInput = (raw, spec) => {
+  if (!isUnitTagged(raw)) {
+    return { value: raw, conversion: null };
+  }
+
+  const unit = raw.unit === undefined || raw.unit === null || raw.unit === '' ? spec.unit : raw.unit;
+  const conversion = {
+    original_value: raw.value,
+    original_unit: unit,
+    unit: spec.unit
+  };
+
+  if (normalizeUnit(unit) === normalizeUnit(spec.unit)) {
+    return { value: raw.value, conversion: { ...conversion, value: raw.value } };
+  }
+
+  const alternative = Object.entries(spec.units || {})
+    .find(([name]) => normalizeUnit(name) === normalizeUnit(unit));
+
+  if (!alternative) {
+    return {
+      error: `Unsupported unit "${unit}" for ${spec.label} (accepted: ${acceptedUnits(spec).join(', ')})`
+    };
+  }
+
+  const number = Number(raw.value);
+  if (raw.value === '' || raw.value === null || isNaN(number)) {
+    // Left as-is so range validation reports it
+    return { value: raw.value, conversion: null };
+  }
+
+  const { factor, offset = 0 } = alternative[1];
+  const value = Number((number * factor + offset).toFixed(2));
+  return { value, conversion: { ...conversion, value } };
+};
+
+// BMI (kg/m²) from height and weight, each plain (cm / kg) or unit-tagged
+const deriveBMI = (patientData, measurements) => {
+  const specs = measurements.reduce((byName, spec) => ({ ...byName, [spec.name]: spec }), {});
+  const height = convertInput(patientData.Height, specs.Height);
+  const weight = convertInput(patientData.Weight, specs.Weight);
+
+  const errors = [height.error, weight.error].filter(Boolean);
+  [[height, specs.Height], [weight, specs.Weight]].forEach(([measurement, spec]) => {
+    const number = Number(measurement.value);
+    if (!measurement.error && (isNaN(number) || number < spec.min || number > spec.max)) {
+      errors.push(`${spec.label} must be a number between ${spec.min} and ${spec.max} ${spec.unit}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const heightMeters = Number(height.value) / 100;
+  const value = Number((Number(weight.value) / (heightMeters * heightMeters)).toFixed(1));
+
+  return {
+    value,
+    conversion: {
+      value,
+      unit: 'kg/m²',
+      derived_from: {
+        Height: height.conversion || { value: Number(height.value), unit: specs.Height.unit },
+        Weight: weight.conversion || { value: Number(weight.value), unit: specs.Weight.unit }
+      }
+    },
+    errors: []
+  };
+};
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+// Convert a patient record to canonical units.
+// Returns { patientData, conversions, errors }; conversions maps feature name to
+// { original_value, original_unit, value, unit } (or derived_from for BMI).
+const convertPatientUnits = (patientData, schema) => {
+  const converted = { ...patientData };
+  const conversions = {};
+  const errors = [];
+
+  schema.features.forEach(feature => {
+    const raw = patientData[feature.name];
+
+    if (!isPresent(raw) || (isUnitTagged(raw) && !isPresent(raw.value))) {
+      const canDerive = (feature.derived_from || []).every(name => isPresent(patientData[name]));
+      if (feature.name === 'BMI' && feature.derived_from && canDerive) {
+        const bmi = deriveBMI(patientData, schema.measurements || []);
+        errors.push(...bmi.errors);
+        if (bmi.errors.length === 0) {
+          converted.BMI = bmi.value;
+          conversions.BMI = bmi.conversion;
+        }
+      } else if (isUnitTagged(raw)) {
+        delete converted[feature.name];
+      }
+      return;
+    }
+
+    const { value, conversion, error } = convertInput(raw, feature);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+
+    converted[feature.name] = value;
+    if (conversion) {
+      conversions[feature.name] = conversion;
+    }
+  });
+
+  // Height and weight only feed BMI
+  (schema.measurements || []).forEach(measurement => delete converted[measurement.name]);
+
+  return { patientData: converted, conversions, errors };
+};
+
+module.exports = {
+  convertInput,
+  convertPatientUnits,
+  normalizeUnit
+};
@@ -0,0 +1,83 @@
+const { convertInput, convertPatientUnits, normalizeUnit } = require('./unitConversion');
+const { loadFeatureSchema } = require('../services/featureSchema');
+
+jest.mock('./logger');
+
+const schema = loadFeatureSchema();
+const feature = (name) => schema.features.find(spec => spec.name === name);
+
+describe('normalizeUnit', () => {
+  test('ignores case and spaces', () => {
+    expect(normalizeUnit(' mmol / l')).toBe(normalizeUnit('mmol/L'));
+  });
+});
+
+describe('convertInput', () => {
+  const glucose = feature('Fasting_Glucose_mg_dL');
+
+  test('passes plain values through without a conversion', () => {
+    expect(convertInput(126, glucose)).toEqual({ value: 126, conversion: null });
+  });
+
+  test('converts an alternative unit to the canonical one', () => {
+    expect(convertInput({ value: 7, unit: 'mmol/l' }, glucose)).toEqual({
+      value: 126.13,
+      conversion: { original_value: 7, original_unit: 'mmol/l', unit: 'mg/dL', value: 126.13 }
+    });
+  });
+
+  test('applies offsets', () => {
+    expect(convertInput({ value: 48, unit: 'mmol/mol' }, feature('HbA1c_percent')).value).toBeCloseTo(6.54, 2);
+  });
+
+  test('treats a missing unit as the canonical unit', () => {
+    expect(convertInput({ value: 110 }, glucose).value).toBe(110);
+  });
+
+  test('names the accepted units when the unit is unknown', () => {
+    expect(convertInput({ value: 7, unit: 'g/L' }, glucose).error)
+      .toMatch(/Unsupported unit "g\/L".*accepted: mg\/dL, mmol\/L/);
+  });
+
+  test('leaves non-numeric values for range validation', () => {
+    expect(convertInput({ value: 'high', unit: 'mmol/L' }, glucose)).toEqual({ value: 'high', conversion: null });
+  });
+});
+
+describe('convertPatientUnits', () => {
+  test('derives BMI from height and weight and drops the measurements', () => {
+    const { patientData, conversions, errors } = convertPatientUnits({
+      Age: 50,
+      Height: { value: 70, unit: 'in' },
+      Weight: { value: 200, unit: 'lb' }
+    }, schema);
+
+    expect(errors).toEqual([]);
+    expect(patientData).toEqual({ Age: 50, BMI: 28.7 });
+    expect(conversions.BMI.derived_from.Height).toMatchObject({ original_unit: 'in', value: 177.8 });
+    expect(conversions.BMI.derived_from.Weight).toMatchObject({ original_unit: 'lb', unit: 'kg' });
+  });
+
+  test('prefers a BMI that was sent', () => {
+    const { patientData, conversions } = convertPatientUnits({ BMI: 24, Height: 180, Weight: 90 }, schema);
+    expect(patientData.BMI).toBe(24);
+    expect(conversions.BMI).toBeUndefined();
+  });
+
+  test('reports out-of-range measurements instead of deriving BMI', () => {
+    const { patientData, errors } = convertPatientUnits({ Height: 2, Weight: 80 }, schema);
+    expect(patientData.BMI).toBeUndefined();
+    expect(errors[0]).toMatch(/Height must be a number between 100 and 250 cm/);
+  });
+
+  test('collects unsupported units', () => {
+    const { errors } = convertPatientUnits({ Waist_Circumference_cm: { value: 1, unit: 'ft' } }, schema);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/Unsupported unit "ft"/);
+  });
+
+  test('drops unit-tagged features that have no value', () => {
+    const { patientData } = convertPatientUnits({ Waist_Circumference_cm: { value: '', unit: 'in' } }, schema);
+    expect(patientData).not.toHaveProperty('Waist_Circumference_cm');
+  });
+});
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Refuse to build (or start) the app when AWS credentials or a backend API key are in the
+// frontend environment. Every REACT_APP_* variable is inlined into the JavaScript bundle, so
+// a secret there is readable by anyone who loads the page. Runs from the prebuild/prestart
+// npm hooks.
+//   node scripts/check-env.js [production|development]
+const fs = require('fs');
+const path = require('path');
+
+const mode = process.argv[2] || process.env.NODE_ENV || 'production';
+const root = path.join(__dirname, '..');
+
+// The files react-scripts reads for this mode, lowest precedence first
+const ENV_FILES = ['.env', '.env.local', `.env.${mode}`, `.env.${mode}.local`];
+
+const SECRET_NAME = /(AWS_ACCESS_KEY_ID|AWS_SECRET_ACCESS_KEY|AWS_SESSION_TOKEN|SECRET_ACCESS_KEY)$/;
+const ACCESS_KEY_VALUE = /\b(AKIA|ASIA)[A-Z0-9]{16}\b/;
+
+const parseEnvFile = (file) => fs.readFileSync(file, 'utf8')
+  .split(/\r?\n/)
+  .map(line => /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*)?$/.exec(line))
+  .filter(Boolean)
+  .map(([, name, value = '']) => ({ name, value: value.trim().replace(/^(['"])(.*)\1$/, '$2') }));
+
+const problems = [];
+
+const check = (name, value, source) => {
+  if (!value) return;
+  // Only REACT_APP_* reaches the bundle, but an AWS secret has no business in a frontend .env file at all
+  const bundled = name.startsWith('REACT_APP_');
+  if (SECRET_NAME.test(name) && (bundled || source !== 'environment')) {
+    problems.push(`${name} (${source})`);
+  } else if (bundled && ACCESS_KEY_VALUE.test(value)) {
+    problems.push(`${name} looks like an AWS access key (${source})`);
+  } else if (name === 'REACT_APP_API_KEY') {
+    problems.push(`${name} would ship a long-lived API key in the bundle; serve REACT_APP_CLIENT_TOKEN_URL instead (${source})`);
+  }
+};
+
+ENV_FILES
+  .map(file => path.join(root, file))
+  .filter(file => fs.existsSync(file))
+  .forEach(file => parseEnvFile(file).forEach(({ name, value }) => check(name, value, path.basename(file))));
+
+Object.entries(process.env).forEach(([name, value]) => check(name, value, 'environment'));
+
+if (problems.length > 0) {
+  console.error('❌ Secrets found in the frontend environment:');
+  problems.forEach(problem => console.error(`   - ${problem}`));
+  console.error('   The browser must not hold AWS secrets or API keys. Remove them; the backend calls SageMaker,');
+  console.error('   and browsers without a login get short-lived client tokens.');
+  process.exit(1);
+}
+
+console.log(`✅ Frontend environment (${mode}) contains no AWS credentials or API keys`);
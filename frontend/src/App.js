@@ -1,39 +1,172 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './styles/App.css';
 import PatientForm from './components/PatientForm';
 import RiskResults from './components/RiskResults';
 import LoadingSpinner from './components/LoadingSpinner';
-import { Container, Row, Col, Navbar, Nav, Alert } from 'react-bootstrap';
+import BatchUpload from './components/BatchUpload';
+import BatchProgress from './components/BatchProgress';
+import PlausibilityReview from './components/PlausibilityReview';
+import LoginForm from './components/LoginForm';
+import JobResults from './components/JobResults';
+import PatientHistory from './components/PatientHistory';
+import PatientPicker from './components/PatientPicker';
+import FhirImport from './components/FhirImport';
+import { getSession, onSessionChange, logout, hasRole, SUBMIT_ROLES } from './services/authService';
+import logger from './services/logger';
+import { Container, Row, Col, Navbar, Nav, NavDropdown, Alert } from 'react-bootstrap';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faHeartbeat, faChartLine, faUserMd, faBrain } from '@fortawesome/free-solid-svg-icons';
+import {
+  faHeartbeat,
+  faChartLine,
+  faUserMd,
+  faBrain,
+  faUsers,
+  faClipboardList,
+  faSignInAlt,
+  faSignOutAlt,
+  faUserCircle,
+  faAddressBook
+} from '@fortawesome/free-solid-svg-icons';
 
 function App() {
   const [loading, setLoading] = useState(false);
   const [predictionResult, setPredictionResult] = useState(null);
   const [error, setError] = useState(null);
   const [patientData, setPatientData] = useState(null);
+  const [models, setModels] = useState([]);
+  const [featureSchema, setFeatureSchema] = useState(null);
+  const [schemaError, setSchemaError] = useState(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [pendingWarnings, setPendingWarnings] = useState(null);
+  const [session, setSession] = useState(getSession);
+  const [sessionNotice, setSessionNotice] = useState(null);
+  const [view, setView] = useState('assessment');
+  const [selectedPatient, setSelectedPatient] = useState(null);
+
+  // Follow login, token refresh and logout (including a session that could not be refreshed)
+  useEffect(() => onSessionChange(next => {
+    setSession(next);
+    if (!next) {
+      setSessionNotice('You have been signed out.');
+      setPredictionResult(null);
+      setBatchProgress(null);
+      setPendingWarnings(null);
+      setPatientData(null);
+      setSelectedPatient(null);
+    } else {
+      setSessionNotice(null);
+    }
+  }), []);
+
+  // Without a login the app can still run on short-lived client tokens
+  const loginRequired = !session && !process.env.REACT_APP_CLIENT_TOKEN_URL;
+  const canSubmit = session ? hasRole(session, SUBMIT_ROLES) : !loginRequired;
+  // Reviewers may read patient records but not submit assessments
+  const currentView = canSubmit || view === 'patients' ? view : 'jobs';
+
+  // Load the model registry so the UI shows the metadata of the model actually serving
+  useEffect(() => {
+    const loadModels = async () => {
+      try {
+        const { fetchModels } = await import('./services/sagemakerService');
+        setModels(await fetchModels());
+      } catch (err) {
+        logger.warn('Model registry unavailable:', err.message);
+      }
+    };
+    loadModels();
+  }, []);
+
+  // The patient form is rendered from the backend feature schema
+  useEffect(() => {
+    const loadSchema = async () => {
+      try {
+        const { fetchFeatureSchema } = await import('./services/featureSchema');
+        setFeatureSchema(await fetchFeatureSchema());
+      } catch (err) {
+        setSchemaError(err.message);
+        logger.error('Feature schema unavailable:', err);
+      }
+    };
+    loadSchema();
+  }, []);
+
+  const servingModel = models.find(model => model.serving?.role === 'primary');
+  const modelAccuracy = servingModel?.metrics?.accuracy !== undefined
+    ? (servingModel.metrics.accuracy * 100).toFixed(1)
+    : process.env.REACT_APP_MODEL_ACCURACY;
+  const modelVersion = servingModel?.version || process.env.REACT_APP_MODEL_VERSION;
+  const modelAlgorithm = servingModel?.algorithm || 'Logistic Regression';
 
   const handlePrediction = async (patientFormData) => {
     setLoading(true);
     setError(null);
+    setPendingWarnings(null);
     setPatientData(patientFormData);
 
     try {
       // Import the SageMaker service
       const { predictDiabetesRisk } = await import('./services/sagemakerService');
       
-      console.log('Making prediction with data:', patientFormData);
+      logger.debug('Making prediction with data:', patientFormData);
       
       // Make prediction
-      const result = await predictDiabetesRisk(patientFormData);
-      console.log('Prediction result:', result);
+      // With a patient selected the backend saves the assessment to their record
+      const result = await predictDiabetesRisk(
+        selectedPatient ? { ...patientFormData, patient_id: selectedPatient.id } : patientFormData
+      );
+      logger.debug('Prediction result:', result);
       
       setPredictionResult(result);
     } catch (err) {
+      if (err.validationWarnings) {
+        // Implausible combination of values: ask the clinician to confirm or edit
+        setPendingWarnings(err.validationWarnings);
+        return;
+      }
       const errorMessage = err.message || 'An unexpected error occurred during prediction';
       setError(`Prediction failed: ${errorMessage}`);
-      console.error('Prediction error:', err);
+      logger.error('Prediction error:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Resubmit with the reviewed warnings acknowledged; the backend records the override
+  const handleConfirmWarnings = (rules, reason) => {
+    handlePrediction({
+      ...patientData,
+      acknowledged_warnings: rules,
+      override_reason: reason.trim() || undefined
+    });
+  };
+
+  // Stream a batch run, updating the progress view as each patient finishes
+  const handleBatchPrediction = async (patients, { allowImputation = false } = {}) => {
+    setLoading(true);
+    setError(null);
+    setBatchProgress({ status: 'running', total: patients.length, totals: null, rows: [] });
+
+    try {
+      const { streamBatchPredictions } = await import('./services/sagemakerService');
+
+      const summary = await streamBatchPredictions(patients, {
+        allowImputation,
+        onStart: ({ total_patients }) => setBatchProgress(prev => ({ ...prev, total: total_patients })),
+        onResult: ({ row, totals }) => setBatchProgress(prev => ({
+          ...prev,
+          totals,
+          rows: [row, ...prev.rows]
+        }))
+      });
+
+      setBatchProgress(prev => ({ ...prev, status: 'completed', summary }));
+    } catch (err) {
+      const errorMessage = err.message || 'An unexpected error occurred during batch prediction';
+      setBatchProgress(prev => ({ ...prev, status: 'failed', error: errorMessage }));
+      setError(`Batch prediction failed: ${errorMessage}`);
+      logger.error('Batch prediction error:', err);
     } finally {
       setLoading(false);
     }
@@ -41,6 +174,8 @@ function App() {
 
   const handleReset = () => {
     setPredictionResult(null);
+    setBatchProgress(null);
+    setPendingWarnings(null);
     setError(null);
     setPatientData(null);
   };
@@ -54,10 +189,35 @@ function App() {
             <FontAwesomeIcon icon={faHeartbeat} className="me-2" />
             {process.env.REACT_APP_APP_NAME}
           </Navbar.Brand>
+          {/* Views the signed-in role may use */}
+          {!loginRequired && (
+            <Nav activeKey={currentView} onSelect={(key) => { handleReset(); setView(key); }}>
+              {canSubmit && (
+                <>
+                  <Nav.Link eventKey="assessment">
+                    <FontAwesomeIcon icon={faUserMd} className="me-1" />
+                    Assessment
+                  </Nav.Link>
+                  <Nav.Link eventKey="batch">
+                    <FontAwesomeIcon icon={faUsers} className="me-1" />
+                    Batch
+                  </Nav.Link>
+                </>
+              )}
+              <Nav.Link eventKey="patients">
+                <FontAwesomeIcon icon={faAddressBook} className="me-1" />
+                Patients
+              </Nav.Link>
+              <Nav.Link eventKey="jobs">
+                <FontAwesomeIcon icon={faClipboardList} className="me-1" />
+                Job Results
+              </Nav.Link>
+            </Nav>
+          )}
           <Nav className="ms-auto">
             <Nav.Link>
               <FontAwesomeIcon icon={faChartLine} className="me-1" />
-              {process.env.REACT_APP_MODEL_ACCURACY}% Accuracy
+              {modelAccuracy}% Accuracy
             </Nav.Link>
             <Nav.Link>
               <FontAwesomeIcon icon={faBrain} className="me-1" />
@@ -67,6 +227,21 @@ function App() {
               <FontAwesomeIcon icon={faUserMd} className="me-1" />
               Clinical Grade AI
             </Nav.Link>
+            {session && (
+              <NavDropdown
+                align="end"
+                title={<><FontAwesomeIcon icon={faUserCircle} className="me-1" />{session.user.name}</>}
+              >
+                <NavDropdown.ItemText>
+                  <small className="text-muted">Signed in as {session.user.role}</small>
+                </NavDropdown.ItemText>
+                <NavDropdown.Divider />
+                <NavDropdown.Item onClick={logout}>
+                  <FontAwesomeIcon icon={faSignOutAlt} className="me-2" />
+                  Sign Out
+                </NavDropdown.Item>
+              </NavDropdown>
+            )}
           </Nav>
         </Container>
       </Navbar>
@@ -85,7 +260,7 @@ function App() {
             </p>
             <div className="badge-container mb-4">
               <span className="badge bg-success me-2 p-2">
-                ✅ {process.env.REACT_APP_MODEL_ACCURACY}% Accuracy
+                ✅ {modelAccuracy}% Accuracy
               </span>
               <span className="badge bg-info me-2 p-2">🏥 Clinical Grade</span>
               <span className="badge bg-warning me-2 p-2">⚡ Real-time Results</span>
@@ -95,7 +270,7 @@ function App() {
               <small className="text-muted">
                 <strong>Endpoint:</strong> {process.env.REACT_APP_SAGEMAKER_ENDPOINT} | 
                 <strong> Region:</strong> {process.env.REACT_APP_AWS_REGION} |
-                <strong> Model:</strong> v{process.env.REACT_APP_MODEL_VERSION}
+                <strong> Model:</strong> v{modelVersion}
               </small>
             </div>
           </Col>
@@ -122,8 +297,40 @@ function App() {
         )}
 
         {/* Main Content */}
-        {loading ? (
-          <LoadingSpinner />
+        {loginRequired ? (
+          <Row>
+            <Col md={6} lg={4} className="mx-auto">
+              <div className="card shadow-lg">
+                <div className="card-header bg-primary text-white">
+                  <h3 className="mb-0">
+                    <FontAwesomeIcon icon={faSignInAlt} className="me-2" />
+                    Sign In
+                  </h3>
+                </div>
+                <div className="card-body">
+                  <LoginForm notice={sessionNotice} />
+                </div>
+              </div>
+            </Col>
+          </Row>
+        ) : loading ? (
+          <LoadingSpinner progress={batchProgress} />
+        ) : batchProgress ? (
+          <Row>
+            <Col lg={8} className="mx-auto">
+              <div className="card shadow-lg">
+                <div className="card-header bg-primary text-white">
+                  <h3 className="mb-0">
+                    <FontAwesomeIcon icon={faUsers} className="me-2" />
+                    Batch Assessment
+                  </h3>
+                </div>
+                <div className="card-body">
+                  <BatchProgress progress={batchProgress} onReset={handleReset} />
+                </div>
+              </div>
+            </Col>
+          </Row>
         ) : predictionResult ? (
           <RiskResults 
             result={predictionResult} 
@@ -133,20 +340,98 @@ function App() {
         ) : (
           <Row>
             <Col lg={8} className="mx-auto">
-              <div className="card shadow-lg">
-                <div className="card-header bg-primary text-white">
-                  <h3 className="mb-0">
-                    <FontAwesomeIcon icon={faUserMd} className="me-2" />
-                    Patient Health Assessment
-                  </h3>
-                  <small className="opacity-75">
-                    Enter patient information for AI-powered diabetes risk analysis
-                  </small>
+              {currentView === 'assessment' && (
+                <div className="card shadow-lg">
+                  <div className="card-header bg-primary text-white">
+                    <h3 className="mb-0">
+                      <FontAwesomeIcon icon={faUserMd} className="me-2" />
+                      Patient Health Assessment
+                    </h3>
+                    <small className="opacity-75">
+                      Enter patient information for AI-powered diabetes risk analysis
+                    </small>
+                  </div>
+                  <div className="card-body">
+                    {schemaError ? (
+                      <Alert variant="danger" className="mb-0">
+                        Unable to load the patient assessment fields from the backend: {schemaError}
+                      </Alert>
+                    ) : (
+                      <>
+                        {pendingWarnings && (
+                          <PlausibilityReview
+                            warnings={pendingWarnings}
+                            onConfirm={handleConfirmWarnings}
+                            onEdit={() => setPendingWarnings(null)}
+                          />
+                        )}
+                        <FhirImport onImport={setPatientData} />
+                        <PatientPicker selected={selectedPatient} onChange={setSelectedPatient} />
+                        <PatientForm
+                          onSubmit={handlePrediction}
+                          models={models}
+                          schema={featureSchema}
+                          initialRecord={patientData}
+                        />
+                      </>
+                    )}
+                  </div>
                 </div>
-                <div className="card-body">
-                  <PatientForm onSubmit={handlePrediction} />
+              )}
+
+              {currentView === 'batch' && (
+                <div className="card shadow-lg">
+                  <div className="card-header bg-light">
+                    <h5 className="mb-0">
+                      <FontAwesomeIcon icon={faUsers} className="me-2" />
+                      Batch Assessment
+                    </h5>
+                    <small className="text-muted">
+                      Score many patients at once and watch results arrive row by row
+                    </small>
+                  </div>
+                  <div className="card-body">
+                    <BatchUpload onSubmit={handleBatchPrediction} />
+                  </div>
                 </div>
-              </div>
+              )}
+
+              {currentView === 'patients' && (
+                <div className="card shadow-lg">
+                  <div className="card-header bg-light">
+                    <h5 className="mb-0">
+                      <FontAwesomeIcon icon={faAddressBook} className="me-2" />
+                      Patient Records
+                    </h5>
+                    <small className="text-muted">
+                      Saved assessments per patient, newest first
+                    </small>
+                  </div>
+                  <div className="card-body">
+                    <PatientHistory
+                      canEdit={canSubmit}
+                      onAssess={(patient) => { setSelectedPatient(patient); setView('assessment'); }}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {currentView === 'jobs' && (
+                <div className="card shadow-lg">
+                  <div className="card-header bg-light">
+                    <h5 className="mb-0">
+                      <FontAwesomeIcon icon={faClipboardList} className="me-2" />
+                      Batch Job Results
+                    </h5>
+                    <small className="text-muted">
+                      Review the scored rows of an asynchronous batch job
+                    </small>
+                  </div>
+                  <div className="card-body">
+                    <JobResults />
+                  </div>
+                </div>
+              )}
             </Col>
           </Row>
         )}
@@ -158,8 +443,8 @@ function App() {
               <FontAwesomeIcon icon={faChartLine} size="3x" className="text-primary mb-3" />
               <h4>Advanced Analytics</h4>
               <p className="text-muted">
-                Logistic Regression model trained on comprehensive health datasets
-                with validated {process.env.REACT_APP_MODEL_ACCURACY}% accuracy rate
+                {modelAlgorithm} model trained on comprehensive health datasets
+                with validated {modelAccuracy}% accuracy rate
               </p>
             </div>
           </Col>
@@ -192,7 +477,7 @@ function App() {
           <p className="mb-0">
             © 2025 {process.env.REACT_APP_APP_NAME} | 
             Powered by AWS SageMaker | 
-            {process.env.REACT_APP_MODEL_ACCURACY}% Clinical Accuracy |
+            {modelAccuracy}% Clinical Accuracy |
             Endpoint: {process.env.REACT_APP_SAGEMAKER_ENDPOINT}
           </p>
         </Container>
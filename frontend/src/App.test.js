@@ -1,8 +1,63 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+const session = (role) => ({
+  access_token: 'token',
+  refresh_token: 'refresh',
+  expires_at: Date.now() + 15 * 60 * 1000,
+  user: { id: 'usr_1', name: 'Dr Test', role }
+});
+
+beforeEach(() => {
+  // Model registry, feature schema, patient and job lists all come back empty
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve({ models: [], features: [], sections: [], patients: [], jobs: [] })
+  }));
+});
+
+// Wait for the start-up requests, then let their responses land inside act()
+const settle = async (requests) => {
+  await waitFor(() => expect(fetch).toHaveBeenCalledTimes(requests));
+  await act(() => new Promise(resolve => setTimeout(resolve, 0)));
+};
+
+afterEach(() => {
+  sessionStorage.clear();
+  delete global.fetch;
+});
+
+test('asks for a login when nobody is signed in', async () => {
+  render(<App />);
+
+  expect(await screen.findByRole('heading', { name: /sign in/i })).toBeInTheDocument();
+  expect(screen.getByLabelText(/username/i)).toBeInTheDocument();
+  expect(screen.queryByText('Patients')).not.toBeInTheDocument();
+  // Model registry and feature schema (cached for the later tests)
+  await settle(2);
+});
+
+test('shows the assessment views to a signed-in clinician', async () => {
+  sessionStorage.setItem('diabetes-session', JSON.stringify(session('clinician')));
+  render(<App />);
+
+  expect(await screen.findByText('Assessment')).toBeInTheDocument();
+  expect(screen.getByText('Batch')).toBeInTheDocument();
+  expect(screen.getByText('Dr Test')).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: /sign in/i })).not.toBeInTheDocument();
+  // Model registry and the patient picker's list
+  await settle(2);
+});
+
+test('keeps reviewers to reading records', async () => {
+  sessionStorage.setItem('diabetes-session', JSON.stringify(session('reviewer')));
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+
+  expect(await screen.findByText('Patients')).toBeInTheDocument();
+  expect(screen.getByText('Job Results')).toBeInTheDocument();
+  expect(screen.queryByText('Assessment')).not.toBeInTheDocument();
+  expect(screen.queryByText('Batch')).not.toBeInTheDocument();
+  // Model registry only: job results are looked up on demand
+  await settle(1);
 });
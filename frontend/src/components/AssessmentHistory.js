@@ -0,0 +1,155 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Form, Table, Badge, Button, Alert, Spinner } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faTrash, faFileExport, faChevronLeft, faChevronRight } from '@fortawesome/free-solid-svg-icons';
+import { fetchAssessments, deleteAssessment, downloadAssessmentFhir } from '../services/patientService';
+
+const PAGE_SIZE = 10;
+const RISK_LEVELS = ['Low Risk', 'Moderate Risk', 'High Risk'];
+
+const getRiskBadge = (riskLevel) => {
+  switch (riskLevel) {
+    case 'High Risk': return 'danger';
+    case 'Moderate Risk': return 'warning';
+    default: return 'success';
+  }
+};
+
+// Saved assessments of one patient, newest first, filterable by risk level and date.
+// onChange() is called after an assessment is deleted.
+function AssessmentHistory({ patient, canEdit, onChange }) {
+  const [filters, setFilters] = useState({ riskLevel: '', from: '', to: '' });
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      setPage(await fetchAssessments(patient.id, { ...filters, limit: PAGE_SIZE, offset }));
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [patient.id, filters, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const updateFilter = (name, value) => {
+    setOffset(0);
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleDelete = async (assessment) => {
+    if (!window.confirm(`Delete the assessment of ${new Date(assessment.created_at).toLocaleString()}?`)) return;
+    try {
+      await deleteAssessment(assessment.id);
+      load();
+      onChange?.();
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  const handleExport = async (assessment) => {
+    try {
+      await downloadAssessmentFhir(assessment.id);
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  const assessments = page?.assessments || [];
+  const total = page?.total || 0;
+
+  return (
+    <div className="assessment-history">
+      <Row className="g-2 mb-3">
+        <Col sm={4}>
+          <Form.Select
+            size="sm"
+            value={filters.riskLevel}
+            onChange={(e) => updateFilter('riskLevel', e.target.value)}
+            aria-label="Risk level"
+          >
+            <option value="">All risk levels</option>
+            {RISK_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+          </Form.Select>
+        </Col>
+        <Col sm={4}>
+          <Form.Control size="sm" type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} aria-label="From date" />
+        </Col>
+        <Col sm={4}>
+          <Form.Control size="sm" type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} aria-label="To date" />
+        </Col>
+      </Row>
+
+      {loadError && <Alert variant="danger">{loadError}</Alert>}
+
+      {isLoading && !page ? (
+        <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+      ) : assessments.length === 0 ? (
+        <p className="text-muted small mb-0">No saved assessments match.</p>
+      ) : (
+        <Table size="sm" responsive className="mb-2">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Risk</th>
+              <th>Probability</th>
+              <th>Model</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {assessments.map(assessment => (
+              <tr key={assessment.id}>
+                <td>{new Date(assessment.created_at).toLocaleString()}</td>
+                <td>
+                  <Badge bg={getRiskBadge(assessment.result.risk_level)}>{assessment.result.risk_level}</Badge>
+                </td>
+                <td>{(assessment.result.probability * 100).toFixed(1)}%</td>
+                <td>
+                  <small className="text-muted">
+                    {assessment.model ? `${assessment.model.id} v${assessment.model.version}` : assessment.endpoint}
+                  </small>
+                </td>
+                <td className="text-end text-nowrap">
+                  <Button size="sm" variant="link" className="p-0" onClick={() => handleExport(assessment)} title="Export as FHIR R4 Bundle" aria-label="Export as FHIR">
+                    <FontAwesomeIcon icon={faFileExport} />
+                  </Button>
+                  {canEdit && (
+                    <Button size="sm" variant="link" className="text-danger p-0 ms-2" onClick={() => handleDelete(assessment)} aria-label="Delete assessment">
+                      <FontAwesomeIcon icon={faTrash} />
+                    </Button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="d-flex justify-content-between align-items-center">
+          <Button size="sm" variant="outline-secondary" disabled={offset === 0} onClick={() => setOffset(offset - PAGE_SIZE)}>
+            <FontAwesomeIcon icon={faChevronLeft} />
+          </Button>
+          <small className="text-muted">
+            {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}
+          </small>
+          <Button size="sm" variant="outline-secondary" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+            <FontAwesomeIcon icon={faChevronRight} />
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AssessmentHistory;
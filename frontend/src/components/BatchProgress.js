@@ -0,0 +1,145 @@
+import React from 'react';
+import { Row, Col, Badge, ProgressBar, Table, Button, Alert } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCheckCircle, faExclamationTriangle, faInfoCircle, faRedo } from '@fortawesome/free-solid-svg-icons';
+
+// Number of most recent rows listed while a batch is streaming
+const RECENT_ROWS = 10;
+
+const getRiskBadge = (riskLevel) => {
+  switch (riskLevel) {
+    case 'High Risk': return 'danger';
+    case 'Moderate Risk': return 'warning';
+    default: return 'success';
+  }
+};
+
+// Live view of a streamed batch run: progress, running totals and the latest rows
+function BatchProgress({ progress, onReset, maxRows = RECENT_ROWS }) {
+  const { status, total, totals, rows = [], summary, error } = progress;
+  const processed = totals?.processed_patients || 0;
+  const percent = totals?.percent_complete || 0;
+  const distribution = totals?.risk_level_distribution || {};
+  const running = status === 'running';
+
+  return (
+    <div className="batch-progress text-start">
+      <div className="d-flex justify-content-between mb-2">
+        <strong>
+          {running ? 'Scoring patients...' : status === 'completed' ? 'Batch complete' : 'Batch stopped'}
+        </strong>
+        <span className="text-muted">{processed} / {total || '?'} patients</span>
+      </div>
+
+      <ProgressBar
+        animated={running}
+        now={percent}
+        label={`${percent}%`}
+        variant={status === 'failed' ? 'danger' : 'primary'}
+        style={{ height: '20px' }}
+        className="mb-3"
+      />
+
+      {/* Running totals */}
+      <Row className="text-center mb-3">
+        <Col xs={4}>
+          <div className="h4 mb-0 text-success">{totals?.successful_predictions || 0}</div>
+          <small className="text-muted">Scored</small>
+        </Col>
+        <Col xs={4}>
+          <div className="h4 mb-0 text-warning">{totals?.invalid_rows || 0}</div>
+          <small className="text-muted">Invalid</small>
+        </Col>
+        <Col xs={4}>
+          <div className="h4 mb-0 text-danger">{totals?.failed_predictions || 0}</div>
+          <small className="text-muted">Failed</small>
+        </Col>
+      </Row>
+
+      <div className="mb-3">
+        {Object.entries(distribution).map(([level, count]) => (
+          <Badge key={level} bg={getRiskBadge(level)} className="me-2 p-2">
+            {level}: {count}
+          </Badge>
+        ))}
+        {totals?.mean_probability !== null && totals?.mean_probability !== undefined && (
+          <Badge bg="secondary" className="p-2">
+            Mean probability: {(totals.mean_probability * 100).toFixed(1)}%
+          </Badge>
+        )}
+      </div>
+
+      {error && (
+        <Alert variant="danger">
+          <FontAwesomeIcon icon={faExclamationTriangle} className="me-2" />
+          {error}
+        </Alert>
+      )}
+
+      {summary && (
+        <Alert variant="success">
+          <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+          {summary.successful_predictions} of {summary.total_patients} patients scored
+          in {(summary.processing_time_ms / 1000).toFixed(1)}s
+        </Alert>
+      )}
+
+      {/* Latest rows, newest first */}
+      {rows.length > 0 && (
+        <Table size="sm" striped className="mb-3">
+          <thead>
+            <tr>
+              <th>Patient #</th>
+              <th>Status</th>
+              <th>Risk Level</th>
+              <th>Probability</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, maxRows).map(row => (
+              <tr key={row.patient_index}>
+                <td>{row.patient_index + 1}</td>
+                <td>
+                  {row.status}
+                  {row.validation_warnings && (
+                    <FontAwesomeIcon
+                      icon={faExclamationTriangle}
+                      className="text-warning ms-2"
+                      title={row.validation_warnings.map(warning => warning.message).join('\n')}
+                    />
+                  )}
+                  {row.imputed_fields && (
+                    <FontAwesomeIcon
+                      icon={faInfoCircle}
+                      className="text-info ms-2"
+                      title={`Imputed: ${row.imputed_fields.map(imputed => imputed.field).join(', ')} (confidence ${row.confidence.level})`}
+                    />
+                  )}
+                </td>
+                <td>
+                  {row.result ? (
+                    <Badge bg={getRiskBadge(row.result.risk_level)}>{row.result.risk_level}</Badge>
+                  ) : (
+                    <small className="text-muted">{row.error}</small>
+                  )}
+                </td>
+                <td>{row.result ? `${(row.result.probability * 100).toFixed(1)}%` : '-'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+
+      {onReset && !running && (
+        <div className="text-center">
+          <Button variant="outline-primary" onClick={onReset}>
+            <FontAwesomeIcon icon={faRedo} className="me-2" />
+            New Assessment
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchProgress;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faUsers } from '@fortawesome/free-solid-svg-icons';
+
+// Load a JSON file of patients (an array, or { "patients": [...] }) for batch scoring
+function BatchUpload({ onSubmit }) {
+  const [patients, setPatients] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [allowImputation, setAllowImputation] = useState(false);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPatients(null);
+    setFileError(null);
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      const list = Array.isArray(parsed) ? parsed : parsed.patients;
+
+      if (!Array.isArray(list) || list.length === 0) {
+        throw new Error('expected an array of patients');
+      }
+      setPatients(list);
+    } catch (err) {
+      setFileError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (patients) {
+      onSubmit(patients, { allowImputation });
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      <Form.Group className="mb-3">
+        <Form.Label>Patient file (JSON)</Form.Label>
+        <Form.Control type="file" accept=".json,application/json" onChange={handleFileChange} />
+        <Form.Text className="text-muted">
+          Each patient uses the same fields as the assessment form. Results stream in as each patient is scored.
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Check
+        type="switch"
+        id="batch-allow-imputation"
+        className="mb-3"
+        label="Impute missing optional values"
+        checked={allowImputation}
+        onChange={(e) => setAllowImputation(e.target.checked)}
+      />
+
+      {fileError && <Alert variant="danger">{fileError}</Alert>}
+
+      <Button type="submit" variant="outline-primary" disabled={!patients}>
+        <FontAwesomeIcon icon={faUsers} className="me-2" />
+        {patients ? `Score ${patients.length} Patients` : 'Score Batch'}
+      </Button>
+    </Form>
+  );
+}
+
+export default BatchUpload;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert, Collapse, Spinner } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileImport } from '@fortawesome/free-solid-svg-icons';
+import { importFhirBundle } from '../services/sagemakerService';
+
+// Paste a FHIR Bundle (Patient + Observations) to prefill the assessment form instead of
+// retyping lab values. onImport(patientData) receives a record for the form's initialRecord.
+function FhirImport({ onImport }) {
+  const [open, setOpen] = useState(false);
+  const [bundleText, setBundleText] = useState('');
+  const [report, setReport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  const handleImport = async () => {
+    setIsImporting(true);
+    setImportError(null);
+    setReport(null);
+    try {
+      const result = await importFhirBundle(bundleText);
+      setReport(result);
+      setBundleText('');
+      setOpen(false);
+      onImport(result.patient_data);
+    } catch (err) {
+      setImportError(err.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const formatSource = (source) => (source.birth_date
+    ? `from birth date ${source.birth_date}`
+    : `${source.value} ${source.unit} (LOINC ${source.loinc}${source.effective ? `, ${new Date(source.effective).toLocaleDateString()}` : ''})`);
+
+  return (
+    <div className="mb-4">
+      <Button
+        variant="outline-primary"
+        size="sm"
+        onClick={() => setOpen(!open)}
+        aria-expanded={open}
+        aria-controls="fhir-import"
+      >
+        <FontAwesomeIcon icon={faFileImport} className="me-2" />
+        Import from FHIR
+      </Button>
+
+      <Collapse in={open}>
+        <div id="fhir-import" className="mt-2">
+          <Form.Control
+            as="textarea"
+            rows={6}
+            value={bundleText}
+            onChange={(e) => setBundleText(e.target.value)}
+            placeholder='Paste a FHIR R4 Bundle: {"resourceType": "Bundle", "entry": [...]}'
+            aria-label="FHIR Bundle JSON"
+            className="font-monospace small mb-2"
+          />
+          <Button size="sm" onClick={handleImport} disabled={isImporting || !bundleText.trim()}>
+            {isImporting && <Spinner animation="border" size="sm" className="me-2" />}
+            Prefill Form
+          </Button>
+        </div>
+      </Collapse>
+
+      {importError && <Alert variant="danger" className="mt-2 mb-0 small">{importError}</Alert>}
+
+      {report && (
+        <Alert
+          variant={report.missing_features.length > 0 ? 'warning' : 'success'}
+          className="mt-2 mb-0 small"
+          onClose={() => setReport(null)}
+          dismissible
+        >
+          <strong>
+            Prefilled {Object.keys(report.sources).length} value{Object.keys(report.sources).length === 1 ? '' : 's'}
+            {report.patient?.name ? ` for ${report.patient.name}` : ''}
+            {report.patient?.mrn ? ` (MRN ${report.patient.mrn})` : ''}
+          </strong>
+          <ul className="mb-1 mt-1">
+            {Object.entries(report.sources).map(([field, source]) => (
+              <li key={field}>{field.replace(/_/g, ' ')}: {formatSource(source)}</li>
+            ))}
+          </ul>
+          {report.missing_features.length > 0 && (
+            <>
+              <strong>Not in the bundle - check these fields before scoring:</strong>
+              <ul className="mb-1 mt-1">
+                {report.missing_features.map(missing => (
+                  <li key={missing.feature}>{missing.label} ({missing.reason})</li>
+                ))}
+              </ul>
+            </>
+          )}
+          {report.ignored.length > 0 && (
+            <>
+              <strong>Skipped {report.ignored.length} value{report.ignored.length === 1 ? '' : 's'}:</strong>
+              <ul className="mb-0 mt-1">
+                {report.ignored.map((skipped, index) => (
+                  <li key={index}>Entry {skipped.entry}{skipped.code ? ` (LOINC ${skipped.code})` : ''}: {skipped.reason}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </Alert>
+      )}
+    </div>
+  );
+}
+
+export default FhirImport;
@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+import { Form, Button, InputGroup, Alert } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSearch } from '@fortawesome/free-solid-svg-icons';
+import BatchProgress from './BatchProgress';
+import { fetchJobResults } from '../services/sagemakerService';
+
+// Finished job output in the shape BatchProgress renders for a streamed batch
+const toProgress = (job) => ({
+  status: 'completed',
+  total: job.total_patients,
+  totals: {
+    processed_patients: job.total_patients,
+    percent_complete: 100,
+    successful_predictions: job.successful_predictions,
+    failed_predictions: job.failed_predictions,
+    invalid_rows: job.invalid_rows,
+    risk_level_distribution: job.risk_level_distribution,
+    mean_probability: job.probability?.mean ?? null
+  },
+  rows: job.batch_results || []
+});
+
+// Look up the results of an asynchronous batch job by id (available to reviewers)
+function JobResults() {
+  const [jobId, setJobId] = useState('');
+  const [job, setJob] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setLoadError(null);
+    setJob(null);
+
+    try {
+      setJob(await fetchJobResults(jobId.trim()));
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Form onSubmit={handleSubmit} className="mb-3">
+        <InputGroup>
+          <Form.Control
+            value={jobId}
+            onChange={(e) => setJobId(e.target.value)}
+            placeholder="job_0123456789abcdef"
+            aria-label="Job id"
+            required
+          />
+          <Button type="submit" variant="outline-primary" disabled={isLoading}>
+            <FontAwesomeIcon icon={faSearch} className="me-2" />
+            {isLoading ? 'Loading...' : 'Open Job'}
+          </Button>
+        </InputGroup>
+      </Form>
+
+      {loadError && <Alert variant="danger">{loadError}</Alert>}
+
+      {job && <BatchProgress progress={toProgress(job)} maxRows={job.total_patients} />}
+    </>
+  );
+}
+
+export default JobResults;
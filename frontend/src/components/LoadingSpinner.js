@@ -1,9 +1,11 @@
 import React from 'react';
-import { Spinner, Row, Col, ProgressBar } from 'react-bootstrap';
+import { Spinner, Row, Col } from 'react-bootstrap';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faBrain, faHeartbeat, faChartLine, faStethoscope } from '@fortawesome/free-solid-svg-icons';
+import BatchProgress from './BatchProgress';
 
-function LoadingSpinner() {
+// `progress` is the live state of a streamed batch run; omitted for single predictions
+function LoadingSpinner({ progress }) {
   return (
     <Row className="justify-content-center text-center py-5">
       <Col md={8}>
@@ -29,16 +31,12 @@ function LoadingSpinner() {
             personalized diabetes risk assessment and evidence-based recommendations.
           </p>
           
-          {/* Progress Indicator */}
-          <div className="mb-4">
-            <ProgressBar 
-              animated 
-              now={100} 
-              variant="primary" 
-              style={{ height: '8px' }}
-              className="mb-3"
-            />
-          </div>
+          {/* Batch progress, streamed as each patient finishes */}
+          {progress && (
+            <div className="mb-4">
+              <BatchProgress progress={progress} />
+            </div>
+          )}
           
           {/* Main Spinner */}
           <div className="mb-4">
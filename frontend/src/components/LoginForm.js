@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { Form, Button, Alert } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSignInAlt } from '@fortawesome/free-solid-svg-icons';
+import { login } from '../services/authService';
+
+// Username/password login; the app switches views through onSessionChange
+function LoginForm({ notice }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [loginError, setLoginError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setLoginError(null);
+
+    try {
+      await login(username.trim(), password);
+    } catch (err) {
+      setLoginError(err.message);
+      setPassword('');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Form onSubmit={handleSubmit}>
+      {notice && <Alert variant="warning">{notice}</Alert>}
+      {loginError && <Alert variant="danger">{loginError}</Alert>}
+
+      <Form.Group className="mb-3" controlId="login-username">
+        <Form.Label>Username</Form.Label>
+        <Form.Control
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          required
+          autoFocus
+        />
+      </Form.Group>
+
+      <Form.Group className="mb-4" controlId="login-password">
+        <Form.Label>Password</Form.Label>
+        <Form.Control
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+      </Form.Group>
+
+      <Button type="submit" variant="primary" className="w-100" disabled={isSubmitting}>
+        <FontAwesomeIcon icon={faSignInAlt} className="me-2" />
+        {isSubmitting ? 'Signing in...' : 'Sign In'}
+      </Button>
+    </Form>
+  );
+}
+
+export default LoginForm;
@@ -1,5 +1,5 @@
-import React, { useState } from 'react';
-import { Form, Button, Row, Col, InputGroup, Card, Alert } from 'react-bootstrap';
+import React, { useState, useEffect } from 'react';
+import { Form, Button, Row, Col, InputGroup, Card, Alert, Spinner } from 'react-bootstrap';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { 
   faUser, 
@@ -9,25 +9,62 @@ import {
   faHeartbeat, 
   faDumbbell,
   faStethoscope,
-  faChartLine
+  faChartLine,
+  faBrain
 } from '@fortawesome/free-solid-svg-icons';
+import { buildInitialFormData, toPatientRecord, rangeInUnit, convertPatientUnits, recordToFormState } from '../services/featureSchema';
+import logger from '../services/logger';
 
-function PatientForm({ onSubmit }) {
-  const [formData, setFormData] = useState({
-    Age: '',
-    BMI: '',
-    Waist_Circumference_cm: '',
-    Fasting_Glucose_mg_dL: '',
-    HbA1c_percent: '',
-    Systolic_BP_mmHg: '',
-    Diastolic_BP_mmHg: '',
-    Family_History_Diabetes: '0',
-    Hypertension: '0',
-    Physical_Activity_Hours_Week: ''
-  });
+// Icons are presentation only; fields and sections come from the feature schema
+const SECTION_ICONS = {
+  basic: faUser,
+  clinical: faVial,
+  history: faStethoscope
+};
 
+const FIELD_ICONS = {
+  Age: faUser,
+  BMI: faWeight,
+  Waist_Circumference_cm: faRuler,
+  Physical_Activity_Hours_Week: faDumbbell,
+  Fasting_Glucose_mg_dL: faVial,
+  HbA1c_percent: faVial,
+  Systolic_BP_mmHg: faHeartbeat,
+  Diastolic_BP_mmHg: faHeartbeat,
+  Family_History_Diabetes: faUser,
+  Hypertension: faHeartbeat
+};
+
+// `initialRecord` restores a previously submitted patient (e.g. after a failed or paused prediction)
+function PatientForm({ onSubmit, models = [], schema, initialRecord }) {
+  const [formData, setFormData] = useState({});
+  const [modelId, setModelId] = useState('');
   const [validated, setValidated] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Selected unit per field (canonical unit when absent) and BMI-from-height/weight mode
+  const [units, setUnits] = useState({});
+  const [deriveBMI, setDeriveBMI] = useState(false);
+  // Opt-in: leave optional fields blank and let the backend impute them
+  const [allowImputation, setAllowImputation] = useState(false);
+
+  // Reset the form whenever a (new) schema arrives
+  useEffect(() => {
+    if (!schema) return;
+
+    if (initialRecord) {
+      const restored = recordToFormState(initialRecord, schema);
+      setFormData(restored.formData);
+      setUnits(restored.units);
+      setDeriveBMI(restored.deriveBMI);
+      setAllowImputation(restored.allowImputation);
+      setModelId(initialRecord.model_id || '');
+    } else {
+      setFormData(buildInitialFormData(schema));
+    }
+  }, [schema, initialRecord]);
+
+  // Models the backend can serve in this deployment
+  const selectableModels = models.filter(model => model.serving?.role !== 'unavailable');
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -51,29 +88,144 @@ function PatientForm({ onSubmit }) {
 
     try {
       // Convert string values to numbers for the SageMaker endpoint
-      const processedData = {
-        Age: parseFloat(formData.Age),
-        BMI: parseFloat(formData.BMI),
-        Waist_Circumference_cm: parseFloat(formData.Waist_Circumference_cm),
-        Fasting_Glucose_mg_dL: parseFloat(formData.Fasting_Glucose_mg_dL),
-        HbA1c_percent: parseFloat(formData.HbA1c_percent),
-        Systolic_BP_mmHg: parseFloat(formData.Systolic_BP_mmHg),
-        Diastolic_BP_mmHg: parseFloat(formData.Diastolic_BP_mmHg),
-        Family_History_Diabetes: parseInt(formData.Family_History_Diabetes),
-        Hypertension: parseInt(formData.Hypertension),
-        Physical_Activity_Hours_Week: parseFloat(formData.Physical_Activity_Hours_Week)
-      };
+      const processedData = toPatientRecord(formData, schema, { units, deriveBMI, allowImputation });
 
-      console.log('Processed form data for SageMaker:', processedData);
+      if (modelId) {
+        processedData.model_id = modelId;
+      }
+
+      logger.debug('Processed form data for SageMaker:', processedData);
       
       await onSubmit(processedData);
     } catch (error) {
-      console.error('Form submission error:', error);
+      logger.error('Form submission error:', error);
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  const handleUnitChange = (name, unit) => {
+    setUnits(prev => ({ ...prev, [name]: unit }));
+  };
+
+  // BMI preview while entering height and weight
+  const derivedBMI = () => {
+    try {
+      const bmi = convertPatientUnits(toPatientRecord(formData, schema, { units, deriveBMI: true }), schema).BMI;
+      return isFinite(bmi) ? bmi : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const isOptional = (spec) => allowImputation && Boolean(spec.imputation);
+
+  // Numeric input with a unit selector when the schema lists alternative units
+  const renderNumberInput = (spec) => {
+    const unit = units[spec.name] || spec.unit;
+    const { min, max } = rangeInUnit(spec, unit);
+    const alternativeUnits = Object.keys(spec.units || {});
+
+    return (
+      <InputGroup hasValidation>
+        <Form.Control
+          type="number"
+          name={spec.name}
+          value={formData[spec.name] ?? ''}
+          onChange={handleChange}
+          min={min}
+          max={max}
+          step={unit === spec.unit ? (spec.step || 'any') : 'any'}
+          required={!isOptional(spec)}
+          placeholder={isOptional(spec) ? 'Leave blank to impute' : spec.placeholder || `Enter ${spec.label.toLowerCase()}`}
+        />
+        {alternativeUnits.length > 0 ? (
+          <Form.Select
+            className="unit-select"
+            aria-label={`${spec.label} unit`}
+            value={unit}
+            onChange={(e) => handleUnitChange(spec.name, e.target.value)}
+          >
+            {[spec.unit, ...alternativeUnits].map(option => (
+              <option key={option} value={option}>{option}</option>
+            ))}
+          </Form.Select>
+        ) : (
+          <InputGroup.Text>{spec.unit}</InputGroup.Text>
+        )}
+        <Form.Control.Feedback type="invalid">
+          Please provide a valid {spec.label.toLowerCase()} between {min}-{max} {unit}.
+        </Form.Control.Feedback>
+      </InputGroup>
+    );
+  };
+
+  const renderField = (feature) => (
+    <Form.Group className="mb-3">
+      <Form.Label>
+        <FontAwesomeIcon icon={FIELD_ICONS[feature.name] || faStethoscope} className="me-2" />
+        {feature.label}
+        {isOptional(feature) && <small className="text-muted ms-2">(optional)</small>}
+      </Form.Label>
+      {feature.derived_from && (schema.measurements || []).length > 0 && (
+        <Form.Check
+          type="switch"
+          id={`${feature.name}-derive`}
+          className="mb-2"
+          label="Calculate from height and weight"
+          checked={deriveBMI}
+          onChange={(e) => setDeriveBMI(e.target.checked)}
+        />
+      )}
+      {feature.type === 'binary' ? (
+        <Form.Select
+          name={feature.name}
+          value={formData[feature.name] ?? ''}
+          onChange={handleChange}
+          required={!isOptional(feature)}
+        >
+          <option value="">{isOptional(feature) ? 'Unknown (impute)' : feature.placeholder}</option>
+          {feature.options.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </Form.Select>
+      ) : feature.derived_from && deriveBMI ? (
+        <Row>
+          {schema.measurements.map(measurement => (
+            <Col xs={6} key={measurement.name}>
+              {renderNumberInput(measurement)}
+            </Col>
+          ))}
+        </Row>
+      ) : (
+        renderNumberInput(feature)
+      )}
+      {feature.type === 'binary' && (
+        <Form.Control.Feedback type="invalid">
+          Please select an option for {feature.label}.
+        </Form.Control.Feedback>
+      )}
+      {feature.derived_from && deriveBMI ? (
+        <Form.Text className="text-muted">
+          Calculated BMI: {derivedBMI() ?? '-'} {feature.unit}
+        </Form.Text>
+      ) : feature.help && (
+        <Form.Text className="text-muted">
+          {feature.help}
+        </Form.Text>
+      )}
+    </Form.Group>
+  );
+
+  if (!schema) {
+    return (
+      <div className="text-center py-4">
+        <Spinner animation="border" variant="primary" className="mb-3" />
+        <p className="text-muted mb-0">Loading patient assessment fields...</p>
+      </div>
+    );
+  }
+
   return (
     <Form noValidate validated={validated} onSubmit={handleSubmit}>
       {/* Information Alert */}
@@ -86,322 +238,70 @@ function PatientForm({ onSubmit }) {
           Please provide accurate health measurements for the most reliable diabetes risk assessment.
           All fields are required for optimal prediction accuracy.
         </p>
+        <Form.Check
+          type="switch"
+          id="allow-imputation"
+          className="mt-2"
+          label="Allow missing values (optional fields are imputed and the result's confidence is lowered)"
+          checked={allowImputation}
+          onChange={(e) => setAllowImputation(e.target.checked)}
+        />
       </Alert>
 
-      {/* Basic Information */}
-      <Card className="mb-4">
-        <Card.Header className="bg-light">
-          <h5 className="mb-0">
-            <FontAwesomeIcon icon={faUser} className="me-2" />
-            Basic Information
-          </h5>
-        </Card.Header>
-        <Card.Body>
-          <Row>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faUser} className="me-2" />
-                  Age (years)
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Age"
-                    value={formData.Age}
-                    onChange={handleChange}
-                    min="18"
-                    max="100"
-                    required
-                    placeholder="Enter age"
-                  />
-                  <InputGroup.Text>years</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid age between 18-100 years.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Age is a significant factor in diabetes risk assessment
-                </Form.Text>
-              </Form.Group>
-            </Col>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faWeight} className="me-2" />
-                  BMI (Body Mass Index)
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="BMI"
-                    value={formData.BMI}
-                    onChange={handleChange}
-                    min="15"
-                    max="50"
-                    step="0.1"
-                    required
-                    placeholder="Enter BMI"
-                  />
-                  <InputGroup.Text>kg/m²</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid BMI between 15-50.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Normal: 18.5-24.9 | Overweight: 25-29.9 | Obese: &ge;30
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
-
-          <Row>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faRuler} className="me-2" />
-                  Waist Circumference
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Waist_Circumference_cm"
-                    value={formData.Waist_Circumference_cm}
-                    onChange={handleChange}
-                    min="50"
-                    max="200"
-                    required
-                    placeholder="Enter waist circumference"
-                  />
-                  <InputGroup.Text>cm</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid waist circumference.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Risk increases: Men &gt;102cm, Women &gt;88cm
-                </Form.Text>
-              </Form.Group>
-            </Col>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faDumbbell} className="me-2" />
-                  Physical Activity
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Physical_Activity_Hours_Week"
-                    value={formData.Physical_Activity_Hours_Week}
-                    onChange={handleChange}
-                    min="0"
-                    max="50"
-                    step="0.5"
-                    required
-                    placeholder="Hours per week"
-                  />
-                  <InputGroup.Text>hrs/week</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide valid activity hours per week.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Recommended: 150+ minutes/week moderate activity
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
-        </Card.Body>
-      </Card>
-
-      {/* Clinical Measurements */}
-      <Card className="mb-4">
-        <Card.Header className="bg-light">
-          <h5 className="mb-0">
-            <FontAwesomeIcon icon={faVial} className="me-2" />
-            Clinical Measurements
-          </h5>
-        </Card.Header>
-        <Card.Body>
-          <Row>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faVial} className="me-2" />
-                  Fasting Glucose
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Fasting_Glucose_mg_dL"
-                    value={formData.Fasting_Glucose_mg_dL}
-                    onChange={handleChange}
-                    min="50"
-                    max="300"
-                    required
-                    placeholder="Enter fasting glucose"
-                  />
-                  <InputGroup.Text>mg/dL</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid glucose level.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Normal: 70-99 | Prediabetic: 100-125 | Diabetic: &ge;126
-                </Form.Text>
-              </Form.Group>
-            </Col>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faVial} className="me-2" />
-                  HbA1c (Hemoglobin A1c)
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="HbA1c_percent"
-                    value={formData.HbA1c_percent}
-                    onChange={handleChange}
-                    min="3"
-                    max="15"
-                    step="0.1"
-                    required
-                    placeholder="Enter HbA1c"
-                  />
-                  <InputGroup.Text>%</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid HbA1c percentage.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Normal: &lt;5.7% | Prediabetic: 5.7-6.4% | Diabetic: &ge;6.5%
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
+      {/* Patient fields, grouped by schema section */}
+      {schema.sections.map(section => (
+        <Card className="mb-4" key={section.id}>
+          <Card.Header className="bg-light">
+            <h5 className="mb-0">
+              <FontAwesomeIcon icon={SECTION_ICONS[section.id] || faStethoscope} className="me-2" />
+              {section.title}
+            </h5>
+          </Card.Header>
+          <Card.Body>
+            <Row>
+              {schema.features
+                .filter(feature => feature.section === section.id)
+                .map(feature => (
+                  <Col md={6} key={feature.name}>
+                    {renderField(feature)}
+                  </Col>
+                ))}
+            </Row>
+          </Card.Body>
+        </Card>
+      ))}
 
-          <Row>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faHeartbeat} className="me-2" />
-                  Systolic Blood Pressure
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Systolic_BP_mmHg"
-                    value={formData.Systolic_BP_mmHg}
-                    onChange={handleChange}
-                    min="80"
-                    max="220"
-                    required
-                    placeholder="Enter systolic BP"
-                  />
-                  <InputGroup.Text>mmHg</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid systolic blood pressure.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Normal: &lt;120 | Elevated: 120-129 | High: &ge;130
-                </Form.Text>
-              </Form.Group>
-            </Col>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faHeartbeat} className="me-2" />
-                  Diastolic Blood Pressure
-                </Form.Label>
-                <InputGroup>
-                  <Form.Control
-                    type="number"
-                    name="Diastolic_BP_mmHg"
-                    value={formData.Diastolic_BP_mmHg}
-                    onChange={handleChange}
-                    min="40"
-                    max="140"
-                    required
-                    placeholder="Enter diastolic BP"
-                  />
-                  <InputGroup.Text>mmHg</InputGroup.Text>
-                </InputGroup>
-                <Form.Control.Feedback type="invalid">
-                  Please provide a valid diastolic blood pressure.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Normal: &lt;80 | High: &ge;80
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
-        </Card.Body>
-      </Card>
-
-      {/* Medical History */}
-      <Card className="mb-4">
-        <Card.Header className="bg-light">
-          <h5 className="mb-0">
-            <FontAwesomeIcon icon={faStethoscope} className="me-2" />
-            Medical History
-          </h5>
-        </Card.Header>
-        <Card.Body>
-          <Row>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faUser} className="me-2" />
-                  Family History of Diabetes
-                </Form.Label>
-                <Form.Select
-                  name="Family_History_Diabetes"
-                  value={formData.Family_History_Diabetes}
-                  onChange={handleChange}
-                  required
-                >
-                  <option value="">Select family history status</option>
-                  <option value="0">No family history of diabetes</option>
-                  <option value="1">Yes, family history present</option>
-                </Form.Select>
-                <Form.Control.Feedback type="invalid">
-                  Please select family history status.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Family history significantly increases diabetes risk
-                </Form.Text>
-              </Form.Group>
-            </Col>
-            <Col md={6}>
-              <Form.Group className="mb-3">
-                <Form.Label>
-                  <FontAwesomeIcon icon={faHeartbeat} className="me-2" />
-                  Hypertension (High Blood Pressure)
-                </Form.Label>
-                <Form.Select
-                  name="Hypertension"
-                  value={formData.Hypertension}
-                  onChange={handleChange}
-                  required
-                >
-                  <option value="">Select hypertension status</option>
-                  <option value="0">No hypertension</option>
-                  <option value="1">Yes, hypertension present</option>
-                </Form.Select>
-                <Form.Control.Feedback type="invalid">
-                  Please select hypertension status.
-                </Form.Control.Feedback>
-                <Form.Text className="text-muted">
-                  Hypertension often coexists with diabetes
-                </Form.Text>
-              </Form.Group>
-            </Col>
-          </Row>
-        </Card.Body>
-      </Card>
+      {/* Model Selection */}
+      {selectableModels.length > 0 && (
+        <Card className="mb-4">
+          <Card.Header className="bg-light">
+            <h5 className="mb-0">
+              <FontAwesomeIcon icon={faBrain} className="me-2" />
+              Prediction Model
+            </h5>
+          </Card.Header>
+          <Card.Body>
+            <Form.Group>
+              <Form.Select
+                name="model_id"
+                value={modelId}
+                onChange={(e) => setModelId(e.target.value)}
+              >
+                <option value="">Automatic (default model routing)</option>
+                {selectableModels.map(model => (
+                  <option key={model.id} value={model.id}>
+                    {model.name} v{model.version} - {model.algorithm}
+                    {model.metrics?.accuracy !== undefined ? ` (${(model.metrics.accuracy * 100).toFixed(1)}% accuracy)` : ''}
+                  </option>
+                ))}
+              </Form.Select>
+              <Form.Text className="text-muted">
+                Leave on automatic unless you need a specific registered model
+              </Form.Text>
+            </Form.Group>
+          </Card.Body>
+        </Card>
+      )}
 
       {/* Submit Button */}
       <div className="text-center">
@@ -0,0 +1,216 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Row, Col, Form, Button, InputGroup, ListGroup, Badge, Alert, Spinner } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSearch, faUserPlus, faStethoscope, faTrash, faChevronLeft, faChevronRight } from '@fortawesome/free-solid-svg-icons';
+import AssessmentHistory from './AssessmentHistory';
+import RiskTrendChart from './RiskTrendChart';
+import { fetchPatients, createPatient, deletePatient } from '../services/patientService';
+
+const PAGE_SIZE = 10;
+const EMPTY_PATIENT = { name: '', mrn: '', date_of_birth: '', sex: '' };
+
+const getRiskBadge = (riskLevel) => {
+  switch (riskLevel) {
+    case 'High Risk': return 'danger';
+    case 'Moderate Risk': return 'warning';
+    default: return 'success';
+  }
+};
+
+// Patient list with search and paging, a form to register patients, and the selected
+// patient's assessment history. onAssess(patient) starts a new assessment saved to them.
+function PatientHistory({ canEdit, onAssess }) {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [page, setPage] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [newPatient, setNewPatient] = useState(EMPTY_PATIENT);
+  const [showCreate, setShowCreate] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [historyVersion, setHistoryVersion] = useState(0);
+
+  const load = useCallback(async () => {
+    setIsLoading(true);
+    setLoadError(null);
+    try {
+      setPage(await fetchPatients({ search: query, limit: PAGE_SIZE, offset }));
+    } catch (err) {
+      setLoadError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [query, offset]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setOffset(0);
+    setQuery(search.trim());
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setLoadError(null);
+    try {
+      // Optional details are left out rather than sent empty
+      const details = Object.fromEntries(Object.entries(newPatient).filter(([, value]) => value.trim() !== ''));
+      const patient = await createPatient(details);
+      setNewPatient(EMPTY_PATIENT);
+      setShowCreate(false);
+      setSelected(patient);
+      load();
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  const handleDelete = async (patient) => {
+    if (!window.confirm(`Delete ${patient.name} and all of their saved assessments?`)) return;
+    try {
+      await deletePatient(patient.id);
+      setSelected(null);
+      load();
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  const updateNewPatient = (name, value) => setNewPatient(prev => ({ ...prev, [name]: value }));
+
+  const patients = page?.patients || [];
+  const total = page?.total || 0;
+
+  return (
+    <Row>
+      <Col md={5} className="mb-3">
+        <Form onSubmit={handleSearch} className="mb-2">
+          <InputGroup size="sm">
+            <Form.Control
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Name or MRN"
+              aria-label="Search patients"
+            />
+            <Button type="submit" variant="outline-primary">
+              <FontAwesomeIcon icon={faSearch} />
+            </Button>
+          </InputGroup>
+        </Form>
+
+        {loadError && <Alert variant="danger" className="py-2 small">{loadError}</Alert>}
+
+        {isLoading && !page ? (
+          <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>
+        ) : (
+          <ListGroup className="mb-2">
+            {patients.length === 0 && <ListGroup.Item className="text-muted small">No patients found.</ListGroup.Item>}
+            {patients.map(patient => (
+              <ListGroup.Item
+                key={patient.id}
+                action
+                active={selected?.id === patient.id}
+                onClick={() => setSelected(patient)}
+                className="d-flex justify-content-between align-items-center"
+              >
+                <span>
+                  {patient.name}
+                  {patient.mrn && <small className="d-block opacity-75">MRN {patient.mrn}</small>}
+                </span>
+                {patient.latest_assessment && (
+                  <Badge bg={getRiskBadge(patient.latest_assessment.risk_level)}>
+                    {patient.latest_assessment.risk_level}
+                  </Badge>
+                )}
+              </ListGroup.Item>
+            ))}
+          </ListGroup>
+        )}
+
+        {total > PAGE_SIZE && (
+          <div className="d-flex justify-content-between align-items-center mb-2">
+            <Button size="sm" variant="outline-secondary" disabled={offset === 0} onClick={() => setOffset(offset - PAGE_SIZE)}>
+              <FontAwesomeIcon icon={faChevronLeft} />
+            </Button>
+            <small className="text-muted">{offset + 1}-{Math.min(offset + PAGE_SIZE, total)} of {total}</small>
+            <Button size="sm" variant="outline-secondary" disabled={offset + PAGE_SIZE >= total} onClick={() => setOffset(offset + PAGE_SIZE)}>
+              <FontAwesomeIcon icon={faChevronRight} />
+            </Button>
+          </div>
+        )}
+
+        {canEdit && (showCreate ? (
+          <Form onSubmit={handleCreate} className="border rounded p-2">
+            <Form.Control size="sm" className="mb-2" placeholder="Full name" value={newPatient.name} onChange={(e) => updateNewPatient('name', e.target.value)} required />
+            <Form.Control size="sm" className="mb-2" placeholder="MRN (optional)" value={newPatient.mrn} onChange={(e) => updateNewPatient('mrn', e.target.value)} />
+            <Row className="g-2 mb-2">
+              <Col>
+                <Form.Control size="sm" type="date" value={newPatient.date_of_birth} onChange={(e) => updateNewPatient('date_of_birth', e.target.value)} aria-label="Date of birth" />
+              </Col>
+              <Col>
+                <Form.Select size="sm" value={newPatient.sex} onChange={(e) => updateNewPatient('sex', e.target.value)} aria-label="Sex">
+                  <option value="">Sex (optional)</option>
+                  <option value="female">Female</option>
+                  <option value="male">Male</option>
+                  <option value="other">Other</option>
+                  <option value="unknown">Unknown</option>
+                </Form.Select>
+              </Col>
+            </Row>
+            <div className="d-flex gap-2">
+              <Button size="sm" type="submit">Save Patient</Button>
+              <Button size="sm" variant="outline-secondary" onClick={() => setShowCreate(false)}>Cancel</Button>
+            </div>
+          </Form>
+        ) : (
+          <Button size="sm" variant="outline-primary" onClick={() => setShowCreate(true)}>
+            <FontAwesomeIcon icon={faUserPlus} className="me-2" />
+            Add Patient
+          </Button>
+        ))}
+      </Col>
+
+      <Col md={7}>
+        {selected ? (
+          <>
+            <div className="d-flex justify-content-between align-items-start mb-3">
+              <div>
+                <h5 className="mb-0">{selected.name}</h5>
+                <small className="text-muted">
+                  {[selected.mrn && `MRN ${selected.mrn}`, selected.date_of_birth && `DOB ${selected.date_of_birth}`, selected.sex]
+                    .filter(Boolean).join(' • ')}
+                </small>
+              </div>
+              {canEdit && (
+                <div className="d-flex gap-2">
+                  <Button size="sm" onClick={() => onAssess(selected)}>
+                    <FontAwesomeIcon icon={faStethoscope} className="me-1" />
+                    New Assessment
+                  </Button>
+                  <Button size="sm" variant="outline-danger" onClick={() => handleDelete(selected)} aria-label="Delete patient">
+                    <FontAwesomeIcon icon={faTrash} />
+                  </Button>
+                </div>
+              )}
+            </div>
+            <RiskTrendChart key={`trend-${selected.id}`} patient={selected} version={historyVersion} />
+            <AssessmentHistory
+              key={selected.id}
+              patient={selected}
+              canEdit={canEdit}
+              onChange={() => setHistoryVersion(version => version + 1)}
+            />
+          </>
+        ) : (
+          <p className="text-muted">Select a patient to see their assessment history.</p>
+        )}
+      </Col>
+    </Row>
+  );
+}
+
+export default PatientHistory;
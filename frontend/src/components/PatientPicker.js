@@ -0,0 +1,55 @@
+import React, { useState, useEffect } from 'react';
+import { Form } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faUserTag } from '@fortawesome/free-solid-svg-icons';
+import { fetchPatients } from '../services/patientService';
+import logger from '../services/logger';
+
+// Most recent patients offered in the picker; older ones are reached from the Patients view
+const PICKER_LIMIT = 100;
+
+// Choose the patient whose record the next assessment is saved to (or none)
+function PatientPicker({ selected, onChange }) {
+  const [patients, setPatients] = useState([]);
+  const [unavailable, setUnavailable] = useState(false);
+
+  useEffect(() => {
+    fetchPatients({ limit: PICKER_LIMIT })
+      .then(page => setPatients(page.patients))
+      .catch(err => {
+        logger.warn('Patient list unavailable:', err.message);
+        setUnavailable(true);
+      });
+  }, []);
+
+  // The selected patient may be older than the most recent ones
+  const options = selected && !patients.some(patient => patient.id === selected.id)
+    ? [selected, ...patients]
+    : patients;
+
+  if (unavailable && !selected) {
+    return null;
+  }
+
+  return (
+    <Form.Group className="mb-4">
+      <Form.Label>
+        <FontAwesomeIcon icon={faUserTag} className="me-2" />
+        Save to patient record
+      </Form.Label>
+      <Form.Select
+        value={selected?.id || ''}
+        onChange={(e) => onChange(options.find(patient => patient.id === e.target.value) || null)}
+      >
+        <option value="">Don't save (no patient)</option>
+        {options.map(patient => (
+          <option key={patient.id} value={patient.id}>
+            {patient.name}{patient.mrn ? ` (MRN ${patient.mrn})` : ''}
+          </option>
+        ))}
+      </Form.Select>
+    </Form.Group>
+  );
+}
+
+export default PatientPicker;
@@ -0,0 +1,48 @@
+import React, { useState } from 'react';
+import { Alert, Button, Form } from 'react-bootstrap';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faExclamationTriangle, faCheckCircle, faEdit } from '@fortawesome/free-solid-svg-icons';
+
+// Cross-field plausibility warnings returned by the backend. The clinician either
+// goes back to correct the inputs or confirms them (with an optional reason).
+function PlausibilityReview({ warnings, onConfirm, onEdit }) {
+  const [reason, setReason] = useState('');
+
+  return (
+    <Alert variant="warning" className="mb-4">
+      <Alert.Heading>
+        <FontAwesomeIcon icon={faExclamationTriangle} className="me-2" />
+        Please review these values
+      </Alert.Heading>
+      <ul className="mb-3">
+        {warnings.map(warning => (
+          <li key={warning.rule}>{warning.message}</li>
+        ))}
+      </ul>
+
+      <Form.Group className="mb-3">
+        <Form.Label>Reason for confirming (recorded with the prediction)</Form.Label>
+        <Form.Control
+          as="textarea"
+          rows={2}
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Values re-checked against the lab report"
+        />
+      </Form.Group>
+
+      <div className="d-flex gap-2">
+        <Button variant="warning" onClick={() => onConfirm(warnings.map(warning => warning.rule), reason)}>
+          <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+          Confirm Values and Predict
+        </Button>
+        <Button variant="outline-secondary" onClick={onEdit}>
+          <FontAwesomeIcon icon={faEdit} className="me-2" />
+          Edit Values
+        </Button>
+      </div>
+    </Alert>
+  );
+}
+
+export default PlausibilityReview;
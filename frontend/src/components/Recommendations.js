@@ -10,7 +10,10 @@ import {
   faChartLine
 } from '@fortawesome/free-solid-svg-icons';
 
-function Recommendations({ recommendations, riskLevel, probability }) {
+// Categories guaranteed by the backend response contract, in display order
+const RECOMMENDATION_CATEGORIES = ['diet', 'exercise', 'lifestyle', 'monitoring'];
+
+function Recommendations({ recommendations, riskLevel, probability, modelAccuracy }) {
   const [activeTab, setActiveTab] = useState('diet');
 
   const getTabIcon = (category) => {
@@ -170,7 +173,7 @@ function Recommendations({ recommendations, riskLevel, probability }) {
           onSelect={(k) => setActiveTab(k)}
           className="nav-pills-custom border-bottom"
         >
-          {Object.entries(recommendations).map(([category, items]) => (
+          {RECOMMENDATION_CATEGORIES.map(category => [category, recommendations[category] || []]).map(([category, items]) => (
             <Tab
               key={category}
               eventKey={category}
@@ -179,7 +182,7 @@ function Recommendations({ recommendations, riskLevel, probability }) {
                   <FontAwesomeIcon icon={getTabIcon(category)} className="me-2" />
                   {getCategoryTitle(category)}
                   <Badge bg={getTabColor(category)} className="ms-2">
-                    {items ? items.length : 0}
+                    {items.length}
                   </Badge>
                   {getPriorityLevel(category, riskLevel) === 'High' && (
                     <Badge bg="danger" className="ms-1">
@@ -214,7 +217,7 @@ function Recommendations({ recommendations, riskLevel, probability }) {
           <div className="col-md-6">
             <small className="text-muted">
               <FontAwesomeIcon icon={faChartLine} className="me-1" />
-              <strong>AI Model:</strong> {process.env.REACT_APP_MODEL_ACCURACY}% accuracy on clinical datasets
+              <strong>AI Model:</strong> {modelAccuracy || `${process.env.REACT_APP_MODEL_ACCURACY}%`} accuracy on clinical datasets
             </small>
           </div>
         </div>
@@ -13,11 +13,44 @@ import {
 } from '@fortawesome/free-solid-svg-icons';
 import Recommendations from './Recommendations';
 import { downloadReportAsPDF } from '../services/pdfService';
+import logger from '../services/logger';
+
+// "(entered as 7.2 mmol/L)" note for inputs the backend converted to canonical units
+const formatOriginal = (conversion) => {
+  if (!conversion) return null;
+  if (conversion.derived_from) {
+    const { Height, Weight } = conversion.derived_from;
+    return `calculated from ${Height.original_value ?? Height.value} ${Height.original_unit || Height.unit}, ${Weight.original_value ?? Weight.value} ${Weight.original_unit || Weight.unit}`;
+  }
+  if (conversion.original_unit === conversion.unit) return null;
+  return `entered as ${conversion.original_value} ${conversion.original_unit}`;
+};
+
+const CONFIDENCE_COLORS = {
+  high: 'success',
+  moderate: 'warning',
+  low: 'danger'
+};
 
 function RiskResults({ result, patientData, onReset }) {
   const [isDownloading, setIsDownloading] = useState(false);
   const [downloadError, setDownloadError] = useState(null);
 
+  const unitConversions = result.unit_conversions || {};
+  const imputedFields = result.imputed_fields || [];
+  const imputedByField = imputedFields.reduce((byField, imputed) => ({ ...byField, [imputed.field]: imputed }), {});
+
+  // Value in the model's units: model echo, then backend conversion or imputation, then the submitted value
+  const canonicalValue = (modelKey, field) => result.patient_info?.[modelKey]
+    ?? unitConversions[field]?.value
+    ?? imputedByField[field]?.value
+    ?? patientData?.[field];
+
+  const renderOriginal = (field) => {
+    const note = imputedByField[field] ? `imputed: ${imputedByField[field].description}` : formatOriginal(unitConversions[field]);
+    return note ? <small className="text-muted ms-2">({note})</small> : null;
+  };
+
   const handleDownloadReport = async () => {
     try {
       setIsDownloading(true);
@@ -34,7 +67,7 @@ function RiskResults({ result, patientData, onReset }) {
       }
     } catch (error) {
       setDownloadError('Error generating PDF. Please try again.');
-      console.error('PDF download error:', error);
+      logger.error('PDF download error:', error);
     } finally {
       setIsDownloading(false);
     }
@@ -75,6 +108,13 @@ function RiskResults({ result, patientData, onReset }) {
 
   const probability = result.probability * 100;
 
+  // Metadata of the registered model that produced this score (backend proxy only)
+  const model = result.model;
+  const modelAccuracy = model
+    ? (model.metrics?.accuracy !== undefined ? `${(model.metrics.accuracy * 100).toFixed(1)}%` : 'Not validated')
+    : `${process.env.REACT_APP_MODEL_ACCURACY || '95'}%`;
+  const modelEndpoint = result.endpoint_used || process.env.REACT_APP_SAGEMAKER_ENDPOINT || 'SageMaker';
+
   return (
     <div className="risk-results">
       {/* Download Section - Will be hidden in PDF */}
@@ -103,6 +143,20 @@ function RiskResults({ result, patientData, onReset }) {
                 {downloadError}
               </Alert>
             )}
+
+            {/* Whether the assessment was saved to the selected patient's record */}
+            {result.assessment_id && (
+              <Alert variant="success" className="mt-3 mx-auto" style={{ maxWidth: '500px' }}>
+                <FontAwesomeIcon icon={faCheckCircle} className="me-2" />
+                Saved to the patient record.
+              </Alert>
+            )}
+            {result.assessment_error && (
+              <Alert variant="warning" className="mt-3 mx-auto" style={{ maxWidth: '500px' }}>
+                <FontAwesomeIcon icon={faExclamationTriangle} className="me-2" />
+                {result.assessment_error}.
+              </Alert>
+            )}
           </div>
         </Col>
       </Row>
@@ -122,7 +176,7 @@ function RiskResults({ result, patientData, onReset }) {
                 Generated on: {new Date().toLocaleDateString()} at {new Date().toLocaleTimeString()}
               </p>
               <p className="text-muted mb-3">
-                Analysis completed using AWS SageMaker endpoint: {process.env.REACT_APP_SAGEMAKER_ENDPOINT}
+                Analysis completed using {model ? model.name : 'AWS SageMaker'} endpoint: {modelEndpoint}
               </p>
             </div>
           </Col>
@@ -140,11 +194,16 @@ function RiskResults({ result, patientData, onReset }) {
                   </h3>
                   <div>
                     <Badge bg="light" text="dark" className="me-2">
-                      Model v{result.model_version || '1.0'}
+                      Model v{model?.version || result.model_version || '1.0'}
                     </Badge>
                     <Badge bg="light" text="dark">
-                      {process.env.REACT_APP_MODEL_ACCURACY || '95'}% Accuracy
+                      {modelAccuracy} Accuracy
                     </Badge>
+                    {result.confidence && (
+                      <Badge bg={CONFIDENCE_COLORS[result.confidence.level] || 'secondary'} className="ms-2 border border-light">
+                        Confidence: {result.confidence.level} ({Math.round(result.confidence.score * 100)}%)
+                      </Badge>
+                    )}
                   </div>
                 </div>
               </Card.Header>
@@ -180,19 +239,19 @@ function RiskResults({ result, patientData, onReset }) {
                     <div className="patient-summary">
                       <Row className="mb-2">
                         <Col sm={5}><strong>Age:</strong></Col>
-                        <Col sm={7}>{result.patient_info?.age || patientData?.age} years</Col>
+                        <Col sm={7}>{canonicalValue('age', 'Age')} years{renderOriginal('Age')}</Col>
                       </Row>
                       <Row className="mb-2">
                         <Col sm={5}><strong>BMI:</strong></Col>
-                        <Col sm={7}>{result.patient_info?.bmi || patientData?.bmi} kg/m²</Col>
+                        <Col sm={7}>{canonicalValue('bmi', 'BMI')} kg/m²{renderOriginal('BMI')}</Col>
                       </Row>
                       <Row className="mb-2">
                         <Col sm={5}><strong>Fasting Glucose:</strong></Col>
-                        <Col sm={7}>{result.patient_info?.glucose || patientData?.glucose} mg/dL</Col>
+                        <Col sm={7}>{canonicalValue('glucose', 'Fasting_Glucose_mg_dL')} mg/dL{renderOriginal('Fasting_Glucose_mg_dL')}</Col>
                       </Row>
                       <Row className="mb-2">
                         <Col sm={5}><strong>HbA1c:</strong></Col>
-                        <Col sm={7}>{result.patient_info?.hba1c || patientData?.hba1c}%</Col>
+                        <Col sm={7}>{canonicalValue('hba1c', 'HbA1c_percent')}%{renderOriginal('HbA1c_percent')}</Col>
                       </Row>
                       <Row className="mb-2">
                         <Col sm={5}><strong>Assessment Time:</strong></Col>
@@ -206,6 +265,54 @@ function RiskResults({ result, patientData, onReset }) {
           </Col>
         </Row>
 
+        {/* Values the backend imputed because they were left blank */}
+        {imputedFields.length > 0 && (
+          <Row className="mb-4">
+            <Col lg={10} className="mx-auto">
+              <Alert variant={result.confidence?.level === 'low' ? 'danger' : 'warning'} className="mb-0">
+                <FontAwesomeIcon icon={faInfoCircle} className="me-2" />
+                <strong>
+                  {imputedFields.length} value{imputedFields.length === 1 ? ' was' : 's were'} imputed
+                </strong>
+                {' '}- this result is less reliable than one based on measured values.
+                <ul className="mb-1 mt-2">
+                  {imputedFields.map(imputed => (
+                    <li key={imputed.field}>
+                      <strong>{imputed.field.replace(/_/g, ' ')}:</strong> {imputed.value} {imputed.unit} ({imputed.description})
+                    </li>
+                  ))}
+                </ul>
+                {result.confidence && (
+                  <small>
+                    <strong>Prediction confidence:</strong> {result.confidence.level} ({Math.round(result.confidence.score * 100)}%)
+                  </small>
+                )}
+              </Alert>
+            </Col>
+          </Row>
+        )}
+
+        {/* Plausibility warnings the clinician confirmed before scoring */}
+        {result.warning_overrides && (
+          <Row className="mb-4">
+            <Col lg={10} className="mx-auto">
+              <Alert variant="warning" className="mb-0">
+                <FontAwesomeIcon icon={faExclamationTriangle} className="me-2" />
+                <strong>Values confirmed despite plausibility warnings</strong>
+                {' '}({new Date(result.warning_overrides.acknowledged_at).toLocaleString()})
+                <ul className="mb-1 mt-2">
+                  {(result.validation_warnings || []).map(warning => (
+                    <li key={warning.rule}>{warning.message}</li>
+                  ))}
+                </ul>
+                {result.warning_overrides.reason && (
+                  <small><strong>Reason:</strong> {result.warning_overrides.reason}</small>
+                )}
+              </Alert>
+            </Col>
+          </Row>
+        )}
+
         {/* Risk Interpretation */}
         <Row className="mb-4">
           <Col lg={10} className="mx-auto">
@@ -269,6 +376,7 @@ function RiskResults({ result, patientData, onReset }) {
                 recommendations={result.recommendations} 
                 riskLevel={result.risk_level}
                 probability={result.probability}
+                modelAccuracy={modelAccuracy}
               />
             </Col>
           </Row>
@@ -285,19 +393,31 @@ function RiskResults({ result, patientData, onReset }) {
                 </h6>
                 <div className="model-info mb-3">
                   <Row>
-                    <Col md={3}>
+                    <Col md={2}>
+                      <strong>Model:</strong><br />
+                      <span className="text-muted">
+                        {model ? `${model.name} v${model.version}` : `v${result.model_version || '1.0'}`}
+                      </span>
+                    </Col>
+                    <Col md={2}>
                       <strong>Model Type:</strong><br />
-                      <span className="text-muted">Logistic Regression</span>
+                      <span className="text-muted">{model?.algorithm || 'Logistic Regression'}</span>
                     </Col>
-                    <Col md={3}>
+                    <Col md={2}>
                       <strong>Accuracy:</strong><br />
-                      <span className="text-success">{process.env.REACT_APP_MODEL_ACCURACY || '95'}%</span>
+                      <span className="text-success">{modelAccuracy}</span>
+                    </Col>
+                    <Col md={2}>
+                      <strong>Trained:</strong><br />
+                      <span className="text-muted">
+                        {model?.training_date ? new Date(model.training_date).toLocaleDateString() : 'Not recorded'}
+                      </span>
                     </Col>
-                    <Col md={3}>
+                    <Col md={2}>
                       <strong>Endpoint:</strong><br />
-                      <span className="text-primary">{process.env.REACT_APP_SAGEMAKER_ENDPOINT || 'SageMaker'}</span>
+                      <span className="text-primary">{modelEndpoint}</span>
                     </Col>
-                    <Col md={3}>
+                    <Col md={2}>
                       <strong>Region:</strong><br />
                       <span className="text-info">{process.env.REACT_APP_AWS_REGION || 'us-east-1'}</span>
                     </Col>
@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Form, Badge, Table, Alert, Spinner } from 'react-bootstrap';
+import { ResponsiveContainer, LineChart, Line, XAxis, YAxis, Tooltip, Legend, CartesianGrid } from 'recharts';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faArrowDown, faArrowUp, faEquals } from '@fortawesome/free-solid-svg-icons';
+import { fetchRiskTrend } from '../services/patientService';
+
+const DIRECTIONS = {
+  improving: { variant: 'success', icon: faArrowDown, label: 'Improving' },
+  worsening: { variant: 'danger', icon: faArrowUp, label: 'Worsening' },
+  stable: { variant: 'secondary', icon: faEquals, label: 'Stable' }
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+const formatPercent = (probability) => `${(probability * 100).toFixed(1)}%`;
+
+const formatChange = (change, unit) => {
+  if (change === null || change === undefined) return '—';
+  const value = unit === 'probability' ? `${(change * 100).toFixed(1)} pts` : `${+change.toFixed(2)} ${unit}`;
+  return change > 0 ? `+${value}` : value;
+};
+
+// Risk probability over a patient's visits with one measurement on a second axis, plus the
+// change since the previous visit. `version` changes whenever the assessments do.
+function RiskTrendChart({ patient, version }) {
+  const [trend, setTrend] = useState(null);
+  const [measurement, setMeasurement] = useState('');
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoadError(null);
+    fetchRiskTrend(patient.id)
+      .then(next => {
+        if (cancelled) return;
+        setTrend(next);
+        setMeasurement(current => current || next.series.find(series => series.axis === 'measurement')?.key || '');
+      })
+      .catch(err => !cancelled && setLoadError(err.message));
+    return () => { cancelled = true; };
+  }, [patient.id, version]);
+
+  if (loadError) {
+    return <Alert variant="danger" className="py-2 small">{loadError}</Alert>;
+  }
+  if (!trend) {
+    return <div className="text-center py-3"><Spinner animation="border" size="sm" /></div>;
+  }
+  if (trend.points.length < 2) {
+    return <p className="text-muted small">A trend is shown once the patient has two saved assessments.</p>;
+  }
+
+  const measurements = trend.series.filter(series => series.axis === 'measurement');
+  const selected = measurements.find(series => series.key === measurement);
+  const direction = DIRECTIONS[trend.direction];
+  const latestChange = trend.deltas[trend.deltas.length - 1];
+
+  return (
+    <div className="risk-trend mb-4">
+      <div className="d-flex justify-content-between align-items-center mb-2">
+        <Badge bg={direction.variant}>
+          <FontAwesomeIcon icon={direction.icon} className="me-1" />
+          {direction.label} since {formatDate(trend.overall.from)} ({formatChange(trend.overall.probability, 'probability')})
+        </Badge>
+        <Form.Select
+          size="sm"
+          className="w-auto"
+          value={measurement}
+          onChange={(e) => setMeasurement(e.target.value)}
+          aria-label="Measurement"
+        >
+          {measurements.map(series => <option key={series.key} value={series.key}>{series.label}</option>)}
+        </Form.Select>
+      </div>
+
+      <ResponsiveContainer width="100%" height={240}>
+        <LineChart data={trend.points} margin={{ top: 5, right: 5, bottom: 5, left: -10 }}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis
+            dataKey="timestamp"
+            type="number"
+            scale="time"
+            domain={['dataMin', 'dataMax']}
+            tickFormatter={formatDate}
+          />
+          <YAxis yAxisId="risk" domain={[0, 1]} tickFormatter={(value) => `${Math.round(value * 100)}%`} />
+          <YAxis yAxisId="measurement" orientation="right" domain={['auto', 'auto']} />
+          <Tooltip
+            labelFormatter={(timestamp) => new Date(timestamp).toLocaleString()}
+            formatter={(value, name, item) => (item.dataKey === 'probability' ? formatPercent(value) : `${value} ${selected?.unit || ''}`)}
+          />
+          <Legend />
+          <Line yAxisId="risk" dataKey="probability" name="Risk probability" stroke="#dc3545" strokeWidth={2} />
+          {selected && (
+            <Line
+              yAxisId="measurement"
+              dataKey={selected.key}
+              name={selected.label}
+              stroke="#0d6efd"
+              strokeDasharray="4 2"
+              connectNulls
+            />
+          )}
+        </LineChart>
+      </ResponsiveContainer>
+
+      <Table size="sm" className="mt-2 mb-0 small">
+        <caption className="pb-0">
+          Change since the previous visit ({formatDate(latestChange.from)}, {latestChange.days} days earlier)
+        </caption>
+        <tbody>
+          {trend.series.map(series => (
+            <tr key={series.key}>
+              <td>{series.label}</td>
+              <td className="text-end">{formatChange(latestChange[series.key], series.unit)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </div>
+  );
+}
+
+export default RiskTrendChart;
@@ -0,0 +1,172 @@
+// Session tokens for logged-in users (POST /api/auth/login, /api/auth/refresh).
+// Tokens live in sessionStorage so they end with the browser tab.
+
+import logger from './logger';
+
+const STORAGE_KEY = 'diabetes-session';
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Roles allowed to score patients; reviewers can only read results
+export const SUBMIT_ROLES = ['clinician', 'admin'];
+
+const listeners = new Set();
+let refreshRequest = null;
+
+// Short-lived client token from the deployment's token URL (see fetchClientToken)
+let clientToken = null;
+let clientTokenRequest = null;
+
+export const getSession = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const setSession = (session) => {
+  if (session) {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } else {
+    sessionStorage.removeItem(STORAGE_KEY);
+  }
+  listeners.forEach(listener => listener(session));
+};
+
+// Subscribe to login/logout/refresh; returns an unsubscribe function
+export const onSessionChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const hasRole = (session, roles) => Boolean(session && roles.includes(session.user.role));
+
+const postAuth = async (path, body) => {
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/auth/${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest'
+    },
+    body: JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}: authentication failed`);
+  }
+
+  return {
+    access_token: result.access_token,
+    refresh_token: result.refresh_token,
+    expires_at: Date.now() + result.expires_in * 1000,
+    user: result.user
+  };
+};
+
+export const login = async (username, password) => {
+  const session = await postAuth('login', { username, password });
+  setSession(session);
+  return session;
+};
+
+// Ends the session here and revokes its refresh token on the server; the local session is
+// cleared whether or not the server can be reached
+export const logout = () => {
+  const session = getSession();
+  setSession(null);
+  if (session && session.refresh_token) {
+    fetch(`${process.env.REACT_APP_API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+      body: JSON.stringify({ refresh_token: session.refresh_token })
+    }).catch(error => logger.warn('Logout request failed:', error.message));
+  }
+};
+
+// Message for a 401/403 from the backend; a 401 ends an expired session so the app
+// returns to the login screen
+export const describeAuthFailure = (status) => {
+  if (status === 403) {
+    return 'Your account is not permitted to perform this action.';
+  }
+  if (getSession()) {
+    logout();
+    return 'Your session has expired. Please log in again.';
+  }
+  return 'The backend requires authentication. Please log in.';
+};
+
+// One refresh at a time; a failed refresh ends the session
+const refreshSession = (session) => {
+  if (!refreshRequest) {
+    refreshRequest = postAuth('refresh', { refresh_token: session.refresh_token })
+      .then(refreshed => {
+        setSession(refreshed);
+        return refreshed;
+      })
+      .catch(error => {
+        logger.warn('Session refresh failed:', error.message);
+        logout();
+        return null;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Deployments that let the browser score without a login serve REACT_APP_CLIENT_TOKEN_URL
+// from their own server, which exchanges its API key for a short-lived scoped token
+// (POST /api/auth/client-token). Tokens are kept in memory only.
+const fetchClientToken = () => {
+  if (clientToken && clientToken.expires_at - Date.now() > REFRESH_MARGIN_MS / 2) {
+    return Promise.resolve(clientToken);
+  }
+  if (!clientTokenRequest) {
+    clientTokenRequest = fetch(process.env.REACT_APP_CLIENT_TOKEN_URL, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Accept': 'application/json', 'X-Requested-With': 'XMLHttpRequest' }
+    })
+      .then(async response => {
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.access_token) {
+          throw new Error(result.error || `HTTP ${response.status}: unable to obtain a client token`);
+        }
+        clientToken = { access_token: result.access_token, expires_at: Date.now() + result.expires_in * 1000 };
+        return clientToken;
+      })
+      .catch(error => {
+        logger.warn('Client token request failed:', error.message);
+        clientToken = null;
+        return null;
+      })
+      .finally(() => {
+        clientTokenRequest = null;
+      });
+  }
+  return clientTokenRequest;
+};
+
+// Authorization header for backend calls: the user's (refreshed) session token, or a
+// short-lived client token when nobody is logged in. API keys never reach the browser.
+export const getAuthHeaders = async () => {
+  let session = getSession();
+  if (session && session.expires_at - Date.now() < REFRESH_MARGIN_MS) {
+    session = await refreshSession(session);
+  }
+
+  if (session) {
+    return { 'Authorization': `Bearer ${session.access_token}` };
+  }
+  if (process.env.REACT_APP_CLIENT_TOKEN_URL) {
+    const token = await fetchClientToken();
+    return token ? { 'Authorization': `Bearer ${token.access_token}` } : {};
+  }
+  return {};
+};
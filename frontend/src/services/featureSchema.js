@@ -0,0 +1,218 @@
+// Feature schema served by the backend (GET /api/schema).
+// The form is rendered from it and client-side checks use the same fields and ranges.
+
+import { addRedactedFields } from './logger';
+
+let schemaRequest = null;
+
+// Fetch the schema once per page load
+export const fetchFeatureSchema = () => {
+  if (!schemaRequest) {
+    schemaRequest = fetch(`${process.env.REACT_APP_API_URL}/schema`, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest'
+      }
+    })
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}: unable to load feature schema`);
+        }
+        return response.json();
+      })
+      .then(schema => {
+        // Patient values never reach the console
+        addRedactedFields([...schema.features, ...(schema.measurements || [])].map(spec => spec.name));
+        return schema;
+      })
+      .catch(error => {
+        // Allow a retry on the next call
+        schemaRequest = null;
+        throw error;
+      });
+  }
+  return schemaRequest;
+};
+
+// Empty form state: binary fields start on their default, numbers blank
+export const buildInitialFormData = (schema) => schema.features.reduce((formData, feature) => {
+  formData[feature.name] = feature.default !== undefined ? String(feature.default) : '';
+  return formData;
+}, {});
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+const isUnitTagged = (raw) => raw !== null && typeof raw === 'object' && 'value' in raw;
+
+const sameUnit = (a, b) => String(a).toLowerCase().replace(/\s+/g, '') === String(b).toLowerCase().replace(/\s+/g, '');
+
+// Alternative units are linear conversions declared in the schema: canonical = value * factor + offset
+export const toCanonicalValue = (raw, spec) => {
+  if (!isUnitTagged(raw)) return raw;
+  if (!raw.unit || sameUnit(raw.unit, spec.unit)) return raw.value;
+
+  const alternative = Object.entries(spec.units || {}).find(([name]) => sameUnit(name, raw.unit));
+  if (!alternative) {
+    throw new Error(`Unsupported unit "${raw.unit}" for ${spec.label}`);
+  }
+  const { factor, offset = 0 } = alternative[1];
+  return Number((Number(raw.value) * factor + offset).toFixed(2));
+};
+
+// Range of a feature expressed in another of its units (for input min/max hints)
+export const rangeInUnit = (spec, unit) => {
+  const conversion = (spec.units || {})[unit];
+  if (!conversion) return { min: spec.min, max: spec.max };
+
+  const { factor, offset = 0 } = conversion;
+  return {
+    min: Number(((spec.min - offset) / factor).toFixed(2)),
+    max: Number(((spec.max - offset) / factor).toFixed(2))
+  };
+};
+
+// Canonical-unit copy of a record; BMI is derived from Height/Weight when not given.
+// Mirrors backend/utils/unitConversion.js.
+export const convertPatientUnits = (patientData, schema) => {
+  const converted = { ...patientData };
+  const measurements = (schema.measurements || []).reduce((byName, spec) => ({ ...byName, [spec.name]: spec }), {});
+
+  schema.features.forEach(feature => {
+    const raw = patientData[feature.name];
+    if (isPresent(raw) && !(isUnitTagged(raw) && !isPresent(raw.value))) {
+      converted[feature.name] = toCanonicalValue(raw, feature);
+    } else if (feature.derived_from && feature.derived_from.every(name => isPresent(patientData[name]))) {
+      const height = Number(toCanonicalValue(patientData.Height, measurements.Height)) / 100;
+      const weight = Number(toCanonicalValue(patientData.Weight, measurements.Weight));
+      converted[feature.name] = Number((weight / (height * height)).toFixed(1));
+    } else {
+      delete converted[feature.name];
+    }
+  });
+
+  Object.keys(measurements).forEach(name => delete converted[name]);
+  return converted;
+};
+
+// Original values of unit-tagged inputs, shaped like the backend's `unit_conversions`
+export const describeUnitConversions = (input, schema) => {
+  const converted = convertPatientUnits(input, schema);
+  const measurements = (schema.measurements || []).reduce((byName, spec) => ({ ...byName, [spec.name]: spec }), {});
+  const describe = (raw, spec) => (isUnitTagged(raw)
+    ? { original_value: raw.value, original_unit: raw.unit || spec.unit, value: toCanonicalValue(raw, spec), unit: spec.unit }
+    : { value: Number(raw), unit: spec.unit });
+
+  return schema.features.reduce((conversions, feature) => {
+    const raw = input[feature.name];
+    if (isUnitTagged(raw) && isPresent(raw.value)) {
+      conversions[feature.name] = describe(raw, feature);
+    } else if (!isPresent(raw) && feature.derived_from && isPresent(converted[feature.name])) {
+      conversions[feature.name] = {
+        value: converted[feature.name],
+        unit: feature.unit,
+        derived_from: feature.derived_from.reduce((sources, name) => ({
+          ...sources,
+          [name]: describe(input[name], measurements[name])
+        }), {})
+      };
+    }
+    return conversions;
+  }, {});
+};
+
+// Same rules as the backend validation; returns { missingFields, validationErrors }.
+// With `allowImputation`, features the backend can impute are not reported missing.
+export const validatePatientData = (input, schema, { allowImputation = false } = {}) => {
+  let patientData;
+  try {
+    patientData = convertPatientUnits(input, schema);
+  } catch (error) {
+    return { missingFields: [], validationErrors: [error.message] };
+  }
+
+  const absent = schema.features.filter(feature => !isPresent(patientData[feature.name]));
+  const missingFields = absent
+    .filter(feature => !(allowImputation && feature.imputation))
+    .map(feature => feature.name);
+
+  const validationErrors = schema.features
+    .filter(feature => !absent.includes(feature))
+    .map(feature => {
+      const value = Number(patientData[feature.name]);
+      if (feature.type === 'binary') {
+        return [0, 1].includes(value) ? null : `${feature.name} must be 0 or 1`;
+      }
+      if (isNaN(value) || value < feature.min || value > feature.max) {
+        return `${feature.label} must be a number between ${feature.min} and ${feature.max} ${feature.unit}`.trim();
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  return { missingFields, validationErrors };
+};
+
+// Convert form strings to the record sent for scoring. Values entered in a non-canonical
+// unit are sent unit-tagged ({ value, unit }) so the backend can keep the original;
+// with `deriveBMI` set, Height and Weight are sent instead of BMI. Blank fields are left
+// out so the backend can impute them when `allowImputation` is set.
+export const toPatientRecord = (formData, schema, { units = {}, deriveBMI = false, allowImputation = false } = {}) => {
+  const tagged = (spec) => {
+    const value = parseFloat(formData[spec.name]);
+    const unit = units[spec.name] || spec.unit;
+    return unit === spec.unit ? value : { value, unit };
+  };
+
+  const record = schema.features.reduce((result, feature) => {
+    if (!isPresent(formData[feature.name])) {
+      return result;
+    }
+    if (feature.type === 'binary') {
+      result[feature.name] = parseInt(formData[feature.name], 10);
+    } else if (!(deriveBMI && feature.derived_from)) {
+      result[feature.name] = tagged(feature);
+    }
+    return result;
+  }, {});
+
+  if (deriveBMI) {
+    (schema.measurements || []).forEach(measurement => {
+      record[measurement.name] = tagged(measurement);
+    });
+  }
+  if (allowImputation) {
+    record.allow_imputation = true;
+  }
+  return record;
+};
+
+// Inverse of toPatientRecord: form state for a previously submitted record
+export const recordToFormState = (record, schema) => {
+  const formData = buildInitialFormData(schema);
+  const units = {};
+  const specs = [...schema.features, ...(schema.measurements || [])];
+  const allowImputation = record.allow_imputation === true;
+
+  specs.forEach(spec => {
+    const raw = record[spec.name];
+    if (!isPresent(raw)) {
+      // Keep fields left for imputation blank rather than on their default
+      if (allowImputation && spec.imputation) formData[spec.name] = '';
+      return;
+    }
+
+    if (isUnitTagged(raw)) {
+      formData[spec.name] = String(raw.value);
+      units[spec.name] = raw.unit || spec.unit;
+    } else {
+      formData[spec.name] = String(raw);
+    }
+  });
+
+  return {
+    formData,
+    units,
+    allowImputation,
+    deriveBMI: !isPresent(record.BMI) && (schema.measurements || []).every(spec => isPresent(record[spec.name]))
+  };
+};
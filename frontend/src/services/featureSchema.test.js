@@ -0,0 +1,64 @@
+// The form converts and range-checks on the client with the same schema the backend uses.
+// These run both implementations over the schema's conversion table so they cannot drift.
+import schema from '../../../backend/config/feature-schema.json';
+import { toCanonicalValue, rangeInUnit, convertPatientUnits, validatePatientData } from './featureSchema';
+
+const backendUnits = require('../../../backend/utils/unitConversion');
+const { checkFeatureValue } = require('../../../backend/services/featureSchema');
+
+const specs = [...schema.features, ...schema.measurements];
+
+// Every alternative unit with values across its range, e.g. [Fasting_Glucose_mg_dL, mmol/L, 6.1]
+const conversionTable = specs.flatMap(spec => Object.keys(spec.units || {}).flatMap(unit => {
+  const { min, max } = rangeInUnit(spec, unit);
+  return [min, (min + max) / 2, max, Number(((min + max) / 3).toFixed(1))]
+    .map(value => [spec.name, unit, value]);
+}));
+
+const specNamed = (name) => specs.find(spec => spec.name === name);
+
+test('the schema declares alternative units to compare', () => {
+  expect(conversionTable.length).toBeGreaterThan(0);
+});
+
+test.each(conversionTable)('%s in %s (%p) converts the same on both sides', (name, unit, value) => {
+  const spec = specNamed(name);
+  const backend = backendUnits.convertInput({ value, unit: unit.toUpperCase() }, spec);
+
+  expect(backend.error).toBeUndefined();
+  expect(toCanonicalValue({ value, unit: unit.toUpperCase() }, spec)).toBe(backend.value);
+  expect(toCanonicalValue({ value, unit: spec.unit }, spec)).toBe(backendUnits.convertInput({ value, unit: spec.unit }, spec).value);
+});
+
+test('both sides reject units the schema does not declare', () => {
+  const glucose = specNamed('Fasting_Glucose_mg_dL');
+
+  expect(backendUnits.convertInput({ value: 6, unit: 'g/L' }, glucose).error).toMatch(/Unsupported unit "g\/L"/);
+  expect(() => toCanonicalValue({ value: 6, unit: 'g/L' }, glucose)).toThrow(/Unsupported unit "g\/L"/);
+});
+
+const heights = [['cm', 172], ['m', 1.72], ['in', 67.7]];
+const weights = [['kg', 81.4], ['lb', 179.5]];
+const bodySizes = heights.flatMap(height => weights.map(weight => [...height, ...weight]));
+
+test.each(bodySizes)('BMI from height %s %p and weight %s %p is derived the same on both sides', (heightUnit, height, weightUnit, weight) => {
+  const input = { Height: { value: height, unit: heightUnit }, Weight: { value: weight, unit: weightUnit } };
+  const backend = backendUnits.convertPatientUnits(input, schema);
+
+  expect(backend.errors).toEqual([]);
+  expect(convertPatientUnits(input, schema)).toEqual(backend.patientData);
+});
+
+// Just inside and outside each feature's range, plus values that are not numbers at all
+const rangeCases = schema.features.flatMap(feature => (feature.type === 'binary'
+  ? [0, 1, 2, '1', 'yes']
+  : [feature.min - 0.01, feature.min, feature.max, feature.max + 0.01, 'abc']
+).map(value => [feature.name, value]));
+
+test.each(rangeCases)('%s = %p passes or fails the same range check on both sides', (name, value) => {
+  const feature = specNamed(name);
+  const backendError = checkFeatureValue(feature, value);
+
+  expect(validatePatientData({ [name]: value }, { features: [feature] }).validationErrors)
+    .toEqual(backendError ? [backendError] : []);
+});
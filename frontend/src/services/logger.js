@@ -0,0 +1,84 @@
+// Console logging with PHI redaction. Objects passed to the logger have sensitive
+// keys dropped (or hashed) at any depth; the level defaults to "warn" in production
+// builds so debug output with request details never reaches a clinician's browser.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const configuredLevel = process.env.REACT_APP_LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'debug');
+const threshold = LEVELS[configuredLevel] ?? LEVELS.warn;
+
+// Keys match ignoring case, "_" and "-"
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[_-]/g, '');
+
+const parseList = (value) => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+// Patient values, model outputs and credentials; schema features are added once the schema loads
+const dropFields = new Set([
+  'patientData', 'patient', 'patients', 'features', 'Height', 'Weight',
+  'risk_level', 'probability', 'prediction', 'result', 'results', 'recommendations', 'patient_info',
+  'unit_conversions', 'imputed_fields', 'validation_warnings', 'override_reason', 'Body',
+  'password', 'access_token', 'refresh_token', 'Authorization',
+  ...parseList(process.env.REACT_APP_LOG_REDACT_FIELDS)
+].map(normalizeKey));
+
+const hashFields = new Set(['username', 'user_id', 'sub', ...parseList(process.env.REACT_APP_LOG_HASH_FIELDS)].map(normalizeKey));
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Drop every feature of the loaded feature schema as well
+export const addRedactedFields = (fields) => {
+  fields.forEach(field => dropFields.add(normalizeKey(field)));
+};
+
+// FNV-1a: a stable, non-reversible-at-a-glance tag for correlating log lines, not a security hash
+const hashValue = (value) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(value)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `hash:${hash.toString(16).padStart(8, '0')}`;
+};
+
+export const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return `${value.name}: ${value.message}`;
+  }
+  if (seen.has(value) || depth > MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(entry => redact(entry, depth + 1, seen));
+  }
+  return Object.keys(value).reduce((copy, key) => {
+    const normalized = normalizeKey(key);
+    if (dropFields.has(normalized)) {
+      copy[key] = REDACTED;
+    } else if (hashFields.has(normalized)) {
+      copy[key] = value[key] === undefined || value[key] === null ? value[key] : hashValue(value[key]);
+    } else {
+      copy[key] = redact(value[key], depth + 1, seen);
+    }
+    return copy;
+  }, {});
+};
+
+const write = (level, method) => (...args) => {
+  if (LEVELS[level] < threshold) return;
+  console[method](...args.map(arg => redact(arg)));
+};
+
+const logger = {
+  debug: write('debug', 'log'),
+  info: write('info', 'info'),
+  warn: write('warn', 'warn'),
+  error: write('error', 'error')
+};
+
+export default logger;
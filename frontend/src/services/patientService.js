@@ -0,0 +1,65 @@
+// Patient and assessment history (backend /api/patients and /api/assessments).
+// Assessments are created by scoring: the backend's POST /api/patients/:id/assessments, or
+// /api/predict with a patient_id as predictDiabetesRisk does.
+import { getAuthHeaders, describeAuthFailure } from './authService';
+
+const request = async (path, { method = 'GET', body, query } = {}) => {
+  const params = new URLSearchParams(
+    Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+  const search = params.toString() ? `?${params}` : '';
+
+  const response = await fetch(`${process.env.REACT_APP_API_URL}${path}${search}`, {
+    method,
+    headers: {
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(await getAuthHeaders())
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(describeAuthFailure(response.status));
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `HTTP ${response.status}: patient record request failed`);
+  }
+  return result;
+};
+
+// { patients, total, limit, offset }
+export const fetchPatients = ({ search, limit, offset } = {}) =>
+  request('/patients', { query: { search, limit, offset } });
+
+export const createPatient = async (details) => (await request('/patients', { method: 'POST', body: details })).patient;
+
+export const deletePatient = (patientId) =>
+  request(`/patients/${encodeURIComponent(patientId)}`, { method: 'DELETE' });
+
+// { assessments, total, limit, offset }; filters: risk_level, from, to (YYYY-MM-DD)
+export const fetchAssessments = (patientId, { riskLevel, from, to, limit, offset } = {}) =>
+  request(`/patients/${encodeURIComponent(patientId)}/assessments`, {
+    query: { risk_level: riskLevel, from, to, limit, offset }
+  });
+
+export const deleteAssessment = (assessmentId) =>
+  request(`/assessments/${encodeURIComponent(assessmentId)}`, { method: 'DELETE' });
+
+// { series, points, deltas, overall, direction } - points are recharts rows, oldest first
+export const fetchRiskTrend = (patientId, { from, to } = {}) =>
+  request(`/patients/${encodeURIComponent(patientId)}/trend`, { query: { from, to } });
+
+// Save an assessment as a FHIR R4 Bundle (Patient, Observations, RiskAssessment) for EHR import
+export const downloadAssessmentFhir = async (assessmentId, { type } = {}) => {
+  const bundle = await request(`/assessments/${encodeURIComponent(assessmentId)}/fhir`, { query: { type } });
+  const url = URL.createObjectURL(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${assessmentId}-fhir.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
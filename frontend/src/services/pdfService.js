@@ -1,4 +1,5 @@
 import html2pdf from 'html2pdf.js';
+import logger from './logger';
 
 export const downloadReportAsPDF = async (elementId, filename = 'diabetes-report.pdf') => {
   try {
@@ -35,7 +36,7 @@ export const downloadReportAsPDF = async (elementId, filename = 'diabetes-report
     return { success: true };
     
   } catch (error) {
-    console.error('PDF generation error:', error);
+    logger.error('PDF generation error:', error);
     return { 
       success: false, 
       error: error.message || 'Failed to generate PDF' 
@@ -1,179 +1,77 @@
-// SageMaker API Service for diabetes prediction
-import AWS from 'aws-sdk';
-
-// Enhanced AWS SDK configuration with proper credential handling
-const configureAWS = () => {
-  // Option 1: Use environment variables (for development with backend proxy)
-  if (process.env.REACT_APP_USE_BACKEND_PROXY === 'true') {
-    console.log('🔧 Using backend proxy for SageMaker calls');
-    return null; // Skip AWS configuration when using proxy
-  }
-
-  // Option 2: Configure AWS SDK for direct calls
-  const awsConfig = {
-    region: process.env.REACT_APP_AWS_REGION || 'us-east-1',
-    // For development: Use AWS CLI configured credentials
-    // For production: Use IAM roles or temporary credentials
-  };
-
-  // Add credentials if provided via environment variables
-  if (process.env.REACT_APP_AWS_ACCESS_KEY_ID && process.env.REACT_APP_AWS_SECRET_ACCESS_KEY) {
-    awsConfig.accessKeyId = process.env.REACT_APP_AWS_ACCESS_KEY_ID;
-    awsConfig.secretAccessKey = process.env.REACT_APP_AWS_SECRET_ACCESS_KEY;
-    console.log('🔐 Using environment variable credentials');
-  } else {
-    console.log('🔧 Using AWS CLI configured credentials');
-  }
-
-  AWS.config.update(awsConfig);
-  console.log('⚙️ AWS SDK configured for region:', awsConfig.region);
-  return new AWS.SageMakerRuntime();
-};
-
-// Initialize SageMaker Runtime
-const sagemakerRuntime = configureAWS();
+// Prediction API client. Every call goes through the backend; the browser never holds
+// AWS credentials or talks to SageMaker itself.
+import { fetchFeatureSchema, validatePatientData } from './featureSchema';
+import { getAuthHeaders, describeAuthFailure } from './authService';
+import logger from './logger';
 
 // Enhanced diabetes prediction service
 export const predictDiabetesRisk = async (patientData) => {
   try {
-    console.log('🔄 Sending prediction request to SageMaker endpoint...');
-    console.log('📊 Patient data:', patientData);
-    console.log('🎯 Endpoint:', process.env.REACT_APP_SAGEMAKER_ENDPOINT);
-    console.log('🌍 Region:', process.env.REACT_APP_AWS_REGION);
-    console.log('🔧 Use Backend Proxy:', process.env.REACT_APP_USE_BACKEND_PROXY);
+    logger.debug('🔄 Sending prediction request via backend...');
 
     // Validate input data
     if (!patientData || typeof patientData !== 'object') {
       throw new Error('Invalid patient data provided');
     }
 
-    // Required fields for your diabetes model
-    const requiredFields = [
-      'Age', 'BMI', 'Waist_Circumference_cm', 'Fasting_Glucose_mg_dL',
-      'HbA1c_percent', 'Systolic_BP_mmHg', 'Diastolic_BP_mmHg',
-      'Family_History_Diabetes', 'Hypertension', 'Physical_Activity_Hours_Week'
-    ];
-
-    // Check for missing fields
-    const missingFields = requiredFields.filter(field => 
-      patientData[field] === undefined || patientData[field] === null || patientData[field] === ''
-    );
+    // Check fields and ranges against the shared feature schema before the round trip
+    const schema = await fetchFeatureSchema();
+    const { missingFields, validationErrors } = validatePatientData(patientData, schema, {
+      allowImputation: patientData.allow_imputation === true
+    });
 
     if (missingFields.length > 0) {
       throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
     }
 
-    // Decide whether to use backend proxy or direct SageMaker call
-    if (process.env.REACT_APP_USE_BACKEND_PROXY === 'true') {
-      console.log('📡 Using backend proxy for prediction');
-      return await predictDiabetesRiskViaBackend(patientData);
+    if (validationErrors.length > 0) {
+      throw new Error(`Invalid data ranges: ${validationErrors.join('; ')}`);
     }
 
-    // Direct SageMaker call
-    if (!sagemakerRuntime) {
-      throw new Error('SageMaker runtime not initialized. Check AWS configuration.');
-    }
+    return await predictDiabetesRiskViaBackend(patientData);
 
-    // Prepare SageMaker request parameters
-    const params = {
-      EndpointName: process.env.REACT_APP_SAGEMAKER_ENDPOINT,
-      ContentType: 'application/json',
-      Body: JSON.stringify(patientData)
-    };
-
-    console.log('📤 SageMaker request params:', {
-      ...params,
-      Body: 'Patient data (hidden for security)'
-    });
-
-    // Make the prediction request
-    const startTime = Date.now();
-    const response = await sagemakerRuntime.invokeEndpoint(params).promise();
-    const endTime = Date.now();
-    
-    console.log(`⚡ SageMaker response received in ${endTime - startTime}ms`);
-    
-    // Parse the response
-    const responseBody = response.Body.toString();
-    console.log('📥 Raw SageMaker response:', responseBody);
-    
-    let result;
-    try {
-      result = JSON.parse(responseBody);
-    } catch (parseError) {
-      console.error('❌ Failed to parse SageMaker response:', parseError);
-      throw new Error('Invalid response format from prediction service');
-    }
-    
-    console.log('✅ Parsed SageMaker result:', result);
-    
-    // Validate response structure
-    if (!result || typeof result !== 'object') {
-      throw new Error('Invalid response structure from SageMaker endpoint');
-    }
-
-    if (result.error) {
-      throw new Error(`Model error: ${result.error}`);
-    }
+  } catch (error) {
+    logger.error('❌ Prediction error:', error);
 
-    if (result.risk_level === undefined || result.probability === undefined) {
-      throw new Error('Invalid response format: missing risk_level or probability');
+    // Plausibility warnings go back to the form for clinician review
+    if (error.validationWarnings) {
+      throw error;
     }
 
-    // Enhance response with additional metadata
-    const enhancedResult = {
-      ...result,
-      endpoint_name: process.env.REACT_APP_SAGEMAKER_ENDPOINT,
-      aws_region: process.env.REACT_APP_AWS_REGION,
-      response_time_ms: endTime - startTime,
-      model_accuracy: process.env.REACT_APP_MODEL_ACCURACY,
-      processed_at: new Date().toISOString(),
-      api_method: 'direct_sagemaker'
-    };
+    const errorMessage = error.message || 'An unexpected error occurred during prediction';
+    throw new Error(`Prediction service error: ${errorMessage}`);
+  }
+};
 
-    console.log('🎉 Enhanced prediction result:', enhancedResult);
-    return enhancedResult;
-    
+// JSON error body, or null when a proxy or crash page sent something else
+const parseErrorBody = (text) => {
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' ? body : null;
   } catch (error) {
-    console.error('❌ SageMaker prediction error:', error);
-    
-    // Handle specific AWS error types
-    if (error.code === 'ValidationException') {
-      throw new Error('Invalid input data format. Please check all required fields are provided correctly.');
-    } else if (error.code === 'ModelError') {
-      throw new Error('Machine learning model prediction failed. Please try again or contact support.');
-    } else if (error.code === 'ServiceUnavailable') {
-      throw new Error('Prediction service is temporarily unavailable. Please try again in a few moments.');
-    } else if (error.code === 'ThrottlingException') {
-      throw new Error('Too many requests. Please wait a moment and try again.');
-    } else if (error.name === 'NetworkError' || error.code === 'NetworkingError') {
-      throw new Error('Network connection issue. Please check your internet connection and try again.');
-    } else if (error.code === 'UnknownEndpoint') {
-      throw new Error('SageMaker endpoint not found. Please verify the endpoint configuration.');
-    } else if (error.code === 'AccessDenied') {
-      throw new Error('Access denied to SageMaker endpoint. Please check your AWS credentials.');
-    } else if (error.code === 'CredentialsError' || error.message.includes('credentials')) {
-      throw new Error('AWS credentials not configured. Please set up AWS CLI or use environment variables.');
-    } else {
-      // Generic error handling
-      const errorMessage = error.message || 'An unexpected error occurred during prediction';
-      throw new Error(`Prediction service error: ${errorMessage}`);
-    }
+    return null;
   }
 };
 
+// 429 from the per-client quotas: say which limit was hit and when to retry
+const describeQuotaFailure = (body) => {
+  const minutes = Math.ceil((body.retry_after_seconds || 60) / 60);
+  return `${body.error || 'Rate limit exceeded'} - try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
 // Enhanced backend proxy implementation
 export const predictDiabetesRiskViaBackend = async (patientData) => {
   try {
-    console.log('🔄 Sending prediction request via backend proxy...');
-    console.log('📡 Backend URL:', process.env.REACT_APP_API_URL);
+    logger.debug('🔄 Sending prediction request via backend proxy...');
+    logger.debug('📡 Backend URL:', process.env.REACT_APP_API_URL);
     
     const response = await fetch(`${process.env.REACT_APP_API_URL}/predict`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
-        'X-Requested-With': 'XMLHttpRequest'
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(await getAuthHeaders())
       },
       body: JSON.stringify(patientData),
       // Add timeout for better error handling
@@ -182,7 +80,25 @@ export const predictDiabetesRiskViaBackend = async (patientData) => {
 
     if (!response.ok) {
       const errorText = await response.text();
-      console.error('❌ Backend response error:', errorText);
+      const errorBody = parseErrorBody(errorText);
+      logger.error(`❌ Backend response error: HTTP ${response.status}`);
+
+      // 422: cross-field plausibility warnings that need confirmation before scoring
+      if (response.status === 422 && Array.isArray(errorBody?.validation_warnings)) {
+        const warningError = new Error(errorBody.error || 'Plausibility warnings require confirmation');
+        warningError.code = 'PlausibilityWarnings';
+        warningError.validationWarnings = errorBody.validation_warnings;
+        throw warningError;
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(describeAuthFailure(response.status));
+      }
+
+      if (response.status === 429 && errorBody) {
+        throw new Error(describeQuotaFailure(errorBody));
+      }
+
       throw new Error(`HTTP ${response.status}: ${errorText}`);
     }
 
@@ -199,13 +115,15 @@ export const predictDiabetesRiskViaBackend = async (patientData) => {
       processed_at: new Date().toISOString()
     };
     
-    console.log('✅ Backend prediction result:', enhancedResult);
+    logger.debug('✅ Backend prediction result:', enhancedResult);
     return enhancedResult;
     
   } catch (error) {
-    console.error('❌ Backend prediction error:', error);
+    logger.error('❌ Backend prediction error:', error);
     
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
+    if (error.validationWarnings) {
+      throw error;
+    } else if (error.name === 'TypeError' && error.message.includes('fetch')) {
       throw new Error('Backend service unavailable. Please check if the backend server is running on port 3001.');
     } else if (error.name === 'AbortError') {
       throw new Error('Request timeout. The backend service is taking too long to respond.');
@@ -215,42 +133,198 @@ export const predictDiabetesRiskViaBackend = async (patientData) => {
   }
 };
 
-// Enhanced health check function
+// Split a Server-Sent Events stream into { event, data } messages
+const readServerSentEvents = async (response, onMessage) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (block) => {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    if (dataLines.length > 0) {
+      onMessage(event, JSON.parse(dataLines.join('\n')));
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+};
+
+// Batch prediction streamed row by row from the backend.
+// Calls onStart({ total_patients }) once and onResult({ row, totals }) per patient,
+// and resolves with the final batch summary.
+export const streamBatchPredictions = async (patients, { onStart, onResult, signal, allowImputation = false } = {}) => {
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/predict-batch/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'text/event-stream',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify({ patients, allow_imputation: allowImputation }),
+    signal
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(describeAuthFailure(response.status));
+  }
+  if (!response.ok) {
+    const errorBody = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      throw new Error(describeQuotaFailure(errorBody));
+    }
+    throw new Error(errorBody.error || `HTTP ${response.status}: batch prediction failed`);
+  }
+
+  let summary = null;
+  let failure = null;
+
+  await readServerSentEvents(response, (event, data) => {
+    if (event === 'start' && onStart) {
+      onStart(data);
+    } else if (event === 'result' && onResult) {
+      onResult(data);
+    } else if (event === 'complete') {
+      summary = data;
+    } else if (event === 'failed') {
+      failure = data;
+    }
+  });
+
+  if (failure) {
+    throw new Error(failure.message || failure.error);
+  }
+  if (!summary) {
+    throw new Error('Batch prediction stream ended before completion');
+  }
+  return summary;
+};
+
+// Registered models from the backend model registry
+export const fetchModels = async () => {
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/models`, {
+    headers: {
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest'
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: unable to load model registry`);
+  }
+
+  const result = await response.json();
+  return result.models || [];
+};
+
+// Results of an asynchronous batch job (POST /api/jobs); unfinished jobs are reported as errors
+export const fetchJobResults = async (jobId) => {
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/jobs/${encodeURIComponent(jobId)}/results`, {
+    headers: {
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...(await getAuthHeaders())
+    }
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(describeAuthFailure(response.status));
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 409) {
+    throw new Error(`${result.error} (${result.percent_complete}% complete)`);
+  }
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}: unable to load job results`);
+  }
+  return result;
+};
+
+// Map a pasted FHIR Bundle (Patient + Observations) onto the assessment fields; nothing is scored.
+// Resolves to { patient_data, sources, missing_features, ignored, patient }
+export const importFhirBundle = async (bundleText) => {
+  let bundle;
+  try {
+    bundle = JSON.parse(bundleText);
+  } catch (error) {
+    throw new Error(`The pasted text is not valid JSON: ${error.message}`);
+  }
+
+  const response = await fetch(`${process.env.REACT_APP_API_URL}/fhir/import`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/fhir+json',
+      'Accept': 'application/json',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...(await getAuthHeaders())
+    },
+    body: JSON.stringify(bundle)
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(describeAuthFailure(response.status));
+  }
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.message || result.error || `HTTP ${response.status}: unable to import the FHIR bundle`);
+  }
+  return result;
+};
+
+// Inference endpoint health from the backend (GET /api/endpoint-health, reviewers and admins).
+// The backend probes each endpoint itself, so no patient is scored, charged or audited.
 export const checkEndpointHealth = async () => {
   try {
-    console.log('🏥 Checking SageMaker endpoint health...');
-    
-    // Simple test data for health check
-    const testData = {
-      Age: 45,
-      BMI: 25.0,
-      Waist_Circumference_cm: 85,
-      Fasting_Glucose_mg_dL: 95,
-      HbA1c_percent: 5.5,
-      Systolic_BP_mmHg: 120,
-      Diastolic_BP_mmHg: 80,
-      Family_History_Diabetes: 0,
-      Hypertension: 0,
-      Physical_Activity_Hours_Week: 5.0
-    };
+    logger.debug('🏥 Checking inference endpoint health...');
+
+    const response = await fetch(`${process.env.REACT_APP_API_URL}/endpoint-health`, {
+      headers: {
+        'Accept': 'application/json',
+        'X-Requested-With': 'XMLHttpRequest',
+        ...(await getAuthHeaders())
+      }
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(describeAuthFailure(response.status));
+    }
+
+    // 503 still carries the per-endpoint report
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok && !result.status) {
+      throw new Error(result.error || `HTTP ${response.status}: unable to check endpoint health`);
+    }
+
+    logger.debug(`Endpoint health: ${result.status}`);
+    return result;
 
-    const startTime = Date.now();
-    await predictDiabetesRisk(testData);
-    const endTime = Date.now();
-    
-    console.log('✅ Endpoint health check passed');
-    return { 
-      status: 'healthy', 
-      endpoint: process.env.REACT_APP_SAGEMAKER_ENDPOINT,
-      response_time_ms: endTime - startTime,
-      timestamp: new Date().toISOString()
-    };
-    
   } catch (error) {
-    console.error('❌ Endpoint health check failed:', error);
-    return { 
-      status: 'unhealthy', 
-      endpoint: process.env.REACT_APP_SAGEMAKER_ENDPOINT,
+    logger.error('❌ Endpoint health check failed:', error);
+    return {
+      status: 'unhealthy',
       error: error.message,
       timestamp: new Date().toISOString()
     };
@@ -262,12 +336,15 @@ const sagemakerService = {
   predictDiabetesRisk,
   predictDiabetesRiskViaBackend,
   checkEndpointHealth,
+  fetchModels,
+  fetchJobResults,
+  importFhirBundle,
+  streamBatchPredictions,
   config: {
     endpoint: process.env.REACT_APP_SAGEMAKER_ENDPOINT,
     region: process.env.REACT_APP_AWS_REGION,
     modelVersion: process.env.REACT_APP_MODEL_VERSION,
-    modelAccuracy: process.env.REACT_APP_MODEL_ACCURACY,
-    useBackendProxy: process.env.REACT_APP_USE_BACKEND_PROXY === 'true'
+    modelAccuracy: process.env.REACT_APP_MODEL_ACCURACY
   }
 };
 
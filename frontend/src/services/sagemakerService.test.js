@@ -0,0 +1,48 @@
+import { predictDiabetesRiskViaBackend } from './sagemakerService';
+
+const respond = (status, text) => {
+  global.fetch = jest.fn(() => Promise.resolve({
+    ok: status < 400,
+    status,
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve(JSON.parse(text))
+  }));
+};
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('hands plausibility warnings back for confirmation', async () => {
+  const warnings = [{ rule: 'hba1c_glucose_mismatch', message: 'HbA1c and glucose disagree' }];
+  respond(422, JSON.stringify({ error: 'Plausibility warnings require confirmation', validation_warnings: warnings }));
+
+  await expect(predictDiabetesRiskViaBackend({ Age: 50 })).rejects.toMatchObject({
+    code: 'PlausibilityWarnings',
+    validationWarnings: warnings
+  });
+});
+
+test('reports a 422 without a JSON body as a plain HTTP error', async () => {
+  respond(422, '<html>Unprocessable</html>');
+
+  await expect(predictDiabetesRiskViaBackend({ Age: 50 })).rejects.toThrow(
+    'Backend prediction failed: HTTP 422: <html>Unprocessable</html>'
+  );
+});
+
+test('says when to retry after a quota 429', async () => {
+  respond(429, JSON.stringify({ error: 'Prediction quota exceeded', retry_after_seconds: 90 }));
+
+  await expect(predictDiabetesRiskViaBackend({ Age: 50 })).rejects.toThrow(
+    'Backend prediction failed: Prediction quota exceeded - try again in 2 minutes.'
+  );
+});
+
+test('reports a 429 without a JSON body as a plain HTTP error', async () => {
+  respond(429, 'Too Many Requests');
+
+  await expect(predictDiabetesRiskViaBackend({ Age: 50 })).rejects.toThrow(
+    'Backend prediction failed: HTTP 429: Too Many Requests'
+  );
+});